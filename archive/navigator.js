@@ -1,9 +1,11 @@
-import { getRequestHeaders, eventSource, event_types } from '../../../../../script.js';
+import { eventSource, event_types } from '../../../../../script.js';
 import { callGenericPopup, POPUP_TYPE } from '../../../../popup.js';
 import { oai_settings, openai_setting_names, promptManager } from '../../../../openai.js';
 import { LOG_PREFIX, generateUUID, showColorPickerPopup, debounce, debounce_timeout, showToast } from '../core/utils.js';
 import { CONSTANTS } from '../core/constants.js';
 import storage from '../core/storage-migration.js';
+import { findOlderInstalledVersions, offerPresetUpgrade } from '../features/prompts/preset-versioning.js';
+import { saveStoredPreset } from '../features/prompts/preset-store.js';
 
 export class PresetNavigator {
     constructor(apiType) {
@@ -972,45 +974,21 @@ export class PresetNavigator {
                     }
                 }
 
+                // Older installed versions of this preset, looked up before a save could overwrite one
+                const upgradeCandidates = this.apiType === 'openai' ? findOlderInstalledVersions(presetBody.prompts) : [];
+
                 // Network request with timeout
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), CONSTANTS.TIMEOUTS.NETWORK_REQUEST);
 
-                const saveResponse = await fetch(
-                    `/api/presets/save-openai?name=${encodeURIComponent(fileName)}`,
-                    {
-                        method: 'POST',
-                        headers: getRequestHeaders(),
-                        body: JSON.stringify(presetBody),
-                        signal: controller.signal
-                    }
-                );
+                const newName = await saveStoredPreset(fileName, presetBody, { signal: controller.signal });
 
                 clearTimeout(timeoutId);
 
-                if (!saveResponse.ok) {
-                    const errorText = await saveResponse.text();
-                    throw new Error(`Server error (${saveResponse.status}): ${errorText}`);
-                }
-
-                const result = await saveResponse.json();
-                const { name: newName, key: newKey } = result;
-
-                if (!newName || !newKey) {
-                    throw new Error("Server response missing preset details");
-                }
-
-                openai_setting_names[newName] = newKey;
-                oai_settings[newKey] = presetBody;
-
-                const select = document.querySelector(`select[data-preset-manager-for="${this.apiType}"]`);
-                if (select && !select.querySelector(`option[value="${newKey}"]`)) {
-                    select.appendChild(new Option(newName, newKey));
-                }
-
                 showToast(`Preset "${fileName}" imported successfully! ✓`, 'success');
                 this.allPresets = await this.fetchPresetList();
                 this.render();
+                offerPresetUpgrade(newName, upgradeCandidates, presetBody);
 
             } catch (ex) {
                 console.error(`${LOG_PREFIX} Preset import error:`, ex);
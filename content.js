@@ -5,7 +5,7 @@ import { extension_settings } from '../../../extensions.js';
 import { LOG_PREFIX, ensureSettingsNamespace, waitForElement } from './core/utils.js';
 import { CONSTANTS } from './core/constants.js';
 import logger from './core/logger.js';
-import { initializeStorage, migrateFromLocalStorage } from './core/storage-migration.js';
+import { initializeStorage, migrateFromLocalStorage, migrateToFileStorage } from './core/storage-migration.js';
 import { initializeDirectiveCache, clearDirectiveCache } from './core/directive-cache.js';
 
 // UI modules
@@ -31,6 +31,12 @@ import { initPromptDirectiveHooks, initMessageTriggerHooks } from './features/di
 import { initDirectiveAutocomplete } from './features/directives/directive-autocomplete-ui.js';
 import { initDirectiveFeatures } from './features/directives/directive-features.js';
 import { initDirectiveFeaturesFixes } from './features/directives/directive-features-fixes.js';
+import { initDirectiveLintPanel } from './features/directives/directive-lint-panel.js';
+import { initMacroPreview } from './features/directives/macro-preview.js';
+import { initPromptProfiles } from './features/directives/prompt-profiles.js';
+import { initModelGating } from './features/directives/model-gating.js';
+import { initPresetVersioning } from './features/prompts/preset-versioning.js';
+import { initAutoOrder } from './features/prompts/auto-order.js';
 
 // Feature modules - Backgrounds
 import { animatedBackgrounds } from './features/backgrounds/animated-backgrounds-module.js';
@@ -98,6 +104,8 @@ async function initializeExtension() {
         // Initialize storage and run one-time migration from localStorage
         initializeStorage();
         migrateFromLocalStorage();
+        // Move archives and the prompt library into files in the user's data
+        await migrateToFileStorage();
 
         // Initialize UI themes early (before other UI elements load)
         console.log('🔧 NemoNet: Initializing UI themes...');
@@ -153,6 +161,24 @@ async function initializeExtension() {
         // Apply fixes for directive features
         initDirectiveFeaturesFixes();
 
+        // Directive problems panel (linter results above the prompt list)
+        initDirectiveLintPanel();
+
+        // Rendered preview pane under the prompt editor
+        initMacroPreview();
+
+        // Model compatibility badges and the offer to turn off incompatible prompts
+        initModelGating();
+
+        // User prompt profiles (named toggle sets per preset)
+        initPromptProfiles();
+
+        // Preset name/version bar, @requires-preset-version warnings and upgrades on import
+        initPresetVersioning();
+
+        // Preview of the @load-order / @priority order when a preset loads (if enabled)
+        initAutoOrder();
+
         // Initialize category tray system for quick prompt selection
         initCategoryTray();
 
@@ -15,7 +15,6 @@ export const CONSTANTS = {
         DOM_SETTLE_DELAY: 50,          // Wait for DOM to settle after operations
         UI_UPDATE_DELAY: 100,          // Debounce UI updates
         PRESET_LOAD_WAIT: 200,         // Wait for preset to load
-        TOGGLE_BATCH_DELAY: 50,        // Delay between toggle clicks
         FILE_INPUT_CLEANUP: 60000,     // File input cleanup timeout (1 minute)
         NETWORK_REQUEST: 10000,        // API request timeout (10 seconds)
         PRESET_LOAD_MAX_WAIT: 2000,    // Max wait for preset load (2 seconds)
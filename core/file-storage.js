@@ -0,0 +1,244 @@
+/**
+ * Nemo File Storage
+ * JSON documents stored as files in the user's SillyTavern data directory
+ * (user/files) instead of extension_settings or localStorage, so large data
+ * such as prompt revisions, archive contents and the prompt library neither
+ * bloats settings.json nor disappears with the browser.
+ *
+ * Documents are loaded on demand and cached; saves update the cache at once
+ * and are written shortly after, one write per burst of changes. Writes of
+ * the same file never overlap: each one waits for the previous to finish.
+ *
+ * The file access itself goes through a backend, which can be replaced with
+ * setStorageBackend(). A backend has three async methods:
+ *   read(name)          -> file text, or null when the file does not exist
+ *   write(name, text)
+ *   remove(name)
+ *
+ * @module file-storage
+ */
+
+import { getRequestHeaders } from '../../../../../script.js';
+import logger from './logger.js';
+
+const WRITE_DELAY = 1000;
+
+// Fixed documents; archive contents get one file per archive (see archiveFile)
+export const FILES = {
+    PROMPT_LIBRARY: 'nemo-prompt-library.json',
+    PROMPT_REVISIONS: 'nemo-prompt-revisions.json',
+    NAVIGATOR_METADATA: 'nemo-prompt-navigator-metadata.json'
+};
+
+/**
+ * File name for the contents of an archive
+ * @param {string} archiveId - Archive id
+ * @returns {string} File name
+ */
+export function archiveFile(archiveId) {
+    return `nemo-archive-${String(archiveId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`;
+}
+
+/**
+ * SillyTavern's user file endpoints
+ */
+export const serverFileBackend = {
+    async read(name) {
+        const response = await fetch(`/user/files/${encodeURIComponent(name)}`, { cache: 'no-store' });
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Reading ${name} failed: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    },
+
+    async write(name, text) {
+        const response = await fetch('/api/files/upload', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ name, data: toBase64(text) })
+        });
+        if (!response.ok) {
+            throw new Error(`Writing ${name} failed: ${response.status} ${response.statusText}`);
+        }
+    },
+
+    async remove(name) {
+        const response = await fetch('/api/files/delete', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ path: `user/files/${name}` })
+        });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Deleting ${name} failed: ${response.status} ${response.statusText}`);
+        }
+    }
+};
+
+let backend = serverFileBackend;
+
+/**
+ * Replace the file backend (documents already cached are kept)
+ * @param {{read: Function, write: Function, remove: Function}} newBackend - Backend
+ */
+export function setStorageBackend(newBackend) {
+    backend = newBackend;
+}
+
+export const NemoFileStorage = {
+    cache: new Map(),
+    loading: new Map(),
+    // Documents that could not be read; saving them would overwrite data we never saw
+    unreadable: new Set(),
+    pendingWrites: new Map(),
+    // Write in progress per file; the next write or delete of the file waits for it
+    writing: new Map(),
+
+    /**
+     * Load a document (cached after the first call)
+     * @param {string} name - File name
+     * @param {*} fallback - Value when the file does not exist
+     * @returns {Promise<*>} Document
+     * @throws {Error} When the file exists but cannot be read or parsed
+     */
+    async load(name, fallback = null) {
+        if (this.cache.has(name)) return this.cache.get(name);
+        if (this.loading.has(name)) return this.loading.get(name);
+
+        const request = (async () => {
+            try {
+                const text = await backend.read(name);
+                const data = text === null || text === '' ? fallback : JSON.parse(text);
+                this.cache.set(name, data);
+                this.unreadable.delete(name);
+                return data;
+            } catch (error) {
+                this.unreadable.add(name);
+                throw error;
+            } finally {
+                this.loading.delete(name);
+            }
+        })();
+
+        this.loading.set(name, request);
+        return request;
+    },
+
+    /**
+     * Cached document, or undefined before it was loaded
+     * @param {string} name - File name
+     */
+    get(name) {
+        return this.cache.get(name);
+    },
+
+    /**
+     * Store a document; the file is written after a short delay
+     * @param {string} name - File name
+     * @param {*} data - JSON-serializable document
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate=false] - Write without waiting for more changes
+     * @returns {Promise<void>} Resolves when the file is written
+     */
+    save(name, data, { immediate = false } = {}) {
+        if (this.unreadable.has(name)) {
+            logger.error(`Not saving ${name}: the existing file could not be read`);
+            return Promise.reject(new Error(`${name} could not be read, refusing to overwrite it`));
+        }
+
+        this.cache.set(name, data);
+
+        const pending = this.pendingWrites.get(name);
+        if (pending) {
+            clearTimeout(pending.timer);
+            pending.timer = setTimeout(() => this.write(name), immediate ? 0 : WRITE_DELAY);
+            return pending.promise;
+        }
+
+        let resolve, reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        this.pendingWrites.set(name, {
+            promise,
+            resolve,
+            reject,
+            timer: setTimeout(() => this.write(name), WRITE_DELAY)
+        });
+        if (immediate) {
+            this.write(name);
+        }
+        return promise;
+    },
+
+    /**
+     * Write a pending document now
+     * @param {string} name - File name
+     */
+    async write(name) {
+        const pending = this.pendingWrites.get(name);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingWrites.delete(name);
+
+        const previous = this.writing.get(name);
+        const request = (async () => {
+            await previous?.catch(() => {});
+            // Serialized once it is this write's turn, so it carries the latest document
+            if (this.cache.has(name)) {
+                await backend.write(name, JSON.stringify(this.cache.get(name)));
+            }
+        })();
+        this.writing.set(name, request);
+
+        try {
+            await request;
+            pending.resolve();
+        } catch (error) {
+            logger.error(`Error writing ${name}:`, error);
+            pending.reject(error);
+        } finally {
+            if (this.writing.get(name) === request) {
+                this.writing.delete(name);
+            }
+        }
+    },
+
+    /**
+     * Write all pending documents now
+     */
+    async flush() {
+        await Promise.allSettled([...this.pendingWrites.keys()].map(name => this.write(name)));
+    },
+
+    /**
+     * Delete a document
+     * @param {string} name - File name
+     */
+    async remove(name) {
+        const pending = this.pendingWrites.get(name);
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.pendingWrites.delete(name);
+            pending.resolve();
+        }
+        this.cache.delete(name);
+        this.unreadable.delete(name);
+        await this.writing.get(name)?.catch(() => {});
+        await backend.remove(name);
+    }
+};
+
+/**
+ * Base64 of the UTF-8 bytes of a string (the upload endpoint expects base64)
+ */
+function toBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
@@ -7,6 +7,7 @@ import { extension_settings } from '../../../../extensions.js';
 import { saveSettingsDebounced } from '../../../../../script.js';
 import { LOG_PREFIX, NEMO_EXTENSION_NAME } from './utils.js';
 import logger from './logger.js';
+import { NemoFileStorage, FILES, archiveFile } from './file-storage.js';
 
 // Old localStorage keys
 const OLD_KEYS = {
@@ -15,7 +16,9 @@ const OLD_KEYS = {
     SECTIONS_ENABLED: 'nemoSectionsEnabled',
     FAVORITE_PRESETS: 'nemo-favorite-presets',
     FAVORITE_CHARACTERS: 'nemo-favorite-characters',
-    PROMPT_STATE: 'nemoPromptToggleState'
+    PROMPT_STATE: 'nemoPromptToggleState',
+    PROMPT_LIBRARY: 'nemo-prompt-library',
+    PROMPT_NAVIGATOR_METADATA: 'nemoPromptNavigatorMetadata'
 };
 
 /**
@@ -36,6 +39,9 @@ export function initializeStorage() {
     settings.favoriteCharacters = settings.favoriteCharacters || [];
     settings.promptStates = settings.promptStates || {};
     settings.openSectionStates = settings.openSectionStates || {};
+    settings.triggerOverlay = settings.triggerOverlay || null;
+    settings.promptProfiles = settings.promptProfiles || {};
+    settings.snapshotLibrary = settings.snapshotLibrary || migrateSnapshotSlots(settings.promptSnapshots);
 
     // Feature toggles
     settings.enableTabOverhauls = settings.enableTabOverhauls !== false;
@@ -48,6 +54,25 @@ export function initializeStorage() {
     logger.info('Storage structure initialized');
 }
 
+/**
+ * Turn the old single snapshot per API into named snapshot library entries
+ * @param {Object<string, string[]>} slots - Enabled identifiers by API
+ * @returns {Array<Object>} Snapshot library
+ */
+function migrateSnapshotSlots(slots) {
+    return Object.entries(slots || {})
+        .filter(([, identifiers]) => Array.isArray(identifiers) && identifiers.length > 0)
+        .map(([api, identifiers]) => ({
+            id: `snapshot_${Date.now()}_${api}`,
+            name: `Snapshot (${api})`,
+            timestamp: new Date().toISOString(),
+            presetName: null,
+            note: 'Migrated from the single snapshot slot',
+            api,
+            enabled: [...identifiers]
+        }));
+}
+
 /**
  * Migrate data from localStorage to extension_settings (one-time migration)
  */
@@ -152,6 +177,93 @@ export function migrateFromLocalStorage() {
     }
 }
 
+/**
+ * Move archive contents, the prompt library and the prompt navigator metadata
+ * out of extension_settings and localStorage into files (see file-storage.js).
+ *
+ * Runs on every load: localStorage is per browser, so each browser migrates its
+ * own copy, merged into the file another browser may already have written.
+ * A store is only cleared after its file was written, so failures retry next time.
+ */
+export async function migrateToFileStorage() {
+    const settings = extension_settings[NEMO_EXTENSION_NAME];
+    let migratedCount = 0;
+    let settingsChanged = false;
+
+    // Archive contents: the index entry stays, the prompts move to a file per archive
+    for (const archive of Object.values(settings.promptArchives || {})) {
+        if (!archive?.promptData) continue;
+        try {
+            const file = archiveFile(archive.id);
+            await NemoFileStorage.save(file, {
+                promptData: archive.promptData,
+                systemPromptData: archive.systemPromptData || []
+            }, { immediate: true });
+            delete archive.promptData;
+            delete archive.systemPromptData;
+            archive.file = file;
+            settingsChanged = true;
+            migratedCount++;
+            logger.debug(`Migrated archive ${archive.name} to ${file}`);
+        } catch (e) {
+            logger.error(`Failed to migrate archive ${archive.name}`, e);
+        }
+    }
+
+    // localStorage documents
+    const localDocuments = [
+        [OLD_KEYS.PROMPT_LIBRARY, FILES.PROMPT_LIBRARY],
+        [OLD_KEYS.PROMPT_NAVIGATOR_METADATA, FILES.NAVIGATOR_METADATA]
+    ];
+    for (const [key, file] of localDocuments) {
+        const stored = localStorage.getItem(key);
+        if (!stored) continue;
+        try {
+            await mergeIntoFile(file, JSON.parse(stored));
+            localStorage.removeItem(key);
+            migratedCount++;
+            logger.debug(`Migrated ${key} to ${file}`);
+        } catch (e) {
+            logger.error(`Failed to migrate ${key}`, e);
+        }
+    }
+
+    if (settingsChanged) {
+        saveSettingsDebounced();
+    }
+    if (migratedCount > 0) {
+        logger.info(`Migrated ${migratedCount} items to file storage`);
+    }
+}
+
+/**
+ * Write a document to a file, merging it into the file's current contents
+ * Lists are merged by id, objects key by key; on conflicts the file wins.
+ */
+async function mergeIntoFile(file, incoming) {
+    const existing = await NemoFileStorage.load(file, null);
+    await NemoFileStorage.save(file, existing === null ? incoming : mergeDocuments(existing, incoming), { immediate: true });
+}
+
+function mergeDocuments(existing, incoming) {
+    if (Array.isArray(existing) && Array.isArray(incoming)) {
+        const keyOf = (item) => item?.id ?? JSON.stringify(item);
+        const keys = new Set(existing.map(keyOf));
+        return [...existing, ...incoming.filter(item => !keys.has(keyOf(item)))];
+    }
+
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(existing) || !isObject(incoming)) return existing;
+
+    const merged = { ...incoming, ...existing };
+    for (const key of Object.keys(incoming)) {
+        if (key in existing) {
+            merged[key] = mergeDocuments(existing[key], incoming[key]);
+        }
+    }
+    return merged;
+}
+
 /**
  * Storage accessor functions (replace LocalStorageAsync usage)
  */
@@ -169,6 +281,16 @@ export const storage = {
         saveSettingsDebounced();
     },
 
+    // Named snapshot library
+    getSnapshotLibrary() {
+        return extension_settings[NEMO_EXTENSION_NAME]?.snapshotLibrary || [];
+    },
+
+    saveSnapshotLibrary(snapshots) {
+        extension_settings[NEMO_EXTENSION_NAME].snapshotLibrary = snapshots;
+        saveSettingsDebounced();
+    },
+
     // Navigator metadata
     getMetadata() {
         return extension_settings[NEMO_EXTENSION_NAME]?.navigatorMetadata || { folders: {}, presets: {} };
@@ -260,6 +382,67 @@ export const storage = {
         saveSettingsDebounced();
     },
 
+    // Trigger-driven prompt states currently applied on top of the preset (see trigger-state.js)
+    getTriggerOverlay() {
+        return extension_settings[NEMO_EXTENSION_NAME]?.triggerOverlay || null;
+    },
+
+    saveTriggerOverlay(overlay) {
+        extension_settings[NEMO_EXTENSION_NAME].triggerOverlay = overlay;
+        saveSettingsDebounced();
+    },
+
+    // User prompt profiles, keyed by preset name (see prompt-profiles.js)
+    getPromptProfiles(presetName) {
+        return extension_settings[NEMO_EXTENSION_NAME]?.promptProfiles?.[presetName] || {};
+    },
+
+    savePromptProfiles(presetName, profiles) {
+        if (!extension_settings[NEMO_EXTENSION_NAME].promptProfiles) {
+            extension_settings[NEMO_EXTENSION_NAME].promptProfiles = {};
+        }
+        if (Object.keys(profiles).length === 0) {
+            delete extension_settings[NEMO_EXTENSION_NAME].promptProfiles[presetName];
+        } else {
+            extension_settings[NEMO_EXTENSION_NAME].promptProfiles[presetName] = profiles;
+        }
+        saveSettingsDebounced();
+    },
+
+    // Order last committed by auto-order, keyed by preset name (see auto-order.js)
+    getAutoOrder(presetName) {
+        return extension_settings[NEMO_EXTENSION_NAME]?.autoOrderApplied?.[presetName] || null;
+    },
+
+    saveAutoOrder(presetName, order) {
+        if (!extension_settings[NEMO_EXTENSION_NAME].autoOrderApplied) {
+            extension_settings[NEMO_EXTENSION_NAME].autoOrderApplied = {};
+        }
+        extension_settings[NEMO_EXTENSION_NAME].autoOrderApplied[presetName] = order;
+        saveSettingsDebounced();
+    },
+
+    // User reasoning format profiles, keyed by id (see reasoning-profile-manager.js)
+    getReasoningProfiles() {
+        return extension_settings[NEMO_EXTENSION_NAME]?.reasoningProfiles || {};
+    },
+
+    saveReasoningProfiles(profiles) {
+        extension_settings[NEMO_EXTENSION_NAME].reasoningProfiles = profiles;
+        saveSettingsDebounced();
+    },
+
+    // Reasoning format profile chosen per preset and per character
+    getReasoningProfileAssignments() {
+        const assignments = extension_settings[NEMO_EXTENSION_NAME]?.reasoningProfileAssignments;
+        return { presets: { ...assignments?.presets }, characters: { ...assignments?.characters } };
+    },
+
+    saveReasoningProfileAssignments(assignments) {
+        extension_settings[NEMO_EXTENSION_NAME].reasoningProfileAssignments = assignments;
+        saveSettingsDebounced();
+    },
+
     // Dropdown style mode: 'tray' (floating overlay) or 'accordion' (inline expand)
     getDropdownStyle() {
         return extension_settings[NEMO_EXTENSION_NAME]?.dropdownStyle || 'tray';
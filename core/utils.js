@@ -47,6 +47,17 @@ export function ensureSettingsNamespace() {
         enableAnimatedBackgrounds: true,
         enablePanelToggle: true,
         enableLorebookManagement: true,
+        carryOverPromptStates: false,
+        autoArchiveRevisions: true,
+        revisionMaxCount: 20,
+        revisionMaxAgeDays: 30,  // 0 keeps revisions regardless of age
+        blockIncompatiblePrompts: false,
+        offerDisableIncompatiblePrompts: true,
+        autoOrderOnPresetLoad: false,
+        reasoningProfile: 'nemonet',  // Reasoning format profile used when no preset, character or prompt picks one
+        autoSelectReasoningFormat: true,
+        liveStreamingReasoning: true,
+        structuredReasoningView: true,
         enableHTMLTrimming: false,
         htmlTrimmingKeepCount: 0,  // Default to 0 (no auto-trim)
         dividerRegexPattern: '',
@@ -333,4 +344,48 @@ function removeToast(toast) {
             toast.parentElement.removeChild(toast);
         }
     }, 300); // Match CSS transition duration
-}
\ No newline at end of file
+}
+/**
+ * Show a modal dialog (.nemo-directive-modal)
+ * The overlay, the close button and Escape close it, as does the returned close().
+ * @param {Object} options
+ * @param {string} options.className - Class of the modal besides nemo-directive-modal
+ * @param {string} options.title - Header title (HTML)
+ * @param {string} options.body - Body HTML
+ * @param {Function} [options.onClose] - Called once when the modal closes, with the value given to close()
+ * @returns {{modal: HTMLElement, close: Function}} The modal element and a function closing it
+ */
+export function showNemoModal({ className, title, body, onClose = null }) {
+    const modal = document.createElement('div');
+    modal.className = `nemo-directive-modal ${className}`;
+    modal.innerHTML = `
+        <div class="nemo-modal-overlay"></div>
+        <div class="nemo-modal-content">
+            <div class="nemo-modal-header">
+                <h3>${title}</h3>
+                <button class="nemo-modal-close" aria-label="Close">&times;</button>
+            </div>
+            <div class="nemo-modal-body">${body}</div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    let closed = false;
+    const handleEsc = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    const close = (value) => {
+        if (closed) return;
+        closed = true;
+        document.removeEventListener('keydown', handleEsc);
+        modal.classList.add('nemo-modal-removing');
+        setTimeout(() => modal.remove(), 300); // Match CSS transition duration
+        onClose?.(value);
+    };
+
+    modal.querySelector('.nemo-modal-overlay').addEventListener('click', () => close());
+    modal.querySelector('.nemo-modal-close').addEventListener('click', () => close());
+    document.addEventListener('keydown', handleEsc);
+
+    return { modal, close };
+}
@@ -0,0 +1,93 @@
+/**
+ * Nemo Batch Toggle
+ * Sets the enabled state of many prompts at once by editing the prompt order
+ * entries directly. The target state is validated once with the directive
+ * engine, then the prompt manager is rendered and saved a single time, so a
+ * bulk change is one history step instead of a click per prompt.
+ *
+ * @module batch-toggle
+ */
+
+import logger from '../../core/logger.js';
+import { getAllPromptsWithState, validatePromptStates } from './prompt-directives.js';
+import { PromptHistory } from '../prompts/prompt-history.js';
+import { promptManager } from '../../../../../openai.js';
+
+/**
+ * Apply enabled states to the active prompt order
+ * Prompts that are not in the order, or already in the target state, are skipped.
+ * Validation problems are reported but do not stop the change: every caller
+ * applies a state the user (or a trigger they wrote) asked for.
+ * @param {Object<string, boolean>|Map<string, boolean>|Array<[string, boolean]>} states - Target states by identifier
+ * @param {Object} [options]
+ * @param {string} [options.label] - Undo history label
+ * @param {boolean} [options.validate=true] - Check the target state for directive conflicts
+ * @param {boolean} [options.render=true] - Re-render the prompt list (the category tray updates its own cards)
+ * @returns {{changed: string[], issues: Array}} Changed identifiers and validation issues
+ */
+export function applyPromptStates(states, options = {}) {
+    const { label = null, validate = true, render = true } = options;
+    const result = { changed: [], issues: [] };
+
+    if (!promptManager?.activeCharacter) {
+        logger.warn('Prompt manager not available');
+        return result;
+    }
+
+    const targets = states instanceof Map || Array.isArray(states) ? [...states] : Object.entries(states || {});
+    const changes = [];
+    for (const [identifier, enabled] of targets) {
+        const entry = promptManager.getPromptOrderEntry(promptManager.activeCharacter, identifier);
+        if (entry && !!entry.enabled !== !!enabled) {
+            changes.push({ entry, identifier, enabled: !!enabled });
+        }
+    }
+
+    if (changes.length === 0) return result;
+    result.changed = changes.map(change => change.identifier);
+
+    if (validate) {
+        try {
+            const targetStates = new Map(changes.map(change => [change.identifier, change.enabled]));
+            const allPrompts = getAllPromptsWithState().map(prompt => targetStates.has(prompt.identifier)
+                ? { ...prompt, enabled: targetStates.get(prompt.identifier) }
+                : prompt);
+            result.issues = validatePromptStates(allPrompts, result.changed);
+        } catch (error) {
+            logger.error('Error validating prompt states:', error);
+        }
+    }
+
+    const counts = promptManager.tokenHandler?.getCounts?.();
+    for (const change of changes) {
+        change.entry.enabled = change.enabled;
+        if (counts) {
+            counts[change.identifier] = null;
+        }
+    }
+
+    if (label) {
+        PromptHistory.setNextLabel(label);
+    }
+    if (render) {
+        promptManager.render();
+    }
+    promptManager.saveServiceSettings();
+
+    if (result.issues.length > 0) {
+        reportIssues(result.issues, label);
+    }
+
+    logger.info(`Batch toggled ${changes.length} prompt(s)${label ? ` (${label})` : ''}`);
+    return result;
+}
+
+/**
+ * Show one notification for all problems of a batch
+ */
+function reportIssues(issues, label) {
+    const [first, ...rest] = issues;
+    const more = rest.length > 0 ? ` (and ${rest.length} more)` : '';
+    logger.warn(`Directive problems after ${label || 'batch toggle'}:`, issues.map(issue => issue.message));
+    toastr.warning(`${first.message}${more}`, label ? `${label}: directive conflicts` : 'Directive conflicts');
+}
@@ -0,0 +1,193 @@
+/**
+ * Nemo Dependency Resolver
+ * Computes the full plan for enabling a prompt: the transitive closure of its
+ * @requires, the prompts that must be disabled because of exclusions the new
+ * prompts trigger, and anything that makes the plan impossible.
+ *
+ * The plan is computed without touching any state so it can be previewed
+ * first and then applied in one step (or rejected).
+ *
+ * @module dependency-resolver
+ */
+
+import { parseDirectivesFromContent } from './directive-parser.js';
+import { evaluateCondition } from './directive-expressions.js';
+import { getModelCompatibility } from './model-compatibility.js';
+
+/**
+ * Compute the activation plan for a prompt
+ * @param {string} promptId - Prompt to enable
+ * @param {Array<{identifier: string, name?: string, content?: string, enabled: boolean}>} allPrompts - Prompts with their current state
+ * @param {Object} [options]
+ * @param {Object} [options.conditionContext] - Condition context for @enable-if checks (see directive-expressions)
+ * @param {function(string): Object} [options.getDirectives] - Directive lookup for prompt content (defaults to an uncached parse)
+ * @param {boolean} [options.blockIncompatible=false] - Treat prompts incompatible with the context's model or API as blockers
+ * @returns {{target: Object, toEnable: Array<Object>, toDisable: Array<Object>, blockers: Array<Object>}} Activation plan
+ */
+export function resolveActivationPlan(promptId, allPrompts, options = {}) {
+    const getDirectives = options.getDirectives || parseDirectivesFromContent;
+    const promptsById = new Map(allPrompts.map(prompt => [prompt.identifier, prompt]));
+    const directivesById = new Map();
+    const directivesOf = (id) => {
+        if (!directivesById.has(id)) {
+            directivesById.set(id, getDirectives(promptsById.get(id)?.content || ''));
+        }
+        return directivesById.get(id);
+    };
+    const nameOf = (id) => promptsById.get(id)?.name || id;
+    const isEnabledNow = (id) => Boolean(promptsById.get(id)?.enabled);
+
+    const target = { identifier: promptId, name: nameOf(promptId) };
+    const toEnable = new Map();     // identifier -> reason
+    const toDisable = new Map();    // identifier -> reason
+    const blockers = [];
+
+    if (!promptsById.has(promptId)) {
+        blockers.push({ identifier: promptId, message: `Prompt "${promptId}" does not exist` });
+        return buildPlan(target, toEnable, toDisable, blockers, nameOf);
+    }
+
+    // Prompts that will be switched on: the target plus everything it transitively requires
+    const incoming = new Set([promptId]);
+    const visited = new Set([promptId]);
+    const queue = [promptId];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+
+        for (const requiredId of directivesOf(current).requires) {
+            if (!promptsById.has(requiredId)) {
+                blockers.push({
+                    identifier: current,
+                    message: `"${nameOf(current)}" requires "${requiredId}", which does not exist in this preset`
+                });
+                continue;
+            }
+
+            if (!isEnabledNow(requiredId) && !incoming.has(requiredId)) {
+                incoming.add(requiredId);
+                toEnable.set(requiredId, `required by "${nameOf(current)}"`);
+            }
+
+            if (!visited.has(requiredId)) {
+                visited.add(requiredId);
+                queue.push(requiredId);
+            }
+        }
+    }
+
+    // Exclusions triggered by the incoming prompts
+    const blockedPairs = new Set();
+    const disable = (id, reason, causeId) => {
+        if (incoming.has(id)) {
+            const pairKey = [id, causeId].sort().join('|');
+            if (!blockedPairs.has(pairKey)) {
+                blockedPairs.add(pairKey);
+                blockers.push({ identifier: id, message: `"${nameOf(id)}" is needed but ${reason}` });
+            }
+        } else if (!toDisable.has(id)) {
+            toDisable.set(id, reason);
+        }
+    };
+
+    for (const id of incoming) {
+        const directives = directivesOf(id);
+
+        for (const other of allPrompts) {
+            const otherId = other.identifier;
+            if (otherId === id || !(other.enabled || incoming.has(otherId))) continue;
+
+            const otherDirectives = directivesOf(otherId);
+
+            if (directives.exclusiveWith.includes(otherId) || otherDirectives.exclusiveWith.includes(id)) {
+                disable(otherId, `it is exclusive with "${nameOf(id)}"`, id);
+            } else if (directives.mutualExclusiveGroup && directives.mutualExclusiveGroup === otherDirectives.mutualExclusiveGroup) {
+                disable(otherId, `it shares mutual-exclusive group "${directives.mutualExclusiveGroup}" with "${nameOf(id)}"`, id);
+            } else if (directives.maxOnePerCategory && otherDirectives.categories.includes(directives.maxOnePerCategory)) {
+                disable(otherId, `only one "${directives.maxOnePerCategory}" prompt may be active alongside "${nameOf(id)}"`, id);
+            }
+        }
+    }
+
+    // Enabled prompts that depend on something being disabled lose their requirement, so disable them too
+    const cascade = Array.from(toDisable.keys());
+    while (cascade.length > 0) {
+        const disabledId = cascade.shift();
+
+        for (const other of allPrompts) {
+            const otherId = other.identifier;
+            if (!(other.enabled || incoming.has(otherId)) || toDisable.has(otherId)) continue;
+
+            if (directivesOf(otherId).requires.includes(disabledId)) {
+                disable(otherId, `it requires "${nameOf(disabledId)}", which will be disabled`, disabledId);
+                if (toDisable.has(otherId)) {
+                    cascade.push(otherId);
+                }
+            }
+        }
+    }
+
+    // @enable-if conditions are checked against the state after the plan, model
+    // compatibility against the current model
+    if (options.conditionContext) {
+        const finalContext = {
+            ...options.conditionContext,
+            isPromptEnabled: (id) => (isEnabledNow(id) || incoming.has(id)) && !toDisable.has(id)
+        };
+
+        for (const id of incoming) {
+            const condition = directivesOf(id).enableIf;
+            if (condition?.ast && !evaluateCondition(condition, finalContext)) {
+                blockers.push({ identifier: id, message: `"${nameOf(id)}" can only be enabled when: ${condition.source}` });
+            }
+            if (options.blockIncompatible) {
+                const { incompatible } = getModelCompatibility(directivesOf(id), options.conditionContext);
+                if (incompatible.length > 0) {
+                    blockers.push({ identifier: id, message: `"${nameOf(id)}" is ${incompatible.join(' and ')}` });
+                }
+            }
+        }
+    }
+
+    return buildPlan(target, toEnable, toDisable, blockers, nameOf);
+}
+
+function buildPlan(target, toEnable, toDisable, blockers, nameOf) {
+    const toList = (map) => Array.from(map, ([identifier, reason]) => ({ identifier, name: nameOf(identifier), reason }));
+    return {
+        target,
+        toEnable: toList(toEnable),
+        toDisable: toList(toDisable),
+        blockers
+    };
+}
+
+/**
+ * Check whether a plan changes prompts other than its target
+ * @param {Object} plan - Activation plan
+ * @returns {boolean}
+ */
+export function planHasSideEffects(plan) {
+    return plan.toEnable.length > 0 || plan.toDisable.length > 0;
+}
+
+/**
+ * Describe a plan in one line, e.g. 'will enable B, C; will disable D because it is exclusive with "C"'
+ * @param {Object} plan - Activation plan
+ * @returns {string} Description
+ */
+export function describePlan(plan) {
+    const parts = [];
+
+    if (plan.toEnable.length > 0) {
+        parts.push(`will enable ${plan.toEnable.map(step => step.name).join(', ')}`);
+    }
+    for (const step of plan.toDisable) {
+        parts.push(`will disable ${step.name} because ${step.reason}`);
+    }
+    if (plan.blockers.length > 0) {
+        parts.push(`cannot proceed: ${plan.blockers.map(blocker => blocker.message).join('; ')}`);
+    }
+
+    return parts.length > 0 ? parts.join('; ') : `will enable ${plan.target.name}`;
+}
@@ -137,7 +137,7 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@incompatible-api',
         syntax: '@incompatible-api <api>, <api>, ...',
-        description: 'APIs this doesn\'t work with',
+        description: 'APIs this doesn\'t work with (globs; badged and optionally blocked)',
         example: '@incompatible-api claude, openai',
         requiresValue: true,
         valueType: 'text-list'
@@ -189,7 +189,7 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@priority',
         syntax: '@priority <1-100>',
-        description: 'Control load order (higher = first)',
+        description: 'Sort position among prompts with the same @load-order (higher = first, used by auto-order)',
         example: '@priority 90',
         requiresValue: true,
         valueType: 'number'
@@ -220,6 +220,22 @@ const DIRECTIVE_DEFINITIONS = [
         requiresValue: true,
         valueType: 'text-list'
     },
+    {
+        directive: '@visible-if',
+        syntax: '@visible-if <expression>',
+        description: 'Show only while the expression is true (AND/OR/NOT, api:, model:, messages, var:)',
+        example: '@visible-if (combat-pack OR horror-pack) AND NOT api:openai AND messages > 20',
+        requiresValue: true,
+        valueType: 'expression'
+    },
+    {
+        directive: '@enable-if',
+        syntax: '@enable-if <expression>',
+        description: 'Can only be enabled while the expression is true',
+        example: '@enable-if model:claude* OR model:gemini*',
+        requiresValue: true,
+        valueType: 'expression'
+    },
     {
         directive: '@hidden',
         syntax: '@hidden',
@@ -255,7 +271,7 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@token-cost',
         syntax: '@token-cost <number>',
-        description: 'Estimated token usage',
+        description: 'Estimated token usage (informational; the tracker counts real tokens)',
         example: '@token-cost 500',
         requiresValue: true,
         valueType: 'number'
@@ -263,7 +279,7 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@token-cost-warn',
         syntax: '@token-cost-warn <number>',
-        description: 'Warning threshold for total tokens',
+        description: 'Warning threshold for the counted total of enabled prompts',
         example: '@token-cost-warn 8000',
         requiresValue: true,
         valueType: 'number'
@@ -305,7 +321,7 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@changelog',
         syntax: '@changelog <version changes>',
-        description: 'Version change notes',
+        description: 'Version change notes; repeat for each version, shown when upgrading',
         example: '@changelog v2.1: Added support for X, fixed Y',
         requiresValue: true,
         valueType: 'text'
@@ -372,11 +388,19 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@requires-preset-version',
         syntax: '@requires-preset-version <version constraint>',
-        description: 'Version compatibility check',
+        description: 'Warn when the preset version does not match (>=, <, ^, ~, 3.x, ||)',
         example: '@requires-preset-version >=3.0.0',
         requiresValue: true,
         valueType: 'text'
     },
+    {
+        directive: '@reasoning-format',
+        syntax: '@reasoning-format <profile id>',
+        description: 'Reasoning format profile to parse replies with while this prompt is enabled',
+        example: '@reasoning-format nemonet',
+        requiresValue: true,
+        valueType: 'text'
+    },
 
     // Quality & Status
     {
@@ -398,8 +422,8 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@tested-with',
         syntax: '@tested-with <model>, <model>, ...',
-        description: 'Known working combinations',
-        example: '@tested-with gpt-4, claude-3, llama-70b',
+        description: 'Known working models or APIs (globs; badged when current)',
+        example: '@tested-with gpt-4*, claude-3*, llama-70b',
         requiresValue: true,
         valueType: 'text-list'
     },
@@ -408,23 +432,23 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@model-optimized',
         syntax: '@model-optimized <model>, <model>, ...',
-        description: 'Best for specific models',
-        example: '@model-optimized gpt-4, claude-3-opus',
+        description: 'Best for specific models (globs; badged when current)',
+        example: '@model-optimized gpt-4*, claude-3-opus*',
         requiresValue: true,
         valueType: 'text-list'
     },
     {
         directive: '@model-incompatible',
         syntax: '@model-incompatible <model>, <model>, ...',
-        description: 'Doesn\'t work with these models',
-        example: '@model-incompatible gpt-3.5, gemini-pro',
+        description: 'Doesn\'t work with these models (globs; badged and optionally blocked)',
+        example: '@model-incompatible gpt-3.5*, gemini-pro*',
         requiresValue: true,
         valueType: 'text-list'
     },
     {
         directive: '@recommended-api',
         syntax: '@recommended-api <api>, <api>, ...',
-        description: 'Best API for this prompt',
+        description: 'Best API for this prompt (warns when another is in use)',
         example: '@recommended-api openai, anthropic',
         requiresValue: true,
         valueType: 'text-list'
@@ -450,10 +474,86 @@ const DIRECTIVE_DEFINITIONS = [
     {
         directive: '@load-order',
         syntax: '@load-order <number>',
-        description: 'Execution order hint',
+        description: 'Position within its section when auto-ordering (lower = first)',
         example: '@load-order 100',
         requiresValue: true,
         valueType: 'number'
+    },
+
+    // Expression Triggers
+    {
+        directive: '@enable-when',
+        syntax: '@enable-when <expression>',
+        description: 'Auto-enable when the expression becomes true',
+        example: '@enable-when var:act >= 2 AND NOT finale',
+        requiresValue: true,
+        valueType: 'expression'
+    },
+    {
+        directive: '@disable-when',
+        syntax: '@disable-when <expression>',
+        description: 'Auto-disable when the expression becomes true',
+        example: '@disable-when messages > 200 OR var:mood == calm',
+        requiresValue: true,
+        valueType: 'expression'
+    },
+
+    // Story-State Triggers
+    {
+        directive: '@enable-when-var',
+        syntax: '@enable-when-var <name> [op value]',
+        description: 'Auto-enable when a chat variable matches',
+        example: '@enable-when-var mood == angry',
+        requiresValue: true,
+        valueType: 'text'
+    },
+    {
+        directive: '@disable-when-var',
+        syntax: '@disable-when-var <name> [op value]',
+        description: 'Auto-disable when a chat variable matches',
+        example: '@disable-when-var mood == calm',
+        requiresValue: true,
+        valueType: 'text'
+    },
+    {
+        directive: '@enable-when-keyword',
+        syntax: '@enable-when-keyword <word>, <word>, ...',
+        description: 'Auto-enable when a keyword appears in recent messages',
+        example: '@enable-when-keyword dragon, wyvern',
+        requiresValue: true,
+        valueType: 'text-list'
+    },
+    {
+        directive: '@disable-when-keyword',
+        syntax: '@disable-when-keyword <word>, <word>, ...',
+        description: 'Auto-disable when a keyword appears in recent messages',
+        example: '@disable-when-keyword sunrise',
+        requiresValue: true,
+        valueType: 'text-list'
+    },
+    {
+        directive: '@keyword-scan-depth',
+        syntax: '@keyword-scan-depth <number>',
+        description: 'How many recent messages keyword triggers scan (default 5)',
+        example: '@keyword-scan-depth 3',
+        requiresValue: true,
+        valueType: 'number'
+    },
+    {
+        directive: '@enable-when-lorebook-entry-active',
+        syntax: '@enable-when-lorebook-entry-active <entry>, <entry>, ...',
+        description: 'Auto-enable when a World Info entry is active',
+        example: '@enable-when-lorebook-entry-active Dragon Lair',
+        requiresValue: true,
+        valueType: 'text-list'
+    },
+    {
+        directive: '@disable-when-lorebook-entry-active',
+        syntax: '@disable-when-lorebook-entry-active <entry>, <entry>, ...',
+        description: 'Auto-disable when a World Info entry is active',
+        example: '@disable-when-lorebook-entry-active Town Square',
+        requiresValue: true,
+        valueType: 'text-list'
     }
 ];
 
@@ -0,0 +1,392 @@
+/**
+ * Nemo Directive Expression Language
+ * Boolean condition parser and evaluator used by @visible-if, @enable-if,
+ * @enable-when and @disable-when.
+ *
+ * Grammar (keywords are case-insensitive, && || ! are accepted as aliases):
+ *
+ *   expr       := or
+ *   or         := and ( OR and )*
+ *   and        := not ( AND not )*
+ *   not        := NOT not | primary
+ *   primary    := '(' expr ')' | predicate
+ *   predicate  := operand ( compare-op operand )?
+ *
+ * Predicates:
+ *   combat-pack            prompt identifier is enabled
+ *   enabled:<id>           prompt identifier is enabled
+ *   disabled:<id>          prompt identifier is disabled
+ *   api:<name>             current API or chat completion source matches (glob)
+ *   model:<name>           current model matches (glob, e.g. claude-3*)
+ *   messages > 20          chat message count comparison
+ *   var:<name> == value    chat variable comparison (bare var:<name> is truthy check)
+ *
+ * @module directive-expressions
+ */
+
+const COMPARE_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', '='];
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<{type: string, value: string, pos: number}>} Tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, value: char, pos: i });
+            i++;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            const end = source.indexOf(char, i + 1);
+            if (end === -1) {
+                throw new Error(`Unterminated string starting at position ${i + 1}`);
+            }
+            tokens.push({ type: 'string', value: source.substring(i + 1, end), pos: i });
+            i = end + 1;
+            continue;
+        }
+
+        const twoChars = source.substring(i, i + 2);
+        if (twoChars === '&&') {
+            tokens.push({ type: 'and', value: twoChars, pos: i });
+            i += 2;
+            continue;
+        }
+        if (twoChars === '||') {
+            tokens.push({ type: 'or', value: twoChars, pos: i });
+            i += 2;
+            continue;
+        }
+
+        const compareOp = COMPARE_OPERATORS.find(op => source.startsWith(op, i));
+        if (compareOp) {
+            tokens.push({ type: 'compare', value: compareOp === '=' ? '==' : compareOp, pos: i });
+            i += compareOp.length;
+            continue;
+        }
+
+        if (char === '!') {
+            tokens.push({ type: 'not', value: char, pos: i });
+            i++;
+            continue;
+        }
+
+        const wordMatch = source.substring(i).match(/^[^\s()"'<>=!&|]+/);
+        if (!wordMatch) {
+            throw new Error(`Unexpected character "${char}" at position ${i + 1}`);
+        }
+
+        const word = wordMatch[0];
+        const upper = word.toUpperCase();
+        if (upper === 'AND' || upper === 'OR' || upper === 'NOT') {
+            tokens.push({ type: upper.toLowerCase(), value: word, pos: i });
+        } else {
+            tokens.push({ type: 'word', value: word, pos: i });
+        }
+        i += word.length;
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser over a token list
+ */
+class ConditionParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new Error('Empty condition');
+        }
+        const node = this.parseOr();
+        const leftover = this.peek();
+        if (leftover) {
+            throw new Error(`Unexpected "${leftover.value}" at position ${leftover.pos + 1}`);
+        }
+        return node;
+    }
+
+    parseOr() {
+        const operands = [this.parseAnd()];
+        while (this.peek()?.type === 'or') {
+            this.next();
+            operands.push(this.parseAnd());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+
+    parseAnd() {
+        const operands = [this.parseNot()];
+        while (this.peek()?.type === 'and') {
+            this.next();
+            operands.push(this.parseNot());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    parseNot() {
+        if (this.peek()?.type === 'not') {
+            this.next();
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) {
+            throw new Error('Unexpected end of condition');
+        }
+
+        if (token.type === '(') {
+            this.next();
+            const node = this.parseOr();
+            const closing = this.next();
+            if (!closing || closing.type !== ')') {
+                throw new Error(`Missing ")" for "(" at position ${token.pos + 1}`);
+            }
+            return node;
+        }
+
+        if (token.type !== 'word' && token.type !== 'string') {
+            throw new Error(`Unexpected "${token.value}" at position ${token.pos + 1}`);
+        }
+
+        this.next();
+        const predicate = buildPredicate(token);
+
+        if (this.peek()?.type === 'compare') {
+            const operator = this.next();
+            const right = this.next();
+            if (!right || (right.type !== 'word' && right.type !== 'string')) {
+                throw new Error(`Expected a value after "${operator.value}" at position ${operator.pos + 1}`);
+            }
+            if (predicate.kind !== 'messages' && predicate.kind !== 'var') {
+                throw new Error(`"${token.value}" cannot be compared; only messages and var:<name> support ${operator.value}`);
+            }
+            if (predicate.kind === 'messages' && !isNumeric(right.value)) {
+                throw new Error(`messages must be compared with a number, got "${right.value}"`);
+            }
+            predicate.operator = operator.value;
+            predicate.value = right.value;
+        }
+
+        return predicate;
+    }
+}
+
+/**
+ * Turn an operand token into a predicate node
+ * @param {{type: string, value: string, pos: number}} token - Operand token
+ * @returns {Object} Predicate node
+ */
+function buildPredicate(token) {
+    if (token.type === 'string') {
+        return { type: 'predicate', kind: 'prompt', name: token.value };
+    }
+
+    const value = token.value;
+    const lower = value.toLowerCase();
+
+    if (lower === 'messages' || lower === 'message-count') {
+        return { type: 'predicate', kind: 'messages' };
+    }
+
+    const colon = value.indexOf(':');
+    if (colon > 0) {
+        const prefix = lower.substring(0, colon);
+        const name = value.substring(colon + 1);
+        if (!name) {
+            throw new Error(`Missing name after "${prefix}:" at position ${token.pos + 1}`);
+        }
+        switch (prefix) {
+            case 'api':
+                return { type: 'predicate', kind: 'api', name: name.toLowerCase() };
+            case 'model':
+                return { type: 'predicate', kind: 'model', name: name.toLowerCase() };
+            case 'var':
+                return { type: 'predicate', kind: 'var', name };
+            case 'enabled':
+            case 'prompt':
+                return { type: 'predicate', kind: 'prompt', name };
+            case 'disabled':
+                return { type: 'not', operand: { type: 'predicate', kind: 'prompt', name } };
+        }
+    }
+
+    return { type: 'predicate', kind: 'prompt', name: value };
+}
+
+function isNumeric(value) {
+    return value !== '' && !isNaN(Number(value));
+}
+
+/**
+ * Compile a condition string into an AST
+ * Never throws - syntax errors are reported in the `error` field.
+ * @param {string} source - Condition source text
+ * @returns {{source: string, ast: Object|null, error: string|null}} Compiled condition
+ */
+export function compileCondition(source) {
+    const text = String(source || '').trim();
+    try {
+        const ast = new ConditionParser(tokenize(text)).parse();
+        return { source: text, ast, error: null };
+    } catch (error) {
+        return { source: text, ast: null, error: error.message };
+    }
+}
+
+/**
+ * Match a value against a simple glob pattern (* and ? wildcards, case-insensitive)
+ * @param {string} pattern - Glob pattern such as "claude-3*"
+ * @param {string} value - Value to test
+ * @returns {boolean} True if the value matches
+ */
+export function globMatch(pattern, value) {
+    if (!pattern || value === undefined || value === null) return false;
+    const regexSource = String(pattern)
+        .toLowerCase()
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${regexSource}$`).test(String(value).toLowerCase());
+}
+
+/**
+ * Compare two values with a comparison operator
+ * Numeric comparison is used when both sides are numeric, string comparison otherwise.
+ */
+function compareValues(left, operator, right) {
+    if (left === undefined || left === null) {
+        return operator === '!=';
+    }
+
+    const bothNumeric = isNumeric(String(left)) && isNumeric(String(right));
+    const a = bothNumeric ? Number(left) : String(left).toLowerCase();
+    const b = bothNumeric ? Number(right) : String(right).toLowerCase();
+
+    switch (operator) {
+        case '==': return a === b;
+        case '!=': return a !== b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+function isTruthy(value) {
+    if (value === undefined || value === null) return false;
+    const text = String(value).trim().toLowerCase();
+    return text !== '' && text !== '0' && text !== 'false' && text !== 'off' && text !== 'no';
+}
+
+/**
+ * Evaluate an AST node against a condition context
+ * @param {Object} node - AST node
+ * @param {Object} context - Condition context
+ * @param {function(string): boolean} context.isPromptEnabled - Prompt state lookup
+ * @param {string[]} [context.apis] - Names the current API is known by
+ * @param {string} [context.model] - Current model id
+ * @param {number} [context.messageCount] - Current chat length
+ * @param {function(string): *} [context.getVariable] - Chat variable lookup
+ * @returns {boolean} Result
+ */
+function evaluateNode(node, context) {
+    switch (node.type) {
+        case 'and':
+            return node.operands.every(operand => evaluateNode(operand, context));
+        case 'or':
+            return node.operands.some(operand => evaluateNode(operand, context));
+        case 'not':
+            return !evaluateNode(node.operand, context);
+        case 'predicate':
+            return evaluatePredicate(node, context);
+        default:
+            return false;
+    }
+}
+
+function evaluatePredicate(node, context) {
+    switch (node.kind) {
+        case 'prompt':
+            return Boolean(context.isPromptEnabled?.(node.name));
+        case 'api':
+            return (context.apis || []).some(api => globMatch(node.name, api));
+        case 'model':
+            return globMatch(node.name, context.model || '');
+        case 'messages': {
+            const count = context.messageCount || 0;
+            return node.operator ? compareValues(count, node.operator, node.value) : count > 0;
+        }
+        case 'var': {
+            const value = context.getVariable?.(node.name);
+            return node.operator ? compareValues(value, node.operator, node.value) : isTruthy(value);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Evaluate a compiled condition
+ * Conditions that failed to compile evaluate to `fallback` so a typo never hides or blocks prompts silently.
+ * @param {{ast: Object|null}} compiled - Result of compileCondition
+ * @param {Object} context - Condition context (see evaluateNode)
+ * @param {boolean} [fallback=true] - Result for missing or invalid conditions
+ * @returns {boolean} Result
+ */
+export function evaluateCondition(compiled, context, fallback = true) {
+    if (!compiled || !compiled.ast) return fallback;
+    return evaluateNode(compiled.ast, context);
+}
+
+/**
+ * Collect the prompt identifiers a condition refers to
+ * @param {{ast: Object|null}} compiled - Result of compileCondition
+ * @returns {string[]} Referenced prompt identifiers
+ */
+export function getConditionPromptReferences(compiled) {
+    const references = new Set();
+
+    const walk = (node) => {
+        if (!node) return;
+        if (node.type === 'and' || node.type === 'or') {
+            node.operands.forEach(walk);
+        } else if (node.type === 'not') {
+            walk(node.operand);
+        } else if (node.type === 'predicate' && node.kind === 'prompt') {
+            references.add(node.name);
+        }
+    };
+
+    walk(compiled?.ast);
+    return Array.from(references);
+}
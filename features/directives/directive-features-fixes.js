@@ -6,8 +6,11 @@
  */
 
 import logger from '../../core/logger.js';
-import { getAllPromptsWithState, parsePromptDirectives } from './prompt-directives.js';
+import { getAllPromptsWithState, parsePromptDirectives, getConditionContext, isPromptVisible } from './prompt-directives.js';
 import { promptManager } from '../../../../../openai.js';
+import { eventSource, event_types } from '../../../../../../script.js';
+import { createTokenTracker } from './token-tracker.js';
+import { applyPromptStates } from './batch-toggle.js';
 
 /**
  * Initialize all fixes for directive features
@@ -406,96 +409,10 @@ function setupTokenCostTrackerFixed() {
         return false;
     }
 
-    // Create tracker UI
-    const trackerContainer = document.createElement('div');
-    trackerContainer.className = 'nemo-token-tracker';
-    trackerContainer.innerHTML = `
-        <div class="nemo-token-display">
-            <span class="nemo-token-label">Estimated Token Cost:</span>
-            <span class="nemo-token-value" id="nemo-token-value">0</span>
-            <span class="nemo-token-warn" id="nemo-token-warn"></span>
-        </div>
-        <div class="nemo-token-bar">
-            <div class="nemo-token-fill" id="nemo-token-fill"></div>
-        </div>
-    `;
-
-    // Insert before prompt list
-    listContainer.parentNode.insertBefore(trackerContainer, listContainer);
-
-    // Update immediately
-    updateTokenCostTrackerFixed();
-
-    // Setup debounced observer to update when prompts change
-    let updateTimeout = null;
-    const observer = new MutationObserver(() => {
-        if (updateTimeout) clearTimeout(updateTimeout);
-        updateTimeout = setTimeout(() => updateTokenCostTrackerFixed(), 200);
-    });
-    observer.observe(listContainer, { childList: true, subtree: false, attributes: false });
-
-    logger.info('Token cost tracker setup complete');
+    createTokenTracker(listContainer);
     return true;
 }
 
-/**
- * Fixed token cost tracker updater
- */
-function updateTokenCostTrackerFixed() {
-    try {
-        const allPrompts = getAllPromptsWithState();
-        let totalCost = 0;
-        let warnThreshold = null;
-
-        for (const prompt of allPrompts) {
-            if (!prompt.enabled || !prompt.content) continue;
-
-            const directives = parsePromptDirectives(prompt.content);
-            if (directives.tokenCost) {
-                totalCost += directives.tokenCost;
-            }
-            if (directives.tokenCostWarn && (!warnThreshold || directives.tokenCostWarn < warnThreshold)) {
-                warnThreshold = directives.tokenCostWarn;
-            }
-        }
-
-        // Update display
-        const valueElement = document.getElementById('nemo-token-value');
-        const warnElement = document.getElementById('nemo-token-warn');
-        const fillElement = document.getElementById('nemo-token-fill');
-
-        if (valueElement) {
-            valueElement.textContent = totalCost.toLocaleString();
-        }
-
-        if (warnElement && warnThreshold) {
-            if (totalCost > warnThreshold) {
-                warnElement.textContent = `⚠️ Exceeds threshold (${warnThreshold.toLocaleString()})`;
-                warnElement.style.display = 'inline';
-                warnElement.style.color = '#ff4444';
-            } else {
-                warnElement.style.display = 'none';
-            }
-        }
-
-        if (fillElement && warnThreshold) {
-            const percentage = Math.min((totalCost / warnThreshold) * 100, 100);
-            fillElement.style.width = `${percentage}%`;
-
-            // Color based on percentage
-            if (percentage > 100) {
-                fillElement.style.background = '#ff4444';
-            } else if (percentage > 80) {
-                fillElement.style.background = '#ffaa44';
-            } else {
-                fillElement.style.background = '#44ff88';
-            }
-        }
-    } catch (error) {
-        logger.error('Error updating token cost tracker:', error);
-    }
-}
-
 /**
  * Fixed profile system setup
  */
@@ -559,32 +476,13 @@ function setupProfileSystemFixed() {
  */
 function activateProfileFixed(profileName) {
     try {
-        const allPrompts = getAllPromptsWithState();
-        let enabledCount = 0;
-        let disabledCount = 0;
-
-        for (const prompt of allPrompts) {
-            if (!prompt.content) continue;
-
-            const directives = parsePromptDirectives(prompt.content);
-            const shouldBeEnabled = directives.profiles.includes(profileName);
+        const states = getAllPromptsWithState()
+            .filter(prompt => prompt.content)
+            .map(prompt => [prompt.identifier, parsePromptDirectives(prompt.content).profiles.includes(profileName)]);
 
-            const promptOrderEntry = promptManager.getPromptOrderEntry(promptManager.activeCharacter, prompt.identifier);
-            if (!promptOrderEntry) continue;
-
-            if (shouldBeEnabled && !prompt.enabled) {
-                promptOrderEntry.enabled = true;
-                enabledCount++;
-            } else if (!shouldBeEnabled && prompt.enabled) {
-                promptOrderEntry.enabled = false;
-                disabledCount++;
-            }
-        }
-
-        if (enabledCount > 0 || disabledCount > 0) {
-            promptManager.render();
-            promptManager.saveServiceSettings();
-            logger.info(`Activated profile "${profileName}": enabled ${enabledCount}, disabled ${disabledCount}`);
+        const { changed } = applyPromptStates(states, { label: `Activate profile "${profileName}"` });
+        if (changed.length > 0) {
+            logger.info(`Activated profile "${profileName}": changed ${changed.length} prompt(s)`);
 
             // Show success message
             showToastFixed(`Profile "${profileName}" activated`, 'success');
@@ -753,6 +651,15 @@ function fixConditionalVisibility() {
         });
         observer.observe(listContainer, { childList: true, subtree: false, attributes: false });
     }
+
+    // @visible-if can depend on message count, chat variables, API and model
+    const visibilityEvents = [
+        event_types.MESSAGE_SENT,
+        event_types.MESSAGE_RECEIVED,
+        event_types.CHAT_CHANGED,
+        event_types.CHATCOMPLETION_SOURCE_CHANGED
+    ];
+    visibilityEvents.forEach(eventType => eventSource.on(eventType, debouncedApply));
 }
 
 /**
@@ -761,6 +668,7 @@ function fixConditionalVisibility() {
 function applyConditionalVisibilityFixed() {
     try {
         const allPrompts = getAllPromptsWithState();
+        const conditionContext = getConditionContext(allPrompts);
         const promptElements = document.querySelectorAll('.completion_prompt_manager_prompt[data-pm-identifier]');
 
         promptElements.forEach(element => {
@@ -771,34 +679,8 @@ function applyConditionalVisibilityFixed() {
 
             const directives = parsePromptDirectives(prompt.content);
 
-            // Check if-enabled
-            let shouldShow = true;
-
-            if (directives.ifEnabled.length > 0) {
-                shouldShow = directives.ifEnabled.some(id => {
-                    const requiredPrompt = allPrompts.find(p => p.identifier === id);
-                    return requiredPrompt && requiredPrompt.enabled;
-                });
-            }
-
-            // Check if-disabled
-            if (shouldShow && directives.ifDisabled.length > 0) {
-                shouldShow = directives.ifDisabled.every(id => {
-                    const requiredPrompt = allPrompts.find(p => p.identifier === id);
-                    return !requiredPrompt || !requiredPrompt.enabled;
-                });
-            }
-
-            // Check if-api
-            if (shouldShow && directives.ifApi.length > 0) {
-                const currentApi = promptManager?.main_api || '';
-                shouldShow = directives.ifApi.includes(currentApi.toLowerCase());
-            }
-
-            // Check hidden
-            if (directives.hidden) {
-                shouldShow = false;
-            }
+            // @hidden, @if-enabled, @if-disabled, @if-api and @visible-if
+            const shouldShow = isPromptVisible(directives, allPrompts, conditionContext);
 
             // Apply visibility
             if (shouldShow) {
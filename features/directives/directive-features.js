@@ -6,9 +6,9 @@
  */
 
 import logger from '../../core/logger.js';
-import { getAllPromptsWithState, parsePromptDirectives } from './prompt-directives.js';
-import { promptManager } from '../../../../../openai.js';
-import { getContext } from '../../../../../extensions.js';
+import { getAllPromptsWithState, parsePromptDirectives, getConditionContext, isPromptVisible } from './prompt-directives.js';
+import { createTokenTracker } from './token-tracker.js';
+import { applyPromptStates } from './batch-toggle.js';
 
 /**
  * Initialize all directive-based features
@@ -56,27 +56,13 @@ function applyDefaultEnabled() {
             return; // Already applied
         }
 
-        const allPrompts = getAllPromptsWithState();
-        let appliedCount = 0;
-
-        for (const prompt of allPrompts) {
-            if (!prompt.content) continue;
+        const states = getAllPromptsWithState()
+            .filter(prompt => prompt.content && !prompt.enabled && parsePromptDirectives(prompt.content).defaultEnabled)
+            .map(prompt => [prompt.identifier, true]);
 
-            const directives = parsePromptDirectives(prompt.content);
-            if (directives.defaultEnabled && !prompt.enabled) {
-                // Enable this prompt
-                const promptOrderEntry = promptManager.getPromptOrderEntry(promptManager.activeCharacter, prompt.identifier);
-                if (promptOrderEntry) {
-                    promptOrderEntry.enabled = true;
-                    appliedCount++;
-                }
-            }
-        }
-
-        if (appliedCount > 0) {
-            promptManager.render();
-            promptManager.saveServiceSettings();
-            logger.info(`Applied default-enabled to ${appliedCount} prompts`);
+        const { changed } = applyPromptStates(states, { label: 'Apply @default-enabled prompts' });
+        if (changed.length > 0) {
+            logger.info(`Applied default-enabled to ${changed.length} prompts`);
         }
 
         localStorage.setItem('nemo_applied_defaults', 'true');
@@ -364,107 +350,18 @@ function setupTokenCostTracker() {
             return;
         }
 
-        // Check if already setup
-        if (document.querySelector('.nemo-token-tracker')) {
-            return;
-        }
-
-        // Create tracker UI
-        const trackerContainer = document.createElement('div');
-        trackerContainer.className = 'nemo-token-tracker';
-        trackerContainer.innerHTML = `
-            <div class="nemo-token-display">
-                <span class="nemo-token-label">Estimated Token Cost:</span>
-                <span class="nemo-token-value" id="nemo-token-value">0</span>
-                <span class="nemo-token-warn" id="nemo-token-warn"></span>
-            </div>
-            <div class="nemo-token-bar">
-                <div class="nemo-token-fill" id="nemo-token-fill"></div>
-            </div>
-        `;
-
-        // Insert at top of prompt manager
         const listContainer = promptManagerPopup.querySelector('#completion_prompt_manager_list');
         if (!listContainer) {
             logger.warn('Token cost tracker: list container not found');
             return;
         }
 
-        listContainer.parentNode.insertBefore(trackerContainer, listContainer);
-
-        // Update immediately
-        updateTokenCostTracker();
-
-        // Setup observer to update when prompts change
-        const observer = new MutationObserver(() => {
-            updateTokenCostTracker();
-        });
-
-        observer.observe(listContainer, { childList: true, subtree: true, attributes: true });
-
-        logger.info('Token cost tracker setup complete');
+        createTokenTracker(listContainer);
     } catch (error) {
         logger.error('Error setting up token cost tracker:', error);
     }
 }
 
-/**
- * Update token cost tracker
- */
-function updateTokenCostTracker() {
-    try {
-        const allPrompts = getAllPromptsWithState();
-        let totalCost = 0;
-        let warnThreshold = null;
-
-        for (const prompt of allPrompts) {
-            if (!prompt.enabled || !prompt.content) continue;
-
-            const directives = parsePromptDirectives(prompt.content);
-            if (directives.tokenCost) {
-                totalCost += directives.tokenCost;
-            }
-            if (directives.tokenCostWarn && (!warnThreshold || directives.tokenCostWarn < warnThreshold)) {
-                warnThreshold = directives.tokenCostWarn;
-            }
-        }
-
-        // Update display
-        const valueElement = document.getElementById('nemo-token-value');
-        const warnElement = document.getElementById('nemo-token-warn');
-        const fillElement = document.getElementById('nemo-token-fill');
-
-        if (valueElement) {
-            valueElement.textContent = totalCost.toLocaleString();
-        }
-
-        if (warnElement && warnThreshold) {
-            if (totalCost > warnThreshold) {
-                warnElement.textContent = `⚠️ Exceeds threshold (${warnThreshold.toLocaleString()})`;
-                warnElement.style.display = 'inline';
-            } else {
-                warnElement.style.display = 'none';
-            }
-        }
-
-        if (fillElement && warnThreshold) {
-            const percentage = Math.min((totalCost / warnThreshold) * 100, 100);
-            fillElement.style.width = `${percentage}%`;
-
-            // Color based on percentage
-            if (percentage > 100) {
-                fillElement.style.background = '#ff4444';
-            } else if (percentage > 80) {
-                fillElement.style.background = '#ffaa44';
-            } else {
-                fillElement.style.background = '#44ff88';
-            }
-        }
-    } catch (error) {
-        logger.error('Error updating token cost tracker:', error);
-    }
-}
-
 /**
  * Setup profile system
  */
@@ -535,8 +432,7 @@ function setupProfileSystem() {
 function activateProfile(profileName) {
     try {
         const allPrompts = getAllPromptsWithState();
-        let enabledCount = 0;
-        let disabledCount = 0;
+        const states = [];
         let skippedCount = 0;
 
         for (const prompt of allPrompts) {
@@ -551,24 +447,12 @@ function activateProfile(profileName) {
                 continue;
             }
 
-            const shouldBeEnabled = directives.profiles.includes(profileName);
-
-            const promptOrderEntry = promptManager.getPromptOrderEntry(promptManager.activeCharacter, prompt.identifier);
-            if (!promptOrderEntry) continue;
-
-            if (shouldBeEnabled && !prompt.enabled) {
-                promptOrderEntry.enabled = true;
-                enabledCount++;
-            } else if (!shouldBeEnabled && prompt.enabled) {
-                promptOrderEntry.enabled = false;
-                disabledCount++;
-            }
+            states.push([prompt.identifier, directives.profiles.includes(profileName)]);
         }
 
-        if (enabledCount > 0 || disabledCount > 0) {
-            promptManager.render();
-            promptManager.saveServiceSettings();
-            logger.info(`Activated profile "${profileName}": enabled ${enabledCount}, disabled ${disabledCount}, skipped ${skippedCount} (no profile)`);
+        const { changed } = applyPromptStates(states, { label: `Activate profile "${profileName}"` });
+        if (changed.length > 0) {
+            logger.info(`Activated profile "${profileName}": changed ${changed.length}, skipped ${skippedCount} (no profile)`);
 
             // Show toast
             showToast(`Profile "${profileName}" activated`, 'success');
@@ -755,6 +639,7 @@ function setupMutualExclusiveGroups() {
 function applyConditionalVisibility() {
     try {
         const allPrompts = getAllPromptsWithState();
+        const conditionContext = getConditionContext(allPrompts);
         const promptElements = document.querySelectorAll('.completion_prompt_manager_prompt[data-pm-identifier]');
 
         promptElements.forEach(element => {
@@ -765,35 +650,8 @@ function applyConditionalVisibility() {
 
             const directives = parsePromptDirectives(prompt.content);
 
-            // Check if-enabled
-            let shouldShow = true;
-
-            if (directives.ifEnabled.length > 0) {
-                shouldShow = directives.ifEnabled.some(id => {
-                    const requiredPrompt = allPrompts.find(p => p.identifier === id);
-                    return requiredPrompt && requiredPrompt.enabled;
-                });
-            }
-
-            // Check if-disabled
-            if (shouldShow && directives.ifDisabled.length > 0) {
-                shouldShow = directives.ifDisabled.every(id => {
-                    const requiredPrompt = allPrompts.find(p => p.identifier === id);
-                    return !requiredPrompt || !requiredPrompt.enabled;
-                });
-            }
-
-            // Check if-api
-            if (shouldShow && directives.ifApi.length > 0) {
-                const context = getContext();
-                const currentApi = context?.mainApi || '';
-                shouldShow = directives.ifApi.includes(currentApi.toLowerCase());
-            }
-
-            // Check hidden
-            if (directives.hidden) {
-                shouldShow = false;
-            }
+            // @hidden, @if-enabled, @if-disabled, @if-api and @visible-if
+            const shouldShow = isPromptVisible(directives, allPrompts, conditionContext);
 
             // Apply visibility
             if (shouldShow) {
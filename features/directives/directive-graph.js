@@ -0,0 +1,448 @@
+/**
+ * Nemo Directive Graph View
+ * Draws prompts as nodes and their directive relationships as typed edges:
+ * requires, exclusive-with, conflicts-with, recommended-with and
+ * mutual-exclusive-group membership. Highlights @requires cycles and groups
+ * or exclusive pairs that are currently violated.
+ *
+ * @module directive-graph
+ */
+
+import logger from '../../core/logger.js';
+import { showNemoModal } from '../../core/utils.js';
+import { initializeDirectiveCache, getAllCachedDirectives } from '../../core/directive-cache.js';
+import { togglePromptWithValidation } from './prompt-directive-hooks.js';
+import { promptManager } from '../../../../../openai.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const NODE_RADIUS = 14;
+const GROUP_RADIUS = 10;
+const LAYOUT_ITERATIONS = 300;
+
+const EDGE_TYPES = {
+    requires: { label: 'Requires', directed: true },
+    exclusive: { label: 'Exclusive with', directed: false },
+    conflicts: { label: 'Conflicts with', directed: false },
+    recommended: { label: 'Recommended with', directed: true },
+    group: { label: 'Mutual-exclusive group', directed: false }
+};
+
+/**
+ * Build the graph model from prompts and their cached directives
+ * @param {Array<{identifier: string, name: string, enabled: boolean}>} prompts - Prompts with state
+ * @param {Map<string, Object>} directivesById - Cached directive metadata
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnrelated=false] - Keep prompts with no relationships
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} Graph
+ */
+export function buildDirectiveGraph(prompts, directivesById, options = {}) {
+    const promptsById = new Map(prompts.map(prompt => [prompt.identifier, prompt]));
+    const edges = [];
+    const edgeKeys = new Set();
+    const groups = new Map(); // group name -> member identifiers
+
+    const addEdge = (from, to, type) => {
+        if (!promptsById.has(to)) return;
+        const key = EDGE_TYPES[type].directed ? `${type}|${from}|${to}` : `${type}|${[from, to].sort().join('|')}`;
+        if (edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+        edges.push({ from, to, type, cycle: false, violated: false });
+    };
+
+    for (const prompt of prompts) {
+        const directives = directivesById.get(prompt.identifier);
+        if (!directives) continue;
+
+        directives.requires.forEach(id => addEdge(prompt.identifier, id, 'requires'));
+        directives.exclusiveWith.forEach(id => addEdge(prompt.identifier, id, 'exclusive'));
+        directives.conflictsWith.forEach(id => addEdge(prompt.identifier, id, 'conflicts'));
+        (directives.recommendedWith || []).forEach(id => addEdge(prompt.identifier, id, 'recommended'));
+
+        if (directives.mutualExclusiveGroup) {
+            if (!groups.has(directives.mutualExclusiveGroup)) {
+                groups.set(directives.mutualExclusiveGroup, []);
+            }
+            groups.get(directives.mutualExclusiveGroup).push(prompt.identifier);
+        }
+    }
+
+    const connected = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+    groups.forEach(members => members.forEach(id => connected.add(id)));
+
+    const nodes = prompts
+        .filter(prompt => options.includeUnrelated || connected.has(prompt.identifier))
+        .map(prompt => ({
+            id: prompt.identifier,
+            label: prompt.name || prompt.identifier,
+            kind: 'prompt',
+            enabled: prompt.enabled,
+            cycle: false,
+            violated: false
+        }));
+
+    // Groups get a hub node so members are not wired to each other pairwise
+    for (const [groupName, members] of groups) {
+        const hubId = `group:${groupName}`;
+        const enabledMembers = members.filter(id => promptsById.get(id)?.enabled);
+        nodes.push({
+            id: hubId,
+            label: groupName,
+            kind: 'group',
+            enabled: enabledMembers.length > 0,
+            cycle: false,
+            violated: enabledMembers.length > 1
+        });
+        for (const member of members) {
+            edges.push({ from: member, to: hubId, type: 'group', cycle: false, violated: enabledMembers.length > 1 && enabledMembers.includes(member) });
+        }
+    }
+
+    // Violations among the current prompt states
+    for (const edge of edges) {
+        const from = promptsById.get(edge.from);
+        const to = promptsById.get(edge.to);
+        if (edge.type === 'exclusive' && from?.enabled && to?.enabled) {
+            edge.violated = true;
+        } else if (edge.type === 'requires' && from?.enabled && to && !to.enabled) {
+            edge.violated = true;
+        }
+    }
+
+    markRequireCycles(nodes, edges);
+
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    for (const edge of edges) {
+        if (edge.violated) {
+            nodesById.get(edge.from).violated = true;
+            nodesById.get(edge.to).violated = true;
+        }
+    }
+
+    return { nodes, edges };
+}
+
+/**
+ * Flag nodes and edges that are part of a @requires cycle (Tarjan's SCC)
+ */
+function markRequireCycles(nodes, edges) {
+    const adjacency = new Map(nodes.map(node => [node.id, []]));
+    edges.filter(edge => edge.type === 'requires').forEach(edge => adjacency.get(edge.from)?.push(edge.to));
+
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const componentOf = new Map();
+    let counter = 0;
+
+    const strongConnect = (id) => {
+        index.set(id, counter);
+        lowLink.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+
+        for (const next of adjacency.get(id) || []) {
+            if (!index.has(next)) {
+                strongConnect(next);
+                lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(next)));
+            } else if (onStack.has(next)) {
+                lowLink.set(id, Math.min(lowLink.get(id), index.get(next)));
+            }
+        }
+
+        if (lowLink.get(id) === index.get(id)) {
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                componentOf.set(member, id);
+            } while (member !== id);
+        }
+    };
+
+    nodes.forEach(node => {
+        if (!index.has(node.id)) strongConnect(node.id);
+    });
+
+    const componentSizes = new Map();
+    componentOf.forEach(root => componentSizes.set(root, (componentSizes.get(root) || 0) + 1));
+
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    for (const edge of edges) {
+        if (edge.type !== 'requires') continue;
+        const sameComponent = componentOf.get(edge.from) === componentOf.get(edge.to);
+        if (edge.from === edge.to || (sameComponent && componentSizes.get(componentOf.get(edge.from)) > 1)) {
+            edge.cycle = true;
+            nodesById.get(edge.from).cycle = true;
+            nodesById.get(edge.to).cycle = true;
+        }
+    }
+}
+
+/**
+ * Position nodes with a simple force-directed layout
+ * Deterministic: nodes start on a circle so the same preset always lays out the same way.
+ */
+function layoutGraph(nodes, edges, width, height) {
+    const count = nodes.length;
+    const positions = new Map();
+    nodes.forEach((node, i) => {
+        const angle = (2 * Math.PI * i) / Math.max(count, 1);
+        positions.set(node.id, {
+            x: width / 2 + Math.cos(angle) * width * 0.35,
+            y: height / 2 + Math.sin(angle) * height * 0.35
+        });
+    });
+
+    const idealLength = Math.sqrt((width * height) / Math.max(count, 1)) * 0.8;
+
+    for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+        const temperature = (1 - iteration / LAYOUT_ITERATIONS) * idealLength * 0.5;
+        const forces = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const a = positions.get(nodes[i].id);
+                const b = positions.get(nodes[j].id);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                const repulsion = (idealLength * idealLength) / distance;
+                forces.get(nodes[i].id).x += (dx / distance) * repulsion;
+                forces.get(nodes[i].id).y += (dy / distance) * repulsion;
+                forces.get(nodes[j].id).x -= (dx / distance) * repulsion;
+                forces.get(nodes[j].id).y -= (dy / distance) * repulsion;
+            }
+        }
+
+        for (const edge of edges) {
+            const a = positions.get(edge.from);
+            const b = positions.get(edge.to);
+            if (!a || !b || a === b) continue;
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(Math.hypot(dx, dy), 0.01);
+            const attraction = (distance * distance) / idealLength;
+            forces.get(edge.from).x -= (dx / distance) * attraction;
+            forces.get(edge.from).y -= (dy / distance) * attraction;
+            forces.get(edge.to).x += (dx / distance) * attraction;
+            forces.get(edge.to).y += (dy / distance) * attraction;
+        }
+
+        for (const node of nodes) {
+            const force = forces.get(node.id);
+            const magnitude = Math.max(Math.hypot(force.x, force.y), 0.01);
+            const position = positions.get(node.id);
+            position.x += (force.x / magnitude) * Math.min(magnitude, temperature);
+            position.y += (force.y / magnitude) * Math.min(magnitude, temperature);
+            position.x = Math.min(width - 40, Math.max(40, position.x));
+            position.y = Math.min(height - 30, Math.max(30, position.y));
+        }
+    }
+
+    return positions;
+}
+
+/**
+ * Collect prompts with their current state
+ */
+function getGraphPrompts() {
+    const prompts = promptManager?.serviceSettings?.prompts || [];
+    return prompts.map(prompt => ({
+        identifier: prompt.identifier,
+        name: prompt.name,
+        enabled: !promptManager.isPromptDisabledForActiveCharacter(prompt.identifier)
+    }));
+}
+
+/**
+ * Render the graph into an SVG element
+ */
+function renderGraph(svg, graph, positions) {
+    svg.innerHTML = `
+        <defs>
+            <marker id="nemo-graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" class="nemo-graph-arrowhead"></path>
+            </marker>
+        </defs>
+    `;
+
+    const edgeLayer = document.createElementNS(SVG_NS, 'g');
+    const nodeLayer = document.createElementNS(SVG_NS, 'g');
+    svg.appendChild(edgeLayer);
+    svg.appendChild(nodeLayer);
+
+    const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+
+    for (const edge of graph.edges) {
+        const from = positions.get(edge.from);
+        const to = positions.get(edge.to);
+        if (!from || !to) continue;
+
+        // Stop the line at the target's edge so the arrowhead stays visible
+        const targetRadius = nodesById.get(edge.to)?.kind === 'group' ? GROUP_RADIUS : NODE_RADIUS;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', from.x);
+        line.setAttribute('y1', from.y);
+        line.setAttribute('x2', to.x - (dx / distance) * targetRadius);
+        line.setAttribute('y2', to.y - (dy / distance) * targetRadius);
+        line.setAttribute('class', `nemo-graph-edge nemo-graph-edge-${edge.type}${edge.cycle ? ' nemo-graph-cycle' : ''}${edge.violated ? ' nemo-graph-violated' : ''}`);
+        if (EDGE_TYPES[edge.type].directed) {
+            line.setAttribute('marker-end', 'url(#nemo-graph-arrow)');
+        }
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `${nodesById.get(edge.from)?.label} — ${EDGE_TYPES[edge.type].label} → ${nodesById.get(edge.to)?.label}`;
+        line.appendChild(title);
+        edgeLayer.appendChild(line);
+    }
+
+    for (const node of graph.nodes) {
+        const position = positions.get(node.id);
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', [
+            'nemo-graph-node',
+            `nemo-graph-node-${node.kind}`,
+            node.enabled ? 'nemo-graph-enabled' : 'nemo-graph-disabled',
+            node.cycle ? 'nemo-graph-cycle' : '',
+            node.violated ? 'nemo-graph-violated' : ''
+        ].filter(Boolean).join(' '));
+        group.setAttribute('transform', `translate(${position.x}, ${position.y})`);
+        group.dataset.identifier = node.id;
+
+        const shape = document.createElementNS(SVG_NS, node.kind === 'group' ? 'rect' : 'circle');
+        if (node.kind === 'group') {
+            shape.setAttribute('x', -GROUP_RADIUS);
+            shape.setAttribute('y', -GROUP_RADIUS);
+            shape.setAttribute('width', GROUP_RADIUS * 2);
+            shape.setAttribute('height', GROUP_RADIUS * 2);
+            shape.setAttribute('transform', 'rotate(45)');
+        } else {
+            shape.setAttribute('r', NODE_RADIUS);
+        }
+        group.appendChild(shape);
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('y', NODE_RADIUS + 14);
+        label.setAttribute('text-anchor', 'middle');
+        label.textContent = node.label.length > 28 ? `${node.label.substring(0, 27)}…` : node.label;
+        group.appendChild(label);
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        const notes = [];
+        if (node.kind === 'prompt') notes.push(node.enabled ? 'Enabled' : 'Disabled');
+        if (node.cycle) notes.push('part of a @requires cycle');
+        if (node.violated) notes.push(node.kind === 'group' ? 'more than one member is enabled' : 'has a violated relationship');
+        title.textContent = `${node.label}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+        group.appendChild(title);
+
+        nodeLayer.appendChild(group);
+    }
+}
+
+/**
+ * Open the dependency graph modal
+ */
+export function showDirectiveGraph() {
+    if (document.querySelector('.nemo-graph-modal')) {
+        return;
+    }
+
+    if (!promptManager?.serviceSettings?.prompts) {
+        logger.warn('Prompt manager not ready, cannot open dependency graph');
+        return;
+    }
+
+    const width = 1000;
+    const height = 700;
+    let includeUnrelated = false;
+    let positions = null;
+
+    const { modal, close: closeModal } = showNemoModal({
+        className: 'nemo-graph-modal',
+        title: 'Directive Dependency Graph',
+        body: `
+            <div class="nemo-graph-toolbar">
+                <label class="checkbox_label">
+                    <input type="checkbox" class="nemo-graph-unrelated"> Show prompts without relationships
+                </label>
+                <span class="nemo-graph-hint">Click a prompt to toggle it · Right-click to edit</span>
+            </div>
+            <div class="nemo-graph-legend">
+                ${Object.entries(EDGE_TYPES).map(([type, info]) => `<span class="nemo-graph-legend-item"><svg width="28" height="8"><line x1="0" y1="4" x2="28" y2="4" class="nemo-graph-edge nemo-graph-edge-${type}"></line></svg>${info.label}</span>`).join('')}
+                <span class="nemo-graph-legend-item"><span class="nemo-graph-swatch nemo-graph-swatch-cycle"></span>Cycle</span>
+                <span class="nemo-graph-legend-item"><span class="nemo-graph-swatch nemo-graph-swatch-violated"></span>Violated</span>
+            </div>
+            <div class="nemo-graph-canvas">
+                <svg class="nemo-graph-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet"></svg>
+            </div>
+            <div class="nemo-graph-empty" style="display: none;">No prompts in this preset use relationship directives.</div>
+        `,
+        onClose: () => {
+            observer.disconnect();
+            clearTimeout(redrawTimeout);
+        }
+    });
+
+    const svg = modal.querySelector('.nemo-graph-svg');
+    const emptyMessage = modal.querySelector('.nemo-graph-empty');
+
+    const draw = (relayout) => {
+        try {
+            initializeDirectiveCache();
+            const graph = buildDirectiveGraph(getGraphPrompts(), getAllCachedDirectives(), { includeUnrelated });
+
+            emptyMessage.style.display = graph.nodes.length === 0 ? '' : 'none';
+            if (relayout || !positions || graph.nodes.some(node => !positions.has(node.id))) {
+                positions = layoutGraph(graph.nodes, graph.edges, width, height);
+            }
+            renderGraph(svg, graph, positions);
+        } catch (error) {
+            logger.error('Error drawing dependency graph:', error);
+        }
+    };
+
+    svg.addEventListener('click', (e) => {
+        const node = e.target.closest('.nemo-graph-node-prompt');
+        if (node) {
+            togglePromptWithValidation(node.dataset.identifier);
+        }
+    });
+
+    svg.addEventListener('contextmenu', (e) => {
+        const node = e.target.closest('.nemo-graph-node-prompt');
+        if (!node) return;
+        e.preventDefault();
+
+        const prompt = promptManager.getPromptById(node.dataset.identifier);
+        if (prompt) {
+            closeModal();
+            promptManager.clearEditForm?.();
+            promptManager.loadPromptIntoEditForm(prompt);
+            promptManager.showPopup();
+        }
+    });
+
+    modal.querySelector('.nemo-graph-unrelated').addEventListener('change', (e) => {
+        includeUnrelated = e.target.checked;
+        draw(true);
+    });
+
+    // The prompt manager re-renders its list after every toggle; redraw node states then
+    const listContainer = document.querySelector('#completion_prompt_manager_list');
+    let redrawTimeout = null;
+    const observer = new MutationObserver(() => {
+        clearTimeout(redrawTimeout);
+        redrawTimeout = setTimeout(() => draw(false), 200);
+    });
+    if (listContainer) {
+        observer.observe(listContainer, { childList: true });
+    }
+
+    draw(true);
+}
@@ -0,0 +1,137 @@
+/**
+ * Nemo Directive Problems Panel
+ * Shows directive linter results above the prompt list. Clicking a problem
+ * jumps to the prompt (or opens its editor when the row is not on screen).
+ *
+ * @module directive-lint-panel
+ */
+
+import logger from '../../core/logger.js';
+import { escapeHtml } from '../../core/utils.js';
+import { lintPrompts } from './directive-linter.js';
+import { promptManager } from '../../../../../openai.js';
+
+let relintTimeout = null;
+
+/**
+ * Initialize the problems panel
+ */
+export function initDirectiveLintPanel() {
+    logger.info('Initializing directive problems panel');
+    setupLintPanel();
+}
+
+/**
+ * Inject the panel once the prompt manager is available
+ */
+function setupLintPanel() {
+    try {
+        const listContainer = document.querySelector('#completion_prompt_manager_list');
+        if (!listContainer) {
+            setTimeout(setupLintPanel, 1000);
+            return;
+        }
+
+        if (document.querySelector('.nemo-lint-panel')) {
+            return;
+        }
+
+        const panel = document.createElement('details');
+        panel.className = 'nemo-lint-panel';
+        panel.innerHTML = `
+            <summary class="nemo-lint-summary">
+                <span class="nemo-lint-title">Directive Check</span>
+                <span class="nemo-lint-counts" id="nemo-lint-counts"></span>
+                <button type="button" class="menu_button interactable nemo-lint-rerun" title="Re-run the directive linter">
+                    <i class="fa-solid fa-rotate"></i>
+                </button>
+            </summary>
+            <div class="nemo-lint-list" id="nemo-lint-list"></div>
+        `;
+
+        listContainer.parentNode.insertBefore(panel, listContainer);
+
+        panel.querySelector('.nemo-lint-rerun').addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            updateLintPanel();
+        });
+
+        panel.querySelector('#nemo-lint-list').addEventListener('click', (e) => {
+            const entry = e.target.closest('.nemo-lint-entry');
+            if (entry) {
+                jumpToPrompt(entry.dataset.identifier);
+            }
+        });
+
+        updateLintPanel();
+
+        // The prompt manager re-renders its list after every edit, so re-lint then
+        const observer = new MutationObserver(() => {
+            clearTimeout(relintTimeout);
+            relintTimeout = setTimeout(updateLintPanel, 500);
+        });
+        observer.observe(listContainer, { childList: true });
+
+        logger.info('Directive problems panel setup complete');
+    } catch (error) {
+        logger.error('Error setting up directive problems panel:', error);
+    }
+}
+
+/**
+ * Lint the active preset and redraw the panel
+ */
+export function updateLintPanel() {
+    try {
+        const countsElement = document.getElementById('nemo-lint-counts');
+        const listElement = document.getElementById('nemo-lint-list');
+        if (!countsElement || !listElement) return;
+
+        const result = lintPrompts(promptManager?.serviceSettings?.prompts || []);
+
+        countsElement.innerHTML = result.problems.length === 0
+            ? '<span class="nemo-lint-ok">No problems</span>'
+            : `<span class="nemo-lint-error-count">${result.errorCount} error(s)</span>
+               <span class="nemo-lint-warning-count">${result.warningCount} warning(s)</span>`;
+
+        listElement.innerHTML = result.problems.map(problem => `
+            <div class="nemo-lint-entry nemo-lint-${problem.severity}" data-identifier="${escapeHtml(problem.identifier)}" title="Go to prompt">
+                <span class="nemo-lint-severity">${problem.severity === 'error' ? '⛔' : '⚠️'}</span>
+                <span class="nemo-lint-prompt">${escapeHtml(problem.promptName)}${problem.line ? `:${problem.line}` : ''}</span>
+                <span class="nemo-lint-message">${escapeHtml(problem.message)}</span>
+            </div>
+        `).join('');
+    } catch (error) {
+        logger.error('Error updating directive problems panel:', error);
+    }
+}
+
+/**
+ * Scroll to a prompt row and highlight it, falling back to the prompt editor
+ * @param {string} identifier - Prompt identifier
+ */
+function jumpToPrompt(identifier) {
+    try {
+        const row = document.querySelector(`#completion_prompt_manager_list [data-pm-identifier="${CSS.escape(identifier)}"]`);
+
+        if (row && row.offsetParent !== null) {
+            row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            row.classList.add('nemo-lint-target');
+            setTimeout(() => row.classList.remove('nemo-lint-target'), 2000);
+            return;
+        }
+
+        // Row is collapsed away (closed section or tray mode) - open the editor instead
+        const prompt = promptManager?.getPromptById(identifier);
+        if (prompt) {
+            promptManager.clearEditForm?.();
+            promptManager.loadPromptIntoEditForm(prompt);
+            promptManager.showPopup();
+        } else {
+            logger.warn(`Prompt not found: ${identifier}`);
+        }
+    } catch (error) {
+        logger.error('Error jumping to prompt:', error);
+    }
+}
@@ -0,0 +1,331 @@
+/**
+ * Nemo Directive Linter
+ * Checks every prompt of a preset for directive mistakes: unknown directives,
+ * dangling prompt references, @requires cycles, contradictory pairs,
+ * values that do not parse and unmet @requires-preset-version constraints.
+ * Also run from the command line by lint-preset-cli.js.
+ *
+ * @module directive-linter
+ */
+
+import { KNOWN_DIRECTIVES, extractDirectiveComments, getEmptyDirectives, parseDirectiveLine } from './directive-parser.js';
+import { compileCondition, getConditionPromptReferences } from './directive-expressions.js';
+import { parseVersion, satisfiesVersion } from './preset-version.js';
+
+// Directives whose values are prompt identifiers. A dangling reference on the
+// enforced ones is an error, on the advisory ones a warning.
+const REFERENCE_DIRECTIVES = {
+    '@requires': 'error',
+    '@exclusive-with': 'error',
+    '@auto-disable': 'error',
+    '@conflicts-with': 'warning',
+    '@recommended-with': 'warning',
+    '@if-enabled': 'warning',
+    '@if-disabled': 'warning',
+    '@auto-enable-with': 'warning',
+    '@suggest-enable-with': 'warning'
+};
+
+const EXPRESSION_DIRECTIVES = ['@visible-if', '@enable-if', '@enable-when', '@disable-when'];
+
+// Directives whose value is a variable comparison, compiled as var:<value>
+const VAR_DIRECTIVES = ['@enable-when-var', '@disable-when-var'];
+
+const INTEGER_DIRECTIVES = [
+    '@priority', '@token-cost', '@token-cost-warn', '@load-order',
+    '@enable-at-message', '@disable-at-message', '@enable-after-message', '@disable-after-message',
+    '@keyword-scan-depth'
+];
+
+/**
+ * Lint a list of prompts
+ * @param {Array<{identifier: string, name?: string, content?: string}>} prompts - Prompts to check
+ * @returns {{problems: Array<Object>, errorCount: number, warningCount: number}} Lint result
+ */
+export function lintPrompts(prompts) {
+    const problems = [];
+    const promptList = (prompts || []).filter(prompt => prompt && prompt.identifier);
+    const knownIds = new Set(promptList.map(prompt => prompt.identifier));
+    const parsed = new Map();
+
+    for (const prompt of promptList) {
+        const directives = lintPromptContent(prompt, knownIds, problems);
+        parsed.set(prompt.identifier, directives);
+    }
+
+    findRequireCycles(promptList, parsed, problems);
+    findContradictions(promptList, parsed, problems);
+    checkPresetVersions(promptList, parsed, problems);
+
+    return {
+        problems,
+        errorCount: problems.filter(problem => problem.severity === 'error').length,
+        warningCount: problems.filter(problem => problem.severity === 'warning').length
+    };
+}
+
+/**
+ * Lint a preset JSON object (an exported chat completion preset)
+ * @param {Object} preset - Preset data with a `prompts` array
+ * @returns {{problems: Array<Object>, errorCount: number, warningCount: number}} Lint result
+ */
+export function lintPreset(preset) {
+    return lintPrompts(preset?.prompts || []);
+}
+
+/**
+ * Check the directive lines of a single prompt
+ * @returns {Object} Parsed directives for the prompt
+ */
+function lintPromptContent(prompt, knownIds, problems) {
+    const directives = getEmptyDirectives();
+    const content = prompt.content || '';
+
+    for (const comment of extractDirectiveComments(content)) {
+        const text = comment.text;
+        if (!text.startsWith('@')) continue;
+
+        const line = content.substring(0, comment.offset).split('\n').length;
+        const name = text.split(/\s/)[0];
+        const value = text.substring(name.length).trim();
+        const report = (severity, type, message) => {
+            problems.push({
+                severity,
+                type,
+                message,
+                identifier: prompt.identifier,
+                promptName: prompt.name || prompt.identifier,
+                directive: name,
+                line
+            });
+        };
+
+        if (!parseDirectiveLine(text, directives)) {
+            if (KNOWN_DIRECTIVES.includes(name)) {
+                report('warning', 'missing-value', `${name} needs a value and was ignored`);
+            } else {
+                const suggestion = suggestDirective(name);
+                report('warning', 'unknown-directive',
+                    `Unknown directive ${name}${suggestion ? ` - did you mean ${suggestion}?` : ''}`);
+            }
+            continue;
+        }
+
+        if (REFERENCE_DIRECTIVES[name]) {
+            for (const id of value.split(',').map(part => part.trim()).filter(Boolean)) {
+                if (!knownIds.has(id)) {
+                    report(REFERENCE_DIRECTIVES[name], 'dangling-reference', `${name} refers to unknown prompt "${id}"`);
+                }
+            }
+        }
+
+        if (EXPRESSION_DIRECTIVES.includes(name)) {
+            const compiled = compileCondition(value);
+            if (compiled.error) {
+                report('error', 'invalid-expression', `${name} expression does not parse: ${compiled.error}`);
+            } else {
+                for (const id of getConditionPromptReferences(compiled)) {
+                    if (!knownIds.has(id)) {
+                        report('warning', 'dangling-reference', `${name} refers to unknown prompt "${id}"`);
+                    }
+                }
+            }
+        }
+
+        if (VAR_DIRECTIVES.includes(name)) {
+            const compiled = compileCondition(`var:${value}`);
+            if (compiled.error) {
+                report('error', 'invalid-expression', `${name} comparison does not parse: ${compiled.error}`);
+            }
+        }
+
+        if (INTEGER_DIRECTIVES.includes(name) && !/^-?\d+$/.test(value)) {
+            report('error', 'invalid-number', `${name} expects a whole number, got "${value}"`);
+        }
+
+        if (name === '@message-range' && !/^\d+\s*-\s*(\d+)?$/.test(value)) {
+            report('error', 'invalid-number', `@message-range expects "start-end" or "start-", got "${value}"`);
+        }
+    }
+
+    return directives;
+}
+
+/**
+ * Report each @requires cycle once
+ */
+function findRequireCycles(promptList, parsed, problems) {
+    const names = new Map(promptList.map(prompt => [prompt.identifier, prompt.name || prompt.identifier]));
+    const state = new Map(); // identifier -> 'visiting' | 'done'
+    const stack = [];
+    const reported = new Set();
+
+    const visit = (id) => {
+        state.set(id, 'visiting');
+        stack.push(id);
+
+        for (const required of parsed.get(id)?.requires || []) {
+            if (!parsed.has(required)) continue;
+
+            if (state.get(required) === 'visiting') {
+                const cycle = stack.slice(stack.indexOf(required));
+                const key = [...cycle].sort().join('|');
+                if (!reported.has(key)) {
+                    reported.add(key);
+                    const path = [...cycle, required].map(member => names.get(member)).join(' → ');
+                    problems.push({
+                        severity: 'error',
+                        type: 'dependency-cycle',
+                        message: `@requires cycle: ${path}`,
+                        identifier: cycle[0],
+                        promptName: names.get(cycle[0]),
+                        directive: '@requires',
+                        line: null
+                    });
+                }
+            } else if (!state.has(required)) {
+                visit(required);
+            }
+        }
+
+        stack.pop();
+        state.set(id, 'done');
+    };
+
+    for (const prompt of promptList) {
+        if (!state.has(prompt.identifier)) {
+            visit(prompt.identifier);
+        }
+    }
+}
+
+/**
+ * Report pairs that can never both be satisfied
+ */
+function findContradictions(promptList, parsed, problems) {
+    const names = new Map(promptList.map(prompt => [prompt.identifier, prompt.name || prompt.identifier]));
+
+    for (const prompt of promptList) {
+        const directives = parsed.get(prompt.identifier);
+
+        for (const required of directives.requires) {
+            const other = parsed.get(required);
+            if (!other || required === prompt.identifier) continue;
+
+            let reason = null;
+            if (directives.exclusiveWith.includes(required)) {
+                reason = `it is also exclusive-with "${names.get(required)}"`;
+            } else if (other.exclusiveWith.includes(prompt.identifier)) {
+                reason = `"${names.get(required)}" is exclusive-with it`;
+            } else if (directives.autoDisable.includes(required)) {
+                reason = `it also auto-disables "${names.get(required)}"`;
+            } else if (directives.mutualExclusiveGroup && directives.mutualExclusiveGroup === other.mutualExclusiveGroup) {
+                reason = `both are in mutual-exclusive group "${directives.mutualExclusiveGroup}"`;
+            }
+
+            if (reason) {
+                problems.push({
+                    severity: 'error',
+                    type: 'contradiction',
+                    message: `"${names.get(prompt.identifier)}" requires "${names.get(required)}" but ${reason}`,
+                    identifier: prompt.identifier,
+                    promptName: names.get(prompt.identifier),
+                    directive: '@requires',
+                    line: null
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Report version declarations that disagree, do not parse or are not met
+ */
+function checkPresetVersions(promptList, parsed, problems) {
+    const report = (severity, type, message, prompt, directive) => {
+        problems.push({
+            severity,
+            type,
+            message,
+            identifier: prompt.identifier,
+            promptName: prompt.name || prompt.identifier,
+            directive,
+            line: null
+        });
+    };
+
+    let version = null;
+    for (const prompt of promptList) {
+        const declared = parsed.get(prompt.identifier).presetVersion;
+        if (!declared) continue;
+        if (!parseVersion(declared)) {
+            report('error', 'invalid-version', `@preset-version "${declared}" is not a version number`, prompt, '@preset-version');
+        } else if (version === null) {
+            version = declared;
+        } else if (declared !== version) {
+            report('warning', 'version-mismatch', `@preset-version ${declared} disagrees with ${version} declared by an earlier prompt`, prompt, '@preset-version');
+        }
+    }
+
+    for (const prompt of promptList) {
+        const constraint = parsed.get(prompt.identifier).requiresPresetVersion;
+        if (!constraint) continue;
+        if (satisfiesVersion('0', constraint) === null) {
+            report('error', 'invalid-version', `@requires-preset-version "${constraint}" is not a version constraint`, prompt, '@requires-preset-version');
+        } else if (version === null) {
+            report('warning', 'preset-version', `Needs preset version ${constraint}, but no prompt declares @preset-version`, prompt, '@requires-preset-version');
+        } else if (!satisfiesVersion(version, constraint)) {
+            report('warning', 'preset-version', `Needs preset version ${constraint}, this preset is ${version}`, prompt, '@requires-preset-version');
+        }
+    }
+}
+
+/**
+ * Find the closest known directive name for a typo
+ * @param {string} name - Unknown directive name
+ * @returns {string|null} Suggestion, or null when nothing is close
+ */
+function suggestDirective(name) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const known of KNOWN_DIRECTIVES) {
+        const distance = levenshtein(name.toLowerCase(), known);
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+
+    return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Format a lint result as plain text
+ * @param {{problems: Array<Object>, errorCount: number, warningCount: number}} result - Lint result
+ * @returns {string} Report text
+ */
+export function formatLintReport(result) {
+    const lines = result.problems.map(problem => {
+        const location = problem.line ? `:${problem.line}` : '';
+        return `${problem.severity.toUpperCase().padEnd(7)} ${problem.promptName} (${problem.identifier})${location}  ${problem.message}`;
+    });
+
+    lines.push(`${result.errorCount} error(s), ${result.warningCount} warning(s)`);
+    return lines.join('\n');
+}
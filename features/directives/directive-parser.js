@@ -0,0 +1,516 @@
+/**
+ * Nemo Directive Parser
+ * Turns {{// @directive }} comments into a directives object.
+ *
+ * @module directive-parser
+ */
+
+import { compileCondition } from './directive-expressions.js';
+
+/**
+ * Every directive name parseDirectiveLine understands
+ * Keep in sync when adding a directive - the linter uses this for typo suggestions.
+ */
+export const KNOWN_DIRECTIVES = [
+    '@tooltip', '@exclusive-with', '@exclusive-with-message', '@requires', '@requires-message',
+    '@conflicts-with', '@conflicts-message', '@warning', '@category', '@max-one-per-category',
+    '@deprecated', '@auto-disable', '@auto-enable-dependencies', '@author', '@version',
+    '@incompatible-api', '@recommended-with',
+    '@tags', '@group', '@group-description', '@mutual-exclusive-group', '@priority',
+    '@if-enabled', '@if-disabled', '@if-api', '@hidden', '@visible-if', '@enable-if',
+    '@default-enabled', '@recommended-for-beginners', '@advanced',
+    '@token-cost', '@token-cost-warn', '@performance-impact',
+    '@help', '@documentation-url', '@example', '@changelog',
+    '@icon', '@color', '@badge', '@highlight',
+    '@profile', '@preset-name', '@preset-version', '@requires-preset-version', '@reasoning-format',
+    '@unstable', '@experimental', '@tested-with',
+    '@model-optimized', '@model-incompatible', '@recommended-api',
+    '@auto-enable-with', '@suggest-enable-with', '@load-order',
+    '@enable-at-message', '@disable-at-message', '@message-range',
+    '@enable-after-message', '@disable-after-message', '@enable-when', '@disable-when',
+    '@enable-when-var', '@disable-when-var', '@enable-when-keyword', '@disable-when-keyword',
+    '@keyword-scan-depth', '@enable-when-lorebook-entry-active', '@disable-when-lorebook-entry-active'
+];
+
+/**
+ * Extract the trimmed text of every {{// ... }} comment in a prompt
+ * @param {string} content - The prompt content
+ * @returns {Array<{text: string, offset: number}>} Comment texts with their offset in the content
+ */
+export function extractDirectiveComments(content) {
+    const comments = [];
+    if (!content) return comments;
+
+    // Extract all {{// ... }} blocks
+    const commentRegex = /\{\{\/\/(.*?)\}\}/g;
+    let match;
+
+    while ((match = commentRegex.exec(content)) !== null) {
+        comments.push({ text: match[1].trim(), offset: match.index });
+    }
+
+    return comments;
+}
+
+/**
+ * Remove all {{// ... }} comments (directives and notes) from prompt content
+ * Comments may span lines, matching how SillyTavern strips them.
+ * @param {string} content - The prompt content
+ * @returns {string} Content without comments
+ */
+export function stripDirectiveComments(content) {
+    if (!content) return '';
+    return content.replace(/\{\{\/\/[\s\S]*?\}\}/g, '');
+}
+
+/**
+ * Parse all directives from a prompt's content (uncached)
+ * @param {string} content - The prompt content
+ * @returns {Object} Parsed directives
+ */
+export function parseDirectivesFromContent(content) {
+    const directives = getEmptyDirectives();
+
+    for (const comment of extractDirectiveComments(content)) {
+        parseDirectiveLine(comment.text, directives);
+    }
+
+    return directives;
+}
+
+/**
+ * Get empty directives object
+ * @returns {Object}
+ */
+export function getEmptyDirectives() {
+    return {
+        // Existing directives
+        tooltip: null,
+        exclusiveWith: [],
+        exclusiveWithMessage: null,
+        requires: [],
+        requiresMessage: null,
+        conflictsWith: [],
+        conflictsMessage: null,
+        warning: null,
+        categories: [],
+        maxOnePerCategory: null,
+        deprecated: null,
+        autoDisable: [],
+        autoEnableDependencies: false,
+        author: null,
+        version: null,
+        incompatibleApis: [],
+        recommendedWith: [],
+
+        // Core Organization
+        tags: [],
+        group: null,
+        groupDescription: null,
+        mutualExclusiveGroup: null,
+        priority: null,
+
+        // Visibility & Conditionals
+        ifEnabled: [],
+        ifDisabled: [],
+        ifApi: [],
+        hidden: false,
+        visibleIf: null,            // Compiled @visible-if expression
+        enableIf: null,             // Compiled @enable-if expression (checked on activation)
+
+        // Setup & Defaults
+        defaultEnabled: false,
+        recommendedForBeginners: false,
+        advanced: false,
+
+        // Performance & Resources
+        tokenCost: null,
+        tokenCostWarn: null,
+        performanceImpact: null,
+
+        // Help & Documentation
+        help: null,
+        documentationUrl: null,
+        example: null,
+        changelog: [],              // Every @changelog line, e.g. "v2.1: Added X"
+
+        // Visual Customization
+        icon: null,
+        color: null,
+        badge: null,
+        highlight: false,
+
+        // Profiles & Presets
+        profiles: [],
+        presetName: null,
+        presetVersion: null,
+        requiresPresetVersion: null,
+        reasoningFormat: null,
+
+        // Quality & Status
+        unstable: null,
+        experimental: null,
+        testedWith: [],
+
+        // Model Optimization
+        modelOptimized: [],
+        modelIncompatible: [],
+        recommendedApi: [],
+
+        // Smart Behavior
+        autoEnableWith: [],
+        suggestEnableWith: [],
+        loadOrder: null,
+
+        // Message-Based Triggers (NEW)
+        enableAtMessage: null,      // Auto-enable at this message count
+        disableAtMessage: null,     // Auto-disable at this message count
+        messageRange: null,         // {start: N, end: M} - only active between these message counts
+        enableAfterMessage: null,   // Enable after N messages (stays enabled)
+        disableAfterMessage: null,  // Disable after N messages (stays disabled)
+        enableWhen: null,           // Compiled @enable-when expression
+        disableWhen: null,          // Compiled @disable-when expression
+
+        // Story-State Triggers
+        enableWhenVar: null,        // Compiled var comparison, e.g. var:mood == angry
+        disableWhenVar: null,
+        enableWhenKeyword: [],      // Keywords searched in the last keywordScanDepth messages
+        disableWhenKeyword: [],
+        keywordScanDepth: null,
+        enableWhenLorebook: [],     // Lorebook entry names (or UIDs) that must be active
+        disableWhenLorebook: []
+    };
+}
+
+/**
+ * Parse a single directive line
+ * @param {string} line - The directive line
+ * @param {Object} directives - Directives object to populate
+ * @returns {boolean} False if the line is not a recognised directive
+ */
+export function parseDirectiveLine(line, directives) {
+    // @tooltip - Hover text description
+    if (line.startsWith('@tooltip ')) {
+        directives.tooltip = line.substring(9).trim();
+    }
+    // @exclusive-with - Mutually exclusive prompts
+    else if (line.startsWith('@exclusive-with ')) {
+        const ids = line.substring(16).split(',').map(id => id.trim());
+        directives.exclusiveWith.push(...ids);
+    }
+    // @exclusive-with-message - Custom conflict message
+    else if (line.startsWith('@exclusive-with-message ')) {
+        directives.exclusiveWithMessage = line.substring(24).trim();
+    }
+    // @requires - Required dependencies
+    else if (line.startsWith('@requires ')) {
+        const ids = line.substring(10).split(',').map(id => id.trim());
+        directives.requires.push(...ids);
+    }
+    // @requires-message - Custom dependency message
+    else if (line.startsWith('@requires-message ')) {
+        directives.requiresMessage = line.substring(18).trim();
+    }
+    // @conflicts-with - Soft conflicts (warning only)
+    else if (line.startsWith('@conflicts-with ')) {
+        const ids = line.substring(16).split(',').map(id => id.trim());
+        directives.conflictsWith.push(...ids);
+    }
+    // @conflicts-message - Custom conflict warning message
+    else if (line.startsWith('@conflicts-message ')) {
+        directives.conflictsMessage = line.substring(19).trim();
+    }
+    // @warning - General warning when enabled
+    else if (line.startsWith('@warning ')) {
+        directives.warning = line.substring(9).trim();
+    }
+    // @category - Group prompts
+    else if (line.startsWith('@category ')) {
+        const cats = line.substring(10).split(',').map(c => c.trim());
+        directives.categories.push(...cats);
+    }
+    // @max-one-per-category - Only one prompt per category
+    else if (line.startsWith('@max-one-per-category ')) {
+        directives.maxOnePerCategory = line.substring(22).trim();
+    }
+    // @deprecated - Mark as outdated
+    else if (line.startsWith('@deprecated ')) {
+        directives.deprecated = line.substring(12).trim();
+    }
+    // @auto-disable - Auto-disable other prompts when this is enabled
+    else if (line.startsWith('@auto-disable ')) {
+        const ids = line.substring(14).split(',').map(id => id.trim());
+        directives.autoDisable.push(...ids);
+    }
+    // @auto-enable-dependencies - Auto-enable required prompts
+    else if (line.startsWith('@auto-enable-dependencies')) {
+        directives.autoEnableDependencies = true;
+    }
+    // @author - Prompt author
+    else if (line.startsWith('@author ')) {
+        directives.author = line.substring(8).trim();
+    }
+    // @version - Prompt version
+    else if (line.startsWith('@version ')) {
+        directives.version = line.substring(9).trim();
+    }
+    // @incompatible-api - APIs this doesn't work with
+    else if (line.startsWith('@incompatible-api ')) {
+        const apis = line.substring(18).split(',').map(api => api.trim().toLowerCase());
+        directives.incompatibleApis.push(...apis);
+    }
+    // @recommended-with - Prompts that work well together
+    else if (line.startsWith('@recommended-with ')) {
+        const ids = line.substring(18).split(',').map(id => id.trim());
+        directives.recommendedWith.push(...ids);
+    }
+
+    // === NEW DIRECTIVES ===
+
+    // Core Organization
+    else if (line.startsWith('@tags ')) {
+        const tags = line.substring(6).split(',').map(t => t.trim());
+        directives.tags.push(...tags);
+    }
+    else if (line.startsWith('@group ')) {
+        directives.group = line.substring(7).trim();
+    }
+    else if (line.startsWith('@group-description ')) {
+        directives.groupDescription = line.substring(19).trim();
+    }
+    else if (line.startsWith('@mutual-exclusive-group ')) {
+        directives.mutualExclusiveGroup = line.substring(24).trim();
+    }
+    else if (line.startsWith('@priority ')) {
+        directives.priority = parseInt(line.substring(10).trim());
+    }
+
+    // Visibility & Conditionals
+    else if (line.startsWith('@if-enabled ')) {
+        const ids = line.substring(12).split(',').map(id => id.trim());
+        directives.ifEnabled.push(...ids);
+    }
+    else if (line.startsWith('@if-disabled ')) {
+        const ids = line.substring(13).split(',').map(id => id.trim());
+        directives.ifDisabled.push(...ids);
+    }
+    else if (line.startsWith('@if-api ')) {
+        const apis = line.substring(8).split(',').map(api => api.trim().toLowerCase());
+        directives.ifApi.push(...apis);
+    }
+    else if (line.startsWith('@hidden')) {
+        directives.hidden = true;
+    }
+    else if (line.startsWith('@visible-if ')) {
+        directives.visibleIf = compileCondition(line.substring(12));
+    }
+    else if (line.startsWith('@enable-if ')) {
+        directives.enableIf = compileCondition(line.substring(11));
+    }
+
+    // Setup & Defaults
+    else if (line.startsWith('@default-enabled')) {
+        directives.defaultEnabled = true;
+    }
+    else if (line.startsWith('@recommended-for-beginners')) {
+        directives.recommendedForBeginners = true;
+    }
+    else if (line.startsWith('@advanced')) {
+        directives.advanced = true;
+    }
+
+    // Performance & Resources
+    else if (line.startsWith('@token-cost ')) {
+        directives.tokenCost = parseInt(line.substring(12).trim());
+    }
+    else if (line.startsWith('@token-cost-warn ')) {
+        directives.tokenCostWarn = parseInt(line.substring(17).trim());
+    }
+    else if (line.startsWith('@performance-impact ')) {
+        directives.performanceImpact = line.substring(20).trim().toLowerCase();
+    }
+
+    // Help & Documentation
+    else if (line.startsWith('@help ')) {
+        directives.help = line.substring(6).trim();
+    }
+    else if (line.startsWith('@documentation-url ')) {
+        directives.documentationUrl = line.substring(19).trim();
+    }
+    else if (line.startsWith('@example ')) {
+        directives.example = line.substring(9).trim();
+    }
+    else if (line.startsWith('@changelog ')) {
+        directives.changelog.push(line.substring(11).trim());
+    }
+
+    // Visual Customization
+    else if (line.startsWith('@icon ')) {
+        directives.icon = line.substring(6).trim();
+    }
+    else if (line.startsWith('@color ')) {
+        directives.color = line.substring(7).trim();
+    }
+    else if (line.startsWith('@badge ')) {
+        directives.badge = line.substring(7).trim();
+    }
+    else if (line.startsWith('@highlight')) {
+        directives.highlight = true;
+    }
+
+    // Profiles & Presets
+    else if (line.startsWith('@profile ')) {
+        const profiles = line.substring(9).split(',').map(p => p.trim());
+        directives.profiles.push(...profiles);
+    }
+    else if (line.startsWith('@preset-name ')) {
+        directives.presetName = line.substring(13).trim();
+    }
+    else if (line.startsWith('@preset-version ')) {
+        directives.presetVersion = line.substring(16).trim();
+    }
+    else if (line.startsWith('@requires-preset-version ')) {
+        directives.requiresPresetVersion = line.substring(25).trim();
+    }
+    else if (line.startsWith('@reasoning-format ')) {
+        directives.reasoningFormat = line.substring(18).trim();
+    }
+
+    // Quality & Status
+    else if (line.startsWith('@unstable ')) {
+        directives.unstable = line.substring(10).trim();
+    }
+    else if (line.startsWith('@experimental ')) {
+        directives.experimental = line.substring(14).trim();
+    }
+    else if (line.startsWith('@tested-with ')) {
+        const items = line.substring(13).split(',').map(i => i.trim());
+        directives.testedWith.push(...items);
+    }
+
+    // Model Optimization
+    else if (line.startsWith('@model-optimized ')) {
+        const models = line.substring(17).split(',').map(m => m.trim());
+        directives.modelOptimized.push(...models);
+    }
+    else if (line.startsWith('@model-incompatible ')) {
+        const models = line.substring(20).split(',').map(m => m.trim());
+        directives.modelIncompatible.push(...models);
+    }
+    else if (line.startsWith('@recommended-api ')) {
+        const apis = line.substring(17).split(',').map(api => api.trim().toLowerCase());
+        directives.recommendedApi.push(...apis);
+    }
+
+    // Smart Behavior
+    else if (line.startsWith('@auto-enable-with ')) {
+        const ids = line.substring(18).split(',').map(id => id.trim());
+        directives.autoEnableWith.push(...ids);
+    }
+    else if (line.startsWith('@suggest-enable-with ')) {
+        const ids = line.substring(21).split(',').map(id => id.trim());
+        directives.suggestEnableWith.push(...ids);
+    }
+    else if (line.startsWith('@load-order ')) {
+        directives.loadOrder = parseInt(line.substring(12).trim());
+    }
+
+    // Message-Based Triggers (NEW)
+    else if (line.startsWith('@enable-at-message ')) {
+        directives.enableAtMessage = parseInt(line.substring(19).trim());
+    }
+    else if (line.startsWith('@disable-at-message ')) {
+        directives.disableAtMessage = parseInt(line.substring(20).trim());
+    }
+    else if (line.startsWith('@message-range ')) {
+        const rangeStr = line.substring(15).trim();
+        const match = rangeStr.match(/^(\d+)\s*-\s*(\d+)?$/);
+        if (match) {
+            directives.messageRange = {
+                start: parseInt(match[1]),
+                end: match[2] ? parseInt(match[2]) : Infinity
+            };
+        }
+    }
+    else if (line.startsWith('@enable-after-message ')) {
+        directives.enableAfterMessage = parseInt(line.substring(22).trim());
+    }
+    else if (line.startsWith('@disable-after-message ')) {
+        directives.disableAfterMessage = parseInt(line.substring(23).trim());
+    }
+    else if (line.startsWith('@enable-when ')) {
+        directives.enableWhen = compileCondition(line.substring(13));
+    }
+    else if (line.startsWith('@disable-when ')) {
+        directives.disableWhen = compileCondition(line.substring(14));
+    }
+
+    // Story-State Triggers
+    else if (line.startsWith('@enable-when-var ')) {
+        directives.enableWhenVar = compileCondition(`var:${line.substring(17).trim()}`);
+    }
+    else if (line.startsWith('@disable-when-var ')) {
+        directives.disableWhenVar = compileCondition(`var:${line.substring(18).trim()}`);
+    }
+    else if (line.startsWith('@enable-when-keyword ')) {
+        const keywords = splitKeywords(line.substring(21));
+        directives.enableWhenKeyword.push(...keywords);
+    }
+    else if (line.startsWith('@disable-when-keyword ')) {
+        const keywords = splitKeywords(line.substring(22));
+        directives.disableWhenKeyword.push(...keywords);
+    }
+    else if (line.startsWith('@keyword-scan-depth ')) {
+        directives.keywordScanDepth = parseInt(line.substring(20).trim());
+    }
+    else if (line.startsWith('@enable-when-lorebook-entry-active ')) {
+        const entries = line.substring(35).split(',').map(e => e.trim()).filter(Boolean);
+        directives.enableWhenLorebook.push(...entries);
+    }
+    else if (line.startsWith('@disable-when-lorebook-entry-active ')) {
+        const entries = line.substring(36).split(',').map(e => e.trim()).filter(Boolean);
+        directives.disableWhenLorebook.push(...entries);
+    }
+    else {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Split a keyword list on commas, except inside /pattern/flags keywords
+ * @param {string} value - Comma-separated keywords
+ * @returns {string[]} Trimmed, non-empty keywords
+ */
+function splitKeywords(value) {
+    const keywords = [];
+    let current = '';
+    let inRegex = false;
+    let inClass = false;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (inRegex) {
+            current += char;
+            if (char === '\\' && i + 1 < value.length) {
+                current += value[++i];
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                inRegex = false;
+            }
+        } else if (char === ',') {
+            keywords.push(current);
+            current = '';
+        } else {
+            if (char === '/' && !current.trim()) inRegex = true;
+            current += char;
+        }
+    }
+    keywords.push(current);
+
+    return keywords.map(keyword => keyword.trim()).filter(Boolean);
+}
@@ -117,6 +117,106 @@ export function showConflictToast(issues, promptId, onResolve) {
     }
 }
 
+/**
+ * Show the activation plan for a prompt before it is applied
+ * @param {Object} plan - Plan from resolveActivationPlan
+ * @param {Array} warnings - Soft validation issues to show alongside the plan
+ * @param {Function|null} onResolve - Called with true to apply, false to reject. Pass null when the plan was already applied.
+ */
+export function showActivationPlanToast(plan, warnings, onResolve) {
+    const promptId = plan.target.identifier;
+    const existingToast = document.querySelector(`.nemo-directive-toast[data-prompt-id="${promptId}"]`);
+    if (existingToast) {
+        return;
+    }
+
+    const blocked = plan.blockers.length > 0;
+    const applied = onResolve === null;
+
+    const toast = document.createElement('div');
+    toast.className = 'nemo-directive-toast nemo-plan-toast';
+    toast.setAttribute('role', applied ? 'status' : 'alert');
+    toast.setAttribute('data-prompt-id', promptId);
+
+    let content = '<div class="nemo-toast-header">';
+    if (blocked) {
+        content += '<span class="nemo-toast-icon nemo-toast-error">⚠️</span>';
+        content += `<span class="nemo-toast-title">Cannot Enable "${escapeHtml(plan.target.name)}"</span>`;
+    } else {
+        content += '<span class="nemo-toast-icon">🔗</span>';
+        content += `<span class="nemo-toast-title">${applied ? 'Enabled' : 'Enable'} "${escapeHtml(plan.target.name)}"</span>`;
+    }
+    content += '</div>';
+
+    content += '<div class="nemo-toast-body">';
+
+    for (const blocker of plan.blockers) {
+        content += `<div class="nemo-toast-issue nemo-toast-issue-error">${escapeHtml(blocker.message)}</div>`;
+    }
+
+    if (plan.toEnable.length > 0) {
+        content += '<div class="nemo-trigger-section">';
+        content += `<strong class="nemo-trigger-enabled">✓ ${applied ? 'Also enabled' : 'Will enable'}:</strong>`;
+        content += '<ul class="nemo-trigger-list">';
+        for (const step of plan.toEnable) {
+            content += `<li>${escapeHtml(step.name)} <span class="nemo-plan-reason">(${escapeHtml(step.reason)})</span></li>`;
+        }
+        content += '</ul></div>';
+    }
+
+    if (plan.toDisable.length > 0) {
+        content += '<div class="nemo-trigger-section">';
+        content += `<strong class="nemo-trigger-disabled">✗ ${applied ? 'Disabled' : 'Will disable'}:</strong>`;
+        content += '<ul class="nemo-trigger-list">';
+        for (const step of plan.toDisable) {
+            content += `<li>${escapeHtml(step.name)} <span class="nemo-plan-reason">(${escapeHtml(step.reason)})</span></li>`;
+        }
+        content += '</ul></div>';
+    }
+
+    for (const issue of warnings || []) {
+        content += `<div class="nemo-toast-issue nemo-toast-issue-warning">`;
+        content += `<strong>${getIssueTypeLabel(issue.type)}:</strong> ${escapeHtml(issue.message)}`;
+        content += '</div>';
+    }
+
+    content += '</div>';
+
+    content += '<div class="nemo-toast-actions">';
+    if (applied) {
+        content += '<button class="nemo-toast-btn nemo-toast-btn-secondary" data-action="dismiss">OK</button>';
+    } else {
+        if (!blocked) {
+            content += '<button class="nemo-toast-btn nemo-toast-btn-primary" data-action="apply">Apply Plan</button>';
+        }
+        content += '<button class="nemo-toast-btn nemo-toast-btn-secondary" data-action="cancel">Cancel</button>';
+    }
+    content += '</div>';
+
+    toast.innerHTML = content;
+
+    toast.querySelectorAll('[data-action]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            removeToast(toast);
+            if (onResolve) {
+                onResolve(action === 'apply');
+            }
+        });
+    });
+
+    document.body.appendChild(toast);
+
+    // Already-applied plans are informational only
+    if (applied) {
+        setTimeout(() => {
+            if (toast.parentNode) {
+                removeToast(toast);
+            }
+        }, 8000);
+    }
+}
+
 /**
  * Show a toast notification for message-based triggers
  * @param {Array} triggered - Array of triggered changes
@@ -246,7 +346,10 @@ function getIssueTypeLabel(type) {
         'missing-dependency': 'Missing Requirement',
         'category-limit': 'Category Limit',
         'soft-conflict': 'Potential Conflict',
-        'deprecated': 'Deprecated'
+        'deprecated': 'Deprecated',
+        'condition': 'Condition Not Met',
+        'model-incompatible': 'Model Incompatible',
+        'api-not-recommended': 'Different API Recommended'
     };
     return labels[type] || type;
 }
@@ -0,0 +1,32 @@
+/**
+ * Headless directive linter
+ * Usage: node features/directives/lint-preset-cli.js <preset.json> [more.json ...]
+ * Exits with code 1 if any preset has errors.
+ *
+ * @module lint-preset-cli
+ */
+
+import { readFileSync } from 'fs';
+import { lintPreset, formatLintReport } from './directive-linter.js';
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    console.error('Usage: node lint-preset-cli.js <preset.json> [more.json ...]');
+    process.exit(2);
+}
+
+let failed = false;
+
+for (const file of files) {
+    try {
+        const result = lintPreset(JSON.parse(readFileSync(file, 'utf8')));
+        console.log(`== ${file}`);
+        console.log(formatLintReport(result));
+        if (result.errorCount > 0) failed = true;
+    } catch (error) {
+        console.error(`== ${file}\nCould not read preset: ${error.message}`);
+        failed = true;
+    }
+}
+
+process.exit(failed ? 1 : 0);
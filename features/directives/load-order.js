@@ -0,0 +1,143 @@
+/**
+ * Nemo Load Order
+ * Computes the directive-driven order of a prompt list:
+ *   @load-order <number>   lower numbers come first within their section
+ *   @priority <number>     higher numbers come first among equal load orders
+ *
+ * Dividers (section headers and sub-headers) are never moved; each run of
+ * prompts between two dividers is sorted on its own. Only prompts that declare
+ * one of the directives are moved, among the positions they already occupy, so
+ * prompts without them stay where the user put them.
+ *
+ * @module load-order
+ */
+
+/**
+ * Sort keys of a prompt from its directives
+ * @param {Object} directives - Parsed directives
+ * @returns {{loadOrder: number|null, priority: number|null}|null} Keys, or null when the prompt declares neither
+ */
+export function getOrderKeys(directives) {
+    const loadOrder = Number.isFinite(directives?.loadOrder) ? directives.loadOrder : null;
+    const priority = Number.isFinite(directives?.priority) ? directives.priority : null;
+    return loadOrder === null && priority === null ? null : { loadOrder, priority };
+}
+
+function compareKeys(a, b) {
+    if (a.keys.loadOrder !== b.keys.loadOrder) {
+        if (a.keys.loadOrder === null) return 1;
+        if (b.keys.loadOrder === null) return -1;
+        return a.keys.loadOrder - b.keys.loadOrder;
+    }
+    if (a.keys.priority !== b.keys.priority) {
+        if (a.keys.priority === null) return 1;
+        if (b.keys.priority === null) return -1;
+        return b.keys.priority - a.keys.priority;
+    }
+    return a.index - b.index;
+}
+
+/**
+ * Compute the auto-order of a prompt list
+ * A section is flagged `manual` when it was reordered by hand since auto-order
+ * last committed it: its keyed prompts are no longer in the recorded order.
+ * Before auto-order has recorded anything, the existing order is taken as a
+ * manual one, so every section it would change is flagged.
+ * @param {string[]} order - Identifiers in their current order
+ * @param {Object} options
+ * @param {function(string): ({loadOrder: number|null, priority: number|null}|null)} options.getKeys - Sort keys of a prompt (see getOrderKeys)
+ * @param {function(string): boolean} options.isDivider - Whether a prompt starts a section
+ * @param {string[]|null} [options.lastApplied] - Keyed identifiers in the order auto-order last committed, or null when it never ran
+ * @returns {{sections: Array<{divider: string|null, before: string[], after: string[], keyed: string[], changed: boolean, manual: boolean}>, changed: boolean, keyedCount: number}}
+ */
+export function computeAutoOrder(order, options) {
+    const { getKeys, isDivider, lastApplied = null } = options;
+    const recorded = new Map((lastApplied || []).map((identifier, index) => [identifier, index]));
+
+    const sections = [];
+    let current = { divider: null, before: [] };
+    for (const identifier of order || []) {
+        if (isDivider(identifier)) {
+            sections.push(current);
+            current = { divider: identifier, before: [] };
+        } else {
+            current.before.push(identifier);
+        }
+    }
+    sections.push(current);
+
+    let keyedCount = 0;
+    const result = sections
+        .filter(section => section.divider !== null || section.before.length > 0)
+        .map(section => {
+            const keyed = [];
+            const slots = [];
+            section.before.forEach((identifier, index) => {
+                const keys = getKeys(identifier);
+                if (keys) {
+                    keyed.push({ identifier, keys, index });
+                    slots.push(index);
+                }
+            });
+            keyedCount += keyed.length;
+
+            const sorted = [...keyed].sort(compareKeys);
+            const after = [...section.before];
+            sorted.forEach((item, i) => {
+                after[slots[i]] = item.identifier;
+            });
+
+            const changed = after.some((identifier, i) => identifier !== section.before[i]);
+            const currentRecorded = keyed.map(item => item.identifier).filter(identifier => recorded.has(identifier));
+            const expectedRecorded = [...currentRecorded].sort((a, b) => recorded.get(a) - recorded.get(b));
+            const manual = changed && (lastApplied === null || currentRecorded.some((identifier, i) => identifier !== expectedRecorded[i]));
+
+            return {
+                divider: section.divider,
+                before: section.before,
+                after,
+                keyed: sorted.map(item => item.identifier),
+                changed,
+                manual
+            };
+        });
+
+    return { sections: result, changed: result.some(section => section.changed), keyedCount };
+}
+
+/**
+ * Build the full order from a computed plan
+ * @param {ReturnType<typeof computeAutoOrder>} plan - Computed plan
+ * @param {Set<number>} accepted - Indexes of the sections to reorder; the others keep their current order
+ * @returns {string[]} Identifiers
+ */
+export function buildAutoOrder(plan, accepted) {
+    return plan.sections.flatMap((section, index) => [
+        ...(section.divider !== null ? [section.divider] : []),
+        ...(accepted.has(index) ? section.after : section.before)
+    ]);
+}
+
+/**
+ * The order to record as committed after applying a plan
+ * Declined sections keep what was recorded for them before, so a manual order
+ * that was kept stays flagged the next time instead of being taken as auto-ordered.
+ * A declined section with nothing recorded yet records the order it declined,
+ * for the same reason.
+ * @param {ReturnType<typeof computeAutoOrder>} plan - Computed plan
+ * @param {Set<number>} accepted - Indexes of the applied sections
+ * @param {string[]} [lastApplied] - Previously recorded order
+ * @returns {string[]} Keyed identifiers
+ */
+export function recordAutoOrder(plan, accepted, lastApplied = null) {
+    const recorded = new Map((lastApplied || []).map((identifier, index) => [identifier, index]));
+    return plan.sections.flatMap((section, index) => {
+        if (accepted.has(index) || !section.changed) {
+            return section.keyed;
+        }
+        const kept = section.keyed
+            .filter(identifier => recorded.has(identifier))
+            .sort((a, b) => recorded.get(a) - recorded.get(b));
+        return kept.length > 0 ? kept : section.keyed;
+    });
+}
@@ -0,0 +1,255 @@
+/**
+ * Nemo Macro Preview
+ * Adds a "Rendered preview" pane under the prompt editor that shows the prompt
+ * as it will reach the model: directive comments stripped, macros substituted
+ * with the current chat context, and the resulting token count.
+ *
+ * Macros that change state ({{setvar}}, {{incvar}}, ...) are not run by the
+ * preview and are left in the text as written.
+ *
+ * @module macro-preview
+ */
+
+import logger from '../../core/logger.js';
+import { debounce, escapeHtml } from '../../core/utils.js';
+import { stripDirectiveComments } from './directive-parser.js';
+import { SIDE_EFFECT_MACROS, getMacroName, findMacroDefinition } from './sillytavern-macros.js';
+import { getTokenCountAsync } from '../../../../../tokenizers.js';
+import { substituteParams, getCurrentChatId } from '../../../../../../script.js';
+
+const EDITOR_TEXTAREA = '#completion_prompt_manager_popup_entry_form_prompt';
+
+// Private-use characters keep masked macros away from substituteParams
+const MASK_START = '\uE000';
+const MASK_END = '\uE001';
+
+let previewGeneration = 0;
+
+/**
+ * Render prompt content as it will be sent
+ * @param {string} content - Raw prompt content
+ * @returns {Promise<{text: string, tokens: number, macros: Array<{macro: string, name: string|null, value: string|null, status: string, description: string}>}>}
+ */
+export async function renderPromptPreview(content) {
+    const stripped = stripDirectiveComments(content);
+    const macros = [];
+    const seen = new Set();
+    const masked = [];
+
+    let maskedText = '';
+    let last = 0;
+
+    for (const { start, end } of findMacros(stripped)) {
+        const macro = stripped.substring(start, end);
+        const name = getMacroName(macro);
+        const isSideEffect = name && SIDE_EFFECT_MACROS.includes(name.toLowerCase());
+
+        if (!seen.has(macro)) {
+            seen.add(macro);
+            macros.push(describeMacro(macro, name, isSideEffect));
+        }
+
+        maskedText += stripped.substring(last, start);
+        if (isSideEffect) {
+            masked.push(macro);
+            maskedText += `${MASK_START}${masked.length - 1}${MASK_END}`;
+        } else {
+            maskedText += macro;
+        }
+        last = end;
+    }
+    maskedText += stripped.substring(last);
+
+    let text = substitute(maskedText) ?? maskedText;
+    text = text.replace(new RegExp(`${MASK_START}(\\d+)${MASK_END}`, 'g'), (_, index) => masked[Number(index)]);
+
+    const tokens = text ? await getTokenCountAsync(text) : 0;
+    return { text, tokens, macros };
+}
+
+/**
+ * Find the outermost macros in a text
+ * Braces are counted, so a macro with macros in its arguments ({{getvar::{{user}}}})
+ * is one macro. Comment macros ({{// ...}}) are left out.
+ * @param {string} text - Text to scan
+ * @returns {Array<{start: number, end: number}>} Macro positions, end exclusive
+ */
+function findMacros(text) {
+    const spans = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length - 1; i++) {
+        if (text[i] === '{' && text[i + 1] === '{') {
+            if (depth === 0) start = i;
+            depth++;
+            i++;
+        } else if (text[i] === '}' && text[i + 1] === '}' && depth > 0) {
+            depth--;
+            i++;
+            if (depth === 0 && !text.startsWith('{{//', start)) {
+                spans.push({ start, end: i + 1 });
+            }
+        }
+    }
+
+    return spans;
+}
+
+/**
+ * Resolve a single macro for the substitution table
+ */
+function describeMacro(macro, name, isSideEffect) {
+    const definition = findMacroDefinition(name);
+    const entry = {
+        macro,
+        name,
+        value: null,
+        status: 'resolved',
+        description: definition?.description || ''
+    };
+
+    if (isSideEffect) {
+        entry.status = 'skipped';
+        return entry;
+    }
+
+    const value = substitute(macro);
+    if (value === null || value === macro) {
+        entry.status = definition ? 'unresolved' : 'unknown';
+    } else {
+        entry.value = value;
+    }
+
+    return entry;
+}
+
+/**
+ * Run SillyTavern macro substitution
+ * @returns {string|null} Substituted text, or null when substitution failed
+ */
+function substitute(text) {
+    try {
+        return substituteParams(text);
+    } catch (error) {
+        logger.debug('Macro preview: substitution failed', error);
+        return null;
+    }
+}
+
+/**
+ * Attach the preview pane to the prompt editor once it exists
+ */
+export function initMacroPreview() {
+    const textarea = document.querySelector(EDITOR_TEXTAREA);
+    if (textarea) {
+        attachPreview(textarea);
+        return;
+    }
+
+    const observer = new MutationObserver(() => {
+        const found = document.querySelector(EDITOR_TEXTAREA);
+        if (found) {
+            observer.disconnect();
+            attachPreview(found);
+        }
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+}
+
+/**
+ * Create the preview pane under the editor textarea
+ * @param {HTMLTextAreaElement} textarea - Prompt editor textarea
+ */
+function attachPreview(textarea) {
+    if (textarea.dataset.nemoPreviewAttached) return;
+    textarea.dataset.nemoPreviewAttached = 'true';
+
+    const pane = document.createElement('details');
+    pane.className = 'nemo-macro-preview';
+    pane.innerHTML = `
+        <summary>
+            <span>Rendered preview</span>
+            <span class="nemo-macro-preview-tokens"></span>
+            <button type="button" class="menu_button nemo-macro-preview-refresh" title="Refresh preview" aria-label="Refresh preview">
+                <i class="fa-solid fa-rotate"></i>
+            </button>
+        </summary>
+        <div class="nemo-macro-preview-note"></div>
+        <pre class="nemo-macro-preview-text"></pre>
+        <details class="nemo-macro-preview-macros">
+            <summary>Macros</summary>
+            <div class="nemo-macro-preview-table"></div>
+        </details>
+    `;
+
+    textarea.after(pane);
+
+    const refresh = () => {
+        if (pane.open) updatePreview(pane, textarea.value);
+    };
+    const debouncedRefresh = debounce(refresh, 300);
+
+    pane.addEventListener('toggle', refresh);
+    textarea.addEventListener('input', debouncedRefresh);
+    // The editor loads prompts without firing input events
+    textarea.addEventListener('focus', refresh);
+    pane.querySelector('.nemo-macro-preview-refresh').addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        pane.open = true;
+        refresh();
+    });
+
+    logger.info('Attached macro preview to prompt editor');
+}
+
+/**
+ * Render the textarea content into the pane
+ */
+async function updatePreview(pane, content) {
+    const generation = ++previewGeneration;
+
+    try {
+        const preview = await renderPromptPreview(content);
+        if (generation !== previewGeneration) return;
+
+        pane.querySelector('.nemo-macro-preview-text').textContent = preview.text || '(empty)';
+        pane.querySelector('.nemo-macro-preview-tokens').textContent = `${preview.tokens.toLocaleString()} tokens`;
+
+        const notes = [];
+        if (!getCurrentChatId()) {
+            notes.push('No chat is open, so chat-dependent macros may render empty.');
+        }
+        if (preview.macros.some(macro => macro.status === 'skipped')) {
+            notes.push('Variable-changing macros are not run in the preview.');
+        }
+        pane.querySelector('.nemo-macro-preview-note').textContent = notes.join(' ');
+
+        pane.querySelector('.nemo-macro-preview-table').innerHTML = preview.macros.length
+            ? preview.macros.map(renderMacroRow).join('')
+            : '<div class="nemo-macro-preview-empty">No macros in this prompt</div>';
+    } catch (error) {
+        logger.error('Error rendering macro preview:', error);
+    }
+}
+
+const STATUS_LABELS = {
+    resolved: '',
+    skipped: 'not run',
+    unresolved: 'no value in this context',
+    unknown: 'unknown macro'
+};
+
+function renderMacroRow(macro) {
+    const value = macro.status === 'resolved'
+        ? escapeHtml(macro.value === '' ? '(empty)' : macro.value)
+        : `<em>${STATUS_LABELS[macro.status]}</em>`;
+
+    return `
+        <div class="nemo-macro-preview-row ${macro.status}" title="${escapeHtml(macro.description)}">
+            <code>${escapeHtml(macro.macro)}</code>
+            <span>${value}</span>
+        </div>
+    `;
+}
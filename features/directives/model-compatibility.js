@@ -0,0 +1,52 @@
+/**
+ * Nemo Model Compatibility
+ * Evaluates a prompt's model and API directives against the current model:
+ *   @model-incompatible <glob, ...>   models the prompt does not work with
+ *   @incompatible-api <glob, ...>     APIs / chat completion sources it does not work with
+ *   @model-optimized <glob, ...>      models the prompt was written for
+ *   @tested-with <glob, ...>          models or APIs the author tested it with
+ *   @recommended-api <glob, ...>      APIs the prompt is meant for
+ *
+ * Patterns are case-insensitive globs (claude-3*, gpt-4?, *gemini*).
+ *
+ * @module model-compatibility
+ */
+
+import { globMatch } from './directive-expressions.js';
+
+/**
+ * Check a prompt's directives against the current model and APIs
+ * @param {Object} directives - Parsed directives of the prompt
+ * @param {{model?: string, apis?: string[]}} context - Current model id and API names (see getConditionContext)
+ * @returns {{incompatible: string[], optimized: string|null, tested: string|null, notRecommended: string|null}}
+ *   incompatible holds one reason per matching pattern; optimized and tested hold the
+ *   matching pattern; notRecommended lists the recommended APIs when none is in use.
+ */
+export function getModelCompatibility(directives, context = {}) {
+    const model = context.model || '';
+    const apis = context.apis || [];
+    const matchesModel = (pattern) => !!model && globMatch(pattern, model);
+    const matchingApi = (pattern) => apis.find(api => globMatch(pattern, api));
+
+    const incompatible = [];
+    for (const pattern of (directives.modelIncompatible || []).filter(Boolean)) {
+        if (matchesModel(pattern)) {
+            incompatible.push(`not compatible with model ${model}${pattern.toLowerCase() !== model.toLowerCase() ? ` (${pattern})` : ''}`);
+        }
+    }
+    for (const pattern of (directives.incompatibleApis || []).filter(Boolean)) {
+        const api = matchingApi(pattern);
+        if (api) {
+            incompatible.push(`not compatible with API ${api}`);
+        }
+    }
+
+    const recommended = (directives.recommendedApi || []).filter(Boolean);
+
+    return {
+        incompatible,
+        optimized: (directives.modelOptimized || []).filter(Boolean).find(matchesModel) || null,
+        tested: (directives.testedWith || []).filter(Boolean).find(pattern => matchesModel(pattern) || matchingApi(pattern)) || null,
+        notRecommended: recommended.length > 0 && !recommended.some(matchingApi) ? recommended.join(', ') : null
+    };
+}
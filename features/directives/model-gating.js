@@ -0,0 +1,177 @@
+/**
+ * Nemo Model Gating
+ * Badges prompts in the prompt list by how they fit the selected model
+ * (incompatible, optimized, tested, meant for another API) and, when the model
+ * or chat completion source changes, offers to turn off enabled prompts that
+ * are incompatible with the new one.
+ *
+ * Blocking incompatible prompts on activation is handled by the activation
+ * plan (see dependency-resolver.js) when the setting is on.
+ *
+ * @module model-gating
+ */
+
+import logger from '../../core/logger.js';
+import { NEMO_EXTENSION_NAME } from '../../core/utils.js';
+import { getAllPromptsWithState, parsePromptDirectives, getCurrentModelId, getCurrentApiNames } from './prompt-directives.js';
+import { getModelCompatibility } from './model-compatibility.js';
+import { applyPromptStates } from './batch-toggle.js';
+import { extension_settings } from '../../../../../extensions.js';
+import { eventSource, event_types } from '../../../../../../script.js';
+
+const APPLY_DELAY = 150;
+
+let applyTimeout = null;
+let lastModelKey = null;
+
+export function initModelGating() {
+    logger.info('Initializing model gating');
+
+    const debouncedApply = () => {
+        clearTimeout(applyTimeout);
+        applyTimeout = setTimeout(() => {
+            applyModelBadges();
+            checkModelChange();
+        }, APPLY_DELAY);
+    };
+
+    observePromptList(debouncedApply);
+
+    // The model dropdowns save the settings; the source has its own event
+    const events = [
+        event_types.SETTINGS_UPDATED,
+        event_types.CHATCOMPLETION_SOURCE_CHANGED,
+        event_types.CHATCOMPLETION_MODEL_CHANGED,
+        event_types.OAI_PRESET_CHANGED_AFTER
+    ].filter(Boolean);
+    events.forEach(eventType => eventSource.on(eventType, debouncedApply));
+}
+
+/**
+ * Re-badge when the prompt list is re-rendered
+ */
+function observePromptList(callback) {
+    const listContainer = document.querySelector('#completion_prompt_manager_list');
+    if (!listContainer) {
+        setTimeout(() => observePromptList(callback), 1000);
+        return;
+    }
+    new MutationObserver(callback).observe(listContainer, { childList: true });
+    callback();
+}
+
+function getModelKey() {
+    return `${getCurrentApiNames().join(',')}|${getCurrentModelId()}`;
+}
+
+/**
+ * Compatibility of every prompt with the current model
+ * @returns {Map<string, {prompt: Object, compatibility: Object}>} By identifier
+ */
+export function evaluatePromptCompatibility() {
+    const context = { model: getCurrentModelId(), apis: getCurrentApiNames() };
+    const results = new Map();
+    for (const prompt of getAllPromptsWithState()) {
+        if (!prompt.content) continue;
+        results.set(prompt.identifier, {
+            prompt,
+            compatibility: getModelCompatibility(parsePromptDirectives(prompt.content), context)
+        });
+    }
+    return results;
+}
+
+/**
+ * Add, update or remove the model badge of every prompt in the list
+ */
+export function applyModelBadges() {
+    try {
+        const results = evaluatePromptCompatibility();
+        const promptElements = document.querySelectorAll('.completion_prompt_manager_prompt[data-pm-identifier]');
+
+        promptElements.forEach(element => {
+            const result = results.get(element.getAttribute('data-pm-identifier'));
+            const badge = result ? describeBadge(result.compatibility) : null;
+            const nameContainer = element.querySelector('.completion_prompt_manager_prompt_name');
+            let badgeElement = nameContainer?.querySelector('.nemo-model-badge');
+
+            element.classList.toggle('nemo-model-incompatible', badge?.kind === 'incompatible');
+
+            if (!badge) {
+                badgeElement?.remove();
+                return;
+            }
+            if (!nameContainer) return;
+
+            const signature = `${badge.kind}|${badge.title}`;
+            if (badgeElement?.dataset.signature === signature) return;
+
+            if (!badgeElement) {
+                badgeElement = document.createElement('span');
+                nameContainer.appendChild(badgeElement);
+            }
+            badgeElement.className = `nemo-model-badge nemo-model-badge-${badge.kind}`;
+            badgeElement.dataset.signature = signature;
+            badgeElement.textContent = badge.label;
+            badgeElement.title = badge.title;
+        });
+    } catch (error) {
+        logger.error('Error applying model badges:', error);
+    }
+}
+
+/**
+ * Pick the one badge a prompt shows; incompatibility wins
+ */
+function describeBadge(compatibility) {
+    const model = getCurrentModelId();
+    if (compatibility.incompatible.length > 0) {
+        return { kind: 'incompatible', label: 'Incompatible', title: `This prompt is ${compatibility.incompatible.join(' and ')}` };
+    }
+    if (compatibility.optimized) {
+        return { kind: 'optimized', label: 'Optimized', title: `Optimized for ${compatibility.optimized} (current model: ${model})` };
+    }
+    if (compatibility.notRecommended) {
+        return { kind: 'other-api', label: 'Other API', title: `Meant for ${compatibility.notRecommended}` };
+    }
+    if (compatibility.tested) {
+        return { kind: 'tested', label: 'Tested', title: `Tested with ${compatibility.tested}` };
+    }
+    return null;
+}
+
+/**
+ * Offer to turn off incompatible prompts after the model or source changed
+ */
+function checkModelChange() {
+    const modelKey = getModelKey();
+    const previousKey = lastModelKey;
+    lastModelKey = modelKey;
+    // The first check only records the model the session started with
+    if (previousKey === null || modelKey === previousKey) return;
+
+    if (!(extension_settings[NEMO_EXTENSION_NAME]?.offerDisableIncompatiblePrompts ?? true)) return;
+
+    const incompatible = [...evaluatePromptCompatibility().values()]
+        .filter(({ prompt, compatibility }) => prompt.enabled && compatibility.incompatible.length > 0)
+        .map(({ prompt }) => prompt);
+    if (incompatible.length === 0) return;
+
+    const model = getCurrentModelId() || getCurrentApiNames().join('/');
+    const names = incompatible.slice(0, 5).map(prompt => `"${prompt.name || prompt.identifier}"`).join(', ');
+    const more = incompatible.length > 5 ? ` and ${incompatible.length - 5} more` : '';
+
+    toastr.warning(
+        `${names}${more} ${incompatible.length === 1 ? 'is' : 'are'} not compatible with ${model}. Click to turn ${incompatible.length === 1 ? 'it' : 'them'} off.`,
+        'Incompatible prompts',
+        {
+            timeOut: 15000,
+            extendedTimeOut: 5000,
+            onclick: () => {
+                const states = Object.fromEntries(incompatible.map(prompt => [prompt.identifier, false]));
+                applyPromptStates(states, { label: `Turn off prompts incompatible with ${model}` });
+                toastr.success(`Turned off ${incompatible.length} prompt(s)`);
+            }
+        }
+    );
+}
@@ -0,0 +1,185 @@
+/**
+ * Nemo Preset Versions
+ * Reads a preset's identity from its prompts' directives and checks version
+ * constraints:
+ *   @preset-name <name>                 which preset family the prompts belong to
+ *   @preset-version <version>           version of the preset
+ *   @requires-preset-version <range>    e.g. >=3.0.0, ^3.1, >=2 <4, 2.x || 3.x
+ *   @changelog v<version>: <text>       one line per change, any number of them
+ *
+ * @module preset-version
+ */
+
+import { parseDirectivesFromContent } from './directive-parser.js';
+
+/**
+ * Numeric parts of a version ("v4.6.3-mid-patch" -> [4, 6, 3])
+ * @param {string} version - Version string
+ * @returns {number[]|null} Parts, or null when there are none
+ */
+export function parseVersion(version) {
+    const match = String(version ?? '').trim().match(/^v?(\d+(?:\.\d+)*)/i);
+    return match ? match[1].split('.').map(Number) : null;
+}
+
+/**
+ * Compare two version strings by their numeric parts
+ * Missing parts count as 0, so 3.1 equals 3.1.0.
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+    const left = parseVersion(a) || [];
+    const right = parseVersion(b) || [];
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] ?? 0) - (right[i] ?? 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Whether a version satisfies a constraint
+ * Comparators separated by spaces must all hold; alternatives are separated by ||.
+ * A bare version means "this version or newer"; ^ keeps the major version and
+ * ~ the minor version; x or * in a version matches anything from there on.
+ * @param {string} version - Version to check
+ * @param {string} constraint - Constraint
+ * @returns {boolean|null} Result, or null when the constraint or version does not parse
+ */
+export function satisfiesVersion(version, constraint) {
+    if (!parseVersion(version)) return null;
+
+    const alternatives = String(constraint ?? '').split('||').map(part => part.trim()).filter(Boolean);
+    if (alternatives.length === 0) return null;
+
+    let satisfied = false;
+    for (const alternative of alternatives) {
+        const comparators = alternative.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/);
+        let all = true;
+        for (const comparator of comparators) {
+            const result = checkComparator(version, comparator);
+            if (result === null) return null;
+            all = all && result;
+        }
+        satisfied = satisfied || all;
+    }
+    return satisfied;
+}
+
+function checkComparator(version, comparator) {
+    const match = comparator.match(/^(>=|<=|>|<|==?|\^|~)?v?(\d+(?:\.(?:\d+|x|\*))*)$/i);
+    if (!match) return null;
+
+    const parts = match[2].split('.');
+    const wildcard = parts.findIndex(part => /^(x|\*)$/i.test(part));
+    const target = (wildcard === -1 ? parts : parts.slice(0, wildcard)).join('.');
+    const difference = compareVersions(version, target);
+
+    if (wildcard !== -1) {
+        // 3.x is the range of all 3.* versions; comparators apply to the whole range
+        const inRange = sharesPrefix(version, target, wildcard);
+        switch (match[1]) {
+            case '>=': return inRange || difference > 0;
+            case '<=': return inRange || difference < 0;
+            case '>': return !inRange && difference > 0;
+            case '<': return !inRange && difference < 0;
+            default: return inRange;
+        }
+    }
+
+    switch (match[1] || '>=') {
+        case '>=': return difference >= 0;
+        case '<=': return difference <= 0;
+        case '>': return difference > 0;
+        case '<': return difference < 0;
+        case '=':
+        case '==': return difference === 0;
+        case '^': return difference >= 0 && sharesPrefix(version, target, 1);
+        case '~': return difference >= 0 && sharesPrefix(version, target, Math.min(2, parts.length));
+    }
+    return null;
+}
+
+function sharesPrefix(version, target, length) {
+    const left = parseVersion(version) || [];
+    const right = parseVersion(target) || [];
+    for (let i = 0; i < length; i++) {
+        if ((left[i] ?? 0) !== (right[i] ?? 0)) return false;
+    }
+    return true;
+}
+
+/**
+ * Parse a @changelog value ("v2.1: Added X" -> {version: '2.1', text: 'Added X'})
+ * @param {string} line - Changelog value
+ * @returns {{version: string|null, text: string}} Entry; version is null when the line has none
+ */
+export function parseChangelogEntry(line) {
+    const match = String(line).match(/^v?(\d+(?:\.\d+)*)\s*[:\-–]\s*(.*)$/i);
+    return match ? { version: match[1], text: match[2].trim() } : { version: null, text: String(line).trim() };
+}
+
+/**
+ * Read the preset identity, version requirements and changelog from prompts
+ * The first prompt declaring @preset-name or @preset-version wins.
+ * @param {Array<{identifier: string, name?: string, content?: string}>} prompts - Prompts
+ * @param {Function} [parse] - Directive parser (defaults to the uncached parser)
+ * @returns {{name: string|null, version: string|null, requirements: Array<{identifier: string, promptName: string, constraint: string, satisfied: boolean|null}>, unmet: Array<Object>, changelog: Array<{version: string|null, text: string, identifier: string}>}}
+ *   `satisfied` is null when the constraint cannot be checked (it does not parse or
+ *   the preset declares no version); unmet only holds requirements that are definitely not met.
+ */
+export function getPresetVersionInfo(prompts, parse = parseDirectivesFromContent) {
+    let name = null;
+    let version = null;
+    const declared = [];
+    const changelog = [];
+
+    for (const prompt of prompts || []) {
+        if (!prompt?.identifier || !prompt.content) continue;
+        const directives = parse(prompt.content);
+
+        name = name ?? directives.presetName;
+        version = version ?? directives.presetVersion;
+        if (directives.requiresPresetVersion) {
+            declared.push({ identifier: prompt.identifier, promptName: prompt.name || prompt.identifier, constraint: directives.requiresPresetVersion });
+        }
+        for (const line of directives.changelog || []) {
+            changelog.push({ ...parseChangelogEntry(line), identifier: prompt.identifier });
+        }
+    }
+
+    const requirements = declared.map(requirement => ({
+        ...requirement,
+        satisfied: version ? satisfiesVersion(version, requirement.constraint) : null
+    }));
+
+    return {
+        name,
+        version,
+        requirements,
+        unmet: requirements.filter(requirement => requirement.satisfied === false),
+        changelog
+    };
+}
+
+/**
+ * Changelog entries newer than one version, up to and including another, newest first
+ * @param {Array<{version: string|null, text: string}>} changelog - Entries
+ * @param {string|null} fromVersion - Old version (exclusive); null for everything up to toVersion
+ * @param {string|null} toVersion - New version (inclusive); null for no upper bound
+ * @returns {Array<Object>} Entries
+ */
+export function getChangelogBetween(changelog, fromVersion, toVersion) {
+    const seen = new Set();
+    return (changelog || [])
+        .filter(entry => entry.version
+            && (!fromVersion || compareVersions(entry.version, fromVersion) > 0)
+            && (!toVersion || compareVersions(entry.version, toVersion) <= 0))
+        .filter(entry => {
+            const key = `${entry.version}\n${entry.text}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => compareVersions(b.version, a.version));
+}
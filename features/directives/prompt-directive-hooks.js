@@ -6,10 +6,15 @@
  */
 
 import logger from '../../core/logger.js';
-import { validatePromptActivation, getAllPromptsWithState, parsePromptDirectives, evaluateMessageTriggers, getCurrentMessageCount } from './prompt-directives.js';
-import { showConflictToast, showMessageTriggerToast } from './directive-ui.js';
+import { validatePromptActivation, getAllPromptsWithState, parsePromptDirectives, evaluateMessageTriggers, getCurrentMessageCount, getConditionContext, setActiveLorebookEntries, getActiveLorebookEntries, isBlockingIncompatiblePrompts } from './prompt-directives.js';
+import { resolveActivationPlan, planHasSideEffects, describePlan } from './dependency-resolver.js';
+import { recordTriggerToggle, switchChatTriggerState } from './trigger-state.js';
+import { applyPromptStates } from './batch-toggle.js';
+import { PromptHistory } from '../prompts/prompt-history.js';
+import { showConflictToast, showMessageTriggerToast, showActivationPlanToast } from './directive-ui.js';
 import { promptManager } from '../../../../../openai.js';
-import { eventSource, event_types } from '../../../../../../script.js';
+import { eventSource, event_types, chat_metadata } from '../../../../../../script.js';
+import { getContext } from '../../../../../extensions.js';
 
 // Track which prompts are currently being validated (prevents double popups)
 const validatingPrompts = new Set();
@@ -95,60 +100,78 @@ function handlePromptToggleClick(event) {
     validateAndToggle(identifier, promptElement);
 }
 
+/**
+ * Toggle a prompt from outside the prompt list (graph view, panels)
+ * Enabling goes through the same validation and plan preview as a toggle click.
+ * @param {string} identifier - Prompt identifier
+ */
+export function togglePromptWithValidation(identifier) {
+    if (!promptManager || validatingPrompts.has(identifier)) {
+        return;
+    }
+
+    if (!promptManager.isPromptDisabledForActiveCharacter(identifier)) {
+        performToggle(identifier, false);
+        return;
+    }
+
+    validatingPrompts.add(identifier);
+    validateAndToggle(identifier, null);
+}
+
 /**
  * Validate prompt activation and show conflict UI if needed
+ * Anything that changes other prompts is resolved into a full plan first and
+ * only applied (all at once) after the user accepts it.
  */
 function validateAndToggle(promptId, toggleElement) {
     try {
         const allPrompts = getAllPromptsWithState();
-        const issues = validatePromptActivation(promptId, allPrompts);
-
-        if (issues.length === 0) {
-            // No issues, proceed with toggle
-            performToggle(promptId, true);
-            // Remove from validating set after a short delay
-            setTimeout(() => {
-                validatingPrompts.delete(promptId);
-            }, 300);
-            return;
-        }
-
-        // Check if we have errors or just warnings
-        const hasErrors = issues.some(i => i.severity === 'error');
+        const plan = resolveActivationPlan(promptId, allPrompts, {
+            conditionContext: getConditionContext(allPrompts),
+            getDirectives: parsePromptDirectives,
+            blockIncompatible: isBlockingIncompatiblePrompts()
+        });
+        const warnings = validatePromptActivation(promptId, allPrompts).filter(i => i.severity === 'warning');
+
+        if (plan.blockers.length > 0 || planHasSideEffects(plan)) {
+            if (plan.blockers.length === 0 && isPlanPreApproved(plan, allPrompts)) {
+                // The prompt opted into auto-resolution for everything in the plan
+                applyActivationPlan(plan);
+                showActivationPlanToast(plan, warnings, null);
+                setTimeout(() => {
+                    validatingPrompts.delete(promptId);
+                }, 300);
+                return;
+            }
 
-        if (!hasErrors) {
-            // Just warnings, show toast but allow proceeding
-            showConflictToast(issues, promptId, (proceed) => {
-                if (proceed) {
-                    performToggle(promptId, true);
+            showActivationPlanToast(plan, warnings, (apply) => {
+                if (apply) {
+                    applyActivationPlan(plan);
                 }
-                // Remove from validating set
                 validatingPrompts.delete(promptId);
             });
             return;
         }
 
-        // Has errors, check if we can auto-resolve
-        const canAutoResolve = checkAutoResolution(issues, allPrompts, promptId);
-
-        if (canAutoResolve) {
-            // Auto-resolve and enable
-            performAutoResolution(issues, allPrompts, promptId);
+        if (warnings.length === 0) {
+            // No issues, proceed with toggle
             performToggle(promptId, true);
-            // Remove from validating set
+            // Remove from validating set after a short delay
             setTimeout(() => {
                 validatingPrompts.delete(promptId);
             }, 300);
-        } else {
-            // Show conflict toast for manual resolution
-            showConflictToast(issues, promptId, (proceed) => {
-                if (proceed) {
-                    performToggle(promptId, true);
-                }
-                // Remove from validating set
-                validatingPrompts.delete(promptId);
-            });
+            return;
         }
+
+        // Just warnings, show toast but allow proceeding
+        showConflictToast(warnings, promptId, (proceed) => {
+            if (proceed) {
+                performToggle(promptId, true);
+            }
+            // Remove from validating set
+            validatingPrompts.delete(promptId);
+        });
     } catch (error) {
         logger.error('Error validating prompt activation:', error);
         // On error, allow the toggle to proceed
@@ -159,80 +182,73 @@ function validateAndToggle(promptId, toggleElement) {
 }
 
 /**
- * Check if issues can be auto-resolved
+ * Check if the target prompt pre-approves every step of a plan
+ * Enables need @auto-enable-dependencies, disables must be listed in @auto-disable.
  */
-function checkAutoResolution(issues, allPrompts, promptId) {
-    const prompt = allPrompts.find(p => p.identifier === promptId);
+function isPlanPreApproved(plan, allPrompts) {
+    const prompt = allPrompts.find(p => p.identifier === plan.target.identifier);
     if (!prompt || !prompt.content) return false;
 
     const directives = parsePromptDirectives(prompt.content);
 
-    // Can auto-resolve if:
-    // 1. Has auto-disable directives that match exclusive conflicts
-    // 2. Has auto-enable-dependencies and all required prompts exist
-
-    let canResolve = true;
-
-    for (const issue of issues) {
-        if (issue.type === 'exclusive' || issue.type === 'category-limit' || issue.type === 'mutual-exclusive-group') {
-            // Check if we have auto-disable for these prompts
-            const conflictingIds = [];
-            if (issue.conflictingPrompt) conflictingIds.push(issue.conflictingPrompt.identifier);
-            if (issue.conflictingPrompts) conflictingIds.push(...issue.conflictingPrompts.map(p => p.identifier));
-
-            const hasAutoDisable = conflictingIds.every(id => directives.autoDisable.includes(id));
-            if (!hasAutoDisable) {
-                canResolve = false;
-                break;
-            }
-        }
-
-        if (issue.type === 'missing-dependency') {
-            if (!directives.autoEnableDependencies) {
-                canResolve = false;
-                break;
-            }
-            if (!issue.requiredPrompt) {
-                canResolve = false;
-                break;
-            }
-        }
+    if (plan.toEnable.length > 0 && !directives.autoEnableDependencies) {
+        return false;
     }
 
-    return canResolve;
+    return plan.toDisable.every(step => directives.autoDisable.includes(step.identifier));
 }
 
 /**
- * Perform auto-resolution of conflicts
+ * Apply an activation plan in one step
+ * Either every toggle in the plan is applied or none is.
+ * @param {Object} plan - Plan from resolveActivationPlan
+ * @returns {boolean} True if the plan was applied
  */
-function performAutoResolution(issues, allPrompts, promptId) {
-    const prompt = allPrompts.find(p => p.identifier === promptId);
-    if (!prompt || !prompt.content) return;
+export function applyActivationPlan(plan) {
+    if (!promptManager) {
+        logger.warn('Prompt manager not available');
+        return false;
+    }
 
-    const directives = parsePromptDirectives(prompt.content);
+    if (plan.blockers.length > 0) {
+        logger.warn(`Rejected activation plan for ${plan.target.identifier}:`, plan.blockers.map(b => b.message));
+        return false;
+    }
 
-    for (const issue of issues) {
-        if (issue.type === 'exclusive' || issue.type === 'category-limit' || issue.type === 'mutual-exclusive-group') {
-            // Auto-disable conflicting prompts
-            if (issue.conflictingPrompt) {
-                performToggle(issue.conflictingPrompt.identifier, false);
-                logger.info(`Auto-disabled conflicting prompt: ${issue.conflictingPrompt.name}`);
-            }
-            if (issue.conflictingPrompts) {
-                for (const p of issue.conflictingPrompts) {
-                    performToggle(p.identifier, false);
-                    logger.info(`Auto-disabled conflicting prompt: ${p.name}`);
-                }
-            }
+    try {
+        const activeCharacter = promptManager.activeCharacter;
+        const changes = [
+            { identifier: plan.target.identifier, enable: true },
+            ...plan.toEnable.map(step => ({ identifier: step.identifier, enable: true })),
+            ...plan.toDisable.map(step => ({ identifier: step.identifier, enable: false }))
+        ];
+
+        // Resolve every order entry before touching any of them
+        const entries = changes.map(change => promptManager.getPromptOrderEntry(activeCharacter, change.identifier));
+        const missingIndex = entries.findIndex(entry => !entry);
+        if (missingIndex !== -1) {
+            logger.warn(`Rejected activation plan: prompt order entry not found for ${changes[missingIndex].identifier}`);
+            return false;
         }
 
-        if (issue.type === 'missing-dependency' && directives.autoEnableDependencies) {
-            // Auto-enable required prompts
-            if (issue.requiredPrompt) {
-                performToggle(issue.requiredPrompt.identifier, true);
-                logger.info(`Auto-enabled required prompt: ${issue.requiredPrompt.name}`);
+        const counts = promptManager.tokenHandler?.getCounts?.();
+        changes.forEach((change, index) => {
+            entries[index].enabled = change.enable;
+            if (counts) {
+                counts[change.identifier] = null;
             }
-        }
+        });
+
+        const changeCount = changes.length - 1;
+        PromptHistory.setNextLabel(`Enable "${plan.target.name || plan.target.identifier}"${changeCount > 0 ? ` with ${changeCount} dependent change(s)` : ''}`);
+        promptManager.render();
+        promptManager.saveServiceSettings();
+
+        logger.info(`Applied activation plan for ${plan.target.identifier}: ${describePlan(plan)}`);
+        return true;
+    } catch (error) {
+        logger.error('Error applying activation plan:', error);
+        return false;
     }
 }
 
@@ -306,8 +322,8 @@ function updateToggleUI(identifier, enabled) {
     }
 }
 
-// Track last processed message count to avoid repeated triggers
-let lastProcessedMessageCount = -1;
+// Track the last evaluated trigger inputs to avoid repeated triggers
+let lastProcessedSignature = null;
 let messageTriggerHooksInitialized = false;
 
 /**
@@ -333,10 +349,20 @@ export function initMessageTriggerHooks() {
 
     // Also check on chat changed (new chat loaded)
     eventSource.on(event_types.CHAT_CHANGED, () => {
-        lastProcessedMessageCount = -1; // Reset when chat changes
+        lastProcessedSignature = null; // Reset when chat changes
+        setActiveLorebookEntries([]);
+        // Each chat keeps its own trigger-driven prompt states
+        switchChatTriggerState();
         setTimeout(checkMessageTriggers, 200);
     });
 
+    // Remember which lorebook entries the last World Info scan activated
+    if (event_types.WORLD_INFO_ACTIVATED) {
+        eventSource.on(event_types.WORLD_INFO_ACTIVATED, (entries) => {
+            setActiveLorebookEntries(entries);
+        });
+    }
+
     // Check on generation started (for pre-generation triggers)
     eventSource.on(event_types.GENERATION_STARTED, () => {
         checkMessageTriggers();
@@ -352,9 +378,10 @@ export function initMessageTriggerHooks() {
 export async function checkMessageTriggers() {
     try {
         const messageCount = getCurrentMessageCount();
+        const signature = getTriggerInputSignature(messageCount);
 
-        // Skip if we've already processed this message count
-        if (messageCount === lastProcessedMessageCount) {
+        // Skip if nothing the triggers read has changed since the last check
+        if (signature === lastProcessedSignature) {
             return;
         }
 
@@ -367,22 +394,23 @@ export async function checkMessageTriggers() {
 
         // Check if any changes need to be made
         if (triggerResult.toEnable.length === 0 && triggerResult.toDisable.length === 0) {
-            lastProcessedMessageCount = messageCount;
+            lastProcessedSignature = signature;
             return;
         }
 
         logger.info(`Message triggers at count ${messageCount}:`, triggerResult.triggered);
 
-        // Apply enables
-        for (const identifier of triggerResult.toEnable) {
-            performToggle(identifier, true);
-            logger.info(`Auto-enabled prompt via message trigger: ${identifier}`);
-        }
-
-        // Apply disables
-        for (const identifier of triggerResult.toDisable) {
-            performToggle(identifier, false);
-            logger.info(`Auto-disabled prompt via message trigger: ${identifier}`);
+        const states = [
+            ...triggerResult.toEnable.map(identifier => [identifier, true]),
+            ...triggerResult.toDisable.map(identifier => [identifier, false])
+        ];
+        const { changed } = applyPromptStates(states, { label: `Message triggers (${states.length} prompt(s))` });
+
+        // Record per chat so other chats are unaffected
+        for (const [identifier, enabled] of states) {
+            if (!changed.includes(identifier)) continue;
+            recordTriggerToggle(identifier, enabled, !enabled);
+            logger.info(`Auto-${enabled ? 'enabled' : 'disabled'} prompt via message trigger: ${identifier}`);
         }
 
         // Show notification toast if changes were made
@@ -390,17 +418,29 @@ export async function checkMessageTriggers() {
             showMessageTriggerToast(triggerResult.triggered, messageCount);
         }
 
-        lastProcessedMessageCount = messageCount;
+        lastProcessedSignature = signature;
 
     } catch (error) {
         logger.error('Error checking message triggers:', error);
     }
 }
 
+/**
+ * Summarise everything the trigger engine reads: message count, the latest
+ * message (swipes and edits keep the count), chat variables and active lorebook entries
+ */
+function getTriggerInputSignature(messageCount) {
+    const chat = getContext()?.chat || [];
+    const lastMessage = chat[chat.length - 1]?.mes || '';
+    const variables = JSON.stringify(chat_metadata?.variables || {});
+    const lorebook = getActiveLorebookEntries().map(entry => `${entry.world}/${entry.uid}`).join(',');
+    return `${messageCount}|${lastMessage}|${variables}|${lorebook}`;
+}
+
 /**
  * Manually trigger a check (for UI buttons or testing)
  */
 export function forceCheckMessageTriggers() {
-    lastProcessedMessageCount = -1;
+    lastProcessedSignature = null;
     return checkMessageTriggers();
 }
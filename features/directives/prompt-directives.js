@@ -6,8 +6,13 @@
  */
 
 import logger from '../../core/logger.js';
-import { promptManager } from '../../../../../openai.js';
-import { getContext } from '../../../../../extensions.js';
+import { escapeRegex, NEMO_EXTENSION_NAME } from '../../core/utils.js';
+import { promptManager, oai_settings } from '../../../../../openai.js';
+import { getContext, extension_settings } from '../../../../../extensions.js';
+import { chat_metadata } from '../../../../../../script.js';
+import { evaluateCondition, globMatch } from './directive-expressions.js';
+import { getEmptyDirectives, parseDirectivesFromContent } from './directive-parser.js';
+import { getModelCompatibility } from './model-compatibility.js';
 
 // Directive parsing cache for performance optimization
 // Uses a Map with content hash as key to avoid re-parsing identical content
@@ -56,16 +61,7 @@ export function parsePromptDirectives(content) {
     }
 
     // Parse directives
-    const directives = getEmptyDirectives();
-
-    // Extract all {{// ... }} blocks
-    const commentRegex = /\{\{\/\/(.*?)\}\}/g;
-    let match;
-
-    while ((match = commentRegex.exec(content)) !== null) {
-        const comment = match[1].trim();
-        parseDirectiveLine(comment, directives);
-    }
+    const directives = parseDirectivesFromContent(content);
 
     // Store in cache
     if (directiveCache.size >= CACHE_MAX_SIZE) {
@@ -82,344 +78,6 @@ export function parsePromptDirectives(content) {
     return directives;
 }
 
-/**
- * Get empty directives object
- * @returns {Object}
- */
-function getEmptyDirectives() {
-    return {
-        // Existing directives
-        tooltip: null,
-        exclusiveWith: [],
-        exclusiveWithMessage: null,
-        requires: [],
-        requiresMessage: null,
-        conflictsWith: [],
-        conflictsMessage: null,
-        warning: null,
-        categories: [],
-        maxOnePerCategory: null,
-        deprecated: null,
-        autoDisable: [],
-        autoEnableDependencies: false,
-        author: null,
-        version: null,
-        incompatibleApis: [],
-        recommendedWith: [],
-
-        // Core Organization
-        tags: [],
-        group: null,
-        groupDescription: null,
-        mutualExclusiveGroup: null,
-        priority: null,
-
-        // Visibility & Conditionals
-        ifEnabled: [],
-        ifDisabled: [],
-        ifApi: [],
-        hidden: false,
-
-        // Setup & Defaults
-        defaultEnabled: false,
-        recommendedForBeginners: false,
-        advanced: false,
-
-        // Performance & Resources
-        tokenCost: null,
-        tokenCostWarn: null,
-        performanceImpact: null,
-
-        // Help & Documentation
-        help: null,
-        documentationUrl: null,
-        example: null,
-        changelog: null,
-
-        // Visual Customization
-        icon: null,
-        color: null,
-        badge: null,
-        highlight: false,
-
-        // Profiles & Presets
-        profiles: [],
-        presetName: null,
-        presetVersion: null,
-        requiresPresetVersion: null,
-
-        // Quality & Status
-        unstable: null,
-        experimental: null,
-        testedWith: [],
-
-        // Model Optimization
-        modelOptimized: [],
-        modelIncompatible: [],
-        recommendedApi: [],
-
-        // Smart Behavior
-        autoEnableWith: [],
-        suggestEnableWith: [],
-        loadOrder: null,
-
-        // Message-Based Triggers (NEW)
-        enableAtMessage: null,      // Auto-enable at this message count
-        disableAtMessage: null,     // Auto-disable at this message count
-        messageRange: null,         // {start: N, end: M} - only active between these message counts
-        enableAfterMessage: null,   // Enable after N messages (stays enabled)
-        disableAfterMessage: null   // Disable after N messages (stays disabled)
-    };
-}
-
-/**
- * Parse a single directive line
- * @param {string} line - The directive line
- * @param {Object} directives - Directives object to populate
- */
-function parseDirectiveLine(line, directives) {
-    // @tooltip - Hover text description
-    if (line.startsWith('@tooltip ')) {
-        directives.tooltip = line.substring(9).trim();
-    }
-    // @exclusive-with - Mutually exclusive prompts
-    else if (line.startsWith('@exclusive-with ')) {
-        const ids = line.substring(16).split(',').map(id => id.trim());
-        directives.exclusiveWith.push(...ids);
-    }
-    // @exclusive-with-message - Custom conflict message
-    else if (line.startsWith('@exclusive-with-message ')) {
-        directives.exclusiveWithMessage = line.substring(24).trim();
-    }
-    // @requires - Required dependencies
-    else if (line.startsWith('@requires ')) {
-        const ids = line.substring(10).split(',').map(id => id.trim());
-        directives.requires.push(...ids);
-    }
-    // @requires-message - Custom dependency message
-    else if (line.startsWith('@requires-message ')) {
-        directives.requiresMessage = line.substring(18).trim();
-    }
-    // @conflicts-with - Soft conflicts (warning only)
-    else if (line.startsWith('@conflicts-with ')) {
-        const ids = line.substring(16).split(',').map(id => id.trim());
-        directives.conflictsWith.push(...ids);
-    }
-    // @conflicts-message - Custom conflict warning message
-    else if (line.startsWith('@conflicts-message ')) {
-        directives.conflictsMessage = line.substring(19).trim();
-    }
-    // @warning - General warning when enabled
-    else if (line.startsWith('@warning ')) {
-        directives.warning = line.substring(9).trim();
-    }
-    // @category - Group prompts
-    else if (line.startsWith('@category ')) {
-        const cats = line.substring(10).split(',').map(c => c.trim());
-        directives.categories.push(...cats);
-    }
-    // @max-one-per-category - Only one prompt per category
-    else if (line.startsWith('@max-one-per-category ')) {
-        directives.maxOnePerCategory = line.substring(22).trim();
-    }
-    // @deprecated - Mark as outdated
-    else if (line.startsWith('@deprecated ')) {
-        directives.deprecated = line.substring(12).trim();
-    }
-    // @auto-disable - Auto-disable other prompts when this is enabled
-    else if (line.startsWith('@auto-disable ')) {
-        const ids = line.substring(14).split(',').map(id => id.trim());
-        directives.autoDisable.push(...ids);
-    }
-    // @auto-enable-dependencies - Auto-enable required prompts
-    else if (line.startsWith('@auto-enable-dependencies')) {
-        directives.autoEnableDependencies = true;
-    }
-    // @author - Prompt author
-    else if (line.startsWith('@author ')) {
-        directives.author = line.substring(8).trim();
-    }
-    // @version - Prompt version
-    else if (line.startsWith('@version ')) {
-        directives.version = line.substring(9).trim();
-    }
-    // @incompatible-api - APIs this doesn't work with
-    else if (line.startsWith('@incompatible-api ')) {
-        const apis = line.substring(18).split(',').map(api => api.trim().toLowerCase());
-        directives.incompatibleApis.push(...apis);
-    }
-    // @recommended-with - Prompts that work well together
-    else if (line.startsWith('@recommended-with ')) {
-        const ids = line.substring(18).split(',').map(id => id.trim());
-        directives.recommendedWith.push(...ids);
-    }
-
-    // === NEW DIRECTIVES ===
-
-    // Core Organization
-    else if (line.startsWith('@tags ')) {
-        const tags = line.substring(6).split(',').map(t => t.trim());
-        directives.tags.push(...tags);
-    }
-    else if (line.startsWith('@group ')) {
-        directives.group = line.substring(7).trim();
-    }
-    else if (line.startsWith('@group-description ')) {
-        directives.groupDescription = line.substring(19).trim();
-    }
-    else if (line.startsWith('@mutual-exclusive-group ')) {
-        directives.mutualExclusiveGroup = line.substring(24).trim();
-    }
-    else if (line.startsWith('@priority ')) {
-        directives.priority = parseInt(line.substring(10).trim());
-    }
-
-    // Visibility & Conditionals
-    else if (line.startsWith('@if-enabled ')) {
-        const ids = line.substring(12).split(',').map(id => id.trim());
-        directives.ifEnabled.push(...ids);
-    }
-    else if (line.startsWith('@if-disabled ')) {
-        const ids = line.substring(13).split(',').map(id => id.trim());
-        directives.ifDisabled.push(...ids);
-    }
-    else if (line.startsWith('@if-api ')) {
-        const apis = line.substring(8).split(',').map(api => api.trim().toLowerCase());
-        directives.ifApi.push(...apis);
-    }
-    else if (line.startsWith('@hidden')) {
-        directives.hidden = true;
-    }
-
-    // Setup & Defaults
-    else if (line.startsWith('@default-enabled')) {
-        directives.defaultEnabled = true;
-    }
-    else if (line.startsWith('@recommended-for-beginners')) {
-        directives.recommendedForBeginners = true;
-    }
-    else if (line.startsWith('@advanced')) {
-        directives.advanced = true;
-    }
-
-    // Performance & Resources
-    else if (line.startsWith('@token-cost ')) {
-        directives.tokenCost = parseInt(line.substring(12).trim());
-    }
-    else if (line.startsWith('@token-cost-warn ')) {
-        directives.tokenCostWarn = parseInt(line.substring(17).trim());
-    }
-    else if (line.startsWith('@performance-impact ')) {
-        directives.performanceImpact = line.substring(20).trim().toLowerCase();
-    }
-
-    // Help & Documentation
-    else if (line.startsWith('@help ')) {
-        directives.help = line.substring(6).trim();
-    }
-    else if (line.startsWith('@documentation-url ')) {
-        directives.documentationUrl = line.substring(19).trim();
-    }
-    else if (line.startsWith('@example ')) {
-        directives.example = line.substring(9).trim();
-    }
-    else if (line.startsWith('@changelog ')) {
-        directives.changelog = line.substring(11).trim();
-    }
-
-    // Visual Customization
-    else if (line.startsWith('@icon ')) {
-        directives.icon = line.substring(6).trim();
-    }
-    else if (line.startsWith('@color ')) {
-        directives.color = line.substring(7).trim();
-    }
-    else if (line.startsWith('@badge ')) {
-        directives.badge = line.substring(7).trim();
-    }
-    else if (line.startsWith('@highlight')) {
-        directives.highlight = true;
-    }
-
-    // Profiles & Presets
-    else if (line.startsWith('@profile ')) {
-        const profiles = line.substring(9).split(',').map(p => p.trim());
-        directives.profiles.push(...profiles);
-    }
-    else if (line.startsWith('@preset-name ')) {
-        directives.presetName = line.substring(13).trim();
-    }
-    else if (line.startsWith('@preset-version ')) {
-        directives.presetVersion = line.substring(16).trim();
-    }
-    else if (line.startsWith('@requires-preset-version ')) {
-        directives.requiresPresetVersion = line.substring(25).trim();
-    }
-
-    // Quality & Status
-    else if (line.startsWith('@unstable ')) {
-        directives.unstable = line.substring(10).trim();
-    }
-    else if (line.startsWith('@experimental ')) {
-        directives.experimental = line.substring(14).trim();
-    }
-    else if (line.startsWith('@tested-with ')) {
-        const items = line.substring(13).split(',').map(i => i.trim());
-        directives.testedWith.push(...items);
-    }
-
-    // Model Optimization
-    else if (line.startsWith('@model-optimized ')) {
-        const models = line.substring(17).split(',').map(m => m.trim());
-        directives.modelOptimized.push(...models);
-    }
-    else if (line.startsWith('@model-incompatible ')) {
-        const models = line.substring(20).split(',').map(m => m.trim());
-        directives.modelIncompatible.push(...models);
-    }
-    else if (line.startsWith('@recommended-api ')) {
-        const apis = line.substring(17).split(',').map(api => api.trim().toLowerCase());
-        directives.recommendedApi.push(...apis);
-    }
-
-    // Smart Behavior
-    else if (line.startsWith('@auto-enable-with ')) {
-        const ids = line.substring(18).split(',').map(id => id.trim());
-        directives.autoEnableWith.push(...ids);
-    }
-    else if (line.startsWith('@suggest-enable-with ')) {
-        const ids = line.substring(21).split(',').map(id => id.trim());
-        directives.suggestEnableWith.push(...ids);
-    }
-    else if (line.startsWith('@load-order ')) {
-        directives.loadOrder = parseInt(line.substring(12).trim());
-    }
-
-    // Message-Based Triggers (NEW)
-    else if (line.startsWith('@enable-at-message ')) {
-        directives.enableAtMessage = parseInt(line.substring(19).trim());
-    }
-    else if (line.startsWith('@disable-at-message ')) {
-        directives.disableAtMessage = parseInt(line.substring(20).trim());
-    }
-    else if (line.startsWith('@message-range ')) {
-        const rangeStr = line.substring(15).trim();
-        const match = rangeStr.match(/^(\d+)\s*-\s*(\d+)?$/);
-        if (match) {
-            directives.messageRange = {
-                start: parseInt(match[1]),
-                end: match[2] ? parseInt(match[2]) : Infinity
-            };
-        }
-    }
-    else if (line.startsWith('@enable-after-message ')) {
-        directives.enableAfterMessage = parseInt(line.substring(22).trim());
-    }
-    else if (line.startsWith('@disable-after-message ')) {
-        directives.disableAfterMessage = parseInt(line.substring(23).trim());
-    }
-}
-
 /**
  * Validate a prompt activation and return any issues
  * @param {string} promptId - ID of prompt being enabled
@@ -527,6 +185,21 @@ export function validatePromptActivation(promptId, allPrompts) {
         }
     }
 
+    // Check enable-if (expression must hold for the prompt to be enabled)
+    if (directives.enableIf?.ast) {
+        const conditionContext = getConditionContext(allPrompts);
+        if (!evaluateCondition(directives.enableIf, conditionContext)) {
+            issues.push({
+                type: 'condition',
+                severity: 'error',
+                message: `"${prompt.name}" can only be enabled when: ${directives.enableIf.source}`,
+                currentPrompt: prompt,
+                condition: directives.enableIf.source,
+                directive: 'enable-if'
+            });
+        }
+    }
+
     // Check conflicts-with (soft conflict - warning only)
     for (const conflictId of directives.conflictsWith) {
         const conflictingPrompt = allPrompts.find(p => p.identifier === conflictId && p.enabled);
@@ -562,6 +235,30 @@ export function validatePromptActivation(promptId, allPrompts) {
         }
     }
 
+    // Check model and API compatibility (blocking is decided by the activation plan)
+    const hasCompatibilityDirectives = directives.modelIncompatible.length > 0 || directives.incompatibleApis.length > 0 || directives.recommendedApi.length > 0;
+    const compatibility = hasCompatibilityDirectives
+        ? getModelCompatibility(directives, { model: getCurrentModelId(), apis: getCurrentApiNames() })
+        : { incompatible: [], notRecommended: null };
+    if (compatibility.incompatible.length > 0 && !isBlockingIncompatiblePrompts()) {
+        issues.push({
+            type: 'model-incompatible',
+            severity: 'warning',
+            message: `"${prompt.name}" is ${compatibility.incompatible.join(' and ')}.`,
+            currentPrompt: prompt,
+            directive: 'model-incompatible'
+        });
+    }
+    if (compatibility.notRecommended) {
+        issues.push({
+            type: 'api-not-recommended',
+            severity: 'warning',
+            message: `"${prompt.name}" is meant for ${compatibility.notRecommended}.`,
+            currentPrompt: prompt,
+            directive: 'recommended-api'
+        });
+    }
+
     // Check for deprecated
     if (directives.deprecated) {
         issues.push({
@@ -618,6 +315,41 @@ export function validatePromptActivation(promptId, allPrompts) {
     return deduplicatedIssues;
 }
 
+/**
+ * Validate a complete set of prompt states in one pass
+ * Only errors that involve a changed prompt are returned, so problems that
+ * existed before the change are not reported again.
+ * @param {Array} allPrompts - All prompts with their target states
+ * @param {string[]} changedIds - Identifiers whose state changed
+ * @returns {Array} Array of validation issues
+ */
+export function validatePromptStates(allPrompts, changedIds) {
+    const changed = new Set(changedIds);
+    const seen = new Set();
+    const issues = [];
+
+    for (const prompt of allPrompts) {
+        if (!prompt.enabled || !prompt.content) continue;
+
+        for (const issue of validatePromptActivation(prompt.identifier, allPrompts)) {
+            if (issue.severity !== 'error') continue;
+
+            const involved = [issue.currentPrompt, issue.conflictingPrompt, issue.requiredPrompt, ...(issue.conflictingPrompts || [])]
+                .filter(Boolean)
+                .map(p => p.identifier);
+            if (!involved.some(identifier => changed.has(identifier))) continue;
+
+            // Both sides of a conflict report it; keep one
+            const key = `${issue.type}|${[...new Set(involved)].sort().join(',')}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            issues.push(issue);
+        }
+    }
+
+    return issues;
+}
+
 /**
  * Get all prompts with their enabled state
  * @returns {Array} Array of prompts
@@ -642,6 +374,120 @@ export function getAllPromptsWithState() {
     }
 }
 
+// Chat completion sources whose model setting key is not `${source}_model`
+const MODEL_SETTING_KEYS = {
+    makersuite: 'google_model',
+    mistralai: 'mistralai_model',
+    zerooneai: 'zerooneai_model'
+};
+
+/**
+ * Get the names the current API is known by (main API and chat completion source)
+ * @returns {string[]} Lowercase API names
+ */
+export function getCurrentApiNames() {
+    const names = new Set();
+    try {
+        const context = getContext();
+        if (context?.mainApi) names.add(String(context.mainApi).toLowerCase());
+        if (context?.mainApi === 'openai' && oai_settings?.chat_completion_source) {
+            names.add(String(oai_settings.chat_completion_source).toLowerCase());
+        }
+    } catch (error) {
+        logger.error('Error getting current API:', error);
+    }
+    return Array.from(names);
+}
+
+/**
+ * Get the currently selected model id
+ * @returns {string} Model id, or an empty string if unknown
+ */
+export function getCurrentModelId() {
+    try {
+        const context = getContext();
+        if (context?.mainApi === 'openai') {
+            if (typeof context.getChatCompletionModel === 'function') {
+                return context.getChatCompletionModel() || '';
+            }
+            const source = oai_settings?.chat_completion_source;
+            const key = MODEL_SETTING_KEYS[source] || `${source}_model`;
+            return oai_settings?.[key] || '';
+        }
+        return context?.onlineStatus && context.onlineStatus !== 'no_connection' ? context.onlineStatus : '';
+    } catch (error) {
+        logger.error('Error getting current model:', error);
+        return '';
+    }
+}
+
+/**
+ * Whether enabling prompts incompatible with the current model is blocked
+ * @returns {boolean}
+ */
+export function isBlockingIncompatiblePrompts() {
+    return extension_settings?.[NEMO_EXTENSION_NAME]?.blockIncompatiblePrompts ?? false;
+}
+
+/**
+ * Build the context used to evaluate directive expressions
+ * @param {Array} allPrompts - All prompts with their states
+ * @param {Object} [overrides] - Values to use instead of the live ones (e.g. messageCount)
+ * @returns {Object} Condition context for evaluateCondition
+ */
+export function getConditionContext(allPrompts, overrides = {}) {
+    const enabledIds = new Set(allPrompts.filter(p => p.enabled).map(p => p.identifier));
+
+    return {
+        isPromptEnabled: (id) => enabledIds.has(id),
+        apis: getCurrentApiNames(),
+        model: getCurrentModelId(),
+        messageCount: getCurrentMessageCount(),
+        getVariable: (name) => {
+            const localValue = chat_metadata?.variables?.[name];
+            if (localValue !== undefined) return localValue;
+            return extension_settings?.variables?.global?.[name];
+        },
+        ...overrides
+    };
+}
+
+/**
+ * Decide whether a prompt should be shown in the prompt list
+ * Combines the legacy @if-enabled / @if-disabled / @if-api lists with @visible-if.
+ * @param {Object} directives - Parsed directives of the prompt
+ * @param {Array} allPrompts - All prompts with their states
+ * @param {Object} [conditionContext] - Pre-built condition context (built on demand otherwise)
+ * @returns {boolean} True if the prompt should be visible
+ */
+export function isPromptVisible(directives, allPrompts, conditionContext = null) {
+    if (directives.hidden) return false;
+
+    if (directives.ifEnabled.length > 0) {
+        const anyEnabled = directives.ifEnabled.some(id => allPrompts.some(p => p.identifier === id && p.enabled));
+        if (!anyEnabled) return false;
+    }
+
+    if (directives.ifDisabled.length > 0) {
+        const allDisabled = directives.ifDisabled.every(id => !allPrompts.some(p => p.identifier === id && p.enabled));
+        if (!allDisabled) return false;
+    }
+
+    if (directives.ifApi.length > 0 || directives.visibleIf?.ast) {
+        const context = conditionContext || getConditionContext(allPrompts);
+
+        if (directives.ifApi.length > 0 && !directives.ifApi.some(api => context.apis.includes(api))) {
+            return false;
+        }
+
+        if (!evaluateCondition(directives.visibleIf, context)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
 /**
  * Documentation for the directive system
  */
@@ -759,7 +605,8 @@ Automatically disable listed prompts when this one is enabled.
 ---
 
 ### @auto-enable-dependencies
-Automatically enable required prompts instead of showing error.
+Automatically enable required prompts instead of asking first.
+Requirements are followed all the way down: if A requires B and B requires C, enabling A enables B and C.
 
 **Example:**
 \\{\\{// @requires core-rules }}
@@ -799,8 +646,58 @@ Suggest prompts that work well together.
 
 ---
 
+## Conditional Expressions
+
+Conditions combine predicates with AND, OR, NOT and parentheses (&&, || and ! also work).
+
+**Predicates:**
+- \`prompt-id\` or \`enabled:prompt-id\` - prompt is enabled
+- \`disabled:prompt-id\` - prompt is disabled
+- \`api:openai\` - current API or chat completion source (supports * wildcards)
+- \`model:claude-3*\` - current model (supports * wildcards)
+- \`messages > 20\` - chat message count (==, !=, >, >=, <, <=)
+- \`var:mood == angry\` - chat variable comparison; \`var:mood\` alone checks it is set
+
+Quote identifiers that contain spaces: \`"my prompt" AND NOT api:openai\`
+
+---
+
+### @visible-if <expression>
+Only show this prompt in the prompt manager while the expression is true.
+
+**Example:**
+\\{\\{// @visible-if (combat-pack OR horror-pack) AND NOT api:openai AND messages > 20 }}
+
+---
+
+### @enable-if <expression>
+This prompt can only be enabled while the expression is true.
+
+**Example:**
+\\{\\{// @enable-if model:claude* OR model:gemini* }}
+
+---
+
+### @enable-when <expression>
+Automatically enable this prompt when the expression becomes true (checked on every message).
+
+**Example:**
+\\{\\{// @enable-when var:act >= 2 AND NOT finale }}
+
+---
+
+### @disable-when <expression>
+Automatically disable this prompt when the expression becomes true (checked on every message).
+
+**Example:**
+\\{\\{// @disable-when messages > 200 OR var:mood == calm }}
+
+---
+
 ## Message-Based Triggers
 
+Toggles made by triggers belong to the chat they happened in. Switching chats reverts them and restores the toggles recorded for the other chat, so a new chat starts from the preset as saved.
+
 ### @enable-at-message <number>
 Automatically enable this prompt when the chat reaches this many messages.
 
@@ -849,6 +746,41 @@ Disable this prompt permanently after the specified message count.
 
 ---
 
+## Story-State Triggers
+
+These are checked after every message, alongside the message-based triggers. Each enable directive has a matching disable directive.
+
+### @enable-when-var <name> [op value]
+### @disable-when-var <name> [op value]
+Toggle this prompt based on a chat variable (set with /setvar). Operators: == != > >= < <=. A bare name checks that the variable is set and not 0/false.
+
+**Example:**
+\\{\\{// @enable-when-var mood == angry }}
+\\{\\{// @disable-when-var mood == calm }}
+
+---
+
+### @enable-when-keyword <word, word, ...>
+### @disable-when-keyword <word, word, ...>
+Toggle this prompt when a keyword appears in the last few messages. Plain keywords match whole words, ignoring case. Wrap a keyword in slashes to use a regex; commas inside it do not split the list.
+
+**Example:**
+\\{\\{// @enable-when-keyword dragon, wyvern, /drake(s)?/i }}
+
+### @keyword-scan-depth <number>
+How many recent messages the keyword triggers scan (default 5).
+
+---
+
+### @enable-when-lorebook-entry-active <entry, entry, ...>
+### @disable-when-lorebook-entry-active <entry, entry, ...>
+Toggle this prompt when a World Info entry was activated for the last generation. Match the entry by its title (wildcards allowed), its UID, or "lorebook/UID".
+
+**Example:**
+\\{\\{// @enable-when-lorebook-entry-active Dragon Lair }}
+
+---
+
 ## Complete Example
 
 \\{\\{// @tooltip Master realism toggle for grounded, believable stories }}
@@ -869,6 +801,9 @@ Characters face real challenges and limitations.
 - Comments are stripped before sending to AI
 - Test your directives by toggling prompts
 - Use clear, helpful messages for users
+- Enabling a prompt that needs other changes shows the full plan first (everything it transitively requires, plus anything that must be disabled because of exclusions). Apply it in one step or cancel; nothing is toggled until you choose
+- Open **Directive Check** above the prompt list to see typos, missing prompt IDs, \`@requires\` cycles and contradictions; click a problem to jump to the prompt
+- Check a preset file before sharing it: \`node features/directives/lint-preset-cli.js my-preset.json\`
 
 ---
 
@@ -901,6 +836,9 @@ export function evaluateMessageTriggers(messageCount, allPrompts) {
         return result;
     }
 
+    let conditionContext = null;
+    let chat = null;
+
     for (const prompt of allPrompts) {
         if (!prompt.content) continue;
 
@@ -982,11 +920,172 @@ export function evaluateMessageTriggers(messageCount, allPrompts) {
                 });
             }
         }
+
+        // @enable-when / @disable-when - Expression triggers
+        if (directives.enableWhen?.ast || directives.disableWhen?.ast) {
+            conditionContext = conditionContext || getConditionContext(allPrompts, { messageCount });
+
+            if (!isEnabled && directives.enableWhen?.ast && evaluateCondition(directives.enableWhen, conditionContext, false)) {
+                result.toEnable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'enable',
+                    reason: `Condition met: ${directives.enableWhen.source}`
+                });
+            } else if (isEnabled && directives.disableWhen?.ast && evaluateCondition(directives.disableWhen, conditionContext, false)) {
+                result.toDisable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'disable',
+                    reason: `Condition met: ${directives.disableWhen.source}`
+                });
+            }
+        }
+
+        // @enable-when-var / @disable-when-var - Chat variable comparisons
+        if (directives.enableWhenVar?.ast || directives.disableWhenVar?.ast) {
+            conditionContext = conditionContext || getConditionContext(allPrompts, { messageCount });
+
+            if (!isEnabled && directives.enableWhenVar?.ast && evaluateCondition(directives.enableWhenVar, conditionContext, false)) {
+                result.toEnable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'enable',
+                    reason: `Variable condition met: ${directives.enableWhenVar.source.substring(4)}`
+                });
+            } else if (isEnabled && directives.disableWhenVar?.ast && evaluateCondition(directives.disableWhenVar, conditionContext, false)) {
+                result.toDisable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'disable',
+                    reason: `Variable condition met: ${directives.disableWhenVar.source.substring(4)}`
+                });
+            }
+        }
+
+        // @enable-when-keyword / @disable-when-keyword - Keywords in recent messages
+        if (directives.enableWhenKeyword.length > 0 || directives.disableWhenKeyword.length > 0) {
+            chat = chat || getContext()?.chat || [];
+            const depth = directives.keywordScanDepth > 0 ? directives.keywordScanDepth : DEFAULT_KEYWORD_SCAN_DEPTH;
+            const enableKeyword = !isEnabled && findKeywordInRecentMessages(directives.enableWhenKeyword, chat, depth);
+            const disableKeyword = isEnabled && findKeywordInRecentMessages(directives.disableWhenKeyword, chat, depth);
+
+            if (enableKeyword) {
+                result.toEnable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'enable',
+                    reason: `Keyword "${enableKeyword}" found in the last ${depth} messages`
+                });
+            } else if (disableKeyword) {
+                result.toDisable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'disable',
+                    reason: `Keyword "${disableKeyword}" found in the last ${depth} messages`
+                });
+            }
+        }
+
+        // @enable-when-lorebook-entry-active / @disable-when-lorebook-entry-active
+        if (directives.enableWhenLorebook.length > 0 || directives.disableWhenLorebook.length > 0) {
+            const enableEntry = !isEnabled && directives.enableWhenLorebook.find(isLorebookEntryActive);
+            const disableEntry = isEnabled && directives.disableWhenLorebook.find(isLorebookEntryActive);
+
+            if (enableEntry) {
+                result.toEnable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'enable',
+                    reason: `Lorebook entry "${enableEntry}" is active`
+                });
+            } else if (disableEntry) {
+                result.toDisable.push(prompt.identifier);
+                result.triggered.push({
+                    id: prompt.identifier,
+                    name: prompt.name,
+                    action: 'disable',
+                    reason: `Lorebook entry "${disableEntry}" is active`
+                });
+            }
+        }
     }
 
     return result;
 }
 
+// Messages scanned by @enable-when-keyword / @disable-when-keyword unless @keyword-scan-depth says otherwise
+const DEFAULT_KEYWORD_SCAN_DEPTH = 5;
+
+// Lorebook entries activated by the most recent World Info scan (set from the hooks)
+let activeLorebookEntries = [];
+
+/**
+ * Remember which lorebook entries the last World Info scan activated
+ * @param {Array<Object>} entries - Entries from the WORLD_INFO_ACTIVATED event
+ */
+export function setActiveLorebookEntries(entries) {
+    activeLorebookEntries = (Array.isArray(entries) ? entries : []).map(entry => ({
+        name: entry.comment || '',
+        uid: entry.uid,
+        world: entry.world || '',
+        keys: Array.isArray(entry.key) ? entry.key : []
+    }));
+}
+
+/**
+ * Get the lorebook entries activated by the last World Info scan
+ * @returns {Array<{name: string, uid: *, world: string, keys: string[]}>}
+ */
+export function getActiveLorebookEntries() {
+    return activeLorebookEntries;
+}
+
+/**
+ * Check whether a lorebook entry reference matches an active entry
+ * Matches the entry title (wildcards allowed), its UID, or "world/uid".
+ */
+function isLorebookEntryActive(reference) {
+    return activeLorebookEntries.some(entry =>
+        globMatch(reference, entry.name) ||
+        String(entry.uid) === reference ||
+        `${entry.world}/${entry.uid}` === reference
+    );
+}
+
+/**
+ * Find the first keyword that appears in the last messages of the chat
+ * Plain keywords match whole words case-insensitively; /pattern/flags is used as a regex.
+ * @param {string[]} keywords - Keywords to look for
+ * @param {Array<Object>} chat - Chat messages
+ * @param {number} depth - Number of recent messages to scan
+ * @returns {string|null} The matching keyword
+ */
+function findKeywordInRecentMessages(keywords, chat, depth) {
+    const text = chat.slice(-depth).map(message => message?.mes || '').join('\n');
+    if (!text) return null;
+
+    return keywords.find(keyword => {
+        const regexMatch = keyword.match(/^\/(.+)\/([a-z]*)$/);
+        try {
+            const regex = regexMatch
+                ? new RegExp(regexMatch[1], regexMatch[2])
+                : new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegex(keyword)}($|[^\\p{L}\\p{N}_])`, 'iu');
+            return regex.test(text);
+        } catch (error) {
+            logger.warn(`Invalid keyword trigger "${keyword}":`, error.message);
+            return false;
+        }
+    }) || null;
+}
+
 /**
  * Get current message count from SillyTavern context
  * @returns {number} Current message count
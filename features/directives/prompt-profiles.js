@@ -0,0 +1,500 @@
+/**
+ * Nemo Prompt Profiles
+ * User-made profiles: named enable/disable sets stored per preset in
+ * extension settings, so end users can build their own without editing
+ * prompt content. Profiles are created from the current state, can be diffed
+ * against it, switched from a dropdown, and optionally auto-activated for a
+ * character or API.
+ *
+ * Profiles declared with @profile in prompt content are listed alongside
+ * them and keep their existing behaviour.
+ *
+ * @module prompt-profiles
+ */
+
+import logger from '../../core/logger.js';
+import storage from '../../core/storage-migration.js';
+import { escapeHtml, showNemoModal } from '../../core/utils.js';
+import { applyPromptStates } from './batch-toggle.js';
+import { getAllPromptsWithState, parsePromptDirectives, getCurrentApiNames } from './prompt-directives.js';
+import { promptManager, oai_settings } from '../../../../../openai.js';
+import { getContext } from '../../../../../extensions.js';
+import { eventSource, event_types } from '../../../../../../script.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+
+const DIRECTIVE_PREFIX = 'directive:';
+const USER_PREFIX = 'user:';
+
+// Profile last selected in the dropdown, as a prefixed option value
+let selectedProfile = '';
+// Character/API combination the last auto-activation ran for
+let lastAutoActivationKey = null;
+
+/**
+ * Get the name of the active chat completion preset
+ * @returns {string} Preset name
+ */
+export function getCurrentPresetName() {
+    return oai_settings?.preset_settings_openai || 'Default';
+}
+
+/**
+ * Get the user profiles saved for the active preset
+ * @returns {Object<string, {states: Object<string, boolean>, createdAt: string, updatedAt: string, autoActivate: {characters: string[], apis: string[]}}>}
+ */
+export function getUserProfiles() {
+    return storage.getPromptProfiles(getCurrentPresetName());
+}
+
+/**
+ * Capture the enabled state of every prompt in the active prompt order
+ * @returns {Object<string, boolean>} States by prompt identifier
+ */
+export function captureCurrentStates() {
+    const states = {};
+    if (!promptManager?.activeCharacter) return states;
+
+    for (const entry of promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || []) {
+        states[entry.identifier] = !!entry.enabled;
+    }
+    return states;
+}
+
+/**
+ * List the prompts whose state differs from a profile
+ * Prompts the profile does not mention, or that no longer exist, are ignored.
+ * @param {Object<string, boolean>} states - Profile states
+ * @returns {Array<{identifier: string, name: string, current: boolean, target: boolean}>} Differences
+ */
+export function diffProfileStates(states) {
+    const current = captureCurrentStates();
+    const differences = [];
+
+    for (const [identifier, target] of Object.entries(states || {})) {
+        if (!(identifier in current) || current[identifier] === target) continue;
+
+        const prompt = promptManager.getPromptById(identifier);
+        differences.push({
+            identifier,
+            name: prompt?.name || identifier,
+            current: current[identifier],
+            target
+        });
+    }
+
+    return differences;
+}
+
+/**
+ * Apply profile states to the prompt order with a single render and save
+ * @param {Object<string, boolean>} states - Profile states
+ * @param {string} [label] - Undo history label
+ * @returns {number} Number of prompts changed
+ */
+export function applyProfileStates(states, label = 'Apply profile') {
+    const differences = diffProfileStates(states);
+    const targets = differences.map(difference => [difference.identifier, difference.target]);
+    return applyPromptStates(targets, { label }).changed.length;
+}
+
+/**
+ * Save the current prompt states as a user profile
+ * Updating an existing profile keeps its auto-activation rules.
+ * @param {string} name - Profile name
+ * @returns {Object} Saved profile
+ */
+export function saveProfileFromCurrent(name) {
+    const profiles = { ...getUserProfiles() };
+    const now = new Date().toISOString();
+    const existing = profiles[name];
+
+    profiles[name] = {
+        states: captureCurrentStates(),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        autoActivate: existing?.autoActivate || { characters: [], apis: [] }
+    };
+
+    storage.savePromptProfiles(getCurrentPresetName(), profiles);
+    logger.info(`Saved prompt profile "${name}" for preset "${getCurrentPresetName()}"`);
+    return profiles[name];
+}
+
+/**
+ * Delete a user profile
+ * @param {string} name - Profile name
+ */
+export function deleteProfile(name) {
+    const profiles = { ...getUserProfiles() };
+    delete profiles[name];
+    storage.savePromptProfiles(getCurrentPresetName(), profiles);
+}
+
+/**
+ * Get the profile names declared with @profile in the active preset
+ * @returns {string[]} Profile names
+ */
+export function getDirectiveProfileNames() {
+    const names = new Set();
+    for (const prompt of getAllPromptsWithState()) {
+        if (!prompt.content) continue;
+        parsePromptDirectives(prompt.content).profiles.forEach(name => names.add(name));
+    }
+    return Array.from(names);
+}
+
+/**
+ * Get the states a @profile profile implies
+ * Only prompts that declare at least one @profile take part.
+ * @param {string} name - Profile name
+ * @returns {Object<string, boolean>} States by prompt identifier
+ */
+export function getDirectiveProfileStates(name) {
+    const states = {};
+    for (const prompt of getAllPromptsWithState()) {
+        if (!prompt.content) continue;
+
+        const directives = parsePromptDirectives(prompt.content);
+        if (directives.profiles.length > 0) {
+            states[prompt.identifier] = directives.profiles.includes(name);
+        }
+    }
+    return states;
+}
+
+/**
+ * Resolve a dropdown value to its profile states
+ * @param {string} value - Prefixed profile value
+ * @returns {{name: string, states: Object<string, boolean>, isUser: boolean}|null} Profile
+ */
+function resolveProfile(value) {
+    if (value.startsWith(USER_PREFIX)) {
+        const name = value.substring(USER_PREFIX.length);
+        const profile = getUserProfiles()[name];
+        return profile ? { name, states: profile.states, isUser: true } : null;
+    }
+    if (value.startsWith(DIRECTIVE_PREFIX)) {
+        const name = value.substring(DIRECTIVE_PREFIX.length);
+        return { name, states: getDirectiveProfileStates(name), isUser: false };
+    }
+    return null;
+}
+
+/**
+ * Activate a profile by dropdown value
+ * @param {string} value - Prefixed profile value
+ * @returns {number} Number of prompts changed
+ */
+function activateProfile(value) {
+    const profile = resolveProfile(value);
+    if (!profile) return 0;
+
+    const changed = applyProfileStates(profile.states, `Activate profile "${profile.name}"`);
+    logger.info(`Activated profile "${profile.name}": ${changed} prompt(s) changed`);
+    toastr.success(`Profile "${profile.name}" activated (${changed} change${changed === 1 ? '' : 's'})`);
+    return changed;
+}
+
+/**
+ * Get the key and display name of the current character
+ * @returns {{key: string, name: string}|null} Character, or null in group chats or with none selected
+ */
+function getCurrentCharacter() {
+    const context = getContext();
+    const character = context?.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    return character ? { key: character.avatar, name: character.name } : null;
+}
+
+/**
+ * Find the user profile that should auto-activate right now
+ * A character match wins over an API match.
+ * @returns {string|null} Profile name
+ */
+export function findAutoActivationProfile() {
+    const profiles = Object.entries(getUserProfiles());
+    const character = getCurrentCharacter();
+    const apiNames = getCurrentApiNames();
+
+    if (character) {
+        const match = profiles.find(([, profile]) => profile.autoActivate?.characters?.includes(character.key));
+        if (match) return match[0];
+    }
+
+    const match = profiles.find(([, profile]) => profile.autoActivate?.apis?.some(api => apiNames.includes(api)));
+    return match ? match[0] : null;
+}
+
+/**
+ * Auto-activate a matching profile when the character or API changed
+ */
+function checkAutoActivation() {
+    try {
+        const key = `${getCurrentPresetName()}|${getCurrentCharacter()?.key || ''}|${getCurrentApiNames().join(',')}`;
+        if (key === lastAutoActivationKey) return;
+        lastAutoActivationKey = key;
+
+        const name = findAutoActivationProfile();
+        if (!name) return;
+
+        selectedProfile = `${USER_PREFIX}${name}`;
+        if (activateProfile(selectedProfile) === 0) {
+            updateProfileBar();
+        }
+    } catch (error) {
+        logger.error('Error auto-activating prompt profile:', error);
+    }
+}
+
+/**
+ * Initialize the profile bar and auto-activation
+ */
+export function initPromptProfiles() {
+    logger.info('Initializing prompt profiles');
+    setupProfileBar();
+
+    eventSource.on(event_types.CHAT_CHANGED, () => setTimeout(checkAutoActivation, 300));
+    if (event_types.CHATCOMPLETION_SOURCE_CHANGED) {
+        eventSource.on(event_types.CHATCOMPLETION_SOURCE_CHANGED, checkAutoActivation);
+    }
+    eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, () => {
+        selectedProfile = '';
+        lastAutoActivationKey = null;
+        updateProfileBar();
+    });
+}
+
+/**
+ * Inject the profile bar once the prompt manager is available
+ */
+function setupProfileBar() {
+    try {
+        const listContainer = document.querySelector('#completion_prompt_manager_list');
+        if (!listContainer) {
+            setTimeout(setupProfileBar, 1000);
+            return;
+        }
+
+        if (document.querySelector('.nemo-user-profiles')) {
+            return;
+        }
+
+        const bar = document.createElement('div');
+        bar.className = 'nemo-user-profiles';
+        bar.innerHTML = `
+            <span class="nemo-profile-label">Profile:</span>
+            <select id="nemoProfileSelect" class="text_pole" aria-label="Prompt profile"></select>
+            <button type="button" class="menu_button nemo-profile-save" title="Save current prompt states as a profile" aria-label="Save profile"><i class="fa-solid fa-floppy-disk"></i></button>
+            <button type="button" class="menu_button nemo-profile-diff" title="Compare profile with current state" aria-label="Compare profile"><i class="fa-solid fa-code-compare"></i></button>
+            <button type="button" class="menu_button nemo-profile-auto" title="Auto-activate for character or API" aria-label="Auto-activate profile"><i class="fa-solid fa-bolt"></i></button>
+            <button type="button" class="menu_button nemo-profile-delete" title="Delete profile" aria-label="Delete profile"><i class="fa-solid fa-trash-can"></i></button>
+        `;
+
+        listContainer.parentNode.insertBefore(bar, listContainer);
+
+        bar.querySelector('#nemoProfileSelect').addEventListener('change', (e) => {
+            selectedProfile = e.target.value;
+            if (selectedProfile) {
+                activateProfile(selectedProfile);
+            }
+            updateProfileBar();
+        });
+        bar.querySelector('.nemo-profile-save').addEventListener('click', handleSaveProfile);
+        bar.querySelector('.nemo-profile-diff').addEventListener('click', () => {
+            if (selectedProfile) showProfileDiff(selectedProfile);
+        });
+        bar.querySelector('.nemo-profile-auto').addEventListener('click', handleAutoActivation);
+        bar.querySelector('.nemo-profile-delete').addEventListener('click', handleDeleteProfile);
+
+        updateProfileBar();
+
+        // Mark the selection as modified when prompts are toggled by hand
+        let updateTimeout = null;
+        const observer = new MutationObserver(() => {
+            clearTimeout(updateTimeout);
+            updateTimeout = setTimeout(updateProfileBar, 300);
+        });
+        observer.observe(listContainer, { childList: true });
+
+        logger.info('Prompt profile bar setup complete');
+    } catch (error) {
+        logger.error('Error setting up prompt profile bar:', error);
+    }
+}
+
+/**
+ * Rebuild the dropdown and button states
+ */
+export function updateProfileBar() {
+    const select = document.getElementById('nemoProfileSelect');
+    if (!select) return;
+
+    try {
+        const userProfiles = getUserProfiles();
+        const userNames = Object.keys(userProfiles).sort((a, b) => a.localeCompare(b));
+        const directiveNames = getDirectiveProfileNames();
+
+        if (!resolveProfile(selectedProfile) ||
+            (selectedProfile.startsWith(DIRECTIVE_PREFIX) && !directiveNames.includes(selectedProfile.substring(DIRECTIVE_PREFIX.length)))) {
+            selectedProfile = '';
+        }
+
+        const modified = selectedProfile && diffProfileStates(resolveProfile(selectedProfile).states).length > 0;
+        const option = (value, name) => {
+            const label = value === selectedProfile && modified ? `${name} (modified)` : name;
+            return `<option value="${escapeHtml(value)}"${value === selectedProfile ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+        };
+
+        select.innerHTML = `
+            <option value="">— No profile —</option>
+            ${userNames.length ? `<optgroup label="My Profiles">${userNames.map(name => option(`${USER_PREFIX}${name}`, name)).join('')}</optgroup>` : ''}
+            ${directiveNames.length ? `<optgroup label="Preset Profiles">${directiveNames.map(name => option(`${DIRECTIVE_PREFIX}${name}`, name)).join('')}</optgroup>` : ''}
+        `;
+
+        const isUser = selectedProfile.startsWith(USER_PREFIX);
+        const bar = select.closest('.nemo-user-profiles');
+        bar.querySelector('.nemo-profile-diff').disabled = !selectedProfile;
+        bar.querySelector('.nemo-profile-auto').disabled = !isUser;
+        bar.querySelector('.nemo-profile-delete').disabled = !isUser;
+    } catch (error) {
+        logger.error('Error updating prompt profile bar:', error);
+    }
+}
+
+/**
+ * Ask for a name and save the current state as a profile
+ */
+async function handleSaveProfile() {
+    const current = selectedProfile.startsWith(USER_PREFIX) ? selectedProfile.substring(USER_PREFIX.length) : '';
+    const input = await callGenericPopup('Profile name:', POPUP_TYPE.INPUT, current);
+    const name = typeof input === 'string' ? input.trim() : '';
+    if (!name) return;
+
+    if (getUserProfiles()[name] && name !== current) {
+        const confirmed = await callGenericPopup(`Overwrite profile "${name}" with the current prompt states?`, POPUP_TYPE.CONFIRM);
+        if (!confirmed) return;
+    }
+
+    saveProfileFromCurrent(name);
+    selectedProfile = `${USER_PREFIX}${name}`;
+    updateProfileBar();
+    toastr.success(`Profile "${name}" saved`);
+}
+
+/**
+ * Delete the selected user profile after confirmation
+ */
+async function handleDeleteProfile() {
+    if (!selectedProfile.startsWith(USER_PREFIX)) return;
+
+    const name = selectedProfile.substring(USER_PREFIX.length);
+    const confirmed = await callGenericPopup(`Delete profile "${name}"?`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
+
+    deleteProfile(name);
+    selectedProfile = '';
+    updateProfileBar();
+}
+
+/**
+ * Edit the auto-activation rules of the selected user profile
+ */
+async function handleAutoActivation() {
+    if (!selectedProfile.startsWith(USER_PREFIX)) return;
+
+    const name = selectedProfile.substring(USER_PREFIX.length);
+    const profiles = { ...getUserProfiles() };
+    const profile = profiles[name];
+    if (!profile) return;
+
+    const autoActivate = {
+        characters: [...(profile.autoActivate?.characters || [])],
+        apis: [...(profile.autoActivate?.apis || [])]
+    };
+    const character = getCurrentCharacter();
+    const api = oai_settings?.chat_completion_source || getCurrentApiNames()[0];
+
+    const content = document.createElement('div');
+    content.className = 'nemo-profile-auto-form';
+    content.innerHTML = `
+        <h3>Auto-activate "${escapeHtml(name)}"</h3>
+        <label class="checkbox_label">
+            <input type="checkbox" name="character" ${character ? '' : 'disabled'} ${character && autoActivate.characters.includes(character.key) ? 'checked' : ''}>
+            ${character ? `When chatting with ${escapeHtml(character.name)}` : 'No character selected'}
+        </label>
+        <label class="checkbox_label">
+            <input type="checkbox" name="api" ${api ? '' : 'disabled'} ${api && autoActivate.apis.includes(api) ? 'checked' : ''}>
+            ${api ? `When the API is ${escapeHtml(api)}` : 'No API selected'}
+        </label>
+        <small>Also active for ${autoActivate.characters.length} character(s) and ${autoActivate.apis.length} API(s) in total. A character match wins over an API match.</small>
+    `;
+
+    const confirmed = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', { okButton: 'Save' });
+    if (!confirmed) return;
+
+    const toggle = (list, value, enabled) => {
+        const filtered = list.filter(item => item !== value);
+        return enabled ? [...filtered, value] : filtered;
+    };
+    if (character) {
+        autoActivate.characters = toggle(autoActivate.characters, character.key, content.querySelector('[name="character"]').checked);
+    }
+    if (api) {
+        autoActivate.apis = toggle(autoActivate.apis, api, content.querySelector('[name="api"]').checked);
+    }
+
+    profiles[name] = { ...profile, autoActivate };
+    storage.savePromptProfiles(getCurrentPresetName(), profiles);
+    toastr.info(`Auto-activation for "${name}" saved`);
+}
+
+/**
+ * Show the differences between a profile and the current state
+ * @param {string} value - Prefixed profile value
+ */
+function showProfileDiff(value) {
+    const profile = resolveProfile(value);
+    if (!profile) return;
+
+    const differences = diffProfileStates(profile.states);
+    const stateLabel = (enabled) => enabled
+        ? '<span class="nemo-profile-diff-on">on</span>'
+        : '<span class="nemo-profile-diff-off">off</span>';
+
+    const { modal, close: closeModal } = showNemoModal({
+        className: 'nemo-profile-diff-modal',
+        title: `Profile "${escapeHtml(profile.name)}" vs current`,
+        body: `
+            ${differences.length === 0
+                ? '<p>The current prompt states match this profile.</p>'
+                : `
+                    <table class="nemo-profile-diff-table">
+                        <thead><tr><th>Prompt</th><th>Current</th><th>Profile</th></tr></thead>
+                        <tbody>
+                            ${differences.map(difference => `
+                                <tr>
+                                    <td title="${escapeHtml(difference.identifier)}">${escapeHtml(difference.name)}</td>
+                                    <td>${stateLabel(difference.current)}</td>
+                                    <td>${stateLabel(difference.target)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <div class="nemo-toast-actions">
+                        ${profile.isUser ? '<button class="nemo-toast-btn secondary nemo-profile-diff-update">Update profile from current</button>' : ''}
+                        <button class="nemo-toast-btn primary nemo-profile-diff-apply">Apply profile</button>
+                    </div>
+                `}
+        `
+    });
+
+    modal.querySelector('.nemo-profile-diff-apply')?.addEventListener('click', () => {
+        activateProfile(value);
+        closeModal();
+    });
+    modal.querySelector('.nemo-profile-diff-update')?.addEventListener('click', () => {
+        saveProfileFromCurrent(profile.name);
+        updateProfileBar();
+        toastr.success(`Profile "${profile.name}" updated`);
+        closeModal();
+    });
+}
@@ -104,3 +104,43 @@ export const SILLYTAVERN_MACROS = [
     { macro: '{{charPrefix}}', description: 'Character-specific Image Generation positive prompt prefix.', category: 'Extensions' },
     { macro: '{{charNegativePrefix}}', description: 'Character-specific Image Generation negative prompt prefix.', category: 'Extensions' }
 ];
+
+// Macros that change variables or generation state when evaluated
+export const SIDE_EFFECT_MACROS = [
+    'setvar', 'addvar', 'incvar', 'decvar',
+    'setglobalvar', 'addglobalvar', 'incglobalvar', 'decglobalvar',
+    'bias', 'banned'
+];
+
+let macrosByName = null;
+
+/**
+ * Get the macro name from macro text, e.g. "getvar" for {{getvar::mood}}
+ * @param {string} macroText - Macro including braces
+ * @returns {string|null} Macro name, or null when the text is not a macro
+ */
+export function getMacroName(macroText) {
+    const match = /^\{\{\s*([A-Za-z_][\w]*)/.exec(macroText);
+    return match ? match[1] : null;
+}
+
+/**
+ * Find the database entry for a macro name (case-insensitive)
+ * @param {string} name - Macro name
+ * @returns {{macro: string, description: string, category: string}|null} Macro entry
+ */
+export function findMacroDefinition(name) {
+    if (!name) return null;
+
+    if (!macrosByName) {
+        macrosByName = new Map();
+        for (const entry of SILLYTAVERN_MACROS) {
+            const entryName = getMacroName(entry.macro);
+            if (entryName && !macrosByName.has(entryName.toLowerCase())) {
+                macrosByName.set(entryName.toLowerCase(), entry);
+            }
+        }
+    }
+
+    return macrosByName.get(name.toLowerCase()) || null;
+}
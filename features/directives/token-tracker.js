@@ -0,0 +1,248 @@
+/**
+ * Nemo Token Tracker
+ * Counts the tokens of every enabled prompt with the active tokenizer
+ * (after macro expansion) and shows the total against the model's context
+ * size, broken down by prompt manager section.
+ *
+ * Hand-typed @token-cost values are no longer used for the count; the lowest
+ * @token-cost-warn among enabled prompts is still the warning threshold.
+ *
+ * @module token-tracker
+ */
+
+import logger from '../../core/logger.js';
+import { escapeHtml } from '../../core/utils.js';
+import { parsePromptDirectives, getCurrentModelId } from './prompt-directives.js';
+import { parseDividerName } from '../prompts/prompt-manager.js';
+import { promptManager, oai_settings } from '../../../../../openai.js';
+import { getTokenCountAsync } from '../../../../../tokenizers.js';
+import { getStringHash } from '../../../../../utils.js';
+import { substituteParams } from '../../../../../../script.js';
+
+const CACHE_LIMIT = 1000;
+const UNGROUPED_SECTION = 'Ungrouped';
+
+// Token counts keyed by model and content hash
+const tokenCountCache = new Map();
+
+// Incremented on every refresh so slower, stale counts are dropped
+let refreshGeneration = 0;
+let refreshTimeout = null;
+
+/**
+ * Create the tracker UI above the prompt list and keep it updated
+ * @param {HTMLElement} listContainer - The #completion_prompt_manager_list element
+ * @returns {HTMLElement|null} Tracker element, or null when one already exists
+ */
+export function createTokenTracker(listContainer) {
+    if (!listContainer || document.querySelector('.nemo-token-tracker')) {
+        return null;
+    }
+
+    const trackerContainer = document.createElement('div');
+    trackerContainer.className = 'nemo-token-tracker';
+    trackerContainer.innerHTML = `
+        <div class="nemo-token-display">
+            <span class="nemo-token-label">Prompt Tokens:</span>
+            <span class="nemo-token-value" id="nemo-token-value">0</span>
+            <span class="nemo-token-context" id="nemo-token-context"></span>
+            <span class="nemo-token-warn" id="nemo-token-warn"></span>
+        </div>
+        <div class="nemo-token-bar">
+            <div class="nemo-token-fill" id="nemo-token-fill"></div>
+            <div class="nemo-token-threshold" id="nemo-token-threshold"></div>
+        </div>
+        <details class="nemo-token-breakdown">
+            <summary>Sections</summary>
+            <div class="nemo-token-sections" id="nemo-token-sections"></div>
+        </details>
+    `;
+
+    listContainer.parentNode.insertBefore(trackerContainer, listContainer);
+
+    scheduleTokenTrackerRefresh();
+
+    // Prompt toggles and edits re-render the list
+    const observer = new MutationObserver(() => scheduleTokenTrackerRefresh());
+    observer.observe(listContainer, { childList: true, subtree: false, attributes: false });
+
+    logger.info('Token tracker setup complete');
+    return trackerContainer;
+}
+
+/**
+ * Refresh the tracker shortly, collapsing bursts of list changes into one count
+ */
+export function scheduleTokenTrackerRefresh() {
+    if (refreshTimeout) clearTimeout(refreshTimeout);
+    refreshTimeout = setTimeout(() => {
+        refreshTimeout = null;
+        refreshTokenTracker();
+    }, 200);
+}
+
+/**
+ * Recount the enabled prompts and update the tracker display
+ */
+export async function refreshTokenTracker() {
+    const generation = ++refreshGeneration;
+
+    try {
+        const report = await countEnabledPromptTokens();
+        if (generation !== refreshGeneration) return;
+
+        renderTokenTracker(report);
+    } catch (error) {
+        logger.error('Error updating token tracker:', error);
+    }
+}
+
+/**
+ * Count the tokens of all enabled prompts in prompt order
+ * @returns {Promise<{total: number, contextSize: number, warnThreshold: number|null, sections: Array<{name: string, tokens: number, prompts: number}>}>}
+ */
+export async function countEnabledPromptTokens() {
+    const report = {
+        total: 0,
+        contextSize: Number(oai_settings?.openai_max_context) || 0,
+        warnThreshold: null,
+        sections: []
+    };
+
+    if (!promptManager?.activeCharacter) return report;
+
+    const promptOrder = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || [];
+    let section = null;
+
+    for (const entry of promptOrder) {
+        const prompt = promptManager.getPromptById(entry.identifier);
+        if (!prompt) continue;
+
+        // Dividers start a new section whether they are enabled or not
+        const divider = parseDividerName((prompt.name || '').trim());
+        if (divider.isDivider && !divider.isSubHeader) {
+            section = { name: divider.name, tokens: 0, prompts: 0 };
+            report.sections.push(section);
+        }
+
+        if (!entry.enabled || prompt.marker || !prompt.content) continue;
+
+        const directives = parsePromptDirectives(prompt.content);
+        if (directives.tokenCostWarn && (!report.warnThreshold || directives.tokenCostWarn < report.warnThreshold)) {
+            report.warnThreshold = directives.tokenCostWarn;
+        }
+
+        const tokens = await countPromptTokens(prompt.content);
+
+        if (!section) {
+            section = { name: UNGROUPED_SECTION, tokens: 0, prompts: 0 };
+            report.sections.push(section);
+        }
+        section.tokens += tokens;
+        section.prompts++;
+        report.total += tokens;
+    }
+
+    report.sections = report.sections.filter(entry => entry.prompts > 0);
+    return report;
+}
+
+/**
+ * Count the tokens of one prompt's content with macros expanded
+ * @param {string} content - Raw prompt content
+ * @returns {Promise<number>} Token count
+ */
+async function countPromptTokens(content) {
+    let text = content;
+    try {
+        text = substituteParams(content);
+    } catch (error) {
+        // Macros that need a chat may fail outside of one; count the raw text
+        logger.debug('Token tracker: macro expansion failed, counting raw content', error);
+    }
+
+    const key = `${getCurrentModelId() || ''}|${getStringHash(text)}`;
+    if (tokenCountCache.has(key)) {
+        return tokenCountCache.get(key);
+    }
+
+    const tokens = await getTokenCountAsync(text);
+
+    if (tokenCountCache.size >= CACHE_LIMIT) {
+        tokenCountCache.delete(tokenCountCache.keys().next().value);
+    }
+    tokenCountCache.set(key, tokens);
+    return tokens;
+}
+
+/**
+ * Render a token report into the tracker
+ * @param {Object} report - Result of countEnabledPromptTokens
+ */
+function renderTokenTracker(report) {
+    const valueElement = document.getElementById('nemo-token-value');
+    const contextElement = document.getElementById('nemo-token-context');
+    const warnElement = document.getElementById('nemo-token-warn');
+    const fillElement = document.getElementById('nemo-token-fill');
+    const thresholdElement = document.getElementById('nemo-token-threshold');
+    const sectionsElement = document.getElementById('nemo-token-sections');
+
+    const { total, contextSize, warnThreshold } = report;
+
+    if (valueElement) {
+        valueElement.textContent = total.toLocaleString();
+    }
+
+    if (contextElement) {
+        contextElement.textContent = contextSize
+            ? `/ ${contextSize.toLocaleString()} (${Math.round((total / contextSize) * 100)}% of context)`
+            : '';
+    }
+
+    if (warnElement) {
+        if (warnThreshold && total > warnThreshold) {
+            warnElement.textContent = `⚠️ Exceeds threshold (${warnThreshold.toLocaleString()})`;
+            warnElement.style.display = 'inline';
+        } else {
+            warnElement.style.display = 'none';
+        }
+    }
+
+    // The bar is scaled to the context size, falling back to the threshold
+    const scale = contextSize || warnThreshold;
+
+    if (fillElement && scale) {
+        const percentage = Math.min((total / scale) * 100, 100);
+        fillElement.style.width = `${percentage}%`;
+
+        if ((warnThreshold && total > warnThreshold) || total > scale) {
+            fillElement.style.background = '#ff4444';
+        } else if ((warnThreshold && total > warnThreshold * 0.8) || percentage > 80) {
+            fillElement.style.background = '#ffaa44';
+        } else {
+            fillElement.style.background = '#44ff88';
+        }
+    }
+
+    if (thresholdElement) {
+        if (warnThreshold && scale && warnThreshold < scale) {
+            thresholdElement.style.left = `${(warnThreshold / scale) * 100}%`;
+            thresholdElement.title = `@token-cost-warn: ${warnThreshold.toLocaleString()}`;
+            thresholdElement.style.display = 'block';
+        } else {
+            thresholdElement.style.display = 'none';
+        }
+    }
+
+    if (sectionsElement) {
+        sectionsElement.innerHTML = report.sections.map(section => {
+            const share = total ? Math.round((section.tokens / total) * 100) : 0;
+            return `
+                <div class="nemo-token-section">
+                    <span class="nemo-token-section-name">${escapeHtml(section.name)}</span>
+                    <span class="nemo-token-section-count">${section.tokens.toLocaleString()} <small>(${share}%, ${section.prompts} prompt${section.prompts === 1 ? '' : 's'})</small></span>
+                </div>
+            `;
+        }).join('') || '<div class="nemo-token-section-empty">No enabled prompts</div>';
+    }
+}
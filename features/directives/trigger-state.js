@@ -0,0 +1,125 @@
+/**
+ * Nemo Per-Chat Trigger State
+ * Message triggers toggle prompts in the shared prompt order. This module
+ * records those toggles per chat in chat_metadata and swaps them in and out
+ * on chat change, so every chat keeps its own trigger-derived state and a new
+ * chat starts from the baseline preset.
+ *
+ * The toggles currently applied on top of the preset (the "overlay") are
+ * mirrored to extension settings so they can still be reverted after a reload.
+ *
+ * @module trigger-state
+ */
+
+import logger from '../../core/logger.js';
+import storage from '../../core/storage-migration.js';
+import { PromptHistory } from '../prompts/prompt-history.js';
+import { promptManager } from '../../../../../openai.js';
+import { saveMetadataDebounced } from '../../../../../extensions.js';
+import { chat_metadata, getCurrentChatId } from '../../../../../../script.js';
+
+const METADATA_KEY = 'nemo_trigger_states';
+
+/**
+ * Get the trigger-driven states recorded for the current chat
+ * @returns {Object<string, {enabled: boolean, baseline: boolean}>} States by prompt identifier
+ */
+export function getChatTriggerStates() {
+    return chat_metadata?.[METADATA_KEY] || {};
+}
+
+/**
+ * Record a toggle made by a message trigger in the current chat
+ * @param {string} identifier - Prompt identifier
+ * @param {boolean} enabled - New state set by the trigger
+ * @param {boolean} baseline - State the prompt had before any trigger in this chat touched it
+ */
+export function recordTriggerToggle(identifier, enabled, baseline) {
+    if (!chat_metadata) return;
+
+    const states = chat_metadata[METADATA_KEY] || {};
+    const existing = states[identifier];
+
+    if (existing) {
+        existing.enabled = enabled;
+    } else {
+        states[identifier] = { enabled, baseline };
+    }
+
+    // Back at the preset state - nothing to remember
+    if (states[identifier].enabled === states[identifier].baseline) {
+        delete states[identifier];
+    }
+
+    chat_metadata[METADATA_KEY] = states;
+    saveMetadataDebounced();
+    storage.saveTriggerOverlay({ chatId: getCurrentChatId(), states: structuredClone(states) });
+}
+
+/**
+ * Swap trigger-driven states for the newly loaded chat
+ * Reverts the previous chat's overlay to the baseline, then applies the
+ * states recorded for this chat. Call on CHAT_CHANGED before evaluating triggers.
+ * @returns {{reverted: number, applied: number}} Number of prompts changed
+ */
+export function switchChatTriggerState() {
+    const result = { reverted: 0, applied: 0 };
+    if (!promptManager?.activeCharacter) return result;
+
+    try {
+        const activeCharacter = promptManager.activeCharacter;
+        const overlay = storage.getTriggerOverlay();
+
+        // Undo the previous chat's trigger toggles, unless the user has changed the prompt since
+        for (const [identifier, state] of Object.entries(overlay?.states || {})) {
+            const entry = promptManager.getPromptOrderEntry(activeCharacter, identifier);
+            if (entry && entry.enabled === state.enabled) {
+                entry.enabled = state.baseline;
+                result.reverted++;
+            }
+        }
+
+        // Apply this chat's trigger toggles on top of the baseline
+        const states = getChatTriggerStates();
+        let statesChanged = false;
+        for (const [identifier, state] of Object.entries(states)) {
+            const entry = promptManager.getPromptOrderEntry(activeCharacter, identifier);
+            if (!entry) {
+                delete states[identifier];
+                statesChanged = true;
+                continue;
+            }
+
+            // The preset may have been edited since the toggle was recorded
+            if (state.baseline !== entry.enabled) {
+                state.baseline = entry.enabled;
+                statesChanged = true;
+            }
+            if (entry.enabled !== state.enabled) {
+                entry.enabled = state.enabled;
+                result.applied++;
+            } else {
+                delete states[identifier];
+                statesChanged = true;
+            }
+        }
+
+        if (statesChanged && chat_metadata?.[METADATA_KEY]) {
+            saveMetadataDebounced();
+        }
+        storage.saveTriggerOverlay({ chatId: getCurrentChatId(), states: structuredClone(states) });
+
+        if (result.reverted > 0 || result.applied > 0) {
+            // Switching chats is not an undoable edit, and older entries hold the other chat's toggles;
+            // clearing also moves the baseline, so the save below records nothing
+            PromptHistory.clear();
+            promptManager.render();
+            promptManager.saveServiceSettings();
+            logger.info(`Trigger state switched: ${result.reverted} reverted, ${result.applied} applied for chat ${getCurrentChatId()}`);
+        }
+    } catch (error) {
+        logger.error('Error switching trigger state:', error);
+    }
+
+    return result;
+}
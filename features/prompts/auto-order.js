@@ -0,0 +1,197 @@
+/**
+ * Nemo Auto-Order
+ * Sorts prompts within each section by their @load-order and @priority
+ * directives. The computed order is shown in a preview first and only written
+ * to the prompt order on confirmation, as one undo step.
+ *
+ * The order auto-order commits is remembered per preset. Sections that were
+ * reordered by drag-and-drop since then are flagged in the preview and left
+ * unticked, so a manual order is only replaced when the user asks for it. The
+ * first time auto-order runs on a preset nothing is recorded yet, and the order
+ * the preset already has is treated as a manual one.
+ *
+ * @module auto-order
+ */
+
+import logger from '../../core/logger.js';
+import { NEMO_EXTENSION_NAME, escapeHtml, showNemoModal } from '../../core/utils.js';
+import storage from '../../core/storage-migration.js';
+import { parsePromptDirectives } from '../directives/prompt-directives.js';
+import { getCurrentPresetName } from '../directives/prompt-profiles.js';
+import { getOrderKeys, computeAutoOrder, buildAutoOrder, recordAutoOrder } from '../directives/load-order.js';
+import { parseDividerName } from './prompt-manager.js';
+import { PromptHistory } from './prompt-history.js';
+import { promptManager } from '../../../../../openai.js';
+import { extension_settings } from '../../../../../extensions.js';
+import { eventSource, event_types } from '../../../../../../script.js';
+
+const PRESET_LOAD_DELAY = 800;
+
+let presetLoadTimer = null;
+
+export function initAutoOrder() {
+    logger.info('Initializing auto-order');
+
+    eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, () => {
+        if (!(extension_settings[NEMO_EXTENSION_NAME]?.autoOrderOnPresetLoad ?? false)) return;
+        clearTimeout(presetLoadTimer);
+        presetLoadTimer = setTimeout(() => {
+            showAutoOrderPreview({ quiet: true })
+                .catch(error => logger.error('Error showing auto-order preview:', error));
+        }, PRESET_LOAD_DELAY);
+    });
+}
+
+function getPromptName(identifier) {
+    return (promptManager.getPromptById(identifier)?.name || identifier).trim();
+}
+
+function getKeys(identifier) {
+    const prompt = promptManager.getPromptById(identifier);
+    return prompt?.content ? getOrderKeys(parsePromptDirectives(prompt.content)) : null;
+}
+
+/**
+ * Compute the auto-order plan of the active prompt order
+ * @returns {ReturnType<typeof computeAutoOrder>|null} Plan, or null when the prompt manager is not ready
+ */
+export function getAutoOrderPlan() {
+    if (!promptManager?.activeCharacter) return null;
+    const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || [];
+    return computeAutoOrder(order.map(entry => entry.identifier), {
+        getKeys,
+        isDivider: identifier => parseDividerName(getPromptName(identifier)).isDivider,
+        lastApplied: storage.getAutoOrder(getCurrentPresetName())
+    });
+}
+
+/**
+ * Write a plan to the active prompt order
+ * @param {ReturnType<typeof computeAutoOrder>} plan - Computed plan
+ * @param {Set<number>} accepted - Indexes of the sections to reorder
+ */
+export function applyAutoOrder(plan, accepted) {
+    const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter);
+    const entries = new Map(order.map(entry => [entry.identifier, entry]));
+    const identifiers = buildAutoOrder(plan, accepted);
+
+    // Entries the plan does not know (added while the preview was open) stay at the end
+    const reordered = identifiers.filter(identifier => entries.has(identifier)).map(identifier => entries.get(identifier));
+    const placed = new Set(identifiers);
+    reordered.push(...order.filter(entry => !placed.has(entry.identifier)));
+
+    order.splice(0, order.length, ...reordered);
+
+    const presetName = getCurrentPresetName();
+    storage.saveAutoOrder(presetName, recordAutoOrder(plan, accepted, storage.getAutoOrder(presetName)));
+
+    PromptHistory.setNextLabel(`Auto-order ${accepted.size} section${accepted.size === 1 ? '' : 's'}`);
+    promptManager.render();
+    promptManager.saveServiceSettings();
+    logger.info(`Auto-ordered ${accepted.size} section(s)`);
+}
+
+/**
+ * Show the computed order and apply the sections the user confirms
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - Say nothing when there is nothing to reorder
+ */
+export async function showAutoOrderPreview({ quiet = false } = {}) {
+    const plan = getAutoOrderPlan();
+    if (!plan) {
+        if (!quiet) toastr.warning('The prompt manager is not ready');
+        return;
+    }
+    if (plan.keyedCount === 0) {
+        if (!quiet) toastr.info('No prompt in this preset declares @load-order or @priority');
+        return;
+    }
+    if (!plan.changed) {
+        if (!quiet) toastr.info('Prompts are already in @load-order / @priority order');
+        return;
+    }
+
+    const accepted = await showPreviewModal(plan);
+    if (!accepted || accepted.size === 0) return;
+    applyAutoOrder(plan, accepted);
+    toastr.success(`Reordered ${accepted.size} section${accepted.size === 1 ? '' : 's'}`);
+}
+
+function describeKeys(identifier) {
+    const keys = getKeys(identifier);
+    if (!keys) return '';
+    return [
+        keys.loadOrder !== null ? `order ${keys.loadOrder}` : null,
+        keys.priority !== null ? `priority ${keys.priority}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+function renderList(identifiers, other) {
+    return `<ol class="nemo-auto-order-list">${identifiers.map((identifier, i) => {
+        const keys = describeKeys(identifier);
+        return `
+            <li class="${identifier !== other[i] ? 'nemo-auto-order-moved' : ''}${keys ? '' : ' nemo-auto-order-unkeyed'}">
+                <span>${escapeHtml(getPromptName(identifier))}</span>
+                ${keys ? `<small>${escapeHtml(keys)}</small>` : ''}
+            </li>
+        `;
+    }).join('')}</ol>`;
+}
+
+function renderSection(section, index) {
+    const title = section.divider !== null ? parseDividerName(getPromptName(section.divider)).name : 'Before the first section';
+    return `
+        <div class="nemo-auto-order-section${section.manual ? ' nemo-auto-order-conflict' : ''}">
+            <label class="checkbox_label">
+                <input type="checkbox" class="nemo-auto-order-accept" value="${index}"${section.manual ? '' : ' checked'}>
+                <strong>${escapeHtml(title)}</strong>
+            </label>
+            ${section.manual ? `
+                <div class="nemo-auto-order-warning">
+                    <i class="fa-solid fa-triangle-exclamation"></i>
+                    Reordered by hand since the last auto-order. Tick to replace your order anyway.
+                </div>
+            ` : ''}
+            <div class="nemo-auto-order-columns">
+                <div>
+                    <h4>Current</h4>
+                    ${renderList(section.before, section.after)}
+                </div>
+                <div>
+                    <h4>Auto-order</h4>
+                    ${renderList(section.after, section.before)}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function showPreviewModal(plan) {
+    return new Promise((resolve) => {
+        const changed = plan.sections
+            .map((section, index) => ({ section, index }))
+            .filter(({ section }) => section.changed);
+        const conflicts = changed.filter(({ section }) => section.manual).length;
+
+        const { modal, close } = showNemoModal({
+            className: 'nemo-auto-order-modal',
+            title: 'Auto-order prompts',
+            body: `
+                <p>Prompts are sorted within their section by <code>@load-order</code> (lowest first), then <code>@priority</code> (highest first). Prompts without either stay where they are.</p>
+                ${conflicts ? `<p class="nemo-auto-order-warning">${conflicts} section${conflicts === 1 ? ' was' : 's were'} reordered by hand and ${conflicts === 1 ? 'is' : 'are'} left unticked.</p>` : ''}
+                ${changed.map(({ section, index }) => renderSection(section, index)).join('')}
+                <div class="nemo-toast-actions">
+                    <button class="nemo-toast-btn secondary nemo-auto-order-cancel">Cancel</button>
+                    <button class="nemo-toast-btn primary nemo-auto-order-apply">Apply</button>
+                </div>
+            `,
+            onClose: (result) => resolve(result ?? null)
+        });
+
+        modal.querySelector('.nemo-auto-order-cancel').addEventListener('click', () => close(null));
+        modal.querySelector('.nemo-auto-order-apply').addEventListener('click', () => {
+            const accepted = [...modal.querySelectorAll('.nemo-auto-order-accept:checked')].map(input => Number(input.value));
+            close(new Set(accepted));
+        });
+    });
+}
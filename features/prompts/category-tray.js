@@ -10,6 +10,7 @@ import logger from '../../core/logger.js';
 import { parsePromptDirectives, validatePromptActivation, getAllPromptsWithState } from '../directives/prompt-directives.js';
 import { getCachedDirectives, getPromptContentOnDemand } from '../../core/directive-cache.js';
 import { showConflictToast } from '../directives/directive-ui.js';
+import { applyPromptStates } from '../directives/batch-toggle.js';
 import { promptManager } from '../../../../../openai.js';
 import { chat_metadata, saveSettingsDebounced, eventSource, event_types } from '../../../../../../script.js';
 import { extension_settings } from '../../../../../extensions.js';
@@ -41,7 +42,7 @@ let currentContextMenu = null; // Track current context menu for cleanup
  * Get saved presets from extension settings
  * @returns {Object} Map of preset names to enabled prompt arrays
  */
-function getSavedPresets() {
+export function getSavedPresets() {
     ensurePresetsNamespace();
     return extension_settings[NEMO_EXTENSION_NAME].promptPresets || {};
 }
@@ -64,7 +65,7 @@ function ensurePresetsNamespace() {
  * @param {string} sectionId - Section identifier
  * @param {Array} enabledPrompts - Array of enabled prompt identifiers
  */
-function savePreset(name, sectionId, enabledPrompts) {
+export function savePreset(name, sectionId, enabledPrompts) {
     ensurePresetsNamespace();
     const key = `${sectionId}::${name}`;
     extension_settings[NEMO_EXTENSION_NAME].promptPresets[key] = {
@@ -1590,7 +1591,7 @@ function openTray(section) {
     });
 
     // Load preset handlers
-    // Note: Uses performToggle directly since loading a preset is an explicit user choice
+    // Note: Applied as one batch without per-prompt popups since loading a preset is an explicit user choice
     tray.querySelectorAll('.nemo-preset-item').forEach(item => {
         item.addEventListener('click', (e) => {
             if (e.target.closest('.nemo-preset-delete')) return; // Don't load if clicking delete
@@ -1598,13 +1599,11 @@ function openTray(section) {
             const presetKey = item.dataset.presetKey;
             const preset = loadPreset(presetKey);
             if (preset) {
-                // Apply preset - disable all, then enable preset prompts (skip validation)
+                // Apply preset - enable the preset's prompts, disable the rest of the section
+                const states = prompts.map(p => [p.identifier, preset.enabledPrompts.includes(p.identifier)]);
+                performBatchToggle(states, `Load section preset "${preset.name}"`);
                 prompts.forEach(p => {
-                    const shouldEnable = preset.enabledPrompts.includes(p.identifier);
-                    if (p.isEnabled !== shouldEnable) {
-                        performToggle(p.identifier, shouldEnable);
-                        p.isEnabled = shouldEnable;
-                    }
+                    p.isEnabled = preset.enabledPrompts.includes(p.identifier);
                 });
 
                 // Update all cards visually
@@ -1665,19 +1664,16 @@ function openTray(section) {
     });
 
     // Toggle-all button handler
-    // Note: Uses performToggle directly to skip individual validation popups
+    // Note: Applied as one batch to skip individual validation popups
     // (user explicitly wants all enabled/disabled - showing 20 popups would be bad UX)
     tray.querySelector('.nemo-tray-toggle-all').addEventListener('click', (e) => {
         e.stopPropagation();
         const enabledCount = prompts.filter(p => p.isEnabled).length;
         const newState = enabledCount < prompts.length; // Enable all if not all enabled, else disable all
 
-        // Toggle all prompts (skip validation for bulk action)
+        performBatchToggle(prompts.map(p => [p.identifier, newState]), `${newState ? 'Enable' : 'Disable'} all in "${sectionId}"`);
         prompts.forEach(p => {
-            if (p.isEnabled !== newState) {
-                performToggle(p.identifier, newState);
-                p.isEnabled = newState;
-            }
+            p.isEnabled = newState;
         });
 
         // Update all cards visually
@@ -2038,6 +2034,30 @@ async function performToggle(identifier, enabled) {
     }
 }
 
+/**
+ * Apply many toggles at once (validated together, saved once)
+ * @param {Array<[string, boolean]>} states - Target states by identifier
+ * @param {string} label - Undo history label
+ */
+async function performBatchToggle(states, label) {
+    if (!promptManager) return;
+
+    try {
+        // Keep organizePrompts from destroying the open tray, as in performToggle
+        const { NemoPresetManager } = await import('./prompt-manager.js');
+        NemoPresetManager?.beginToggle?.();
+
+        // The tray updates its own cards, so the prompt list is not re-rendered here
+        applyPromptStates(states, { label, render: false });
+
+        setTimeout(() => {
+            NemoPresetManager?.endToggle?.();
+        }, 300);
+    } catch (error) {
+        logger.error('Error performing batch toggle:', error);
+    }
+}
+
 /**
  * Reorder prompts within a section by updating SillyTavern's prompt order
  * @param {HTMLElement} section - The section element
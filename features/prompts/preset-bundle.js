@@ -0,0 +1,666 @@
+/**
+ * Nemo Preset Bundles
+ * Package a chat completion preset together with the Nemo-side data that
+ * belongs to it, so sharing a preset no longer loses its extras:
+ * - section presets (category tray)
+ * - user prompt profiles
+ * - snapshots
+ * - prompt navigator folders
+ * - the preset navigator folder the preset is filed in (archive/navigator.js)
+ *
+ * All metadata refers to prompts by identifier. When an imported prompt has to
+ * be given a new identifier (keeping both versions of a colliding prompt), the
+ * metadata that came with the bundle is remapped to the new identifier.
+ *
+ * Bundle format (formatVersion 1):
+ *   {
+ *     type: 'nemo_preset_bundle',
+ *     formatVersion: 1,
+ *     manifest: { name, author, version, description, createdAt, sourcePreset,
+ *                 requires: { extension: 'NemoPresetExt', minVersion } },
+ *     preset: <chat completion preset JSON>,
+ *     nemo: {
+ *       sectionPresets: [{ name, sectionId, enabledPrompts }],
+ *       profiles: { [name]: { states, createdAt, updatedAt, autoActivate } },
+ *       snapshots: [{ name, timestamp, note, api, enabled }],
+ *       promptFolders: { folders: { [id]: folder }, prompts: { [identifier]: meta } },
+ *       presetFolders: { folders: { [id]: folder }, folderId }
+ *     }
+ *   }
+ *
+ * @module preset-bundle
+ */
+
+import logger from '../../core/logger.js';
+import { NEMO_EXTENSION_NAME, escapeHtml, showNemoModal } from '../../core/utils.js';
+import storage from '../../core/storage-migration.js';
+import { NemoFileStorage, FILES } from '../../core/file-storage.js';
+import { getCurrentPresetName } from '../directives/prompt-profiles.js';
+import { compareVersions } from '../directives/preset-version.js';
+import { getSavedPresets, savePreset } from './category-tray.js';
+import { PromptSnapshots } from './snapshot-library.js';
+import { findOlderInstalledVersions, offerPresetUpgrade } from './preset-versioning.js';
+import { getStoredPreset, saveStoredPreset } from './preset-store.js';
+import { oai_settings } from '../../../../../openai.js';
+import { saveSettingsDebounced } from '../../../../../../script.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+
+export const BUNDLE_TYPE = 'nemo_preset_bundle';
+export const BUNDLE_FORMAT_VERSION = 1;
+// Oldest extension version that can import bundles of BUNDLE_FORMAT_VERSION
+export const BUNDLE_MIN_EXTENSION_VERSION = '4.6.3';
+
+const EMPTY_NAVIGATOR_METADATA = { folders: {}, prompts: {} };
+
+let extensionVersion = null;
+
+/**
+ * Version of the installed extension, read from its manifest
+ * @returns {Promise<string>} Version, or '0' when the manifest cannot be read
+ */
+export async function getExtensionVersion() {
+    if (extensionVersion) return extensionVersion;
+    try {
+        const response = await fetch(new URL('../../manifest.json', import.meta.url), { cache: 'no-store' });
+        const manifest = await response.json();
+        extensionVersion = String(manifest.version || '0');
+    } catch (error) {
+        logger.warn('Could not read the extension manifest:', error);
+        extensionVersion = '0';
+    }
+    return extensionVersion;
+}
+
+/**
+ * Build a bundle from the active preset
+ * The live prompts and prompt order are used, so unsaved prompt edits are included.
+ * @param {{name?: string, author?: string, version?: string, description?: string}} [manifest] - Manifest fields
+ * @returns {Promise<Object>} Bundle
+ */
+export async function createBundle(manifest = {}) {
+    const presetName = getCurrentPresetName();
+    const preset = structuredClone(getStoredPreset(presetName) ?? {});
+    preset.prompts = structuredClone(oai_settings.prompts ?? []);
+    preset.prompt_order = structuredClone(oai_settings.prompt_order ?? []);
+
+    const identifiers = new Set(preset.prompts.map(prompt => prompt.identifier));
+
+    const sectionPresets = Object.values(getSavedPresets())
+        .map(sectionPreset => ({
+            name: sectionPreset.name,
+            sectionId: sectionPreset.sectionId,
+            enabledPrompts: (sectionPreset.enabledPrompts || []).filter(identifier => identifiers.has(identifier))
+        }))
+        .filter(sectionPreset => sectionPreset.enabledPrompts.length > 0);
+
+    const snapshots = storage.getSnapshotLibrary()
+        .filter(snapshot => snapshot.presetName === presetName)
+        .map(({ name, timestamp, note, api, enabled }) => ({ name, timestamp, note, api, enabled }));
+
+    return {
+        type: BUNDLE_TYPE,
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        manifest: {
+            name: manifest.name || presetName,
+            author: manifest.author || '',
+            version: manifest.version || '1.0.0',
+            description: manifest.description || '',
+            createdAt: new Date().toISOString(),
+            sourcePreset: presetName,
+            requires: {
+                extension: NEMO_EXTENSION_NAME,
+                minVersion: BUNDLE_MIN_EXTENSION_VERSION
+            }
+        },
+        preset,
+        nemo: {
+            sectionPresets,
+            profiles: structuredClone(storage.getPromptProfiles(presetName)),
+            snapshots,
+            promptFolders: await collectPromptFolders(identifiers),
+            presetFolders: collectPresetFolders(presetName)
+        }
+    };
+}
+
+/**
+ * The preset navigator folder a preset is filed in, with its ancestors
+ */
+function collectPresetFolders(presetName) {
+    const metadata = storage.getMetadata();
+    const presetFolderId = metadata.presets?.[presetName]?.folderId;
+    const folders = {};
+    let folderId = presetFolderId;
+    while (folderId && !folders[folderId] && metadata.folders?.[folderId]) {
+        folders[folderId] = structuredClone(metadata.folders[folderId]);
+        folderId = metadata.folders[folderId].parentId;
+    }
+
+    return { folders, folderId: folders[presetFolderId] ? presetFolderId : null };
+}
+
+/**
+ * Navigator metadata of the given prompts, with the folders they are in and their ancestors
+ */
+async function collectPromptFolders(identifiers) {
+    let metadata;
+    try {
+        metadata = await NemoFileStorage.load(FILES.NAVIGATOR_METADATA, EMPTY_NAVIGATOR_METADATA);
+    } catch (error) {
+        logger.warn('Prompt folders could not be read and are left out of the bundle:', error);
+        return { folders: {}, prompts: {} };
+    }
+
+    const folders = {};
+    const prompts = {};
+    for (const [identifier, meta] of Object.entries(metadata?.prompts || {})) {
+        if (!identifiers.has(identifier)) continue;
+        prompts[identifier] = structuredClone(meta);
+
+        let folderId = meta?.folderId;
+        while (folderId && !folders[folderId] && metadata.folders?.[folderId]) {
+            folders[folderId] = structuredClone(metadata.folders[folderId]);
+            folderId = metadata.folders[folderId].parentId;
+        }
+    }
+    return { folders, prompts };
+}
+
+/**
+ * Parse and validate a bundle file
+ * @param {string} fileContent - File content
+ * @returns {Object} Bundle with every metadata section present
+ * @throws {Error} When the file is not a bundle this version can read
+ */
+export function parseBundle(fileContent) {
+    const bundle = JSON.parse(fileContent);
+    if (bundle?.type !== BUNDLE_TYPE) {
+        throw new Error('Not a Nemo preset bundle');
+    }
+    if (!Number.isInteger(bundle.formatVersion) || bundle.formatVersion > BUNDLE_FORMAT_VERSION) {
+        throw new Error(`Bundle format ${bundle.formatVersion} is newer than this version of ${NEMO_EXTENSION_NAME} supports`);
+    }
+    if (!bundle.preset || typeof bundle.preset !== 'object' || !Array.isArray(bundle.preset.prompts)) {
+        throw new Error('The bundle does not contain a chat completion preset');
+    }
+
+    const nemo = bundle.nemo || {};
+    return {
+        ...bundle,
+        manifest: bundle.manifest || {},
+        nemo: {
+            sectionPresets: Array.isArray(nemo.sectionPresets) ? nemo.sectionPresets : [],
+            profiles: nemo.profiles && typeof nemo.profiles === 'object' ? nemo.profiles : {},
+            snapshots: Array.isArray(nemo.snapshots) ? nemo.snapshots : [],
+            promptFolders: {
+                folders: nemo.promptFolders?.folders || {},
+                prompts: nemo.promptFolders?.prompts || {}
+            },
+            presetFolders: {
+                folders: nemo.presetFolders?.folders || {},
+                folderId: typeof nemo.presetFolders?.folderId === 'string' ? nemo.presetFolders.folderId : null
+            }
+        }
+    };
+}
+
+/**
+ * Find everything in a bundle that collides with existing data
+ * @param {Object} bundle - Parsed bundle
+ * @param {string} presetName - Name the preset will be saved under
+ * @returns {{presetExists: boolean, prompts: Array, sectionPresets: string[], profiles: string[]}}
+ *   Colliding prompts are only reported when the existing preset would be overwritten.
+ */
+export function findConflicts(bundle, presetName) {
+    const existingPreset = getStoredPreset(presetName);
+    const prompts = [];
+
+    if (existingPreset) {
+        const existingById = new Map((existingPreset.prompts || []).map(prompt => [prompt.identifier, prompt]));
+        for (const prompt of bundle.preset.prompts) {
+            const existing = existingById.get(prompt.identifier);
+            if (!existing) continue;
+            if ((existing.name ?? '') !== (prompt.name ?? '') || (existing.content ?? '') !== (prompt.content ?? '') || (existing.role ?? '') !== (prompt.role ?? '')) {
+                prompts.push({ identifier: prompt.identifier, existing, incoming: prompt });
+            }
+        }
+    }
+
+    const savedSectionPresets = getSavedPresets();
+    const sectionPresets = bundle.nemo.sectionPresets
+        .map(sectionPreset => `${sectionPreset.sectionId}::${sectionPreset.name}`)
+        .filter(key => savedSectionPresets[key]);
+
+    const savedProfiles = storage.getPromptProfiles(presetName);
+    const profiles = Object.keys(bundle.nemo.profiles).filter(name => savedProfiles[name]);
+
+    return { presetExists: !!existingPreset, prompts, sectionPresets, profiles };
+}
+
+/**
+ * Identifier not used by any of the given prompts
+ */
+function uniqueIdentifier(identifier, taken) {
+    let candidate = `${identifier}_imported`;
+    for (let i = 2; taken.has(candidate); i++) {
+        candidate = `${identifier}_imported${i}`;
+    }
+    return candidate;
+}
+
+/**
+ * Import a bundle
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} resolution - Choices from the conflict step
+ * @param {string} resolution.presetName - Name to save the preset under
+ * @param {Object<string, 'bundle'|'mine'|'both'>} [resolution.prompts] - Per colliding prompt identifier
+ * @param {Object<string, 'keep'|'replace'>} [resolution.sectionPresets] - Per colliding section preset key
+ * @param {Object<string, 'keep'|'replace'>} [resolution.profiles] - Per colliding profile name
+ * @returns {Promise<{presetName: string, renamedPrompts: number, sectionPresets: number, profiles: number, snapshots: number, folders: number, upgradeCandidates: Array<Object>}>}
+ *   upgradeCandidates lists older installed versions of the preset (see findOlderInstalledVersions)
+ */
+export async function importBundle(bundle, resolution) {
+    const { presetName } = resolution;
+    const promptChoices = resolution.prompts || {};
+    const preset = structuredClone(bundle.preset);
+    const existingPreset = getStoredPreset(presetName);
+    const existingById = new Map((existingPreset?.prompts || []).map(prompt => [prompt.identifier, prompt]));
+
+    // Resolve colliding prompts; idMap holds bundle identifiers that had to change
+    const idMap = new Map();
+    const taken = new Set([...preset.prompts, ...existingById.values()].map(prompt => prompt.identifier));
+    const keptExisting = [];
+
+    preset.prompts = preset.prompts.map(prompt => {
+        const choice = promptChoices[prompt.identifier];
+        const existing = existingById.get(prompt.identifier);
+        if (!existing || !choice || choice === 'bundle') return prompt;
+        if (choice === 'mine') return structuredClone(existing);
+
+        const identifier = uniqueIdentifier(prompt.identifier, taken);
+        taken.add(identifier);
+        idMap.set(prompt.identifier, identifier);
+        keptExisting.push(structuredClone(existing));
+        return { ...prompt, identifier };
+    });
+    // The existing versions stay available in the preset, disabled until placed
+    preset.prompts.push(...keptExisting);
+
+    const mapId = (identifier) => idMap.get(identifier) ?? identifier;
+    for (const characterOrder of preset.prompt_order || []) {
+        for (const entry of characterOrder.order || []) {
+            entry.identifier = mapId(entry.identifier);
+        }
+    }
+
+    // Older installed versions of this preset, looked up before a save could overwrite one
+    const upgradeCandidates = findOlderInstalledVersions(preset.prompts);
+    await saveStoredPreset(presetName, preset);
+
+    // Section presets are global; colliding ones are kept unless replacing was chosen
+    const savedSectionPresets = getSavedPresets();
+    let sectionPresetCount = 0;
+    for (const sectionPreset of bundle.nemo.sectionPresets) {
+        if (typeof sectionPreset?.name !== 'string' || !Array.isArray(sectionPreset.enabledPrompts)) continue;
+        const key = `${sectionPreset.sectionId}::${sectionPreset.name}`;
+        if (savedSectionPresets[key] && resolution.sectionPresets?.[key] !== 'replace') continue;
+        savePreset(sectionPreset.name, sectionPreset.sectionId, sectionPreset.enabledPrompts.map(mapId));
+        sectionPresetCount++;
+    }
+
+    const profiles = { ...storage.getPromptProfiles(presetName) };
+    let profileCount = 0;
+    for (const [name, profile] of Object.entries(bundle.nemo.profiles)) {
+        if (!profile || typeof profile.states !== 'object') continue;
+        if (profiles[name] && resolution.profiles?.[name] !== 'replace') continue;
+        profiles[name] = {
+            ...structuredClone(profile),
+            states: Object.fromEntries(Object.entries(profile.states).map(([identifier, enabled]) => [mapId(identifier), !!enabled]))
+        };
+        profileCount++;
+    }
+    if (profileCount > 0) {
+        storage.savePromptProfiles(presetName, profiles);
+    }
+
+    const { imported: snapshotCount } = PromptSnapshots.addSnapshots(bundle.nemo.snapshots
+        .filter(snapshot => Array.isArray(snapshot?.enabled))
+        .map(snapshot => ({ ...snapshot, presetName, enabled: snapshot.enabled.map(mapId) })));
+
+    const folderCount = await mergePromptFolders(bundle.nemo.promptFolders, mapId) + mergePresetFolders(bundle.nemo.presetFolders, presetName);
+
+    saveSettingsDebounced();
+    logger.info(`Imported bundle "${bundle.manifest.name}" as preset "${presetName}"`);
+
+    return {
+        presetName,
+        renamedPrompts: idMap.size,
+        sectionPresets: sectionPresetCount,
+        profiles: profileCount,
+        snapshots: snapshotCount,
+        folders: folderCount,
+        upgradeCandidates
+    };
+}
+
+/**
+ * Add bundled folders and prompt metadata to the navigator; existing entries win
+ * @returns {Promise<number>} Number of folders added
+ */
+async function mergePromptFolders(promptFolders, mapId) {
+    const bundledPrompts = Object.entries(promptFolders.prompts);
+    if (bundledPrompts.length === 0 && Object.keys(promptFolders.folders).length === 0) return 0;
+
+    let metadata;
+    try {
+        metadata = structuredClone(await NemoFileStorage.load(FILES.NAVIGATOR_METADATA, EMPTY_NAVIGATOR_METADATA));
+    } catch (error) {
+        logger.warn('Prompt folders could not be read, skipping them:', error);
+        return 0;
+    }
+    metadata.folders = metadata.folders || {};
+    metadata.prompts = metadata.prompts || {};
+
+    let added = 0;
+    for (const [id, folder] of Object.entries(promptFolders.folders)) {
+        if (metadata.folders[id]) continue;
+        metadata.folders[id] = structuredClone(folder);
+        added++;
+    }
+    for (const [identifier, meta] of bundledPrompts) {
+        const target = mapId(identifier);
+        if (!metadata.prompts[target]) {
+            metadata.prompts[target] = structuredClone(meta);
+        }
+    }
+
+    await NemoFileStorage.save(FILES.NAVIGATOR_METADATA, metadata);
+    return added;
+}
+
+/**
+ * File the imported preset in its bundled navigator folder, adding missing folders
+ * A preset that is already filed somewhere stays there.
+ * @returns {number} Number of folders added
+ */
+function mergePresetFolders(presetFolders, presetName) {
+    if (!presetFolders.folderId || !presetFolders.folders[presetFolders.folderId]) return 0;
+
+    const metadata = structuredClone(storage.getMetadata());
+    metadata.folders = metadata.folders || {};
+    metadata.presets = metadata.presets || {};
+
+    let added = 0;
+    for (const [id, folder] of Object.entries(presetFolders.folders)) {
+        if (metadata.folders[id]) continue;
+        metadata.folders[id] = structuredClone(folder);
+        added++;
+    }
+    if (!metadata.presets[presetName]?.folderId) {
+        metadata.presets[presetName] = { ...metadata.presets[presetName], folderId: presetFolders.folderId };
+    }
+
+    storage.saveMetadata(metadata);
+    return added;
+}
+
+/**
+ * Count the folders of both navigators in a bundle
+ */
+function countFolders(nemo) {
+    return Object.keys(nemo.promptFolders.folders).length + Object.keys(nemo.presetFolders?.folders || {}).length;
+}
+
+/**
+ * Download a bundle as a JSON file
+ */
+function downloadBundle(bundle) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(bundle.manifest.name || 'preset').replace(/[^a-zA-Z0-9]/g, '_')}.nemo-bundle.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask for the manifest fields, then export the active preset as a bundle
+ */
+export async function promptExportBundle() {
+    const presetName = getCurrentPresetName();
+    const content = document.createElement('div');
+    content.className = 'nemo-bundle-form';
+    content.innerHTML = `
+        <h3>Export Nemo bundle</h3>
+        <label>Name
+            <input type="text" name="name" class="text_pole">
+        </label>
+        <label>Author
+            <input type="text" name="author" class="text_pole">
+        </label>
+        <label>Version
+            <input type="text" name="version" class="text_pole" value="1.0.0">
+        </label>
+        <label>Description <small>(optional)</small>
+            <textarea name="description" class="text_pole" rows="2"></textarea>
+        </label>
+        <small>Preset: ${escapeHtml(presetName ?? '')}</small>
+    `;
+    content.querySelector('[name="name"]').value = presetName;
+
+    const confirmed = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', { okButton: 'Export' });
+    if (!confirmed) return;
+
+    const field = (name) => content.querySelector(`[name="${name}"]`).value.trim();
+    try {
+        const bundle = await createBundle({
+            name: field('name'),
+            author: field('author'),
+            version: field('version'),
+            description: field('description')
+        });
+        downloadBundle(bundle);
+        const { sectionPresets, profiles, snapshots } = bundle.nemo;
+        toastr.success(`Exported ${bundle.preset.prompts.length} prompt(s), ${sectionPresets.length} section preset(s), ${Object.keys(profiles).length} profile(s), ${snapshots.length} snapshot(s) and ${countFolders(bundle.nemo)} folder(s)`);
+    } catch (error) {
+        logger.error('Error exporting bundle:', error);
+        toastr.error('Could not export the bundle');
+    }
+}
+
+/**
+ * Pick a bundle file and import it, resolving conflicts first
+ */
+export function promptImportBundle() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        let bundle;
+        try {
+            bundle = parseBundle(await file.text());
+        } catch (error) {
+            logger.error('Error reading bundle:', error);
+            toastr.error(error instanceof SyntaxError ? 'This file is not valid JSON' : error.message);
+            return;
+        }
+
+        const resolution = await showImportDialog(bundle);
+        if (!resolution) return;
+
+        try {
+            const result = await importBundle(bundle, resolution);
+            toastr.success(
+                `Saved preset "${result.presetName}" with ${result.sectionPresets} section preset(s), ${result.profiles} profile(s), ${result.snapshots} snapshot(s) and ${result.folders} folder(s). Select it in the preset list to use it.`,
+                'Bundle imported'
+            );
+            await offerPresetUpgrade(result.presetName, result.upgradeCandidates);
+        } catch (error) {
+            logger.error('Error importing bundle:', error);
+            toastr.error(`Import failed: ${error.message}`);
+        }
+    };
+    input.click();
+}
+
+/**
+ * Show what a bundle contains and let the user resolve collisions
+ * @param {Object} bundle - Parsed bundle
+ * @returns {Promise<Object|null>} Resolution for importBundle, or null when cancelled
+ */
+async function showImportDialog(bundle) {
+    const { manifest, nemo } = bundle;
+    const installedVersion = await getExtensionVersion();
+    const requiredVersion = manifest.requires?.minVersion;
+    const outdated = requiredVersion && compareVersions(installedVersion, requiredVersion) < 0;
+    const defaultName = manifest.sourcePreset || manifest.name || 'Imported preset';
+
+    return new Promise((resolve) => {
+        const { modal, close: closeModal } = showNemoModal({
+            className: 'nemo-bundle-modal',
+            title: `Import "${escapeHtml(manifest.name || defaultName)}"`,
+            body: `
+                <div class="nemo-bundle-manifest">
+                    ${manifest.version ? `<span>Version ${escapeHtml(manifest.version)}</span>` : ''}
+                    ${manifest.author ? `<span>by ${escapeHtml(manifest.author)}</span>` : ''}
+                    ${manifest.description ? `<p>${escapeHtml(manifest.description)}</p>` : ''}
+                    <small>${bundle.preset.prompts.length} prompt(s), ${nemo.sectionPresets.length} section preset(s), ${Object.keys(nemo.profiles).length} profile(s), ${nemo.snapshots.length} snapshot(s), ${countFolders(nemo)} folder(s)</small>
+                </div>
+                ${outdated ? `<div class="nemo-bundle-warning">This bundle was made for ${escapeHtml(manifest.requires.extension || NEMO_EXTENSION_NAME)} ${escapeHtml(requiredVersion)} or newer; you have ${escapeHtml(installedVersion)}. Directives or features it relies on may not work.</div>` : ''}
+                <label class="nemo-bundle-name">Save preset as
+                    <input type="text" class="text_pole" value="${escapeHtml(defaultName)}">
+                </label>
+                <div class="nemo-bundle-conflicts"></div>
+                <div class="nemo-toast-actions">
+                    <button class="nemo-toast-btn secondary nemo-bundle-cancel">Cancel</button>
+                    <button class="nemo-toast-btn primary nemo-bundle-import">Import</button>
+                </div>
+            `,
+            onClose: (result) => resolve(result ?? null)
+        });
+
+        const nameInput = modal.querySelector('.nemo-bundle-name input');
+        const conflictsEl = modal.querySelector('.nemo-bundle-conflicts');
+        // Choices per conflict kind and key, so they survive re-rendering when the preset name changes
+        const choices = { prompts: new Map(), sectionPresets: new Map(), profiles: new Map() };
+
+        const renderConflicts = () => {
+            const presetName = nameInput.value.trim();
+            const conflicts = findConflicts(bundle, presetName);
+            const sections = [];
+
+            if (conflicts.presetExists) {
+                sections.push(`<div class="nemo-bundle-warning">A preset named "${escapeHtml(presetName)}" exists and will be overwritten. Change the name above to import it as a new preset.</div>`);
+            }
+            if (conflicts.prompts.length > 0) {
+                sections.push(`
+                    <h4>Prompts that differ from your copy</h4>
+                    ${conflicts.prompts.map(({ identifier, existing, incoming }) => `
+                        <div class="nemo-bundle-conflict" data-kind="prompts" data-key="${escapeHtml(identifier)}">
+                            <span class="nemo-bundle-conflict-name" title="${escapeHtml(identifier)}">
+                                ${escapeHtml(incoming.name || identifier)}${existing.name !== incoming.name ? ` <small>(yours: ${escapeHtml(existing.name || identifier)})</small>` : ''}
+                            </span>
+                            <select class="text_pole">
+                                <option value="bundle">Use bundle</option>
+                                <option value="mine">Keep mine</option>
+                                <option value="both">Keep both</option>
+                            </select>
+                        </div>
+                    `).join('')}
+                `);
+            }
+            if (conflicts.sectionPresets.length > 0) {
+                sections.push(`
+                    <h4>Section presets you already have</h4>
+                    ${conflicts.sectionPresets.map(key => conflictRow('sectionPresets', key, key.split('::').slice(1).join('::'))).join('')}
+                `);
+            }
+            if (conflicts.profiles.length > 0) {
+                sections.push(`
+                    <h4>Profiles you already have</h4>
+                    ${conflicts.profiles.map(name => conflictRow('profiles', name, name)).join('')}
+                `);
+            }
+
+            conflictsEl.innerHTML = sections.join('');
+            conflictsEl.querySelectorAll('.nemo-bundle-conflict').forEach(row => {
+                const choice = choices[row.dataset.kind].get(row.dataset.key);
+                if (choice) row.querySelector('select').value = choice;
+            });
+        };
+
+        const collectResolution = () => {
+            const resolution = { presetName: nameInput.value.trim(), prompts: {}, sectionPresets: {}, profiles: {} };
+            conflictsEl.querySelectorAll('.nemo-bundle-conflict').forEach(row => {
+                resolution[row.dataset.kind][row.dataset.key] = row.querySelector('select').value;
+            });
+            return resolution;
+        };
+
+        nameInput.addEventListener('input', renderConflicts);
+        conflictsEl.addEventListener('change', (e) => {
+            const row = e.target.closest('.nemo-bundle-conflict');
+            if (row) choices[row.dataset.kind].set(row.dataset.key, e.target.value);
+        });
+        modal.querySelector('.nemo-bundle-cancel').addEventListener('click', () => closeModal(null));
+        modal.querySelector('.nemo-bundle-import').addEventListener('click', () => {
+            if (!nameInput.value.trim()) {
+                toastr.warning('Enter a preset name');
+                return;
+            }
+            closeModal(collectResolution());
+        });
+
+        renderConflicts();
+    });
+}
+
+function conflictRow(kind, key, label) {
+    return `
+        <div class="nemo-bundle-conflict" data-kind="${kind}" data-key="${escapeHtml(key)}">
+            <span class="nemo-bundle-conflict-name">${escapeHtml(label)}</span>
+            <select class="text_pole">
+                <option value="keep">Keep mine</option>
+                <option value="replace">Use bundle</option>
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Open the bundle menu with export and import actions
+ */
+export async function showBundleMenu() {
+    const content = document.createElement('div');
+    content.className = 'nemo-bundle-form';
+    content.innerHTML = `
+        <h3>Nemo bundles</h3>
+        <p>A bundle packages the active preset with its section presets, profiles, snapshots, prompt folders and preset folder.</p>
+        <div class="nemo-toast-actions">
+            <button class="nemo-toast-btn primary" data-action="export">Export current preset</button>
+            <button class="nemo-toast-btn secondary" data-action="import">Import bundle</button>
+        </div>
+    `;
+
+    let action = null;
+    const popup = callGenericPopup(content, POPUP_TYPE.TEXT, '', { okButton: 'Close' });
+    content.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            action = button.dataset.action;
+            content.closest('dialog')?.querySelector('.popup-button-ok')?.click();
+        });
+    });
+    await popup;
+
+    if (action === 'export') {
+        await promptExportBundle();
+    } else if (action === 'import') {
+        promptImportBundle();
+    }
+}
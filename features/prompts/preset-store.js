@@ -0,0 +1,55 @@
+/**
+ * Nemo Preset Store
+ * Read and save chat completion presets as SillyTavern stores them on the
+ * server, independent of the preset that is currently loaded.
+ *
+ * @module preset-store
+ */
+
+import { openai_settings, openai_setting_names } from '../../../../../openai.js';
+import { getRequestHeaders } from '../../../../../../script.js';
+
+/**
+ * Stored body of a chat completion preset
+ * @param {string} name - Preset name
+ * @returns {Object|null} Preset body
+ */
+export function getStoredPreset(name) {
+    const index = openai_setting_names?.[name];
+    if (index === undefined) return null;
+    return openai_settings?.[index] ?? null;
+}
+
+/**
+ * Save a chat completion preset and register it with the preset dropdown
+ * @param {string} name - Preset name
+ * @param {Object} preset - Preset body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} Name the server saved the preset under
+ */
+export async function saveStoredPreset(name, preset, { signal } = {}) {
+    const response = await fetch(`/api/presets/save-openai?name=${encodeURIComponent(name)}`, {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(preset),
+        signal
+    });
+    if (!response.ok) {
+        throw new Error(`Saving preset "${name}" failed: ${response.status} ${await response.text()}`);
+    }
+
+    const { name: savedName, key } = await response.json();
+    if (!savedName || !key) {
+        throw new Error('Server response missing preset details');
+    }
+
+    openai_setting_names[savedName] = key;
+    openai_settings[key] = preset;
+
+    const select = document.querySelector('select[data-preset-manager-for="openai"]');
+    if (select && !select.querySelector(`option[value="${key}"]`)) {
+        select.appendChild(new Option(savedName, key));
+    }
+    return savedName;
+}
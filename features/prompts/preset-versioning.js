@@ -0,0 +1,420 @@
+/**
+ * Nemo Preset Versioning
+ * Shows the active preset's @preset-name and @preset-version above the prompt
+ * list, warns about prompts whose @requires-preset-version is not met, and
+ * offers an upgrade when a newer version of an installed preset is imported:
+ * the old and new versions are diffed, the changelog entries in between are
+ * listed, and the user's toggle states and custom prompts are carried over
+ * into the new preset.
+ *
+ * @module preset-versioning
+ */
+
+import logger from '../../core/logger.js';
+import { escapeHtml, showNemoModal } from '../../core/utils.js';
+import { parsePromptDirectives } from '../directives/prompt-directives.js';
+import { getPresetVersionInfo, getChangelogBetween, compareVersions } from '../directives/preset-version.js';
+import { getCurrentPresetName } from '../directives/prompt-profiles.js';
+import { diffPromptData } from './prompt-archive-diff.js';
+import { NemoPromptArchiveUI } from './prompt-archive-ui.js';
+import { getStoredPreset, saveStoredPreset } from './preset-store.js';
+import { matchPrompts, PRESELECT_CONFIDENCE } from './prompt-state-carryover.js';
+import { promptManager, openai_setting_names } from '../../../../../openai.js';
+import { eventSource, event_types } from '../../../../../../script.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+
+const UPDATE_DELAY = 500;
+const IMPORT_WAIT_TIMEOUT = 10000;
+
+let updateTimer = null;
+let lastWarnedPreset = null;
+
+/**
+ * Version info of the active preset
+ * @returns {ReturnType<typeof getPresetVersionInfo>}
+ */
+export function getActivePresetVersionInfo() {
+    return getPresetVersionInfo(promptManager?.serviceSettings?.prompts || [], parsePromptDirectives);
+}
+
+export function initPresetVersioning() {
+    logger.info('Initializing preset versioning');
+    setupVersionBar();
+
+    const scheduleUpdate = () => {
+        clearTimeout(updateTimer);
+        updateTimer = setTimeout(updateVersionBar, UPDATE_DELAY);
+    };
+    eventSource.on(event_types.SETTINGS_UPDATED, scheduleUpdate);
+    eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, () => {
+        scheduleUpdate();
+        setTimeout(warnAboutUnmetRequirements, UPDATE_DELAY);
+    });
+
+    // SillyTavern's own preset import; the event fires before the preset is saved,
+    // while the older versions are still untouched
+    if (event_types.OAI_PRESET_IMPORT_READY) {
+        eventSource.on(event_types.OAI_PRESET_IMPORT_READY, ({ data, presetName }) => {
+            const candidates = findOlderInstalledVersions(data?.prompts);
+            if (candidates.length === 0) return;
+            waitForStoredPreset(presetName, data.prompts)
+                .then(found => found && offerPresetUpgrade(presetName, candidates))
+                .catch(error => logger.error('Error offering preset upgrade:', error));
+        });
+    }
+}
+
+/**
+ * Inject the version bar once the prompt manager is available
+ */
+function setupVersionBar() {
+    const listContainer = document.querySelector('#completion_prompt_manager_list');
+    if (!listContainer) {
+        setTimeout(setupVersionBar, 1000);
+        return;
+    }
+    if (document.querySelector('.nemo-preset-version-bar')) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'nemo-preset-version-bar';
+    bar.style.display = 'none';
+    const anchor = document.querySelector('.nemo-user-profiles') || listContainer;
+    anchor.parentNode.insertBefore(bar, anchor);
+
+    bar.addEventListener('click', (e) => {
+        if (e.target.closest('.nemo-preset-version-warning')) showUnmetRequirements();
+        if (e.target.closest('.nemo-preset-version-changelog')) showChangelog();
+    });
+
+    updateVersionBar();
+}
+
+/**
+ * Refresh the preset name, version and requirement warning
+ */
+export function updateVersionBar() {
+    const bar = document.querySelector('.nemo-preset-version-bar');
+    if (!bar) {
+        setupVersionBar();
+        return;
+    }
+
+    try {
+        const info = getActivePresetVersionInfo();
+        if (!info.name && !info.version && info.requirements.length === 0) {
+            bar.style.display = 'none';
+            return;
+        }
+
+        bar.style.display = '';
+        bar.innerHTML = `
+            <i class="fa-solid fa-tag" aria-hidden="true"></i>
+            <span class="nemo-preset-version-name">${escapeHtml(info.name || getCurrentPresetName() || '')}</span>
+            <span class="nemo-preset-version-number">${info.version ? `v${escapeHtml(info.version)}` : 'no version'}</span>
+            ${info.changelog.length ? '<button type="button" class="menu_button nemo-preset-version-changelog" title="Show changelog">Changelog</button>' : ''}
+            ${info.unmet.length ? `
+                <button type="button" class="menu_button nemo-preset-version-warning" title="Show prompts that need a newer preset version">
+                    <i class="fa-solid fa-triangle-exclamation" aria-hidden="true"></i>
+                    ${info.unmet.length} prompt${info.unmet.length === 1 ? ' needs' : 's need'} a newer version
+                </button>` : ''}
+        `;
+    } catch (error) {
+        logger.error('Error updating preset version bar:', error);
+    }
+}
+
+/**
+ * Warn once per preset switch when prompts need a newer preset version
+ */
+function warnAboutUnmetRequirements() {
+    const presetName = getCurrentPresetName();
+    if (presetName === lastWarnedPreset) return;
+    lastWarnedPreset = presetName;
+
+    const info = getActivePresetVersionInfo();
+    if (info.unmet.length === 0) return;
+    toastr.warning(
+        `${info.unmet.length} prompt(s) need a newer version than ${info.version}. Update the preset or turn them off.`,
+        `${info.name || presetName}`
+    );
+}
+
+function showUnmetRequirements() {
+    const info = getActivePresetVersionInfo();
+    const content = `
+        <h3>Prompts that need a newer preset version</h3>
+        <p>This preset is ${escapeHtml(info.name || getCurrentPresetName() || '')} v${escapeHtml(info.version ?? '')}.</p>
+        <ul class="nemo-preset-version-list">
+            ${info.unmet.map(requirement => `
+                <li><strong>${escapeHtml(requirement.promptName)}</strong> requires ${escapeHtml(requirement.constraint)}</li>
+            `).join('')}
+        </ul>
+    `;
+    callGenericPopup(content, POPUP_TYPE.TEXT, '', { wide: false });
+}
+
+function showChangelog() {
+    const info = getActivePresetVersionInfo();
+    const content = `
+        <h3>${escapeHtml(info.name || getCurrentPresetName() || '')} changelog</h3>
+        ${renderChangelog(getChangelogBetween(info.changelog, null, null))}
+    `;
+    callGenericPopup(content, POPUP_TYPE.TEXT, '', { wide: false });
+}
+
+function renderChangelog(entries) {
+    if (entries.length === 0) {
+        return '<p class="nemo-preset-version-empty">No changelog entries.</p>';
+    }
+    return `
+        <ul class="nemo-preset-version-list">
+            ${entries.map(entry => `<li><strong>v${escapeHtml(entry.version)}</strong> ${escapeHtml(entry.text)}</li>`).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Installed presets that are older versions of the preset the prompts belong to
+ * Call this before the new version is saved, so a preset it overwrites is still found.
+ * @param {Array<Object>} prompts - Prompts of the new version
+ * @returns {Array<{name: string, version: string, body: Object}>} Copies of the older presets, newest first
+ */
+export function findOlderInstalledVersions(prompts) {
+    const incoming = getPresetVersionInfo(prompts || []);
+    if (!incoming.name || !incoming.version) return [];
+
+    const candidates = [];
+    for (const name of Object.keys(openai_setting_names || {})) {
+        const body = getStoredPreset(name);
+        if (!Array.isArray(body?.prompts)) continue;
+        const info = getPresetVersionInfo(body.prompts, parsePromptDirectives);
+        if (info.name === incoming.name && info.version && compareVersions(info.version, incoming.version) < 0) {
+            candidates.push({ name, version: info.version, body: structuredClone(body) });
+        }
+    }
+    return candidates.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * Wait until SillyTavern has stored an imported preset
+ * @returns {Promise<boolean>} Whether it appeared in time
+ */
+async function waitForStoredPreset(name, prompts) {
+    const expected = JSON.stringify(prompts);
+    const deadline = Date.now() + IMPORT_WAIT_TIMEOUT;
+    while (Date.now() < deadline) {
+        if (JSON.stringify(getStoredPreset(name)?.prompts) === expected) return true;
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    logger.warn(`Imported preset "${name}" did not show up, not offering an upgrade`);
+    return false;
+}
+
+/**
+ * Offer to upgrade from an older installed version to a newly imported preset
+ * The active preset is preferred as the source when it is one of the candidates.
+ * @param {string} newName - Name of the imported preset
+ * @param {Array<{name: string, version: string, body: Object}>} candidates - From findOlderInstalledVersions
+ * @param {Object} [newBody] - Body of the imported preset, when it is not in SillyTavern's preset list yet
+ */
+export async function offerPresetUpgrade(newName, candidates, newBody = getStoredPreset(newName)) {
+    if (!candidates?.length || !newBody) return;
+    const source = candidates.find(candidate => candidate.name === getCurrentPresetName()) || candidates[0];
+
+    const options = await showUpgradeDialog(source, newName, newBody);
+    if (!options) return;
+
+    try {
+        const upgraded = buildUpgradedPreset(source.body, newBody, options);
+        await saveStoredPreset(newName, upgraded);
+        toastr.success(`Carried your settings from "${source.name}" into "${newName}"`, 'Preset upgraded');
+        logger.info(`Upgraded "${source.name}" to "${newName}"`, options);
+
+        if (options.switchTo || newName === getCurrentPresetName()) {
+            selectPreset(newName);
+        }
+    } catch (error) {
+        logger.error('Error upgrading preset:', error);
+        toastr.error(`Upgrade failed: ${error.message}`);
+    }
+}
+
+/**
+ * Prompt order of a preset for the active character
+ */
+function getOrder(body, characterId = promptManager?.activeCharacter?.id) {
+    const orders = (Array.isArray(body?.prompt_order) ? body.prompt_order : []).filter(entry => Array.isArray(entry?.order));
+    const match = orders.find(entry => String(entry.character_id) === String(characterId)) || orders[0];
+    return match ? match.order : [];
+}
+
+/**
+ * Apply the user's state from the old version to a copy of the new version
+ * @param {Object} oldBody - Old preset
+ * @param {Object} newBody - New preset
+ * @param {{keepToggles: boolean, customPrompts: string[], keepMine: string[]}} options - What to carry over
+ * @returns {Object} Upgraded preset
+ */
+export function buildUpgradedPreset(oldBody, newBody, { keepToggles, customPrompts = [], keepMine = [] }) {
+    const upgraded = structuredClone(newBody);
+    const oldPrompts = new Map((oldBody.prompts || []).map(prompt => [prompt.identifier, prompt]));
+
+    for (const identifier of keepMine) {
+        const index = upgraded.prompts.findIndex(prompt => prompt.identifier === identifier);
+        if (index !== -1 && oldPrompts.has(identifier)) {
+            upgraded.prompts[index] = structuredClone(oldPrompts.get(identifier));
+        }
+    }
+
+    const newIdentifiers = new Set(upgraded.prompts.map(prompt => prompt.identifier));
+    for (const identifier of customPrompts) {
+        if (!newIdentifiers.has(identifier) && oldPrompts.has(identifier)) {
+            upgraded.prompts.push(structuredClone(oldPrompts.get(identifier)));
+        }
+    }
+
+    for (const characterOrder of upgraded.prompt_order || []) {
+        if (!Array.isArray(characterOrder.order)) continue;
+        const oldOrder = getOrder(oldBody, characterOrder.character_id);
+        const oldEnabled = new Map(oldOrder.map(entry => [entry.identifier, !!entry.enabled]));
+
+        if (keepToggles) {
+            // Matched like a preset switch, so renamed and re-identified prompts keep their toggle too
+            const entries = new Map(characterOrder.order.map(entry => [entry.identifier, entry]));
+            for (const match of matchPrompts(captureOrder(oldBody, oldOrder), captureOrder(upgraded, characterOrder.order))) {
+                if (match.confidence >= PRESELECT_CONFIDENCE) {
+                    entries.get(match.current.identifier).enabled = match.previous.enabled;
+                }
+            }
+        }
+
+        // Custom prompts go back after the prompt they followed in the old order
+        for (const identifier of customPrompts) {
+            const oldIndex = oldOrder.findIndex(entry => entry.identifier === identifier);
+            if (oldIndex === -1 || characterOrder.order.some(entry => entry.identifier === identifier)) continue;
+
+            let insertAt = 0;
+            for (let i = oldIndex - 1; i >= 0; i--) {
+                const previous = characterOrder.order.findIndex(entry => entry.identifier === oldOrder[i].identifier);
+                if (previous !== -1) {
+                    insertAt = previous + 1;
+                    break;
+                }
+            }
+            characterOrder.order.splice(insertAt, 0, { identifier, enabled: oldEnabled.get(identifier) });
+        }
+    }
+
+    return upgraded;
+}
+
+/**
+ * Prompts of a preset order with their state and content, shaped like capturePromptStates
+ */
+function captureOrder(body, order) {
+    const prompts = new Map((body.prompts || []).map(prompt => [prompt.identifier, prompt]));
+    return order.map(entry => ({
+        identifier: entry.identifier,
+        name: prompts.get(entry.identifier)?.name || '',
+        content: prompts.get(entry.identifier)?.content || '',
+        enabled: !!entry.enabled
+    }));
+}
+
+/**
+ * Select a chat completion preset in SillyTavern's dropdown
+ */
+function selectPreset(name) {
+    const select = document.querySelector('select[data-preset-manager-for="openai"]');
+    const value = openai_setting_names?.[name];
+    if (!select || value === undefined) return;
+    select.value = String(value);
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Show the upgrade dialog
+ * @returns {Promise<{keepToggles: boolean, customPrompts: string[], keepMine: string[], switchTo: boolean}|null>} Choices, or null when declined
+ */
+function showUpgradeDialog(source, newName, newBody) {
+    return new Promise((resolve) => {
+        const oldInfo = getPresetVersionInfo(source.body.prompts, parsePromptDirectives);
+        const newInfo = getPresetVersionInfo(newBody.prompts, parsePromptDirectives);
+        const changelog = getChangelogBetween(newInfo.changelog, oldInfo.version, newInfo.version);
+        const diff = diffPromptData(
+            { prompts: source.body.prompts, order: getOrder(source.body) },
+            { prompts: newBody.prompts, order: getOrder(newBody) }
+        );
+
+        const custom = diff.entries.filter(entry => entry.status === 'removed');
+        const edited = diff.entries.filter(entry => entry.status === 'changed' && entry.contentChanged);
+        const toggles = diff.entries.filter(entry => entry.status === 'changed' && entry.enabledChanged).length;
+
+        const { modal, close: closeModal } = showNemoModal({
+            className: 'nemo-preset-upgrade-modal',
+            title: `Upgrade ${escapeHtml(newInfo.name ?? newName)} v${escapeHtml(oldInfo.version ?? '?')} → v${escapeHtml(newInfo.version ?? '?')}`,
+            body: `
+                <p>"${escapeHtml(newName)}" is a newer version of your preset "${escapeHtml(source.name)}". Carry your settings over into it?</p>
+
+                <h4>What's new</h4>
+                ${renderChangelog(changelog)}
+
+                <label class="checkbox_label">
+                    <input type="checkbox" class="nemo-upgrade-toggles" checked>
+                    Keep my toggle states${toggles ? ` (${toggles} prompt${toggles === 1 ? '' : 's'} differ)` : ''}
+                </label>
+
+                ${custom.length ? `
+                    <h4>Prompts only in your version</h4>
+                    <small>Your own prompts, and prompts the new version dropped. Untick the ones to leave out.</small>
+                    ${custom.map(entry => upgradeOption('nemo-upgrade-custom', entry.identifier, entry.current.name, true)).join('')}
+                ` : ''}
+
+                ${edited.length ? `
+                    <h4>Prompts whose content differs</h4>
+                    <small>Tick the ones where your version should replace the new one.</small>
+                    ${edited.map(entry => upgradeOption('nemo-upgrade-mine', entry.identifier, entry.archived.name, false)).join('')}
+                ` : ''}
+
+                <details class="nemo-preset-upgrade-diff">
+                    <summary>All changes (${diff.entries.length})</summary>
+                    ${diff.entries.map(entry => NemoPromptArchiveUI.createDiffEntry(entry, { selectable: false })).join('') || '<p>No prompt changes.</p>'}
+                </details>
+
+                ${newName !== getCurrentPresetName() ? `
+                    <label class="checkbox_label">
+                        <input type="checkbox" class="nemo-upgrade-switch" checked>
+                        Switch to "${escapeHtml(newName)}" afterwards
+                    </label>
+                ` : ''}
+
+                <div class="nemo-toast-actions">
+                    <button class="nemo-toast-btn secondary nemo-upgrade-cancel">Not now</button>
+                    <button class="nemo-toast-btn primary nemo-upgrade-apply">Upgrade</button>
+                </div>
+            `,
+            onClose: (result) => resolve(result ?? null)
+        });
+
+        const checked = (selector) => [...modal.querySelectorAll(`${selector}:checked`)].map(input => input.value);
+
+        modal.querySelector('.nemo-upgrade-cancel').addEventListener('click', () => closeModal(null));
+        modal.querySelector('.nemo-upgrade-apply').addEventListener('click', () => {
+            closeModal({
+                keepToggles: modal.querySelector('.nemo-upgrade-toggles').checked,
+                customPrompts: checked('.nemo-upgrade-custom'),
+                keepMine: checked('.nemo-upgrade-mine'),
+                switchTo: !!modal.querySelector('.nemo-upgrade-switch')?.checked
+            });
+        });
+    });
+}
+
+function upgradeOption(className, identifier, name, checked) {
+    return `
+        <label class="checkbox_label nemo-preset-upgrade-option">
+            <input type="checkbox" class="${className}" value="${escapeHtml(identifier)}"${checked ? ' checked' : ''}>
+            ${escapeHtml(name || identifier)}
+        </label>
+    `;
+}
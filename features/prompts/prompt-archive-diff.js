@@ -0,0 +1,399 @@
+// prompt-archive-diff.js
+// Per-prompt diff between an archive and the current preset, and cherry-picking
+// archive changes (whole prompts, names, content hunks, toggles, positions) into it.
+//
+// Diffs read from the current preset to the archive: they describe what taking
+// the archive's version would change. "added" prompts exist only in the archive,
+// "removed" prompts only in the current preset.
+//
+// Merges are three-way when a base is known (the preset as it was when the
+// archive was made): each difference is attributed to the side that made it,
+// and lines both sides changed differently are marked as conflicts. Without a
+// base every difference counts as an archive change.
+
+import '../../lib/diff.min.js'; // Sets globalThis.Diff (jsdiff)
+import { LOG_PREFIX } from '../../core/utils.js';
+import { promptManager } from '../../../../../openai.js';
+import { PromptHistory } from './prompt-history.js';
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Find the archive's prompt order for the active character
+ * Archives store SillyTavern's prompt_order list (or an object copy of it).
+ * @param {Object} archive - Archive
+ * @returns {Array<{identifier: string, enabled: boolean}>} Prompt order
+ */
+export function getArchiveOrder(archive) {
+    const orders = Object.values(archive?.promptData?.prompt_order || {}).filter(entry => Array.isArray(entry?.order));
+    const characterId = promptManager?.activeCharacter?.id;
+    const match = orders.find(entry => String(entry.character_id) === String(characterId)) || orders[0];
+    return match ? match.order : [];
+}
+
+/**
+ * Collect prompts with their order position and enabled state
+ * @returns {Map<string, {identifier: string, name: string, content: string, enabled: boolean|null, position: number|null}>}
+ */
+function indexPrompts(prompts, order) {
+    const positions = new Map(order.map((entry, index) => [entry.identifier, { index, enabled: !!entry.enabled }]));
+    const index = new Map();
+    for (const prompt of prompts || []) {
+        if (!prompt?.identifier) continue;
+        const position = positions.get(prompt.identifier);
+        index.set(prompt.identifier, {
+            identifier: prompt.identifier,
+            name: prompt.name || prompt.identifier,
+            content: prompt.content || '',
+            enabled: position ? position.enabled : null,
+            position: position ? position.index : null
+        });
+    }
+    return index;
+}
+
+/**
+ * Diff an archive against the current preset for merging
+ * @param {Object} archive - Archive
+ * @param {{prompts: Array, order: Array}|null} [base] - The current preset as it was when the archive was made
+ * @returns {{entries: Array<Object>, unchanged: number, summary: Object<string, number>}}
+ */
+export function diffArchive(archive, base = null) {
+    return diffPromptData(
+        {
+            prompts: promptManager.serviceSettings?.prompts,
+            order: promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || []
+        },
+        { prompts: archive.promptData?.prompts, order: getArchiveOrder(archive) },
+        { merge: true, base }
+    );
+}
+
+/**
+ * Diff two prompt lists with their prompt orders
+ * Entries call the old side `current` and the new side `archived`. Content
+ * changes come as unified-diff `hunks`, or in merge mode as `segments` of a
+ * three-way merge (see mergeContent), with the changed side of names and
+ * toggles in `nameSide`/`enabledSide` and a `conflict` flag.
+ * @param {{prompts: Array, order: Array}} from - Old state
+ * @param {{prompts: Array, order: Array}} to - New state
+ * @param {Object} [options]
+ * @param {boolean} [options.merge=false] - Compute merge segments instead of hunks
+ * @param {{prompts: Array, order: Array}|null} [options.base] - Common ancestor for merge mode
+ * @returns {{entries: Array<Object>, unchanged: number, summary: Object<string, number>}}
+ */
+export function diffPromptData(from, to, { merge = false, base = null } = {}) {
+    const currentOrder = from.order;
+    const archiveOrder = to.order;
+    const current = indexPrompts(from.prompts, currentOrder);
+    const archived = indexPrompts(to.prompts, archiveOrder);
+    const ancestors = base ? indexPrompts(base.prompts, base.order) : null;
+
+    const moved = findMovedPrompts(currentOrder, archiveOrder, current, archived);
+    const entries = [];
+    let unchanged = 0;
+
+    // Current prompts first (in prompt order), then archive-only prompts in archive order
+    const identifiers = [...new Set([
+        ...currentOrder.map(entry => entry.identifier),
+        ...current.keys(),
+        ...archiveOrder.map(entry => entry.identifier),
+        ...archived.keys()
+    ])].filter(identifier => current.has(identifier) || archived.has(identifier));
+
+    for (const identifier of identifiers) {
+        const before = current.get(identifier) || null;
+        const after = archived.get(identifier) || null;
+
+        if (!before || !after) {
+            entries.push({
+                identifier,
+                status: after ? 'added' : 'removed',
+                current: before,
+                archived: after,
+                // Merge mode: whether the prompt existed when the archive was made
+                inBase: ancestors ? ancestors.has(identifier) : null,
+                hunks: []
+            });
+            continue;
+        }
+
+        const entry = {
+            identifier,
+            status: 'changed',
+            current: before,
+            archived: after,
+            renamed: before.name !== after.name,
+            contentChanged: before.content !== after.content,
+            enabledChanged: before.enabled !== null && after.enabled !== null && before.enabled !== after.enabled,
+            moved: moved.has(identifier),
+            hunks: []
+        };
+
+        if (merge) {
+            const ancestor = ancestors?.get(identifier);
+            entry.base = ancestor || null;
+            entry.nameSide = entry.renamed ? changedSide(ancestor?.name, before.name, after.name) : null;
+            entry.enabledSide = entry.enabledChanged ? changedSide(ancestor?.enabled ?? null, before.enabled, after.enabled) : null;
+            entry.segments = entry.contentChanged ? mergeContent(ancestor ? ancestor.content : before.content, before.content, after.content) : [];
+            entry.conflict = entry.nameSide === 'both' || entry.enabledSide === 'both'
+                || entry.segments.some(segment => segment.kind === 'conflict');
+        } else if (entry.contentChanged) {
+            entry.hunks = Diff.structuredPatch('current', 'archive', before.content, after.content, '', '', { context: CONTEXT_LINES }).hunks;
+        }
+
+        if (entry.renamed || entry.contentChanged || entry.enabledChanged || entry.moved) {
+            entries.push(entry);
+        } else {
+            unchanged++;
+        }
+    }
+
+    const count = (predicate) => entries.filter(predicate).length;
+    return {
+        entries,
+        unchanged,
+        summary: {
+            added: count(entry => entry.status === 'added'),
+            removed: count(entry => entry.status === 'removed'),
+            renamed: count(entry => entry.renamed),
+            contentChanged: count(entry => entry.contentChanged),
+            enabledChanged: count(entry => entry.enabledChanged),
+            moved: count(entry => entry.moved),
+            conflicts: count(entry => entry.conflict)
+        }
+    };
+}
+
+/**
+ * Side that changed a value since the base: 'archive', 'current' or 'both'
+ * Without a base value the archive is taken to be the changed side.
+ */
+function changedSide(base, current, archived) {
+    if (base === undefined || base === null || base === current) return 'archive';
+    if (base === archived) return 'current';
+    return 'both';
+}
+
+/**
+ * Three-way merge of prompt content, line by line
+ * The content is split into segments: unchanged lines ('same'), lines changed
+ * on one side since the base ('current' or 'archive'), the same change made on
+ * both sides ('both') and lines both sides changed differently ('conflict').
+ * Changes that touch are treated as overlapping. The current lines of all
+ * segments joined give back the current content.
+ * @param {string} base - Content both sides started from
+ * @param {string} current - Current content
+ * @param {string} archived - Archived content
+ * @returns {Array<{kind: string, currentStart: number, base: string[], current: string[], archived: string[]}>} Segments
+ */
+export function mergeContent(base, current, archived) {
+    const baseLines = base.split('\n');
+    const changes = [
+        ...lineChanges(baseLines, current.split('\n'), 'current'),
+        ...lineChanges(baseLines, archived.split('\n'), 'archive')
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const segments = [];
+    let position = 0;
+    let currentLine = 0;
+    const push = (kind, start, end, currentLines, archivedLines) => {
+        segments.push({ kind, currentStart: currentLine, base: baseLines.slice(start, end), current: currentLines, archived: archivedLines });
+        currentLine += currentLines.length;
+    };
+
+    for (let i = 0; i < changes.length;) {
+        const start = changes[i].start;
+        let end = changes[i].end;
+        const group = [];
+        while (i < changes.length && changes[i].start <= end) {
+            end = Math.max(end, changes[i].end);
+            group.push(changes[i++]);
+        }
+
+        if (start > position) {
+            const lines = baseLines.slice(position, start);
+            push('same', position, start, lines, lines);
+        }
+
+        const currentLines = applyLineChanges(baseLines, start, end, group.filter(change => change.side === 'current'));
+        const archivedLines = applyLineChanges(baseLines, start, end, group.filter(change => change.side === 'archive'));
+        const sides = new Set(group.map(change => change.side));
+        let kind = sides.size === 1 ? [...sides][0] : 'conflict';
+        if (kind === 'conflict' && currentLines.join('\n') === archivedLines.join('\n')) {
+            kind = 'both';
+        }
+        push(kind, start, end, currentLines, archivedLines);
+        position = end;
+    }
+
+    if (position < baseLines.length) {
+        const lines = baseLines.slice(position);
+        push('same', position, baseLines.length, lines, lines);
+    }
+    return segments;
+}
+
+/**
+ * Changed line ranges of a side against the base
+ * @returns {Array<{side: string, start: number, end: number, lines: string[]}>} Base ranges (end exclusive) and their replacement
+ */
+function lineChanges(baseLines, lines, side) {
+    const changes = [];
+    let position = 0;
+    let change = null;
+
+    for (const part of Diff.diffArrays(baseLines, lines)) {
+        if (!part.added && !part.removed) {
+            position += part.value.length;
+            change = null;
+            continue;
+        }
+        if (!change) {
+            change = { side, start: position, end: position, lines: [] };
+            changes.push(change);
+        }
+        if (part.removed) {
+            position += part.value.length;
+            change.end = position;
+        } else {
+            change.lines.push(...part.value);
+        }
+    }
+    return changes;
+}
+
+/**
+ * Base lines start..end with one side's changes applied
+ */
+function applyLineChanges(baseLines, start, end, changes) {
+    const lines = [];
+    let position = start;
+    for (const change of changes) {
+        lines.push(...baseLines.slice(position, change.start), ...change.lines);
+        position = change.end;
+    }
+    lines.push(...baseLines.slice(position, end));
+    return lines;
+}
+
+/**
+ * Prompts in both orders whose relative position differs
+ * Everything outside the longest common subsequence of the two orders counts as moved.
+ */
+function findMovedPrompts(currentOrder, archiveOrder, current, archived) {
+    const currentIds = currentOrder.map(entry => entry.identifier);
+    const archiveIds = archiveOrder.map(entry => entry.identifier);
+    const inBoth = (identifier) => current.has(identifier) && archived.has(identifier)
+        && currentIds.includes(identifier) && archiveIds.includes(identifier);
+
+    const moved = new Set();
+    for (const part of Diff.diffArrays(currentIds.filter(inBoth), archiveIds.filter(inBoth))) {
+        if (part.added || part.removed) {
+            part.value.forEach(identifier => moved.add(identifier));
+        }
+    }
+    return moved;
+}
+
+/**
+ * Build merged content from merge segments
+ * Selected segments take the archived lines, all others keep the current ones.
+ * @param {Array<Object>} segments - Segments from mergeContent
+ * @param {number[]} selected - Indexes of the segments to take from the archive
+ * @returns {string} Merged content
+ */
+export function applySegments(segments, selected) {
+    return segments.flatMap((segment, index) => selected.includes(index) ? segment.archived : segment.current).join('\n');
+}
+
+/**
+ * Index in the current order right after the archive predecessor of a prompt
+ */
+function archivePosition(identifier, archiveOrder, currentOrder) {
+    const archiveIndex = archiveOrder.findIndex(entry => entry.identifier === identifier);
+    for (let i = archiveIndex - 1; i >= 0; i--) {
+        const index = currentOrder.findIndex(entry => entry.identifier === archiveOrder[i].identifier);
+        if (index !== -1) return index + 1;
+    }
+    return 0;
+}
+
+/**
+ * Cherry-pick archive changes into the current preset
+ * @param {Object} archive - Archive
+ * @param {Array<{identifier: string, add?: boolean, remove?: boolean, name?: boolean, segments?: number[], enabled?: boolean, position?: boolean}>} picks - Changes to take
+ * @param {{prompts: Array, order: Array}|null} [base] - Base the picks were made against (see diffArchive)
+ * @returns {number} Number of prompts changed
+ */
+export function mergeFromArchive(archive, picks, base = null) {
+    const diff = diffArchive(archive, base);
+    const entries = new Map(diff.entries.map(entry => [entry.identifier, entry]));
+    const archiveOrder = getArchiveOrder(archive);
+    const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter);
+    // Names and contents change in place; history needs them as they were for undo
+    const previousPrompts = structuredClone(promptManager.serviceSettings.prompts);
+    let changed = 0;
+
+    for (const pick of picks) {
+        const entry = entries.get(pick.identifier);
+        if (!entry) continue;
+
+        try {
+            if (entry.status === 'added' && pick.add) {
+                const archivedPrompt = archive.promptData.prompts.find(prompt => prompt.identifier === entry.identifier);
+                promptManager.addPrompt({ ...archivedPrompt }, archivedPrompt.identifier);
+                order.splice(archivePosition(entry.identifier, archiveOrder, order), 0, {
+                    identifier: entry.identifier,
+                    enabled: entry.archived.enabled ?? true
+                });
+                changed++;
+                continue;
+            }
+
+            if (entry.status === 'removed' && pick.remove) {
+                const index = order.findIndex(item => item.identifier === entry.identifier);
+                if (index !== -1) {
+                    order.splice(index, 1);
+                    changed++;
+                }
+                continue;
+            }
+
+            if (entry.status !== 'changed') continue;
+
+            const prompt = promptManager.getPromptById(entry.identifier);
+            const orderEntry = order.find(item => item.identifier === entry.identifier);
+
+            let touched = false;
+            if (pick.name && entry.renamed) {
+                prompt.name = entry.archived.name;
+                touched = true;
+            }
+            if (pick.segments?.length && entry.contentChanged) {
+                prompt.content = applySegments(entry.segments, pick.segments);
+                touched = true;
+            }
+            if (pick.enabled && entry.enabledChanged && orderEntry) {
+                orderEntry.enabled = entry.archived.enabled;
+                touched = true;
+            }
+            if (pick.position && entry.moved && orderEntry) {
+                order.splice(order.indexOf(orderEntry), 1);
+                order.splice(archivePosition(entry.identifier, archiveOrder, order), 0, orderEntry);
+                touched = true;
+            }
+            if (touched) changed++;
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Error merging ${entry.identifier} from archive:`, error);
+        }
+    }
+
+    if (changed > 0) {
+        PromptHistory.setNextLabel(`Merge from archive "${archive.name}"`, { prompts: previousPrompts });
+        promptManager.render();
+        promptManager.saveServiceSettings();
+        console.log(`${LOG_PREFIX} Merged ${changed} prompt(s) from archive ${archive.name}`);
+    }
+    return changed;
+}
@@ -1,8 +1,9 @@
 // prompt-archive-ui.js
 // UI components for the prompt archive system
 
-import { LOG_PREFIX } from '../../core/utils.js';
+import { LOG_PREFIX, escapeHtml, showNemoModal } from '../../core/utils.js';
 import { NemoPromptArchive } from './prompt-archive.js';
+import { showRevisionTimeline } from './prompt-revisions.js';
 
 export const NemoPromptArchiveUI = {
     initialized: false,
@@ -50,6 +51,9 @@ export const NemoPromptArchiveUI = {
                     <button class="menu_button" id="nemo-import-archive-btn" title="Import archive from file">
                         <i class="fa-solid fa-file-import"></i> Import
                     </button>
+                    <button class="menu_button" id="nemo-revision-history-btn" title="Automatic revisions of this preset">
+                        <i class="fa-solid fa-clock-rotate-left"></i> History
+                    </button>
                 </div>
             </summary>
             <div class="nemo-section-content">
@@ -83,15 +87,20 @@ export const NemoPromptArchiveUI = {
         document.getElementById('nemo-import-archive-btn').addEventListener('click', () => {
             this.showImportArchiveDialog();
         });
+        
+        // Revision history button
+        document.getElementById('nemo-revision-history-btn').addEventListener('click', () => {
+            showRevisionTimeline();
+        });
     },
 
-    showCreateArchiveDialog: function() {
+    showCreateArchiveDialog: async function() {
         const name = prompt('Enter archive name:');
         if (!name || !name.trim()) return;
         
         const description = prompt('Enter archive description (optional):') || '';
         
-        const archiveId = NemoPromptArchive.createArchive(name.trim(), description.trim());
+        const archiveId = await NemoPromptArchive.createArchive(name.trim(), description.trim());
         if (archiveId) {
             this.refreshArchiveList();
             this.updateArchiveStats();
@@ -109,8 +118,8 @@ export const NemoPromptArchiveUI = {
             const file = e.target.files[0];
             if (file) {
                 const reader = new FileReader();
-                reader.onload = (e) => {
-                    const archiveId = NemoPromptArchive.importArchive(e.target.result);
+                reader.onload = async (e) => {
+                    const archiveId = await NemoPromptArchive.importArchive(e.target.result);
                     if (archiveId) {
                         this.refreshArchiveList();
                         this.updateArchiveStats();
@@ -150,10 +159,6 @@ export const NemoPromptArchiveUI = {
         const date = new Date(archive.timestamp).toLocaleString();
         const { totalPrompts, totalSystemPrompts } = archive.metadata;
         
-        // Create lists of individual prompts and system prompts
-        const promptsList = this.createPromptsList(archive);
-        const systemPromptsList = this.createSystemPromptsList(archive);
-        
         return `
             <div class="nemo-archive-item" data-archive-id="${archive.id}">
                 <div class="nemo-archive-header">
@@ -165,6 +170,9 @@ export const NemoPromptArchiveUI = {
                         <button class="menu_button nemo-archive-toggle" title="Show/hide archive contents">
                             <i class="fa-solid fa-chevron-down"></i> Details
                         </button>
+                        <button class="menu_button nemo-archive-compare" title="Compare with current prompts and pick changes">
+                            <i class="fa-solid fa-code-compare"></i> Compare
+                        </button>
                         <button class="menu_button nemo-archive-restore" title="Restore entire archive">
                             <i class="fa-solid fa-undo"></i> Restore All
                         </button>
@@ -187,8 +195,7 @@ export const NemoPromptArchiveUI = {
                     </div>
                 </div>
                 <div class="nemo-archive-contents" style="display: none;">
-                    ${promptsList}
-                    ${systemPromptsList}
+                    <!-- Filled when the archive is opened -->
                 </div>
             </div>
         `;
@@ -247,7 +254,7 @@ export const NemoPromptArchiveUI = {
     setupArchiveItemListeners: function() {
         // Toggle archive details
         document.querySelectorAll('.nemo-archive-toggle').forEach(btn => {
-            btn.addEventListener('click', (e) => {
+            btn.addEventListener('click', async (e) => {
                 e.preventDefault();
                 const archiveItem = e.target.closest('.nemo-archive-item');
                 const contentsDiv = archiveItem.querySelector('.nemo-archive-contents');
@@ -256,6 +263,18 @@ export const NemoPromptArchiveUI = {
                 if (contentsDiv.style.display === 'none') {
                     contentsDiv.style.display = 'block';
                     icon.className = 'fa-solid fa-chevron-up';
+                    
+                    // Archive prompts are loaded from their file the first time they are shown
+                    if (!contentsDiv.dataset.loaded) {
+                        contentsDiv.innerHTML = '<div class="nemo-archive-loading"><i class="fa-solid fa-spinner fa-spin"></i> Loading...</div>';
+                        const archive = await NemoPromptArchive.loadArchiveContents(archiveItem.dataset.archiveId);
+                        if (!archive) {
+                            contentsDiv.innerHTML = '<div class="nemo-archive-loading">Could not load this archive. Check the console for details.</div>';
+                            return;
+                        }
+                        contentsDiv.innerHTML = this.createPromptsList(archive) + this.createSystemPromptsList(archive);
+                        contentsDiv.dataset.loaded = 'true';
+                    }
                     // Set up event listeners for the newly visible prompt items
                     this.setupPromptItemListeners(archiveItem);
                 } else {
@@ -265,6 +284,14 @@ export const NemoPromptArchiveUI = {
             });
         });
         
+        // Compare archive
+        document.querySelectorAll('.nemo-archive-compare').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const archiveId = e.target.closest('.nemo-archive-item').dataset.archiveId;
+                this.showCompareDialog(archiveId);
+            });
+        });
+        
         // Restore archive
         document.querySelectorAll('.nemo-archive-restore').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -283,9 +310,16 @@ export const NemoPromptArchiveUI = {
         
         // Export archive
         document.querySelectorAll('.nemo-archive-export').forEach(btn => {
-            btn.addEventListener('click', (e) => {
+            btn.addEventListener('click', async (e) => {
                 const archiveId = e.target.closest('.nemo-archive-item').dataset.archiveId;
-                NemoPromptArchive.exportArchive(archiveId);
+                try {
+                    if (!await NemoPromptArchive.exportArchive(archiveId)) {
+                        this.showNotification('Failed to export archive', 'error');
+                    }
+                } catch (error) {
+                    console.error(`${LOG_PREFIX} Error exporting archive:`, error);
+                    this.showNotification('Failed to export archive', 'error');
+                }
             });
         });
         
@@ -359,6 +393,178 @@ export const NemoPromptArchiveUI = {
         });
     },
 
+    showCompareDialog: async function(archiveId) {
+        const comparison = await NemoPromptArchive.compareWithArchive(archiveId);
+        if (!comparison) {
+            this.showNotification('Failed to compare archive', 'error');
+            return;
+        }
+
+        const { archive, base, prompts, systemPrompts } = comparison;
+        const { summary } = prompts;
+        const systemChanges = systemPrompts.added.length + systemPrompts.removed.length + systemPrompts.changed.length;
+
+        const { modal, close: closeModal } = showNemoModal({
+            className: 'nemo-archive-diff-modal',
+            title: `Compare with "${escapeHtml(archive.name)}"`,
+            body: `
+                <p class="nemo-archive-diff-summary">
+                    Changes from the current preset to the archive:
+                    ${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed,
+                    ${summary.contentChanged} edited, ${summary.enabledChanged} toggled, ${summary.moved} moved,
+                    ${prompts.unchanged} unchanged${summary.conflicts > 0 ? `; ${summary.conflicts} with conflicts` : ''}.
+                    <br>${base
+                        ? `Merging against the preset as it was on ${escapeHtml(new Date(base.timestamp).toLocaleString())}, when the archive was made. Changes made here since then are kept unless you pick the archive version.`
+                        : 'No revision of this preset from before the archive was found, so every difference is treated as a change in the archive.'}
+                    ${systemChanges > 0 ? `<br>${systemChanges} system prompt difference(s); use Restore or Merge All for those.` : ''}
+                </p>
+                ${prompts.entries.length === 0
+                    ? '<p>The current prompts match this archive.</p>'
+                    : prompts.entries.map(entry => this.createDiffEntry(entry)).join('')}
+                <div class="nemo-toast-actions">
+                    <button class="nemo-toast-btn secondary nemo-archive-diff-all">Select all</button>
+                    <button class="nemo-toast-btn secondary nemo-archive-diff-cancel">Cancel</button>
+                    <button class="nemo-toast-btn primary nemo-archive-diff-apply">Apply selected</button>
+                </div>
+            `
+        });
+
+        const checkboxes = [...modal.querySelectorAll('.nemo-archive-diff-pick')];
+
+        modal.querySelector('.nemo-archive-diff-all').addEventListener('click', () => {
+            const select = checkboxes.some(box => !box.checked);
+            checkboxes.forEach(box => {
+                box.checked = select;
+            });
+        });
+
+        modal.querySelector('.nemo-archive-diff-apply').addEventListener('click', async () => {
+            const picks = new Map();
+            for (const box of checkboxes.filter(box => box.checked)) {
+                const { identifier, kind, segment } = box.dataset;
+                if (!picks.has(identifier)) picks.set(identifier, { identifier, segments: [] });
+                if (kind === 'segment') {
+                    picks.get(identifier).segments.push(Number(segment));
+                } else {
+                    picks.get(identifier)[kind] = true;
+                }
+            }
+
+            if (picks.size === 0) {
+                closeModal();
+                return;
+            }
+
+            const changed = await NemoPromptArchive.mergeFromArchive(archiveId, [...picks.values()]);
+            this.showNotification(
+                changed > 0 ? `Merged ${changed} prompt(s) from "${archive.name}"` : 'Nothing was merged',
+                changed > 0 ? 'success' : 'info'
+            );
+            closeModal();
+        });
+
+        modal.querySelector('.nemo-archive-diff-cancel').addEventListener('click', closeModal);
+    },
+
+    // Read-only entries (selectable: false) describe a change instead of offering it
+    createDiffEntry: function(entry, { selectable = true } = {}) {
+        const prompt = entry.archived || entry.current;
+        const pick = (kind, label, segment = null) => !selectable ? `<div class="nemo-archive-diff-option">${label}</div>` : `
+            <label class="nemo-archive-diff-option">
+                <input type="checkbox" class="nemo-archive-diff-pick" data-identifier="${escapeHtml(entry.identifier)}" data-kind="${kind}"${segment !== null ? ` data-segment="${segment}"` : ''}>
+                ${label}
+            </label>
+        `;
+        const state = (enabled) => enabled
+            ? '<span class="nemo-profile-diff-on">on</span>'
+            : '<span class="nemo-profile-diff-off">off</span>';
+        // Merge entries say which side made a change since the archive was made
+        const side = (changed) => changed === 'current'
+            ? ' <em>(changed here since archiving)</em>'
+            : changed === 'both' ? ' <em class="nemo-archive-diff-conflict-label">(conflict: changed on both sides)</em>' : '';
+
+        const options = [];
+        if (entry.status === 'added') {
+            options.push(pick('add', `${selectable ? 'Add this prompt' : 'Added'}${entry.archived.enabled !== null ? ` (${state(entry.archived.enabled)})` : ''}${entry.inBase ? ' <em>(deleted here since archiving)</em>' : ''}`));
+            options.push(`<pre class="nemo-archive-diff-hunk">${escapeHtml(entry.archived.content ?? '').split('\n').map(line => `<span class="nemo-diff-add">+${line}</span>`).join('\n')}</pre>`);
+        } else if (entry.status === 'removed') {
+            options.push(pick('remove', `${selectable ? 'Remove this prompt from the prompt order' : 'Removed'}${entry.inBase === false ? ' <em>(added here since archiving)</em>' : ''}`));
+        } else {
+            if (entry.renamed) {
+                options.push(pick('name', `Rename: ${escapeHtml(entry.current.name ?? '')} &rarr; ${escapeHtml(entry.archived.name ?? '')}${side(entry.nameSide)}`));
+            }
+            if (entry.enabledChanged) {
+                options.push(pick('enabled', `Toggle: ${state(entry.current.enabled)} &rarr; ${state(entry.archived.enabled)}${side(entry.enabledSide)}`));
+            }
+            if (entry.moved) {
+                options.push(pick('position', `${selectable ? 'Move to its archive position' : 'Moved'} (#${entry.current.position + 1} &rarr; #${entry.archived.position + 1})`));
+            }
+            entry.hunks.forEach((hunk, index) => {
+                options.push(pick('hunk', `Lines ${hunk.oldStart}&ndash;${hunk.oldStart + Math.max(hunk.oldLines - 1, 0)}`, index));
+                options.push(`<pre class="nemo-archive-diff-hunk">${this.renderHunk(hunk)}</pre>`);
+            });
+            (entry.segments || []).forEach((segment, index) => {
+                const lines = segment.current.length > 0
+                    ? `Lines ${segment.currentStart + 1}&ndash;${segment.currentStart + segment.current.length}`
+                    : `After line ${segment.currentStart}`;
+                if (segment.kind === 'archive') {
+                    options.push(pick('segment', lines, index));
+                } else if (segment.kind === 'conflict') {
+                    options.push(pick('segment', `<span class="nemo-archive-diff-conflict-label">Conflict</span> ${lines}: take the archive version`, index));
+                } else if (segment.kind === 'current') {
+                    options.push(`<div class="nemo-archive-diff-option">${lines} changed here since archiving (kept)</div>`);
+                } else {
+                    return;
+                }
+                options.push(`<pre class="nemo-archive-diff-hunk${segment.kind === 'conflict' ? ' nemo-archive-diff-conflict' : ''}">${this.renderSegment(segment)}</pre>`);
+            });
+        }
+
+        const badges = entry.status === 'changed'
+            ? [entry.conflict && 'conflict', entry.renamed && 'renamed', entry.contentChanged && 'edited', entry.enabledChanged && 'toggled', entry.moved && 'moved'].filter(Boolean)
+            : [entry.status];
+
+        return `
+            <div class="nemo-archive-diff-entry nemo-archive-diff-${entry.status}">
+                <div class="nemo-archive-diff-title">
+                    <strong>${escapeHtml(prompt.name || entry.identifier)}</strong>
+                    ${badges.map(badge => `<span class="nemo-archive-diff-badge">${badge}</span>`).join('')}
+                </div>
+                ${options.join('')}
+            </div>
+        `;
+    },
+
+    renderHunk: function(hunk) {
+        return hunk.lines
+            .filter(line => line[0] !== '\\')
+            .map(line => {
+                const className = line[0] === '+' ? 'nemo-diff-add' : line[0] === '-' ? 'nemo-diff-remove' : 'nemo-diff-context';
+                return `<span class="${className}">${escapeHtml(line)}</span>`;
+            })
+            .join('\n');
+    },
+
+    // Conflicts are shown with git-style markers around the current, base and archive lines
+    renderSegment: function(segment) {
+        const lines = (className, prefix, list) => list.map(line => `<span class="${className}">${escapeHtml(prefix + line)}</span>`);
+        const marker = (text) => `<span class="nemo-diff-marker">${escapeHtml(text)}</span>`;
+        if (segment.kind === 'conflict') {
+            return [
+                marker('<<<<<<< current'),
+                ...lines('nemo-diff-remove', '', segment.current),
+                marker('||||||| base'),
+                ...lines('nemo-diff-context', '', segment.base),
+                marker('======='),
+                ...lines('nemo-diff-add', '', segment.archived),
+                marker('>>>>>>> archive')
+            ].join('\n');
+        }
+        // Changes made here read from the base, archive changes from the current lines
+        const [from, to] = segment.kind === 'current' ? [segment.base, segment.current] : [segment.current, segment.archived];
+        return [...lines('nemo-diff-remove', '-', from), ...lines('nemo-diff-add', '+', to)].join('\n');
+    },
+
     confirmRestore: function(archiveId, mergeMode) {
         const archive = NemoPromptArchive.getArchive(archiveId);
         if (!archive) return;
@@ -376,8 +582,8 @@ export const NemoPromptArchiveUI = {
             this.showNotification('Restoring archive...', 'info');
             
             // Add a slight delay to show loading notification
-            setTimeout(() => {
-                const success = NemoPromptArchive.restoreArchive(archiveId, {
+            setTimeout(async () => {
+                const success = await NemoPromptArchive.restoreArchive(archiveId, {
                     restorePrompts: true,
                     restoreSystemPrompts: true,
                     mergeMode: mergeMode
@@ -522,14 +728,14 @@ export const NemoPromptArchiveUI = {
         }
     },
 
-    addSinglePromptToPreset: function(archiveId, promptIdentifier, type) {
+    addSinglePromptToPreset: async function(archiveId, promptIdentifier, type) {
         let success = false;
         let promptName = promptIdentifier;
         
         if (type === 'prompt') {
-            success = NemoPromptArchive.addPromptToCurrentPreset(archiveId, promptIdentifier);
+            success = await NemoPromptArchive.addPromptToCurrentPreset(archiveId, promptIdentifier);
             // Get the actual prompt name for display
-            const archive = NemoPromptArchive.getArchive(archiveId);
+            const archive = await NemoPromptArchive.loadArchiveContents(archiveId);
             if (archive) {
                 const prompt = archive.promptData.prompts.find(p => p.identifier === promptIdentifier);
                 if (prompt) {
@@ -537,7 +743,7 @@ export const NemoPromptArchiveUI = {
                 }
             }
         } else if (type === 'system') {
-            success = NemoPromptArchive.addSystemPromptToCurrentPreset(archiveId, promptIdentifier);
+            success = await NemoPromptArchive.addSystemPromptToCurrentPreset(archiveId, promptIdentifier);
             promptName = promptIdentifier; // For system prompts, identifier is the name
         }
         
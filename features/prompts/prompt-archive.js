@@ -1,10 +1,15 @@
 // prompt-archive.js
 // Functional prompt archive system that interfaces with SillyTavern's prompt management
+// The archive index lives in extension_settings; each archive's prompts are a JSON file
+// in the user's data (core/file-storage.js), loaded when the archive is opened.
 
 import { LOG_PREFIX } from '../../core/utils.js';
+import { NemoFileStorage, archiveFile } from '../../core/file-storage.js';
 import { extension_settings } from '../../../../../extensions.js';
 import { saveSettingsDebounced } from '../../../../../../script.js';
 import { eventSource, event_types } from '../../../../../../script.js';
+import { diffArchive, mergeFromArchive } from './prompt-archive-diff.js';
+import { PromptRevisions } from './prompt-revisions.js';
 
 export const NemoPromptArchive = {
     initialized: false,
@@ -38,15 +43,16 @@ export const NemoPromptArchive = {
     },
 
     setupEventListeners: function() {
-        // Listen for prompt changes to auto-archive if needed
-        eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, () => {
-            // Could implement auto-archiving here
-        });
+        // Record a revision whenever saved prompt contents or order change
+        PromptRevisions.initialize();
     },
 
     // Create a new archive from current prompts
-    createArchive: function(archiveName, description = '') {
+    createArchive: async function(archiveName, description = '') {
         try {
+            // Record the preset as archived, so later merges from this archive have a base
+            await PromptRevisions.flush();
+
             const timestamp = new Date().toISOString();
             const archiveId = `${Date.now()}_${archiveName.replace(/[^a-zA-Z0-9]/g, '_')}`;
             
@@ -69,8 +75,7 @@ export const NemoPromptArchive = {
                 }
             };
             
-            this.archives[archiveId] = archive;
-            this.saveArchives();
+            await this.storeArchive(archive);
             
             console.log(`${LOG_PREFIX} Created archive: ${archiveName} with ${archive.metadata.totalPrompts} prompts and ${archive.metadata.totalSystemPrompts} system prompts`);
             return archiveId;
@@ -80,6 +85,45 @@ export const NemoPromptArchive = {
         }
     },
 
+    // Write an archive's contents to its file and add it to the index
+    storeArchive: async function(archive) {
+        const { promptData, systemPromptData, ...entry } = archive;
+        entry.file = archiveFile(archive.id);
+
+        await NemoFileStorage.save(entry.file, { promptData, systemPromptData }, { immediate: true });
+
+        this.archives[archive.id] = entry;
+        this.saveArchives();
+    },
+
+    // Load an archive with its prompts
+    loadArchiveContents: async function(archiveId) {
+        const archive = this.archives[archiveId];
+        if (!archive) {
+            console.error(`${LOG_PREFIX} Archive not found: ${archiveId}`);
+            return null;
+        }
+
+        // Archives that have not been migrated to file storage yet keep their prompts inline
+        if (archive.promptData) return archive;
+
+        try {
+            const contents = await NemoFileStorage.load(archive.file || archiveFile(archiveId), null);
+            if (!contents) {
+                console.error(`${LOG_PREFIX} Archive file missing: ${archive.name}`);
+                return null;
+            }
+            return {
+                ...archive,
+                promptData: contents.promptData || { prompts: [], prompt_order: {} },
+                systemPromptData: contents.systemPromptData || []
+            };
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Error loading archive contents:`, error);
+            return null;
+        }
+    },
+
     getCurrentPrompts: function() {
         try {
             // Access SillyTavern's prompt data
@@ -110,12 +154,9 @@ export const NemoPromptArchive = {
     },
 
     // Restore prompts from an archive
-    restoreArchive: function(archiveId, options = {}) {
-        const archive = this.archives[archiveId];
-        if (!archive) {
-            console.error(`${LOG_PREFIX} Archive not found: ${archiveId}`);
-            return false;
-        }
+    restoreArchive: async function(archiveId, options = {}) {
+        const archive = await this.loadArchiveContents(archiveId);
+        if (!archive) return false;
 
         try {
             const { 
@@ -377,9 +418,14 @@ export const NemoPromptArchive = {
     // Delete an archive
     deleteArchive: function(archiveId) {
         if (this.archives[archiveId]) {
-            const archiveName = this.archives[archiveId].name;
+            const { name: archiveName, file, promptData } = this.archives[archiveId];
             delete this.archives[archiveId];
             this.saveArchives();
+            if (!promptData) {
+                NemoFileStorage.remove(file || archiveFile(archiveId)).catch(error => {
+                    console.error(`${LOG_PREFIX} Error deleting archive file:`, error);
+                });
+            }
             console.log(`${LOG_PREFIX} Deleted archive: ${archiveName}`);
             return true;
         }
@@ -397,14 +443,15 @@ export const NemoPromptArchive = {
     },
 
     // Export archive to file
-    exportArchive: function(archiveId) {
-        const archive = this.archives[archiveId];
+    exportArchive: async function(archiveId) {
+        const archive = await this.loadArchiveContents(archiveId);
         if (!archive) return null;
 
+        const { file, ...exported } = archive;
         const exportData = {
             type: 'nemo_prompt_archive',
             version: '1.0',
-            archive: archive
+            archive: exported
         };
 
         const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
@@ -422,7 +469,7 @@ export const NemoPromptArchive = {
     },
 
     // Import archive from file
-    importArchive: function(fileContent) {
+    importArchive: async function(fileContent) {
         try {
             const importData = JSON.parse(fileContent);
             
@@ -437,8 +484,7 @@ export const NemoPromptArchive = {
             archive.id = newId;
             archive.importedAt = new Date().toISOString();
             
-            this.archives[newId] = archive;
-            this.saveArchives();
+            await this.storeArchive(archive);
             
             console.log(`${LOG_PREFIX} Imported archive: ${archive.name}`);
             return newId;
@@ -448,35 +494,57 @@ export const NemoPromptArchive = {
         }
     },
 
-    // Compare current prompts with an archive
-    compareWithArchive: function(archiveId) {
-        const archive = this.archives[archiveId];
+    // The active preset as it was when an archive was made: its newest revision
+    // not newer than the archive, or null when revisions do not go back that far
+    getMergeBase: async function(archive) {
+        await PromptRevisions.load();
+        const created = new Date(archive.timestamp).getTime();
+        return PromptRevisions.getRevisions().find(revision => new Date(revision.timestamp).getTime() <= created) || null;
+    },
+
+    // Compare current prompts with an archive, prompt by prompt
+    // Prompt changes read from the current preset to the archive (see prompt-archive-diff.js)
+    compareWithArchive: async function(archiveId) {
+        const archive = await this.loadArchiveContents(archiveId);
         if (!archive) return null;
 
-        const currentPrompts = this.getCurrentPrompts();
-        const currentSystemPrompts = this.getCurrentSystemPrompts();
+        try {
+            const base = await this.getMergeBase(archive);
+            const currentSystemPrompts = this.getCurrentSystemPrompts();
+            const archivedNames = new Set((archive.systemPromptData || []).map(prompt => prompt.name));
+            const currentNames = new Set(currentSystemPrompts.map(prompt => prompt.name));
+
+            return {
+                archive,
+                base,
+                prompts: diffArchive(archive, base),
+                systemPrompts: {
+                    added: [...archivedNames].filter(name => !currentNames.has(name)),
+                    removed: [...currentNames].filter(name => !archivedNames.has(name)),
+                    changed: (archive.systemPromptData || [])
+                        .filter(prompt => currentNames.has(prompt.name))
+                        .filter(prompt => currentSystemPrompts.find(current => current.name === prompt.name)?.content !== prompt.content)
+                        .map(prompt => prompt.name)
+                }
+            };
+        } catch (error) {
+            console.error(`${LOG_PREFIX} Error comparing with archive:`, error);
+            return null;
+        }
+    },
 
-        return {
-            prompts: {
-                current: currentPrompts.prompts.length,
-                archived: archive.promptData.prompts.length,
-                different: JSON.stringify(currentPrompts.prompts) !== JSON.stringify(archive.promptData.prompts)
-            },
-            systemPrompts: {
-                current: currentSystemPrompts.length,
-                archived: archive.systemPromptData.length,
-                different: JSON.stringify(currentSystemPrompts) !== JSON.stringify(archive.systemPromptData)
-            }
-        };
+    // Cherry-pick prompts, names, content hunks, toggles and positions from an archive
+    mergeFromArchive: async function(archiveId, picks) {
+        const archive = await this.loadArchiveContents(archiveId);
+        if (!archive) return 0;
+
+        return mergeFromArchive(archive, picks, await this.getMergeBase(archive));
     },
 
     // Add a single prompt from an archive to the current preset
-    addPromptToCurrentPreset: function(archiveId, promptIdentifier) {
-        const archive = this.archives[archiveId];
-        if (!archive) {
-            console.error(`${LOG_PREFIX} Archive not found: ${archiveId}`);
-            return false;
-        }
+    addPromptToCurrentPreset: async function(archiveId, promptIdentifier) {
+        const archive = await this.loadArchiveContents(archiveId);
+        if (!archive) return false;
 
         const prompt = archive.promptData.prompts.find(p => p.identifier === promptIdentifier);
         if (!prompt) {
@@ -525,12 +593,9 @@ export const NemoPromptArchive = {
     },
 
     // Add a single system prompt from an archive to the current preset
-    addSystemPromptToCurrentPreset: function(archiveId, systemPromptName) {
-        const archive = this.archives[archiveId];
-        if (!archive) {
-            console.error(`${LOG_PREFIX} Archive not found: ${archiveId}`);
-            return false;
-        }
+    addSystemPromptToCurrentPreset: async function(archiveId, systemPromptName) {
+        const archive = await this.loadArchiveContents(archiveId);
+        if (!archive) return false;
 
         const systemPrompt = archive.systemPromptData.find(p => p.name === systemPromptName);
         if (!systemPrompt) {
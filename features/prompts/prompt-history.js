@@ -0,0 +1,305 @@
+/**
+ * Nemo Prompt History
+ * Undo/redo for the prompt order. Every persisted change to the active prompt
+ * order (toggles, drag-and-drop reorders, section moves, bulk applies) is
+ * recorded as a before/after pair of order snapshots, so each entry can be
+ * inverted by restoring its "before" state.
+ *
+ * Changes are picked up where they are persisted, by wrapping
+ * promptManager.saveServiceSettings, so SillyTavern's own toggles are covered
+ * too. Bulk operations write their changes and save once, labelled through
+ * setNextLabel, so each becomes one entry. Operations that also rewrite prompt
+ * contents (revision rollbacks, archive merges) pass the previous prompts to
+ * setNextLabel, and their entry restores both.
+ *
+ * @module prompt-history
+ */
+
+import logger from '../../core/logger.js';
+import { promptManager } from '../../../../../openai.js';
+import { eventSource, event_types } from '../../../../../../script.js';
+import { parseDividerName } from './prompt-manager.js';
+
+const MAX_ENTRIES = 50;
+
+export const PromptHistory = {
+    undoStack: [],
+    redoStack: [],
+    // Order snapshot as of the last recorded change
+    committed: null,
+    committedCharacter: null,
+    pendingLabel: null,
+    // Prompts before a change that rewrites them (see setNextLabel)
+    pendingPrompts: null,
+    listeners: new Set(),
+    initialized: false,
+
+    /**
+     * Start recording changes to the prompt order
+     */
+    initialize: function() {
+        if (this.initialized || !promptManager) return;
+
+        const originalSave = promptManager.saveServiceSettings.bind(promptManager);
+        promptManager.saveServiceSettings = (...args) => {
+            try {
+                this.recordChange();
+            } catch (error) {
+                logger.error('Error recording prompt history:', error);
+            }
+            return originalSave(...args);
+        };
+
+        // Prompt orders of different presets are unrelated
+        eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, () => this.clear());
+
+        this.committed = this.captureOrder();
+        this.committedCharacter = promptManager.activeCharacter;
+        this.initialized = true;
+        logger.info('Prompt history initialized');
+    },
+
+    /**
+     * Snapshot the active prompt order
+     * @returns {Array<[string, boolean]>|null} Identifier and enabled state per entry
+     */
+    captureOrder: function() {
+        if (!promptManager?.activeCharacter) return null;
+        const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || [];
+        return order.map(entry => [entry.identifier, !!entry.enabled]);
+    },
+
+    /**
+     * Label the next recorded change (instead of an inferred description)
+     * @param {string} label - Description shown in the history list
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.prompts] - The prompts before the change, for changes that rewrite them; undo restores them
+     */
+    setNextLabel: function(label, { prompts = null } = {}) {
+        this.pendingLabel = label;
+        this.pendingPrompts = prompts;
+    },
+
+    /**
+     * Record the difference between the committed snapshot and the current order
+     */
+    recordChange: function() {
+        const current = this.captureOrder();
+        if (!current) return;
+
+        const before = this.committed;
+        const sameCharacter = this.committedCharacter === promptManager.activeCharacter;
+        const prompts = this.pendingPrompts && {
+            before: this.pendingPrompts,
+            after: structuredClone(promptManager.serviceSettings?.prompts || [])
+        };
+        this.committed = current;
+        this.committedCharacter = promptManager.activeCharacter;
+        this.pendingPrompts = null;
+
+        if (!before || (ordersEqual(before, current) && (!prompts || JSON.stringify(prompts.before) === JSON.stringify(prompts.after)))) {
+            return;
+        }
+
+        // Switching to another character's order, or adding/deleting prompts, only moves the baseline
+        // (unless the prompts were kept, which makes the entry restorable anyway)
+        if (!sameCharacter || (!prompts && !sameIdentifiers(before, current))) {
+            this.pendingLabel = null;
+            return;
+        }
+
+        this.undoStack.push({
+            label: this.pendingLabel || describeChange(before, current),
+            before,
+            after: current,
+            prompts,
+            // Undo must write to this character's order even after a switch
+            character: promptManager.activeCharacter,
+            timestamp: Date.now()
+        });
+        if (this.undoStack.length > MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.pendingLabel = null;
+        this.notify();
+    },
+
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * Revert the most recent change
+     * @returns {Object|null} The undone entry
+     */
+    undo: function() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.restoreOrder(entry.before, entry.character, entry.prompts?.before);
+        this.redoStack.push(entry);
+        this.notify();
+        return entry;
+    },
+
+    /**
+     * Re-apply the most recently undone change
+     * @returns {Object|null} The redone entry
+     */
+    redo: function() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.restoreOrder(entry.after, entry.character, entry.prompts?.after);
+        this.undoStack.push(entry);
+        this.notify();
+        return entry;
+    },
+
+    /**
+     * Write an order snapshot back to a character's prompt order
+     * Prompts added or deleted since the snapshot are kept or skipped, unless
+     * the prompts themselves are restored too.
+     * @param {Array<[string, boolean]>} snapshot - Order snapshot
+     * @param {Object} [character] - Character the snapshot was taken from (defaults to the active one)
+     * @param {Array<Object>} [prompts] - Prompts to restore along with the order
+     */
+    restoreOrder: function(snapshot, character = promptManager.activeCharacter, prompts = null) {
+        const order = promptManager.getPromptOrderForCharacter(character);
+        if (!order) return;
+
+        if (prompts) {
+            promptManager.serviceSettings.prompts = structuredClone(prompts);
+        }
+
+        const existing = new Map(order.map(entry => [entry.identifier, entry]));
+        const restored = [];
+        for (const [identifier, enabled] of snapshot) {
+            const entry = existing.get(identifier) || (prompts ? { identifier, enabled } : null);
+            if (!entry) continue;
+            entry.enabled = enabled;
+            restored.push(entry);
+            existing.delete(identifier);
+        }
+        // Entries created after the snapshot stay at the end, as long as their prompt exists
+        const promptIds = prompts ? new Set(prompts.map(prompt => prompt.identifier)) : null;
+        restored.push(...[...existing.values()].filter(entry => !promptIds || promptIds.has(entry.identifier)));
+
+        order.splice(0, order.length, ...restored);
+
+        // Set the baseline first so the save below is not recorded as a new change
+        this.committed = this.captureOrder();
+        promptManager.render();
+        promptManager.saveServiceSettings();
+    },
+
+    /**
+     * Forget all history
+     */
+    clear: function() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingLabel = null;
+        this.pendingPrompts = null;
+        this.committed = this.captureOrder();
+        this.committedCharacter = promptManager?.activeCharacter;
+        this.notify();
+    },
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} listener - Called after every change to the stacks
+     */
+    onChange: function(listener) {
+        this.listeners.add(listener);
+    },
+
+    notify: function() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                logger.error('Error in prompt history listener:', error);
+            }
+        });
+    }
+};
+
+function ordersEqual(a, b) {
+    return a.length === b.length && a.every(([identifier, enabled], i) => b[i][0] === identifier && b[i][1] === enabled);
+}
+
+function sameIdentifiers(a, b) {
+    const ids = new Set(a.map(([identifier]) => identifier));
+    return a.length === b.length && b.every(([identifier]) => ids.has(identifier));
+}
+
+function promptName(identifier) {
+    return promptManager.getPromptById(identifier)?.name || identifier;
+}
+
+function dividerOf(identifier) {
+    return parseDividerName((promptManager.getPromptById(identifier)?.name || '').trim());
+}
+
+/**
+ * Describe a change between two order snapshots
+ * @returns {string} Human-readable label
+ */
+function describeChange(before, after) {
+    const beforeIds = before.map(([identifier]) => identifier);
+    const afterIds = after.map(([identifier]) => identifier);
+    const reordered = beforeIds.some((identifier, i) => afterIds[i] !== identifier);
+
+    const beforeStates = new Map(before);
+    const toggled = after.filter(([identifier, enabled]) => beforeStates.has(identifier) && beforeStates.get(identifier) !== enabled);
+
+    if (!reordered) {
+        if (toggled.length === 1) {
+            const [identifier, enabled] = toggled[0];
+            return `${enabled ? 'Enable' : 'Disable'} "${promptName(identifier)}"`;
+        }
+        return `Toggle ${toggled.length} prompts`;
+    }
+
+    const move = describeMove(beforeIds, afterIds);
+    return toggled.length > 0 ? `${move} and toggle ${toggled.length} prompt(s)` : move;
+}
+
+/**
+ * Describe a reorder, recognising a single moved block (a prompt or a section)
+ */
+function describeMove(beforeIds, afterIds) {
+    let start = 0;
+    while (beforeIds[start] === afterIds[start]) start++;
+    let end = beforeIds.length - 1;
+    while (beforeIds[end] === afterIds[end]) end--;
+
+    const neighbourhood = beforeIds.slice(start, end + 1);
+    const moved = afterIds.slice(start, end + 1);
+
+    // A moved block shows up as a rotation of the changed neighbourhood
+    for (let shift = 1; shift < neighbourhood.length; shift++) {
+        const rotated = [...neighbourhood.slice(shift), ...neighbourhood.slice(0, shift)];
+        if (rotated.every((identifier, i) => moved[i] === identifier)) {
+            // Either the head moved down or the tail moved up; prefer the side that is a section
+            const candidates = [neighbourhood.slice(0, shift), neighbourhood.slice(shift)].sort((a, b) => a.length - b.length);
+            const section = candidates.map(block => ({ block, divider: dividerOf(block[0]) })).find(({ divider }) => divider.isDivider && !divider.isSubHeader);
+
+            if (section) {
+                return `Move section "${section.divider.name}"`;
+            }
+            const block = candidates[0];
+            return block.length === 1 ? `Move "${promptName(block[0])}"` : `Move ${block.length} prompts`;
+        }
+    }
+
+    return 'Reorder prompts';
+}
+
+export default PromptHistory;
@@ -6,10 +6,18 @@ import { promptManager } from '../../../../../openai.js';
 import { PromptNavigator } from './prompt-navigator.js';
 import { CONSTANTS } from '../../core/constants.js';
 import storage from '../../core/storage-migration.js';
+import { NemoFileStorage, FILES } from '../../core/file-storage.js';
 import '../../lib/Sortable.min.js'; // Import Sortable
 import { getTooltip } from './prompt-tooltips.js';
 import { parsePromptDirectives } from '../directives/prompt-directives.js';
+import { showDirectiveGraph } from '../directives/directive-graph.js';
+import { applyPromptStates } from '../directives/batch-toggle.js';
 import { disableTrayMode } from './category-tray.js';
+import { PromptHistory } from './prompt-history.js';
+import { PromptSnapshots, promptCreateSnapshot, showSnapshotLibrary } from './snapshot-library.js';
+import { capturePromptStates as captureCarryOverStates, reviewCarryOver } from './prompt-state-carryover.js';
+import { showBundleMenu } from './preset-bundle.js';
+import { showAutoOrderPreview } from './auto-order.js';
 
 // 1. CONFIGURATION & STATE
 const NEMO_BUILT_IN_PATTERNS = ['=+', '⭐─+', '━+'];
@@ -53,6 +61,31 @@ export async function loadAndSetDividerRegex() {
     }
 }
 
+/**
+ * Classify a prompt name as a section divider, sub-header or regular prompt
+ * @param {string} promptName - Prompt name as shown in the list
+ * @returns {{isDivider: boolean, isSubHeader: boolean, name?: string, originalText?: string}}
+ */
+export function parseDividerName(promptName) {
+    // Check for sub-header pattern: < text >
+    const subHeaderMatch = /^<\s*(.+?)\s*>$/.exec(promptName);
+    if (subHeaderMatch) {
+        const cleanName = subHeaderMatch[1].trim() || "Sub-Section";
+        return { isDivider: true, isSubHeader: true, name: cleanName, originalText: promptName };
+    }
+
+    // Check for main header pattern: === text === or similar
+    const match = DIVIDER_PREFIX_REGEX?.exec(promptName);
+    if (match) {
+        let cleanName = promptName.substring(match[0].length).trim();
+        const suffixRegex = new RegExp(`\\s*(${escapeRegex(match[1])})\\s*$`);
+        cleanName = cleanName.replace(suffixRegex, '').trim() || "Section";
+        return { isDivider: true, isSubHeader: false, name: cleanName, originalText: promptName };
+    }
+
+    return { isDivider: false, isSubHeader: false };
+}
+
 /**
  * Extract tooltip from prompt content using {{// note }} syntax
  * Looks for {{// text }} at the start of the prompt content
@@ -216,16 +249,41 @@ export const NemoPresetManager = {
                             title="Open Prompt Archive Navigator"
                             class="menu_button"
                             aria-label="Open prompt archive navigator"><i class="fa-solid fa-archive" aria-hidden="true"></i></button>
+                    <button id="nemoDirectiveGraphBtn"
+                            title="Show directive dependency graph"
+                            class="menu_button"
+                            aria-label="Show directive dependency graph"><i class="fa-solid fa-diagram-project" aria-hidden="true"></i></button>
+                    <button id="nemoAutoOrderBtn"
+                            title="Auto-order prompts by @load-order and @priority"
+                            class="menu_button"
+                            aria-label="Preview and apply the @load-order and @priority order"><i class="fa-solid fa-arrow-down-1-9" aria-hidden="true"></i></button>
+                    <button id="nemoUndoBtn"
+                            title="Undo (Ctrl+Z)"
+                            class="menu_button"
+                            disabled
+                            aria-label="Undo last prompt change"><i class="fa-solid fa-rotate-left" aria-hidden="true"></i></button>
+                    <button id="nemoRedoBtn"
+                            title="Redo (Ctrl+Shift+Z)"
+                            class="menu_button"
+                            disabled
+                            aria-label="Redo prompt change"><i class="fa-solid fa-rotate-right" aria-hidden="true"></i></button>
+                    <button id="nemoHistoryBtn"
+                            title="Recent prompt changes"
+                            class="menu_button"
+                            aria-label="Show recent prompt changes"
+                            aria-haspopup="true"><i class="fa-solid fa-clock-rotate-left" aria-hidden="true"></i></button>
                     <button id="nemoTakeSnapshotBtn"
-                            title="Take a snapshot of the current prompt state"
+                            title="Save the current prompt state as a named snapshot"
                             class="menu_button"
-                            aria-label="Take snapshot of current prompt state"><i class="fa-solid fa-camera" aria-hidden="true"></i></button>
+                            aria-label="Save the current prompt state as a named snapshot"><i class="fa-solid fa-camera" aria-hidden="true"></i></button>
                     <button id="nemoApplySnapshotBtn"
-                            title="Apply the last snapshot"
+                            title="Snapshots: compare, apply, import and export"
                             class="menu_button"
-                            disabled
-                            aria-label="Apply the last saved snapshot"
-                            aria-disabled="true"><i class="fa-solid fa-wand-magic-sparkles" aria-hidden="true"></i></button>
+                            aria-label="Open the snapshot library"><i class="fa-solid fa-wand-magic-sparkles" aria-hidden="true"></i></button>
+                    <button id="nemoBundleBtn"
+                            title="Export or import a Nemo bundle (preset with its section presets, profiles, snapshots and folders)"
+                            class="menu_button"
+                            aria-label="Export or import a Nemo bundle"><i class="fa-solid fa-box" aria-hidden="true"></i></button>
                 </div>
             </div>
             <div id="nemoSnapshotStatus" class="nemo-status-message" role="status" aria-live="polite" aria-atomic="true"></div>`;
@@ -591,159 +649,49 @@ export const NemoPresetManager = {
     // Core Logic
     takeSnapshot: async function() {
         try {
-            logger.info('Starting snapshot capture...');
-            
-            const promptsContainer = document.querySelector(SELECTORS.promptsContainer);
-            if (!promptsContainer) {
-                logger.error('Prompts container not found');
-                this.showStatusMessage('Error: Prompt manager not available.', 'error');
-                return;
-            }
-
-            const activeIdentifiers = new Set();
-            const enabledToggles = document.querySelectorAll(`${SELECTORS.promptsContainer} ${SELECTORS.toggleButton}.${SELECTORS.enabledToggleClass}`);
-            
-            logger.debug(`Found ${enabledToggles.length} enabled toggles`);
-            
-            enabledToggles.forEach(toggle => {
-                const promptLi = toggle.closest(SELECTORS.promptItemRow);
-                if (promptLi && promptLi.dataset.pmIdentifier) {
-                    activeIdentifiers.add(promptLi.dataset.pmIdentifier);
-                    logger.debug('Added to snapshot', { identifier: promptLi.dataset.pmIdentifier });
-                }
-            });
-
-            const snapshotArray = Array.from(activeIdentifiers);
-            console.log(`${LOG_PREFIX} Snapshot contains ${snapshotArray.length} prompts:`, snapshotArray);
+            const snapshot = await promptCreateSnapshot();
+            if (!snapshot) return;
 
-            const currentApi = getContext().openai_api || 'openai';
-            storage.saveSnapshot(currentApi, snapshotArray);
-            
-            const applySnapshotBtn = document.getElementById('nemoApplySnapshotBtn');
-            if (applySnapshotBtn) {
-                applySnapshotBtn.disabled = false;
-            }
-            
-            this.showStatusMessage(`Snapshot created with ${snapshotArray.length} active prompt(s).`, 'success');
-            console.log(`${LOG_PREFIX} Snapshot saved successfully`);
+            this.checkExistingSnapshot();
+            this.showStatusMessage(`Snapshot "${snapshot.name}" saved with ${snapshot.enabled.length} active prompt(s).`, 'success');
+            logger.info(`Snapshot "${snapshot.name}" saved`, { enabled: snapshot.enabled.length });
         } catch (error) {
             console.error(`${LOG_PREFIX} Error taking snapshot:`, error);
             this.showStatusMessage('Error creating snapshot.', 'error');
         }
     },
 
-    applySnapshot: async function() {
+    openSnapshotLibrary: function() {
         try {
-            console.log(`${LOG_PREFIX} Starting snapshot application...`);
-
-            const currentApi = getContext().openai_api || 'openai';
-            const snapshotData = storage.getSnapshot(currentApi);
-            if (!snapshotData || !Array.isArray(snapshotData)) {
-                console.log(`${LOG_PREFIX} No snapshot found for ${currentApi}`);
-                this.showStatusMessage('No snapshot taken.', 'error');
-                return;
-            }
-
-            const snapshotIdentifiers = new Set(snapshotData);
-            console.log(`${LOG_PREFIX} Applying snapshot with ${snapshotIdentifiers.size} prompts:`, Array.from(snapshotIdentifiers));
-            
-            const allPromptItems = document.querySelectorAll(`${SELECTORS.promptsContainer} ${SELECTORS.promptItemRow}`);
-            console.log(`${LOG_PREFIX} Found ${allPromptItems.length} prompt items in DOM`);
-            
-            const togglesToClick = [];
-            let matchedPrompts = 0;
-            
-            allPromptItems.forEach(item => {
-                const identifier = item.dataset.pmIdentifier;
-                const toggleButton = item.querySelector(SELECTORS.toggleButton);
-                
-                if (!identifier || !toggleButton) {
-                    console.warn(`${LOG_PREFIX} Item missing identifier or toggle button:`, item);
-                    return;
-                }
-                
-                const isCurrentlyEnabled = toggleButton.classList.contains(SELECTORS.enabledToggleClass);
-                const shouldBeEnabled = snapshotIdentifiers.has(identifier);
-                
-                if (snapshotIdentifiers.has(identifier)) {
-                    matchedPrompts++;
-                }
-                
-                if (isCurrentlyEnabled !== shouldBeEnabled) {
-                    togglesToClick.push({
-                        button: toggleButton,
-                        identifier: identifier,
-                        shouldEnable: shouldBeEnabled
-                    });
-                    console.log(`${LOG_PREFIX} Will toggle ${identifier}: ${isCurrentlyEnabled} -> ${shouldBeEnabled}`);
-                }
-            });
-
-            console.log(`${LOG_PREFIX} Matched ${matchedPrompts} prompts from snapshot, ${togglesToClick.length} need toggling`);
-
-            if (togglesToClick.length > 0) {
-                this.showStatusMessage(`Applying snapshot... changing ${togglesToClick.length} prompts.`, 'info', 5000);
-                
-                for (const item of togglesToClick) {
-                    console.log(`${LOG_PREFIX} Toggling ${item.identifier}`);
-                    item.button.click();
-                    await delay(50);
-                }
-                
-                await delay(100);
-                this.showStatusMessage(`Snapshot applied. ${snapshotIdentifiers.size} prompt(s) are now active.`, 'success');
-                console.log(`${LOG_PREFIX} Snapshot application complete`);
-            } else {
-                this.showStatusMessage('Current state already matches snapshot.', 'info');
-                console.log(`${LOG_PREFIX} No changes needed - current state matches snapshot`);
-            }
+            showSnapshotLibrary();
         } catch (error) {
-            console.error(`${LOG_PREFIX} Error applying snapshot:`, error);
-            this.showStatusMessage('Error applying snapshot.', 'error');
+            console.error(`${LOG_PREFIX} Error opening snapshot library:`, error);
+            this.showStatusMessage('Error opening snapshots.', 'error');
         }
     },
 
     // Capture current prompt toggle states before preset change
-    capturePromptStates: async function() {
+    capturePromptStates: function() {
         try {
-            console.log(`${LOG_PREFIX} Capturing prompt states before preset change...`);
-
-            const activeIdentifiers = new Set();
-            const enabledToggles = document.querySelectorAll(`${SELECTORS.promptsContainer} ${SELECTORS.toggleButton}.${SELECTORS.enabledToggleClass}`);
-
-            enabledToggles.forEach(toggle => {
-                const promptLi = toggle.closest(SELECTORS.promptItemRow);
-                if (promptLi && promptLi.dataset.pmIdentifier) {
-                    activeIdentifiers.add(promptLi.dataset.pmIdentifier);
-                }
-            });
-
-            const stateArray = Array.from(activeIdentifiers);
-            console.log(`${LOG_PREFIX} Captured ${stateArray.length} active prompts:`, stateArray);
-
-            storage.savePromptStates(stateArray);
-
-            return stateArray;
+            this.previousPromptStates = captureCarryOverStates();
+            console.log(`${LOG_PREFIX} Captured ${this.previousPromptStates.length} prompt states before preset change`);
+            return this.previousPromptStates;
         } catch (error) {
             console.error(`${LOG_PREFIX} Error capturing prompt states:`, error);
             return [];
         }
     },
 
-    // Restore prompt toggle states after preset change by matching UIDs
+    // Restore prompt toggle states after preset change by matching identifiers, names and content
     restorePromptStates: async function() {
         try {
-            console.log(`${LOG_PREFIX} Restoring prompt states after preset change...`);
-
-            const savedStates = storage.getPromptStates();
-            if (!savedStates || savedStates.length === 0) {
+            const previous = this.previousPromptStates;
+            this.previousPromptStates = null;
+            if (!previous || previous.length === 0) {
                 console.log(`${LOG_PREFIX} No saved prompt state found`);
                 return;
             }
 
-            const savedIdentifiers = new Set(savedStates);
-            console.log(`${LOG_PREFIX} Restoring state for ${savedIdentifiers.size} prompts:`, Array.from(savedIdentifiers));
-
             // Wait for preset to actually load with polling and timeout
             const maxWaitTime = CONSTANTS.TIMEOUTS.PRESET_LOAD_MAX_WAIT;
             const pollInterval = CONSTANTS.TIMEOUTS.PRESET_LOAD_POLL_INTERVAL;
@@ -778,59 +726,10 @@ export const NemoPresetManager = {
                 return;
             }
 
-            const allPromptItems = document.querySelectorAll(`${SELECTORS.promptsContainer} ${SELECTORS.promptItemRow}`);
-            console.log(`${LOG_PREFIX} Found ${allPromptItems.length} prompt items in new preset`);
-
-            const togglesToClick = [];
-            let matchedPrompts = 0;
-
-            allPromptItems.forEach(item => {
-                const identifier = item.dataset.pmIdentifier;
-                const toggleButton = item.querySelector(SELECTORS.toggleButton);
-
-                if (!identifier || !toggleButton) {
-                    return;
-                }
-
-                const isCurrentlyEnabled = toggleButton.classList.contains(SELECTORS.enabledToggleClass);
-                const shouldBeEnabled = savedIdentifiers.has(identifier);
-
-                if (savedIdentifiers.has(identifier)) {
-                    matchedPrompts++;
-                    console.log(`${LOG_PREFIX} Matched prompt by UID: ${identifier}`);
-                }
-
-                // Only toggle if the state needs to change
-                if (isCurrentlyEnabled !== shouldBeEnabled) {
-                    togglesToClick.push({
-                        button: toggleButton,
-                        identifier: identifier,
-                        shouldEnable: shouldBeEnabled
-                    });
-                    console.log(`${LOG_PREFIX} Will toggle ${identifier}: ${isCurrentlyEnabled} -> ${shouldBeEnabled}`);
-                }
-            });
-
-            console.log(`${LOG_PREFIX} Matched ${matchedPrompts} prompts by UID from previous preset, ${togglesToClick.length} need toggling`);
-
-            if (togglesToClick.length > 0) {
-                this.showStatusMessage(`Restoring ${matchedPrompts} matching prompts from previous state...`, 'info', 3000);
-
-                for (const item of togglesToClick) {
-                    console.log(`${LOG_PREFIX} Toggling ${item.identifier}`);
-                    item.button.click();
-                    await delay(CONSTANTS.TIMEOUTS.TOGGLE_BATCH_DELAY);
-                }
-
-                await delay(CONSTANTS.TIMEOUTS.UI_UPDATE_DELAY);
-                this.showStatusMessage(`Restored ${matchedPrompts} prompt(s) by matching UIDs.`, 'success');
-                this.showPromptRestorationNotification(matchedPrompts, togglesToClick.length);
+            const changed = await reviewCarryOver(previous);
+            if (changed > 0) {
+                this.showPromptRestorationNotification(changed);
                 console.log(`${LOG_PREFIX} Prompt state restoration complete`);
-            } else if (matchedPrompts > 0) {
-                console.log(`${LOG_PREFIX} ${matchedPrompts} prompts already in correct state`);
-                this.showPromptRestorationNotification(matchedPrompts, 0);
-            } else {
-                console.log(`${LOG_PREFIX} No matching prompts found by UID in new preset`);
             }
         } catch (error) {
             console.error(`${LOG_PREFIX} Error restoring prompt states:`, error);
@@ -838,7 +737,7 @@ export const NemoPresetManager = {
     },
 
     // Show a non-intrusive toast notification for prompt restoration
-    showPromptRestorationNotification: function(matchedCount, toggledCount) {
+    showPromptRestorationNotification: function(restoredCount) {
         try {
             // Create toast notification element
             const toast = document.createElement('div');
@@ -848,11 +747,7 @@ export const NemoPresetManager = {
             icon.className = 'fa-solid fa-check-circle';
 
             const message = document.createElement('span');
-            if (toggledCount > 0) {
-                message.textContent = `Preset updated: ${matchedCount} prompt${matchedCount !== 1 ? 's' : ''} restored to previous state`;
-            } else {
-                message.textContent = `Preset updated: ${matchedCount} prompt${matchedCount !== 1 ? 's' : ''} already active`;
-            }
+            message.textContent = `Preset updated: ${restoredCount} prompt${restoredCount !== 1 ? 's' : ''} restored to previous state`;
 
             toast.appendChild(icon);
             toast.appendChild(message);
@@ -943,42 +838,18 @@ export const NemoPresetManager = {
         if (!promptNameElement) return { isDivider: false, isSubHeader: false };
 
         const promptName = promptNameElement.textContent.trim();
-
-        // Check for sub-header pattern: < text >
-        const subHeaderMatch = /^<\s*(.+?)\s*>$/.exec(promptName);
-        if (subHeaderMatch) {
-            const cleanName = subHeaderMatch[1].trim() || "Sub-Section";
-
-            promptElement.dataset.nemoDividerChecked = 'true';
-            promptElement.dataset.nemoIsDivider = 'true';
-            promptElement.dataset.nemoIsSubHeader = 'true';
-            promptElement.dataset.nemoSectionName = cleanName;
-            promptElement.dataset.nemoOriginalText = promptName;
-
-            return { isDivider: true, isSubHeader: true, name: cleanName, originalText: promptName };
-        }
-
-        // Check for main header pattern: === text === or similar
-        const match = DIVIDER_PREFIX_REGEX.exec(promptName);
+        const info = parseDividerName(promptName);
 
         promptElement.dataset.nemoDividerChecked = 'true';
+        promptElement.dataset.nemoIsDivider = String(info.isDivider);
+        promptElement.dataset.nemoIsSubHeader = String(info.isSubHeader);
 
-        if (match) {
-            let cleanName = promptName.substring(match[0].length).trim();
-            const suffixRegex = new RegExp(`\\s*(${escapeRegex(match[1])})\\s*$`);
-            cleanName = cleanName.replace(suffixRegex, '').trim() || "Section";
-
-            promptElement.dataset.nemoIsDivider = 'true';
-            promptElement.dataset.nemoIsSubHeader = 'false';
-            promptElement.dataset.nemoSectionName = cleanName;
-            promptElement.dataset.nemoOriginalText = promptName;
-
-            return { isDivider: true, isSubHeader: false, name: cleanName, originalText: promptName };
+        if (info.isDivider) {
+            promptElement.dataset.nemoSectionName = info.name;
+            promptElement.dataset.nemoOriginalText = info.originalText;
         }
 
-        promptElement.dataset.nemoIsDivider = 'false';
-        promptElement.dataset.nemoIsSubHeader = 'false';
-        return { isDivider: false, isSubHeader: false };
+        return info;
     },
 
     // Favorites Logic
@@ -1405,6 +1276,9 @@ export const NemoPresetManager = {
             this.createLorebookSection(container);
         }
 
+        // Start recording prompt changes for undo/redo
+        PromptHistory.initialize();
+
         // Add event listeners with error handling
         this.setupEventListeners();
 
@@ -1413,8 +1287,12 @@ export const NemoPresetManager = {
         this.initializeObserver(container);
         this.createContextMenu();
 
-        // Check if there's already a snapshot to enable the apply button
+        // Show the number of saved snapshots on the library button
         this.checkExistingSnapshot();
+        if (!this.snapshotListenerAttached) {
+            this.snapshotListenerAttached = true;
+            PromptSnapshots.onChange(() => this.checkExistingSnapshot());
+        }
 
         // Wait for prompts to be loaded before organizing
         // Use requestAnimationFrame to ensure DOM is fully rendered
@@ -1451,6 +1329,9 @@ export const NemoPresetManager = {
             const toggleBtn = document.getElementById('nemoToggleSectionsBtn');
             const promptNavigatorBtn = document.getElementById('nemoPromptNavigatorBtn');
             const archiveNavigatorBtn = document.getElementById('nemoArchiveNavigatorBtn');
+            const directiveGraphBtn = document.getElementById('nemoDirectiveGraphBtn');
+            const autoOrderBtn = document.getElementById('nemoAutoOrderBtn');
+            const bundleBtn = document.getElementById('nemoBundleBtn');
 
             // Guard against duplicate listeners using dataset flags
             if (searchInput && !searchInput.dataset.nemoListenersAttached) {
@@ -1485,8 +1366,7 @@ export const NemoPresetManager = {
                 applySnapshotBtn.addEventListener('click', (e) => {
                     e.preventDefault();
                     e.stopPropagation();
-                    console.log(`${LOG_PREFIX} Applying snapshot...`);
-                    this.applySnapshot();
+                    this.openSnapshotLibrary();
                 });
             }
 
@@ -1575,6 +1455,35 @@ export const NemoPresetManager = {
                 });
             }
 
+            if (directiveGraphBtn && !directiveGraphBtn.dataset.nemoListenersAttached) {
+                directiveGraphBtn.dataset.nemoListenersAttached = 'true';
+                directiveGraphBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    showDirectiveGraph();
+                });
+            }
+
+            if (autoOrderBtn && !autoOrderBtn.dataset.nemoListenersAttached) {
+                autoOrderBtn.dataset.nemoListenersAttached = 'true';
+                autoOrderBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    showAutoOrderPreview();
+                });
+            }
+
+            if (bundleBtn && !bundleBtn.dataset.nemoListenersAttached) {
+                bundleBtn.dataset.nemoListenersAttached = 'true';
+                bundleBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    showBundleMenu();
+                });
+            }
+
+            this.setupHistoryControls();
+
             // Setup Reasoning and Start Reply With synchronization
             this.setupReasoningSync();
             this.setupStartReplyWithSync();
@@ -1591,54 +1500,32 @@ export const NemoPresetManager = {
 
     setupPromptStatePreservation: function() {
         try {
-            // DISABLED: This feature causes extreme lag and doesn't work correctly
-            // The polling loop in restorePromptStates causes UI freezing
-
             // Remove any existing listeners to prevent duplicates
+            if (this._presetChangeBeforeHandler) {
+                eventSource.removeListener(event_types.OAI_PRESET_CHANGED_BEFORE, this._presetChangeBeforeHandler);
+                this._presetChangeBeforeHandler = null;
+            }
             if (this._presetChangeAfterHandler) {
                 eventSource.removeListener(event_types.OAI_PRESET_CHANGED_AFTER, this._presetChangeAfterHandler);
                 this._presetChangeAfterHandler = null;
             }
 
-            console.log(`${LOG_PREFIX} Prompt state preservation disabled to prevent lag`);
-            return;
+            if (!extension_settings[NEMO_EXTENSION_NAME]?.carryOverPromptStates || !event_types.OAI_PRESET_CHANGED_BEFORE) {
+                return;
+            }
 
-            // ORIGINAL CODE COMMENTED OUT:
-            /*
-            // Create bound handler for after preset change
+            this._presetChangeBeforeHandler = () => {
+                this.capturePromptStates();
+            };
             this._presetChangeAfterHandler = async () => {
-                console.log(`${LOG_PREFIX} Preset change detected (AFTER) - restoring matching prompts`);
+                console.log(`${LOG_PREFIX} Preset change detected (AFTER) - matching prompts from previous preset`);
                 await this.restorePromptStates();
             };
 
-            // Listen for preset changes AFTER
+            eventSource.on(event_types.OAI_PRESET_CHANGED_BEFORE, this._presetChangeBeforeHandler);
             eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, this._presetChangeAfterHandler);
 
-            // Also hook into preset select dropdowns to capture state before change
-            const supportedApis = ['openai', 'novel', 'kobold', 'textgenerationwebui', 'anthropic', 'claude', 'google', 'scale', 'cohere', 'mistral', 'aix', 'openrouter'];
-            supportedApis.forEach(api => {
-                const select = document.querySelector(`select[data-preset-manager-for="${api}"]`);
-                if (select && !select.dataset.nemoStatePreservationPatched) {
-                    select.dataset.nemoStatePreservationPatched = 'true';
-
-                    // Capture state before the change event fires
-                    select.addEventListener('mousedown', () => {
-                        console.log(`${LOG_PREFIX} Preset select mousedown - capturing current state`);
-                        this.capturePromptStates();
-                    });
-
-                    // Also capture on keyboard navigation
-                    select.addEventListener('keydown', (e) => {
-                        if (e.key === 'Enter' || e.key === 'ArrowUp' || e.key === 'ArrowDown') {
-                            console.log(`${LOG_PREFIX} Preset select keyboard - capturing current state`);
-                            this.capturePromptStates();
-                        }
-                    });
-                }
-            });
-
-            console.log(`${LOG_PREFIX} Prompt state preservation system initialized`);
-            */
+            console.log(`${LOG_PREFIX} Prompt state carry-over initialized`);
         } catch (error) {
             console.error(`${LOG_PREFIX} Error setting up prompt state preservation:`, error);
         }
@@ -2017,14 +1904,11 @@ export const NemoPresetManager = {
 
     checkExistingSnapshot: function() {
         try {
-            const currentApi = getContext().openai_api || 'openai';
-            const snapshotData = storage.getSnapshot(currentApi);
             const applySnapshotBtn = document.getElementById('nemoApplySnapshotBtn');
             if (applySnapshotBtn) {
-                applySnapshotBtn.disabled = !snapshotData || !Array.isArray(snapshotData) || snapshotData.length === 0;
-                if (snapshotData && Array.isArray(snapshotData)) {
-                    console.log(`${LOG_PREFIX} Existing snapshot found with ${snapshotData.length} prompts`);
-                }
+                // The library stays reachable when empty so snapshots can be imported
+                const count = PromptSnapshots.getAll().length;
+                applySnapshotBtn.title = `Snapshots: compare, apply, import and export (${count} saved)`;
             }
         } catch (error) {
             console.error(`${LOG_PREFIX} Error checking existing snapshot:`, error);
@@ -2047,13 +1931,15 @@ export const NemoPresetManager = {
             event.stopPropagation();
             const section = masterToggle.closest('details.nemo-engine-section');
             if (section) {
-                const promptsInSection = section.querySelectorAll(`.nemo-section-content ${SELECTORS.toggleButton}`);
-                const shouldEnable = Array.from(promptsInSection).some(toggle => !toggle.classList.contains(SELECTORS.enabledToggleClass));
-                promptsInSection.forEach(toggle => {
-                    const isEnabled = toggle.classList.contains(SELECTORS.enabledToggleClass);
-                    if ((shouldEnable && !isEnabled) || (!shouldEnable && isEnabled)) {
-                        toggle.click();
-                    }
+                const promptsInSection = Array.from(section.querySelectorAll(`.nemo-section-content ${SELECTORS.toggleButton}`));
+                const shouldEnable = promptsInSection.some(toggle => !toggle.classList.contains(SELECTORS.enabledToggleClass));
+                const identifiers = promptsInSection
+                    .map(toggle => toggle.closest(SELECTORS.promptItemRow)?.dataset.pmIdentifier)
+                    .filter(Boolean);
+                const header = section.querySelector('summary > li');
+                const sectionName = header ? this.getDividerInfo(header).name : null;
+                applyPromptStates(identifiers.map(identifier => [identifier, shouldEnable]), {
+                    label: sectionName ? `${shouldEnable ? 'Enable' : 'Disable'} section "${sectionName}"` : null
                 });
             }
         } else if (summary && !target.closest('a, button')) {
@@ -2436,6 +2322,173 @@ export const NemoPresetManager = {
         console.log(`${LOG_PREFIX} Toggle operation ended`);
     },
 
+    // Undo/Redo History
+    undo: function() {
+        const entry = PromptHistory.undo();
+        if (entry) {
+            this.showStatusMessage(`Undid: ${entry.label}`, 'info', 3000);
+        }
+    },
+
+    redo: function() {
+        const entry = PromptHistory.redo();
+        if (entry) {
+            this.showStatusMessage(`Redid: ${entry.label}`, 'info', 3000);
+        }
+    },
+
+    setupHistoryControls: function() {
+        const undoBtn = document.getElementById('nemoUndoBtn');
+        const redoBtn = document.getElementById('nemoRedoBtn');
+        const historyBtn = document.getElementById('nemoHistoryBtn');
+
+        if (undoBtn && !undoBtn.dataset.nemoListenersAttached) {
+            undoBtn.dataset.nemoListenersAttached = 'true';
+            undoBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.undo();
+            });
+        }
+
+        if (redoBtn && !redoBtn.dataset.nemoListenersAttached) {
+            redoBtn.dataset.nemoListenersAttached = 'true';
+            redoBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.redo();
+            });
+        }
+
+        if (historyBtn && !historyBtn.dataset.nemoListenersAttached) {
+            historyBtn.dataset.nemoListenersAttached = 'true';
+            historyBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleHistoryDropdown(historyBtn);
+            });
+        }
+
+        if (!this._historyListenerAttached) {
+            this._historyListenerAttached = true;
+            PromptHistory.onChange(() => this.updateHistoryControls());
+
+            // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) while the prompt manager is open.
+            // Text fields keep their native undo.
+            document.addEventListener('keydown', (e) => {
+                if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+                const key = e.key.toLowerCase();
+                if (key !== 'z' && key !== 'y') return;
+
+                const target = e.target;
+                if (target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+                const manager = document.getElementById('completion_prompt_manager');
+                if (!manager || manager.offsetParent === null) return;
+
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            });
+        }
+
+        this.updateHistoryControls();
+    },
+
+    updateHistoryControls: function() {
+        const undoBtn = document.getElementById('nemoUndoBtn');
+        const redoBtn = document.getElementById('nemoRedoBtn');
+        const lastUndo = PromptHistory.undoStack[PromptHistory.undoStack.length - 1];
+        const lastRedo = PromptHistory.redoStack[PromptHistory.redoStack.length - 1];
+
+        if (undoBtn) {
+            undoBtn.disabled = !lastUndo;
+            undoBtn.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !lastRedo;
+            redoBtn.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        }
+
+        const dropdown = document.getElementById('nemoHistoryDropdown');
+        if (dropdown) {
+            this.renderHistoryDropdown(dropdown);
+        }
+    },
+
+    toggleHistoryDropdown: function(anchor) {
+        const existing = document.getElementById('nemoHistoryDropdown');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const dropdown = document.createElement('div');
+        dropdown.id = 'nemoHistoryDropdown';
+        dropdown.className = 'nemo-history-dropdown';
+        dropdown.setAttribute('role', 'menu');
+        anchor.closest('.nemo-search-controls').appendChild(dropdown);
+        this.renderHistoryDropdown(dropdown);
+
+        // Clicking an entry steps back (or forward) to just after that change
+        dropdown.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const item = e.target.closest('.nemo-history-item');
+            if (!item) return;
+
+            const steps = parseInt(item.dataset.steps, 10);
+            for (let i = 0; i < Math.abs(steps); i++) {
+                if (steps > 0) PromptHistory.undo(); else PromptHistory.redo();
+            }
+            if (steps !== 0) {
+                this.showStatusMessage(`${steps > 0 ? 'Undid' : 'Redid'} ${Math.abs(steps)} change(s)`, 'info', 3000);
+            }
+        });
+
+        const closeOnOutsideClick = (e) => {
+            if (!dropdown.contains(e.target) && e.target !== anchor && !anchor.contains(e.target)) {
+                dropdown.remove();
+                document.removeEventListener('click', closeOnOutsideClick);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeOnOutsideClick), 0);
+    },
+
+    renderHistoryDropdown: function(dropdown) {
+        const undoEntries = PromptHistory.undoStack.slice().reverse();
+        // The redo stack's top (its last entry) is the next redo, drawn right above the current state
+        const redoEntries = PromptHistory.redoStack.slice();
+
+        if (undoEntries.length === 0 && redoEntries.length === 0) {
+            dropdown.innerHTML = '<div class="nemo-history-empty">No prompt changes yet</div>';
+            return;
+        }
+
+        const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const escape = (text) => {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        };
+
+        // steps > 0: undo that many entries; steps < 0: redo; 0 is the current state
+        const redoItems = redoEntries.map((entry, index) => `
+            <div class="nemo-history-item nemo-history-redo" role="menuitem" data-steps="${-(redoEntries.length - index)}">
+                <span>${escape(entry.label)}</span><small>${formatTime(entry.timestamp)}</small>
+            </div>`);
+        const undoItems = undoEntries.map((entry, index) => `
+            <div class="nemo-history-item${index === 0 ? ' nemo-history-current' : ''}" role="menuitem" data-steps="${index}">
+                <span>${escape(entry.label)}</span><small>${formatTime(entry.timestamp)}</small>
+            </div>`);
+
+        dropdown.innerHTML = [...redoItems, ...undoItems].join('') +
+            (undoEntries.length ? `<div class="nemo-history-item nemo-history-origin" role="menuitem" data-steps="${undoEntries.length}"><span>Before all changes</span></div>` : '');
+    },
+
     // Context Menu for Prompt Movement
     createContextMenu: function() {
         // Remove existing context menu if it exists
@@ -2810,6 +2863,7 @@ export const NemoPresetManager = {
             this.organizePrompts(true);
             
             // Then trigger save
+            PromptHistory.setNextLabel(`Move "${promptName}" below "${headerName}"`);
             const updateButton = document.getElementById('completion_prompt_manager_update_button');
             if (updateButton) {
                 updateButton.click();
@@ -2830,23 +2884,32 @@ export const NemoPresetManager = {
 
     // === PROMPT LIBRARY SYSTEM ===
 
-    getPromptLibraryKey: function() {
-        return 'nemo-prompt-library';
-    },
+    // The library is a JSON file in the user's data (core/file-storage.js), cached once loaded
 
-    getPromptLibrary: function() {
+    loadPromptLibrary: async function() {
         try {
-            const stored = localStorage.getItem(this.getPromptLibraryKey());
-            return stored ? JSON.parse(stored) : [];
+            await NemoFileStorage.load(FILES.PROMPT_LIBRARY, []);
         } catch (error) {
             console.error(`${LOG_PREFIX} Error loading prompt library:`, error);
-            return [];
         }
+        return this.getPromptLibrary();
+    },
+
+    getPromptLibrary: function() {
+        const library = NemoFileStorage.get(FILES.PROMPT_LIBRARY);
+        return Array.isArray(library) ? structuredClone(library) : [];
+    },
+
+    savePromptLibrary: function(library) {
+        NemoFileStorage.save(FILES.PROMPT_LIBRARY, library).catch(error => {
+            console.error(`${LOG_PREFIX} Error saving prompt library:`, error);
+            this.showStatusMessage('Failed to save the prompt library', 'error', 3000);
+        });
     },
 
-    saveToPromptLibrary: function(promptData) {
+    saveToPromptLibrary: async function(promptData) {
         try {
-            const library = this.getPromptLibrary();
+            const library = await this.loadPromptLibrary();
             library.push({
                 id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
                 title: promptData.title,
@@ -2859,7 +2922,7 @@ export const NemoPresetManager = {
                 folder: promptData.folder || 'Default',
                 isFavorite: false
             });
-            localStorage.setItem(this.getPromptLibraryKey(), JSON.stringify(library));
+            this.savePromptLibrary(library);
             return true;
         } catch (error) {
             console.error(`${LOG_PREFIX} Error saving to prompt library:`, error);
@@ -2871,7 +2934,7 @@ export const NemoPresetManager = {
         try {
             const library = this.getPromptLibrary();
             const filtered = library.filter(p => p.id !== promptId);
-            localStorage.setItem(this.getPromptLibraryKey(), JSON.stringify(filtered));
+            this.savePromptLibrary(filtered);
             return true;
         } catch (error) {
             console.error(`${LOG_PREFIX} Error deleting from prompt library:`, error);
@@ -3009,7 +3072,7 @@ export const NemoPresetManager = {
 
         document.body.appendChild(dialog);
 
-        dialog.addEventListener('click', (e) => {
+        dialog.addEventListener('click', async (e) => {
             const action = e.target.closest('[data-action]')?.dataset.action;
             const closeBtn = e.target.closest('.nemo-dialog-close');
 
@@ -3029,7 +3092,7 @@ export const NemoPresetManager = {
                     tags: tags
                 };
 
-                if (this.saveToPromptLibrary(saveData)) {
+                if (await this.saveToPromptLibrary(saveData)) {
                     this.showStatusMessage(`Prompt "${title}" saved to library`, 'success', 3000);
                 } else {
                     this.showStatusMessage('Failed to save prompt to library', 'error', 3000);
@@ -3044,8 +3107,8 @@ export const NemoPresetManager = {
         document.getElementById('nemo-save-prompt-title').focus();
     },
 
-    showLoadPromptDialog: function() {
-        const library = this.getPromptLibrary();
+    showLoadPromptDialog: async function() {
+        const library = await this.loadPromptLibrary();
         
         if (library.length === 0) {
             this.showStatusMessage('No saved prompts found. Right-click on a prompt and select "Save Prompt" to build your library.', 'info', 4000);
@@ -3162,8 +3225,8 @@ export const NemoPresetManager = {
 
     // === PROMPT ARCHIVE NAVIGATOR ===
 
-    showArchiveNavigator: function() {
-        const library = this.getPromptLibrary();
+    showArchiveNavigator: async function() {
+        const library = await this.loadPromptLibrary();
         
         // Organize by folders
         const folders = this.organizePromptsByFolders(library);
@@ -3564,7 +3627,7 @@ export const NemoPresetManager = {
             const prompt = library.find(p => p.id === promptId);
             if (prompt) {
                 prompt.isFavorite = !prompt.isFavorite;
-                localStorage.setItem(this.getPromptLibraryKey(), JSON.stringify(library));
+                this.savePromptLibrary(library);
             }
         } catch (error) {
             console.error(`${LOG_PREFIX} Error toggling favorite:`, error);
@@ -3849,7 +3912,7 @@ export const NemoPresetManager = {
                     promptToUpdate.folder = folder;
                     promptToUpdate.dateModified = new Date().toISOString();
                     
-                    localStorage.setItem(this.getPromptLibraryKey(), JSON.stringify(updatedLibrary));
+                    this.savePromptLibrary(updatedLibrary);
                     this.showStatusMessage('Prompt updated successfully!', 'success');
                     
                     dialog.remove();
@@ -3938,7 +4001,7 @@ export const NemoPresetManager = {
                     promptToMove.folder = targetFolder;
                     promptToMove.dateModified = new Date().toISOString();
                     
-                    localStorage.setItem(this.getPromptLibraryKey(), JSON.stringify(updatedLibrary));
+                    this.savePromptLibrary(updatedLibrary);
                     this.showStatusMessage(`Prompt moved to "${targetFolder}" folder!`, 'success');
                     
                     dialog.remove();
@@ -4026,7 +4089,7 @@ export const NemoPresetManager = {
 
             try {
                 library.push(placeholderPrompt);
-                localStorage.setItem(this.getPromptLibraryKey(), JSON.stringify(library));
+                this.savePromptLibrary(library);
                 this.showStatusMessage(`Folder "${folderName}" created successfully!`, 'success');
                 
                 dialog.remove();
@@ -4139,7 +4202,7 @@ export const NemoPresetManager = {
                         }
                     });
 
-                    localStorage.setItem(this.getPromptLibraryKey(), JSON.stringify(currentLibrary));
+                    this.savePromptLibrary(currentLibrary);
                     this.showStatusMessage(`Successfully imported ${importCount} prompts!`, 'success');
                     
                     dialog.remove();
@@ -4209,6 +4272,10 @@ export const NemoPresetManager = {
         }
 
         // Remove event listeners
+        if (this._presetChangeBeforeHandler) {
+            eventSource.removeListener(event_types.OAI_PRESET_CHANGED_BEFORE, this._presetChangeBeforeHandler);
+            this._presetChangeBeforeHandler = null;
+        }
         if (this._presetChangeAfterHandler) {
             eventSource.removeListener(event_types.OAI_PRESET_CHANGED_AFTER, this._presetChangeAfterHandler);
             this._presetChangeAfterHandler = null;
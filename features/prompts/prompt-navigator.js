@@ -2,9 +2,9 @@ import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
 import { LOG_PREFIX, generateUUID, debounce, NEMO_FAVORITE_PRESETS_KEY } from '../../core/utils.js';
 import { eventSource, event_types } from '../../../../../../script.js';
 import { promptManager } from '../../../../../openai.js';
+import { NemoFileStorage, FILES } from '../../core/file-storage.js';
 
-// New storage keys for prompt navigator
-const NEMO_PROMPT_METADATA_KEY = 'nemoPromptNavigatorMetadata';
+// Storage key for prompt navigator favorites (metadata is in FILES.NAVIGATOR_METADATA)
 const NEMO_FAVORITE_PROMPTS_KEY = 'nemo-favorite-prompts';
 
 export class PromptNavigator {
@@ -76,7 +76,7 @@ export class PromptNavigator {
 
     async open() {
         await this.init();
-        this.loadMetadata();
+        await this.loadMetadata();
         this.allPrompts = await this.fetchPromptList();
         this.searchInput.value = '';
         this.bulkSelection.clear();
@@ -127,12 +127,10 @@ export class PromptNavigator {
         return prompts;
     }
 
-    loadMetadata() {
+    // Metadata is a JSON file in the user's data (core/file-storage.js)
+    async loadMetadata() {
         try {
-            const savedMetadata = localStorage.getItem(NEMO_PROMPT_METADATA_KEY);
-            if (savedMetadata) {
-                this.metadata = JSON.parse(savedMetadata);
-            }
+            this.metadata = structuredClone(await NemoFileStorage.load(FILES.NAVIGATOR_METADATA, { folders: {}, prompts: {} }));
         } catch (error) {
             console.error(`${LOG_PREFIX} Error loading prompt navigator metadata:`, error);
             this.metadata = { folders: {}, prompts: {} };
@@ -140,11 +138,9 @@ export class PromptNavigator {
     }
 
     saveMetadata() {
-        try {
-            localStorage.setItem(NEMO_PROMPT_METADATA_KEY, JSON.stringify(this.metadata));
-        } catch (error) {
+        NemoFileStorage.save(FILES.NAVIGATOR_METADATA, structuredClone(this.metadata)).catch(error => {
             console.error(`${LOG_PREFIX} Error saving prompt navigator metadata:`, error);
-        }
+        });
     }
 
     updateMetadataTimestamp(id, type) {
@@ -0,0 +1,426 @@
+/**
+ * Nemo Prompt Revisions
+ * Automatic version history of each preset's prompts. When the settings are
+ * saved and the prompt contents or the prompt order differ from the latest
+ * revision stored for the active preset, a new revision is recorded. Toggling a prompt
+ * does not create a revision on its own, but each revision keeps the toggles
+ * it was saved with.
+ *
+ * Revisions are compared by a hash of the prompts and the order, and
+ * pruned by count and age. They are kept in a JSON file in the user's data
+ * (core/file-storage.js), not in extension_settings. The timeline lets the
+ * user view a revision, diff two of them and roll the active preset back to one.
+ *
+ * @module prompt-revisions
+ */
+
+import logger from '../../core/logger.js';
+import { NemoFileStorage, FILES } from '../../core/file-storage.js';
+import { NEMO_EXTENSION_NAME, escapeHtml, showNemoModal } from '../../core/utils.js';
+import { getCurrentPresetName } from '../directives/prompt-profiles.js';
+import { diffPromptData } from './prompt-archive-diff.js';
+import { NemoPromptArchiveUI } from './prompt-archive-ui.js';
+import { PromptHistory } from './prompt-history.js';
+import { promptManager } from '../../../../../openai.js';
+import { extension_settings } from '../../../../../extensions.js';
+import { eventSource, event_types } from '../../../../../../script.js';
+import { getStringHash } from '../../../../../utils.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+
+// Settings saves come in bursts (a drag, a section toggle); record once they settle
+const RECORD_DELAY = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PromptRevisions = {
+    recordTimer: null,
+    // Preset the scheduled record belongs to, named when it was scheduled
+    pendingPresetName: null,
+    listeners: new Set(),
+    initialized: false,
+
+    /**
+     * Start recording revisions on settings saves
+     */
+    initialize: function() {
+        if (this.initialized) return;
+
+        eventSource.on(event_types.SETTINGS_UPDATED, () => this.scheduleRecord());
+        // Pending changes belong to the preset being left; by now the active name may be the new one
+        eventSource.on(event_types.OAI_PRESET_CHANGED_BEFORE, (event) => this.flush(event?.presetNameBefore));
+        eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, () => this.scheduleRecord());
+
+        this.initialized = true;
+        logger.info('Prompt revisions initialized');
+    },
+
+    /**
+     * Load the revision file
+     * @returns {Promise<Object<string, Array>>} Revisions by preset name
+     */
+    load: async function() {
+        return NemoFileStorage.load(FILES.PROMPT_REVISIONS, {});
+    },
+
+    /**
+     * Loaded revisions by preset name
+     */
+    getAll: function() {
+        return NemoFileStorage.get(FILES.PROMPT_REVISIONS) || {};
+    },
+
+    isEnabled: function() {
+        return extension_settings[NEMO_EXTENSION_NAME]?.autoArchiveRevisions ?? true;
+    },
+
+    scheduleRecord: function() {
+        if (!this.isEnabled()) return;
+        clearTimeout(this.recordTimer);
+        this.pendingPresetName = getCurrentPresetName();
+        this.recordTimer = setTimeout(() => this.flush(), RECORD_DELAY);
+    },
+
+    /**
+     * Record a pending revision now
+     * @param {string} [presetName] - Preset the prompts belong to; defaults to the one the record was scheduled in
+     */
+    flush: async function(presetName) {
+        const name = presetName || this.pendingPresetName || getCurrentPresetName();
+        clearTimeout(this.recordTimer);
+        this.recordTimer = null;
+        this.pendingPresetName = null;
+        if (!this.isEnabled()) return;
+
+        try {
+            await this.record(name);
+        } catch (error) {
+            logger.error('Error recording prompt revision:', error);
+        }
+    },
+
+    /**
+     * Capture the active preset's prompts and order
+     * @param {string} [presetName] - Name to record them under; defaults to the active preset
+     * @returns {{presetName: string, prompts: Array, order: Array<{identifier: string, enabled: boolean}>}|null}
+     */
+    capture: function(presetName = getCurrentPresetName()) {
+        if (!promptManager?.activeCharacter || !Array.isArray(promptManager.serviceSettings?.prompts)) return null;
+
+        const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || [];
+        return {
+            presetName,
+            prompts: structuredClone(promptManager.serviceSettings.prompts),
+            order: order.map(entry => ({ identifier: entry.identifier, enabled: !!entry.enabled }))
+        };
+    },
+
+    /**
+     * Hash of the prompt contents and order, ignoring toggles
+     */
+    hashOf: function(state) {
+        return getStringHash(JSON.stringify([state.prompts, state.order.map(entry => entry.identifier)]));
+    },
+
+    /**
+     * Record the current state if it differs from the preset's latest revision
+     * Only the latest hash is compared, so reverting to an older state is a new revision.
+     * The state is captured before anything is awaited, so it is the one at call time.
+     * @param {string} [presetName] - Preset the prompts belong to; defaults to the active preset
+     * @returns {Promise<Object|null>} The new revision
+     */
+    record: async function(presetName) {
+        const state = this.capture(presetName);
+        if (!state || state.prompts.length === 0) return null;
+
+        const hash = this.hashOf(state);
+        await this.load();
+        // Read after the await: another record may have finished meanwhile
+        const all = { ...this.getAll() };
+        const revisions = all[state.presetName] || [];
+        if (revisions[0]?.hash === hash) return null;
+
+        const previous = revisions[0];
+        const revision = {
+            id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            hash,
+            timestamp: new Date().toISOString(),
+            presetName: state.presetName,
+            prompts: state.prompts,
+            order: state.order,
+            changes: previous ? describeChanges(diffPromptData(previous, state).summary) : 'First revision'
+        };
+
+        all[state.presetName] = this.prune([revision, ...revisions]);
+        NemoFileStorage.save(FILES.PROMPT_REVISIONS, all).catch(error => {
+            logger.error('Error saving prompt revisions:', error);
+        });
+        this.notify();
+        logger.info(`Recorded prompt revision for "${state.presetName}": ${revision.changes}`);
+        return revision;
+    },
+
+    /**
+     * Apply the retention limits to a newest-first list (the newest revision is always kept)
+     */
+    prune: function(revisions) {
+        const settings = extension_settings[NEMO_EXTENSION_NAME] || {};
+        const maxCount = Math.max(1, Number(settings.revisionMaxCount) || 20);
+        const maxAgeDays = Number(settings.revisionMaxAgeDays) || 0;
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : 0;
+
+        return revisions
+            .filter((revision, index) => index === 0 || new Date(revision.timestamp).getTime() >= cutoff)
+            .slice(0, maxCount);
+    },
+
+    /**
+     * Revisions of a preset, newest first
+     * @param {string} [presetName] - Defaults to the active preset
+     */
+    getRevisions: function(presetName = getCurrentPresetName()) {
+        return this.getAll()[presetName] || [];
+    },
+
+    /**
+     * Names of the presets that have revisions
+     */
+    getPresetNames: function() {
+        return Object.keys(this.getAll()).filter(name => this.getRevisions(name).length > 0).sort();
+    },
+
+    /**
+     * Whether a revision matches the active preset's current prompts and order
+     */
+    isCurrent: function(revision) {
+        const state = this.capture();
+        return !!state && state.presetName === revision.presetName && this.hashOf(state) === revision.hash;
+    },
+
+    /**
+     * Restore the prompts, order and toggles of a revision of the active preset
+     * The state being replaced is recorded first, so the rollback can be rolled back.
+     * @param {Object} revision - Revision of the active preset
+     * @returns {Promise<boolean>} Whether the rollback happened
+     */
+    rollback: async function(revision) {
+        if (revision.presetName !== getCurrentPresetName()) {
+            logger.warn(`Revision belongs to "${revision.presetName}", not the active preset`);
+            return false;
+        }
+
+        await this.flush();
+
+        const previousPrompts = promptManager.serviceSettings.prompts;
+        promptManager.serviceSettings.prompts = structuredClone(revision.prompts);
+        const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter);
+        order.splice(0, order.length, ...revision.order.map(entry => ({ ...entry })));
+
+        PromptHistory.setNextLabel(`Roll back to revision of ${formatTimestamp(revision.timestamp)}`, { prompts: previousPrompts });
+        promptManager.render();
+        promptManager.saveServiceSettings();
+        this.notify();
+        logger.info(`Rolled "${revision.presetName}" back to revision ${revision.id}`);
+        return true;
+    },
+
+    /**
+     * Delete all revisions of a preset
+     */
+    clear: async function(presetName) {
+        await this.load();
+        const all = { ...this.getAll() };
+        delete all[presetName];
+        await NemoFileStorage.save(FILES.PROMPT_REVISIONS, all);
+        this.notify();
+    },
+
+    onChange: function(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    notify: function() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                logger.error('Error in prompt revision listener:', error);
+            }
+        });
+    }
+};
+
+/**
+ * One-line description of a diff summary
+ */
+function describeChanges(summary) {
+    const parts = [
+        [summary.added, 'added'],
+        [summary.removed, 'removed'],
+        [summary.renamed, 'renamed'],
+        [summary.contentChanged, 'edited'],
+        [summary.moved, 'moved']
+    ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+    return parts.length ? parts.join(', ') : 'Toggles only';
+}
+
+/**
+ * Open the revision timeline
+ */
+export async function showRevisionTimeline() {
+    try {
+        await PromptRevisions.load();
+    } catch (error) {
+        logger.error('Error loading prompt revisions:', error);
+        toastr.error('Could not load the revision history');
+        return;
+    }
+    await PromptRevisions.flush();
+
+    const { modal } = showNemoModal({
+        className: 'nemo-revision-modal',
+        title: 'Revision history',
+        body: ''
+    });
+    const body = modal.querySelector('.nemo-modal-body');
+    let presetName = getCurrentPresetName();
+
+    const showList = () => {
+        const revisions = PromptRevisions.getRevisions(presetName);
+        const presetNames = [...new Set([getCurrentPresetName(), ...PromptRevisions.getPresetNames()])];
+        const isActivePreset = presetName === getCurrentPresetName();
+
+        body.innerHTML = `
+            <div class="nemo-revision-toolbar">
+                <select class="text_pole nemo-revision-preset">
+                    ${presetNames.map(name => `<option value="${escapeHtml(name ?? '')}" ${name === presetName ? 'selected' : ''}>${escapeHtml(name ?? '')}</option>`).join('')}
+                </select>
+                <button class="nemo-toast-btn secondary nemo-revision-compare" disabled>Compare selected</button>
+                <button class="nemo-toast-btn secondary nemo-revision-clear" ${revisions.length ? '' : 'disabled'}>Clear history</button>
+            </div>
+            ${PromptRevisions.isEnabled() ? '' : '<p class="nemo-snapshot-warning">Automatic revisions are turned off in the extension settings.</p>'}
+            <div class="nemo-revision-list">
+                ${revisions.length === 0
+                    ? '<p class="nemo-snapshot-empty">No revisions recorded for this preset yet.</p>'
+                    : revisions.map((revision, index) => `
+                        <div class="nemo-revision-item" data-index="${index}">
+                            <input type="checkbox" class="nemo-revision-select" aria-label="Select for comparison">
+                            <div class="nemo-revision-info">
+                                <div class="nemo-revision-time">
+                                    ${escapeHtml(formatTimestamp(revision.timestamp))}
+                                    ${PromptRevisions.isCurrent(revision) ? '<span class="nemo-archive-diff-badge">current</span>' : ''}
+                                </div>
+                                <div class="nemo-revision-meta">${escapeHtml(revision.changes)} · ${revision.order.length} prompts in order</div>
+                            </div>
+                            <div class="nemo-snapshot-actions">
+                                <button class="menu_button nemo-revision-view" title="View" aria-label="View"><i class="fa-solid fa-eye"></i></button>
+                                <button class="menu_button nemo-revision-diff" title="Diff with the previous revision" aria-label="Diff with the previous revision" ${index < revisions.length - 1 ? '' : 'disabled'}><i class="fa-solid fa-code-compare"></i></button>
+                                <button class="menu_button nemo-revision-rollback" title="Roll back to this revision" aria-label="Roll back to this revision" ${isActivePreset ? '' : 'disabled'}><i class="fa-solid fa-clock-rotate-left"></i></button>
+                            </div>
+                        </div>
+                    `).join('')}
+            </div>
+        `;
+
+        body.querySelector('.nemo-revision-preset').addEventListener('change', (e) => {
+            presetName = e.target.value;
+            showList();
+        });
+
+        const compareButton = body.querySelector('.nemo-revision-compare');
+        const selected = () => [...body.querySelectorAll('.nemo-revision-select:checked')]
+            .map(box => revisions[Number(box.closest('.nemo-revision-item').dataset.index)]);
+        body.querySelectorAll('.nemo-revision-select').forEach(box => {
+            box.addEventListener('change', () => {
+                compareButton.disabled = selected().length !== 2;
+            });
+        });
+        compareButton.addEventListener('click', () => {
+            // Older revision on the left
+            const [newer, older] = selected();
+            showDiff(older, newer);
+        });
+
+        body.querySelector('.nemo-revision-clear').addEventListener('click', async () => {
+            const confirmed = await callGenericPopup(`Delete all revisions of "${presetName}"?`, POPUP_TYPE.CONFIRM);
+            if (!confirmed) return;
+            try {
+                await PromptRevisions.clear(presetName);
+            } catch (error) {
+                logger.error('Error clearing prompt revisions:', error);
+                toastr.error('Error clearing revision history');
+            }
+            showList();
+        });
+
+        body.querySelectorAll('.nemo-revision-item').forEach(item => {
+            const index = Number(item.dataset.index);
+            const revision = revisions[index];
+            item.querySelector('.nemo-revision-view').addEventListener('click', () => showRevision(revision));
+            item.querySelector('.nemo-revision-diff').addEventListener('click', () => showDiff(revisions[index + 1], revision));
+            item.querySelector('.nemo-revision-rollback').addEventListener('click', async () => {
+                const confirmed = await callGenericPopup(
+                    `Replace the prompts of "${revision.presetName}" with the revision of ${formatTimestamp(revision.timestamp)}? The current state is kept in the history.`,
+                    POPUP_TYPE.CONFIRM
+                );
+                if (!confirmed) return;
+
+                try {
+                    if (await PromptRevisions.rollback(revision)) {
+                        toastr.success(`Rolled back to the revision of ${formatTimestamp(revision.timestamp)}`);
+                    }
+                } catch (error) {
+                    logger.error('Error rolling back revision:', error);
+                    toastr.error('Error rolling back revision');
+                }
+                showList();
+            });
+        });
+    };
+
+    const showRevision = (revision) => {
+        const prompts = new Map(revision.prompts.map(prompt => [prompt.identifier, prompt]));
+        const inOrder = new Set(revision.order.map(entry => entry.identifier));
+        const unordered = revision.prompts.filter(prompt => !inOrder.has(prompt.identifier));
+        const renderPrompt = (prompt, enabled) => `
+            <details class="nemo-revision-prompt">
+                <summary>
+                    ${enabled === null ? '' : enabled ? '<span class="nemo-profile-diff-on">on</span>' : '<span class="nemo-profile-diff-off">off</span>'}
+                    ${escapeHtml(prompt.name || prompt.identifier)}
+                </summary>
+                <pre class="nemo-archive-diff-hunk">${escapeHtml(prompt.content || '')}</pre>
+            </details>
+        `;
+
+        body.innerHTML = `
+            <h4 class="nemo-snapshot-diff-title">${escapeHtml(revision.presetName)} · ${escapeHtml(formatTimestamp(revision.timestamp))}</h4>
+            ${revision.order.filter(entry => prompts.has(entry.identifier)).map(entry => renderPrompt(prompts.get(entry.identifier), entry.enabled)).join('')}
+            ${unordered.length ? `<h5>Not in the prompt order (${unordered.length})</h5>${unordered.map(prompt => renderPrompt(prompt, null)).join('')}` : ''}
+            <div class="nemo-toast-actions">
+                <button class="nemo-toast-btn secondary nemo-revision-back">Back</button>
+            </div>
+        `;
+        body.querySelector('.nemo-revision-back').addEventListener('click', showList);
+    };
+
+    const showDiff = (older, newer) => {
+        const { entries, unchanged } = diffPromptData(older, newer);
+
+        body.innerHTML = `
+            <h4 class="nemo-snapshot-diff-title">${escapeHtml(formatTimestamp(older.timestamp))} &rarr; ${escapeHtml(formatTimestamp(newer.timestamp))}</h4>
+            <p class="nemo-archive-diff-summary">${entries.length} prompt(s) changed, ${unchanged} unchanged.</p>
+            ${entries.map(entry => NemoPromptArchiveUI.createDiffEntry(entry, { selectable: false })).join('')}
+            <div class="nemo-toast-actions">
+                <button class="nemo-toast-btn secondary nemo-revision-back">Back</button>
+            </div>
+        `;
+        body.querySelector('.nemo-revision-back').addEventListener('click', showList);
+    };
+
+    showList();
+
+}
+
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
@@ -0,0 +1,239 @@
+/**
+ * Nemo Prompt State Carry-Over
+ * Carries prompt toggles across a preset switch. Prompts of the new preset are
+ * matched to the previous preset's prompts by identifier, then exact name, then
+ * normalized name, then content similarity (shingled word 3-grams), because
+ * re-exported community presets give the same prompts new identifiers.
+ *
+ * Matches are listed with a confidence in a review dialog; only the ones the
+ * user keeps are applied.
+ *
+ * @module prompt-state-carryover
+ */
+
+import logger from '../../core/logger.js';
+import sharedNgramAnalyzer from '../../core/shared-ngrams.js';
+import { escapeHtml, showNemoModal } from '../../core/utils.js';
+import { applyPromptStates } from '../directives/batch-toggle.js';
+import { promptManager } from '../../../../../openai.js';
+
+const SHINGLE_SIZE = 3;
+// Content matches below this Jaccard similarity are not offered
+const MIN_CONTENT_SIMILARITY = 0.4;
+// Matches at or above this confidence are pre-selected in the review dialog
+export const PRESELECT_CONFIDENCE = 0.6;
+
+const METHOD_CONFIDENCE = {
+    identifier: 1,
+    name: 0.95,
+    'normalized name': 0.85
+};
+
+/**
+ * Capture the prompts of the active order with their state and content
+ * @returns {Array<{identifier: string, name: string, content: string, enabled: boolean}>}
+ */
+export function capturePromptStates() {
+    if (!promptManager?.activeCharacter) return [];
+
+    const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || [];
+    return order.map(entry => {
+        const prompt = promptManager.getPromptById(entry.identifier);
+        return {
+            identifier: entry.identifier,
+            name: prompt?.name || '',
+            content: prompt?.content || '',
+            enabled: !!entry.enabled
+        };
+    });
+}
+
+/**
+ * Match the prompts of two captures one-to-one
+ * Each stage only considers prompts the earlier stages left unmatched.
+ * @param {Array} previous - Capture of the previous preset
+ * @param {Array} current - Capture of the new preset
+ * @returns {Array<{previous: Object, current: Object, method: string, confidence: number}>} Matches
+ */
+export function matchPrompts(previous, current) {
+    const matches = [];
+    const unmatchedPrevious = new Set(previous);
+    const unmatchedCurrent = new Set(current);
+
+    const accept = (from, to, method, confidence) => {
+        matches.push({ previous: from, current: to, method, confidence });
+        unmatchedPrevious.delete(from);
+        unmatchedCurrent.delete(to);
+    };
+
+    // Exact keys: identifier, name, normalized name. Ambiguous keys are skipped.
+    const keyStages = [
+        ['identifier', prompt => prompt.identifier],
+        ['name', prompt => prompt.name.trim()],
+        ['normalized name', prompt => normalizeName(prompt.name)]
+    ];
+
+    for (const [method, keyOf] of keyStages) {
+        const byKey = groupByKey([...unmatchedPrevious], keyOf);
+        const currentByKey = groupByKey([...unmatchedCurrent], keyOf);
+
+        for (const [key, candidates] of byKey) {
+            const targets = currentByKey.get(key);
+            if (candidates.length === 1 && targets?.length === 1) {
+                accept(candidates[0], targets[0], method, METHOD_CONFIDENCE[method]);
+            }
+        }
+    }
+
+    // Content similarity, best pairs first
+    const shingles = new Map();
+    const shinglesOf = (prompt) => {
+        if (!shingles.has(prompt)) {
+            shingles.set(prompt, new Set(sharedNgramAnalyzer.extractNgrams(prompt.content, SHINGLE_SIZE, SHINGLE_SIZE)));
+        }
+        return shingles.get(prompt);
+    };
+
+    const pairs = [];
+    for (const to of unmatchedCurrent) {
+        if (shinglesOf(to).size === 0) continue;
+        for (const from of unmatchedPrevious) {
+            const similarity = jaccard(shinglesOf(to), shinglesOf(from));
+            if (similarity >= MIN_CONTENT_SIMILARITY) {
+                pairs.push({ from, to, similarity });
+            }
+        }
+    }
+
+    pairs.sort((a, b) => b.similarity - a.similarity);
+    for (const { from, to, similarity } of pairs) {
+        if (unmatchedPrevious.has(from) && unmatchedCurrent.has(to)) {
+            accept(from, to, 'content', similarity);
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Lowercase a prompt name and drop punctuation, emoji and divider characters
+ * @param {string} name - Prompt name
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+    return (name || '')
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function groupByKey(prompts, keyOf) {
+    const groups = new Map();
+    for (const prompt of prompts) {
+        const key = keyOf(prompt);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(prompt);
+    }
+    return groups;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let shared = 0;
+    for (const shingle of small) {
+        if (large.has(shingle)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Match a previous capture against the active preset and let the user review
+ * the matches that would change a toggle
+ * @param {Array} previous - Capture taken before the preset switch
+ * @returns {Promise<number>} Number of prompts changed
+ */
+export async function reviewCarryOver(previous) {
+    const current = capturePromptStates();
+    if (!previous?.length || !current.length) return 0;
+
+    const matches = matchPrompts(previous, current);
+    const changes = matches.filter(match => match.previous.enabled !== match.current.enabled);
+    logger.info(`Prompt carry-over: ${matches.length} match(es), ${changes.length} would change`);
+
+    if (changes.length === 0) return 0;
+
+    const selected = await showReviewDialog(changes, matches.length);
+    if (!selected.length) return 0;
+
+    const { changed } = applyPromptStates(
+        selected.map(match => [match.current.identifier, match.previous.enabled]),
+        { label: `Carry over ${selected.length} prompt state(s)` }
+    );
+    return changed.length;
+}
+
+/**
+ * Show the matches that would change a toggle
+ * @returns {Promise<Array>} The matches the user kept
+ */
+function showReviewDialog(changes, matchCount) {
+    return new Promise(resolve => {
+        const { modal, close: closeModal } = showNemoModal({
+            className: 'nemo-carryover-modal',
+            title: 'Carry over prompt states',
+            body: `
+                <p>${matchCount} prompt(s) of the new preset match prompts of the previous one. These ${changes.length} would change:</p>
+                <table class="nemo-carryover-table">
+                    <thead>
+                        <tr>
+                            <th><input type="checkbox" class="nemo-carryover-all" aria-label="Select all"></th>
+                            <th>New preset</th>
+                            <th>Matched from</th>
+                            <th>Match</th>
+                            <th>State</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${changes.map((match, index) => `
+                            <tr>
+                                <td><input type="checkbox" data-index="${index}" ${match.confidence >= PRESELECT_CONFIDENCE ? 'checked' : ''}></td>
+                                <td title="${escapeHtml(match.current.identifier)}">${escapeHtml(match.current.name || match.current.identifier)}</td>
+                                <td title="${escapeHtml(match.previous.identifier)}">${escapeHtml(match.previous.name || match.previous.identifier)}</td>
+                                <td><span class="nemo-carryover-confidence ${confidenceClass(match.confidence)}">${Math.round(match.confidence * 100)}%</span> ${escapeHtml(match.method)}</td>
+                                <td>${match.previous.enabled ? '<span class="nemo-profile-diff-on">on</span>' : '<span class="nemo-profile-diff-off">off</span>'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="nemo-toast-actions">
+                    <button class="nemo-toast-btn secondary nemo-carryover-skip">Skip</button>
+                    <button class="nemo-toast-btn primary nemo-carryover-apply">Apply selected</button>
+                </div>
+            `,
+            onClose: (result) => resolve(result ?? [])
+        });
+
+        const checkboxes = [...modal.querySelectorAll('tbody input[type="checkbox"]')];
+        const selectAll = modal.querySelector('.nemo-carryover-all');
+        selectAll.checked = checkboxes.every(box => box.checked);
+        selectAll.addEventListener('change', () => {
+            checkboxes.forEach(box => {
+                box.checked = selectAll.checked;
+            });
+        });
+
+        modal.querySelector('.nemo-carryover-apply').addEventListener('click', () => {
+            closeModal(checkboxes.filter(box => box.checked).map(box => changes[Number(box.dataset.index)]));
+        });
+        modal.querySelector('.nemo-carryover-skip').addEventListener('click', () => closeModal([]));
+    });
+}
+
+function confidenceClass(confidence) {
+    if (confidence >= 0.85) return 'high';
+    if (confidence >= PRESELECT_CONFIDENCE) return 'medium';
+    return 'low';
+}
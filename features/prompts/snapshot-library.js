@@ -0,0 +1,396 @@
+/**
+ * Nemo Snapshot Library
+ * Named snapshots of which prompts are enabled. Each snapshot records its
+ * name, creation time, preset and an optional note, and can be compared with
+ * the current state before it is applied. Snapshots are exported and imported
+ * as JSON so toggle layouts for the same preset can be shared.
+ *
+ * A snapshot stores the enabled identifiers only: applying it enables those
+ * prompts and disables every other prompt in the active order.
+ *
+ * @module snapshot-library
+ */
+
+import logger from '../../core/logger.js';
+import storage from '../../core/storage-migration.js';
+import { escapeHtml, showNemoModal } from '../../core/utils.js';
+import { getCurrentPresetName } from '../directives/prompt-profiles.js';
+import { applyPromptStates } from '../directives/batch-toggle.js';
+import { promptManager } from '../../../../../openai.js';
+import { getContext } from '../../../../../extensions.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../../popup.js';
+
+const EXPORT_TYPE = 'nemo_prompt_snapshots';
+const EXPORT_VERSION = '1.0';
+
+export const PromptSnapshots = {
+    listeners: new Set(),
+
+    /**
+     * All snapshots, those of the active preset first, newest first
+     * @returns {Array<{id: string, name: string, timestamp: string, presetName: string|null, note: string, api: string, enabled: string[]}>}
+     */
+    getAll: function() {
+        const presetName = getCurrentPresetName();
+        return [...storage.getSnapshotLibrary()].sort((a, b) => {
+            const aCurrent = a.presetName === presetName;
+            const bCurrent = b.presetName === presetName;
+            if (aCurrent !== bCurrent) return aCurrent ? -1 : 1;
+            return String(b.timestamp).localeCompare(String(a.timestamp));
+        });
+    },
+
+    get: function(id) {
+        return storage.getSnapshotLibrary().find(snapshot => snapshot.id === id) || null;
+    },
+
+    /**
+     * Save the enabled prompts of the active order as a new snapshot
+     * @param {string} name - Snapshot name
+     * @param {string} [note] - Optional note
+     * @returns {Object|null} The snapshot, or null when no prompt order is active
+     */
+    create: function(name, note = '') {
+        if (!promptManager?.activeCharacter) return null;
+
+        const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || [];
+        const snapshot = {
+            id: createId(),
+            name,
+            timestamp: new Date().toISOString(),
+            presetName: getCurrentPresetName(),
+            note,
+            api: getContext().openai_api || 'openai',
+            enabled: order.filter(entry => entry.enabled).map(entry => entry.identifier)
+        };
+
+        storage.saveSnapshotLibrary([...storage.getSnapshotLibrary(), snapshot]);
+        this.notify();
+        return snapshot;
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot id
+     */
+    delete: function(id) {
+        storage.saveSnapshotLibrary(storage.getSnapshotLibrary().filter(snapshot => snapshot.id !== id));
+        this.notify();
+    },
+
+    /**
+     * Compare a snapshot with the active prompt order
+     * @param {Object} snapshot - Snapshot to compare
+     * @returns {{turnOn: Array<{identifier: string, name: string}>, turnOff: Array<{identifier: string, name: string}>, missing: string[]}}
+     */
+    diff: function(snapshot) {
+        const result = { turnOn: [], turnOff: [], missing: [] };
+        if (!promptManager?.activeCharacter) return result;
+
+        const enabled = new Set(snapshot.enabled);
+        const order = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter) || [];
+
+        for (const entry of order) {
+            const target = enabled.has(entry.identifier);
+            enabled.delete(entry.identifier);
+            if (!!entry.enabled === target) continue;
+
+            const change = { identifier: entry.identifier, name: promptManager.getPromptById(entry.identifier)?.name || entry.identifier };
+            (target ? result.turnOn : result.turnOff).push(change);
+        }
+
+        // Whatever is left was enabled in the snapshot but is not in this preset
+        result.missing = [...enabled];
+        return result;
+    },
+
+    /**
+     * Apply a snapshot to the active prompt order with a single render and save
+     * @param {Object} snapshot - Snapshot to apply
+     * @returns {number} Number of prompts changed
+     */
+    apply: function(snapshot) {
+        const { turnOn, turnOff } = this.diff(snapshot);
+        const states = [...turnOn.map(change => [change.identifier, true]), ...turnOff.map(change => [change.identifier, false])];
+        return applyPromptStates(states, { label: `Apply snapshot "${snapshot.name}"` }).changed.length;
+    },
+
+    /**
+     * Download snapshots as a JSON file
+     * @param {Object[]} snapshots - Snapshots to export
+     */
+    exportSnapshots: function(snapshots) {
+        if (!snapshots.length) return;
+
+        const exportData = {
+            type: EXPORT_TYPE,
+            version: EXPORT_VERSION,
+            snapshots: snapshots.map(({ id, ...snapshot }) => snapshot)
+        };
+
+        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const baseName = snapshots.length === 1 ? snapshots[0].name : `${getCurrentPresetName()}_snapshots`;
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${baseName.replace(/[^a-zA-Z0-9]/g, '_')}_snapshots.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Add the snapshots from an exported JSON file to the library
+     * Snapshots identical to an existing one (same preset, name and prompts) are skipped.
+     * @param {string} fileContent - File content
+     * @returns {{imported: number, skipped: number}}
+     * @throws {Error} When the file is not a snapshot export
+     */
+    importSnapshots: function(fileContent) {
+        const importData = JSON.parse(fileContent);
+        if (importData?.type !== EXPORT_TYPE || !Array.isArray(importData.snapshots)) {
+            throw new Error('Not a Nemo snapshot file');
+        }
+        return this.addSnapshots(importData.snapshots);
+    },
+
+    /**
+     * Add snapshot entries (as found in exports) to the library, skipping duplicates
+     * @param {Array<Object>} entries - Snapshots without ids
+     * @returns {{imported: number, skipped: number}}
+     */
+    addSnapshots: function(entries) {
+        const library = [...storage.getSnapshotLibrary()];
+        const keyOf = (snapshot) => JSON.stringify([snapshot.presetName, snapshot.name, [...snapshot.enabled].sort()]);
+        const existing = new Set(library.map(keyOf));
+        let imported = 0;
+        let skipped = 0;
+
+        for (const entry of entries) {
+            if (typeof entry?.name !== 'string' || !Array.isArray(entry.enabled)) {
+                skipped++;
+                continue;
+            }
+
+            const snapshot = {
+                id: createId(),
+                name: entry.name,
+                timestamp: entry.timestamp || new Date().toISOString(),
+                presetName: entry.presetName ?? null,
+                note: typeof entry.note === 'string' ? entry.note : '',
+                api: entry.api || 'openai',
+                enabled: entry.enabled.filter(identifier => typeof identifier === 'string')
+            };
+
+            if (existing.has(keyOf(snapshot))) {
+                skipped++;
+                continue;
+            }
+            existing.add(keyOf(snapshot));
+            library.push(snapshot);
+            imported++;
+        }
+
+        if (imported > 0) {
+            storage.saveSnapshotLibrary(library);
+            this.notify();
+        }
+        return { imported, skipped };
+    },
+
+    /**
+     * Subscribe to library changes
+     * @param {Function} listener - Called after snapshots are added or removed
+     */
+    onChange: function(listener) {
+        this.listeners.add(listener);
+    },
+
+    notify: function() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                logger.error('Error in snapshot library listener:', error);
+            }
+        });
+    }
+};
+
+function createId() {
+    return `snapshot_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Ask for a name and note, then save the current state as a snapshot
+ * @returns {Promise<Object|null>} The snapshot, or null when cancelled
+ */
+export async function promptCreateSnapshot() {
+    const content = document.createElement('div');
+    content.className = 'nemo-snapshot-form';
+    content.innerHTML = `
+        <h3>Take snapshot</h3>
+        <label>Name
+            <input type="text" name="name" class="text_pole">
+        </label>
+        <label>Note <small>(optional)</small>
+            <textarea name="note" class="text_pole" rows="2"></textarea>
+        </label>
+        <small>Preset: ${escapeHtml(getCurrentPresetName() ?? '')}</small>
+    `;
+    content.querySelector('[name="name"]').value = `Snapshot ${new Date().toLocaleString()}`;
+
+    const confirmed = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', { okButton: 'Save' });
+    if (!confirmed) return null;
+
+    const name = content.querySelector('[name="name"]').value.trim() || `Snapshot ${new Date().toLocaleString()}`;
+    const note = content.querySelector('[name="note"]').value.trim();
+    return PromptSnapshots.create(name, note);
+}
+
+/**
+ * Open the snapshot library modal
+ */
+export function showSnapshotLibrary() {
+    const { modal, close: closeModal } = showNemoModal({
+        className: 'nemo-snapshot-modal',
+        title: 'Snapshots',
+        body: ''
+    });
+    const body = modal.querySelector('.nemo-modal-body');
+
+    const showList = () => {
+        const snapshots = PromptSnapshots.getAll();
+        const presetName = getCurrentPresetName();
+
+        body.innerHTML = `
+            <div class="nemo-snapshot-toolbar">
+                <button class="nemo-toast-btn secondary nemo-snapshot-import"><i class="fa-solid fa-file-import"></i> Import</button>
+                <button class="nemo-toast-btn secondary nemo-snapshot-export-all" ${snapshots.length ? '' : 'disabled'}><i class="fa-solid fa-file-export"></i> Export all</button>
+            </div>
+            <div class="nemo-snapshot-list">
+                ${snapshots.length === 0
+                    ? '<p class="nemo-snapshot-empty">No snapshots yet. Use the camera button to take one.</p>'
+                    : snapshots.map(snapshot => `
+                        <div class="nemo-snapshot-item ${snapshot.presetName === presetName ? 'current-preset' : ''}" data-id="${escapeHtml(snapshot.id)}">
+                            <div class="nemo-snapshot-info">
+                                <div class="nemo-snapshot-name">${escapeHtml(snapshot.name)}</div>
+                                <div class="nemo-snapshot-meta">
+                                    ${escapeHtml(snapshot.presetName || 'Unknown preset')} · ${escapeHtml(formatTimestamp(snapshot.timestamp))} · ${snapshot.enabled.length} enabled
+                                </div>
+                                ${snapshot.note ? `<div class="nemo-snapshot-note">${escapeHtml(snapshot.note)}</div>` : ''}
+                            </div>
+                            <div class="nemo-snapshot-actions">
+                                <button class="menu_button nemo-snapshot-compare" title="Compare and apply" aria-label="Compare and apply"><i class="fa-solid fa-code-compare"></i></button>
+                                <button class="menu_button nemo-snapshot-export" title="Export" aria-label="Export"><i class="fa-solid fa-file-export"></i></button>
+                                <button class="menu_button nemo-snapshot-delete" title="Delete" aria-label="Delete"><i class="fa-solid fa-trash-can"></i></button>
+                            </div>
+                        </div>
+                    `).join('')}
+            </div>
+        `;
+
+        body.querySelector('.nemo-snapshot-import').addEventListener('click', () => importFromFile(showList));
+        body.querySelector('.nemo-snapshot-export-all').addEventListener('click', () => PromptSnapshots.exportSnapshots(snapshots));
+
+        body.querySelectorAll('.nemo-snapshot-item').forEach(item => {
+            const snapshot = snapshots.find(entry => entry.id === item.dataset.id);
+            item.querySelector('.nemo-snapshot-compare').addEventListener('click', () => showDiff(snapshot));
+            item.querySelector('.nemo-snapshot-export').addEventListener('click', () => PromptSnapshots.exportSnapshots([snapshot]));
+            item.querySelector('.nemo-snapshot-delete').addEventListener('click', async () => {
+                const confirmed = await callGenericPopup(`Delete snapshot "${snapshot.name}"?`, POPUP_TYPE.CONFIRM);
+                if (!confirmed) return;
+                PromptSnapshots.delete(snapshot.id);
+                showList();
+            });
+        });
+    };
+
+    const showDiff = (snapshot) => {
+        const { turnOn, turnOff, missing } = PromptSnapshots.diff(snapshot);
+        const presetName = getCurrentPresetName();
+        const renderChanges = (changes) => changes
+            .map(change => `<li title="${escapeHtml(change.identifier)}">${escapeHtml(change.name)}</li>`)
+            .join('');
+
+        body.innerHTML = `
+            <h4 class="nemo-snapshot-diff-title">${escapeHtml(snapshot.name)}</h4>
+            ${snapshot.presetName && snapshot.presetName !== presetName
+                ? `<p class="nemo-snapshot-warning">This snapshot was taken with the preset "${escapeHtml(snapshot.presetName)}", not "${escapeHtml(presetName ?? '')}".</p>`
+                : ''}
+            ${turnOn.length === 0 && turnOff.length === 0
+                ? '<p>The current prompt states already match this snapshot.</p>'
+                : `
+                    <div class="nemo-snapshot-diff">
+                        <div class="nemo-snapshot-diff-column on">
+                            <h5>Will turn on (${turnOn.length})</h5>
+                            <ul>${renderChanges(turnOn)}</ul>
+                        </div>
+                        <div class="nemo-snapshot-diff-column off">
+                            <h5>Will turn off (${turnOff.length})</h5>
+                            <ul>${renderChanges(turnOff)}</ul>
+                        </div>
+                    </div>
+                `}
+            ${missing.length
+                ? `<details class="nemo-snapshot-missing"><summary>${missing.length} prompt(s) in the snapshot are not in this preset</summary><ul>${missing.map(identifier => `<li>${escapeHtml(identifier)}</li>`).join('')}</ul></details>`
+                : ''}
+            <div class="nemo-toast-actions">
+                <button class="nemo-toast-btn secondary nemo-snapshot-back">Back</button>
+                <button class="nemo-toast-btn primary nemo-snapshot-apply" ${turnOn.length || turnOff.length ? '' : 'disabled'}>Apply snapshot</button>
+            </div>
+        `;
+
+        body.querySelector('.nemo-snapshot-back').addEventListener('click', showList);
+        body.querySelector('.nemo-snapshot-apply').addEventListener('click', () => {
+            try {
+                const changed = PromptSnapshots.apply(snapshot);
+                toastr.success(`Snapshot "${snapshot.name}" applied (${changed} prompt(s) changed)`);
+                closeModal();
+            } catch (error) {
+                logger.error('Error applying snapshot:', error);
+                toastr.error('Error applying snapshot');
+            }
+        });
+    };
+
+    showList();
+
+}
+
+/**
+ * Pick a JSON file and import its snapshots
+ * @param {Function} onDone - Called after a successful import
+ */
+function importFromFile(onDone) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const { imported, skipped } = PromptSnapshots.importSnapshots(e.target.result);
+                toastr.success(`Imported ${imported} snapshot(s)${skipped ? `, skipped ${skipped}` : ''}`);
+                onDone();
+            } catch (error) {
+                logger.error('Error importing snapshots:', error);
+                toastr.error('This file is not a valid snapshot export');
+            }
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
+
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+export default PromptSnapshots;
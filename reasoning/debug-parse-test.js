@@ -1,5 +1,5 @@
 // Quick debug test
-import { NemoNetReasoningParser } from './nemonet-reasoning-config.js';
+import { NemoNetReasoningParser } from './nemonet-reasoning-parser.js';
 
 const parser = new NemoNetReasoningParser({ debug: true });
 
@@ -1,15 +1,25 @@
 /**
  * NemoNet-specific Reasoning Configuration
  *
- * Custom configuration for the robust reasoning parser
- * tailored to NemoNet's Council of Vex CoT format
+ * Runs the NemoNet reasoning parser (nemonet-reasoning-parser.js) on chat
+ * messages and hooks it into SillyTavern's reasoning display
  */
 
-import { RobustReasoningParser } from './robust-reasoning-parser.js';
-import { getContext } from '../../../../extensions.js';
+import { NemoNetReasoningParser } from './nemonet-reasoning-parser.js';
+import { resolveReasoningProfile } from './reasoning-profiles.js';
+import { bindReasoningProfile, getActiveReasoningProfile, getAllReasoningProfiles, isBuiltInReasoningProfile } from './reasoning-profile-manager.js';
+import { STREAM_STATE } from './reasoning-stream.js';
+import { renderReasoningOutline } from './reasoning-outline-view.js';
+import { getRawMessage, getSplitTags, isRawMessageCurrent } from './reasoning-split.js';
+import { showReasoningSplitEditor } from './reasoning-split-editor.js';
+import { createReasoningFixture } from './reasoning-fixtures.js';
+import { NEMO_EXTENSION_NAME } from '../core/utils.js';
+import { extension_settings, getContext } from '../../../../extensions.js';
 import { updateReasoningUI } from '../../../../reasoning.js';
 import { saveChatDebounced } from '../../../../../script.js';
 
+export { NemoNetReasoningConfig, NemoNetReasoningParser } from './nemonet-reasoning-parser.js';
+
 // Debug flag - set to true for verbose logging during development
 const DEBUG_REASONING = false;
 
@@ -23,333 +33,20 @@ function debugLog(...args) {
 // These will be imported from script.js
 let eventSource, messageFormatting, addCopyToCodeBlocks;
 
-export const NemoNetReasoningConfig = {
-    // Primary tags
-    prefix: '<think>',
-    suffix: '</think>',
-
-    // Alternative tags the model might use
-    alternativePrefixes: [
-        '<think',
-        '<thinking>',
-        '<thought>',
-        '<Begin Council of Vex Thought Process>',
-        'STORY SECTION 1:' // Sometimes model might skip the tag
-    ],
-
-    alternativeSuffixes: [
-        '</think',
-        '</thinking>',
-        '</thought>',
-        'NARRATION FOLLOWS',
-        '{{newline}}'
-    ],
-
-    // NemoNet-specific markers that indicate reasoning content
-    reasoningMarkers: [
-        // Core structure
-        'NEMONET WORLD EXPLORATION',
-        'Council of Vex',
-        'NemoAdmin-107',
-        'Begin Council of Vex Thought Process',
-
-        // Story sections
-        'STORY SECTION 1:',
-        'STORY SECTION 2:',
-        'STORY SECTION 3:',
-        'STORY SECTION 4:',
-        'STORY SECTION 5:',
-        'STORY SECTION 6:',
-        'STORY SECTION 7:',
-
-        // Section names
-        'NEMO NET AWAKENING',
-        'GATHERING THE THREADS',
-        'SCENE CALIBRATION',
-        'COUNCIL CONVERSATION',
-        'RESOLUTION',
-        'CRAFTING',
-        'Custom CoT',
-        'Organic thinking',
-
-        // Exploration steps
-        'Exploration 1:',
-        'Exploration 2:',
-        'Exploration 3:',
-        'Exploration 4:',
-        'Exploration 5:',
-        'Exploration 6:',
-        'Exploration 7:',
-        'Exploration 8:',
-        'Discoveries:',
-
-        // Council personas
-        '_Specialist:',
-        'Plot_Vex:',
-        'Romantic_Vex:',
-        'Action_Vex:',
-        'Mystery_Vex:',
-        'Comedy_Vex:',
-        'Danger_Vex:',
-
-        // Special sections
-        'SCENE TYPE AND RATIO:',
-        'CHARACTER CAPABILITIES:',
-        'CHARACTER VOICE:',
-        'FRESHNESS:',
-        'FINAL REVIEW:',
-        'VITAL:',
-
-        // XML-like tags
-        '<knowledge_awareness>',
-        '<voice_crafting>',
-        '<repetition_ban>',
-        '<custom_steps>',
-
-        // Decorative borders
-        '═══════════════════════════════════════════════════════════════',
-        '════════════════════════════',
-
-        // End markers
-        'END OF THINKING',
-        'CLOSING THINKING NOW',
-        'END OF THINKING - CLOSING THINKING NOW',
-    ],
-
-    // Markers that indicate reasoning has ended and narration begins
-    narrationMarkers: [
-        'Narration:',
-        'NARRATION FOLLOWS',
-        '{{newline}}',
-        '</think>{{newline}}',
-
-        // Sometimes the model outputs the separator
-        '═══════════════════════════════════════════════════════════════\nEND OF THINKING',
-
-        // Common narrative starters after thinking
-        /^[A-Z][a-z]+ (looked|glanced|turned|stepped|walked|said|whispered|smiled|frowned)/m,
-        /^The (room|air|moment|silence)/m,
-    ],
-
-    // Strategy weights (adjust based on testing)
-    strategyWeights: {
-        perfectMatch: 100,
-        partialSuffix: 90,  // Higher for NemoNet since it often forgets closing tag
-        missingSuffix: 85,  // Higher confidence for missing suffix
-        contentBased: 75,   // NemoNet has very distinct markers
-        heuristic: 60
-    },
-
-    // Enable debug logging
-    debug: false
-};
-
-/**
- * Specialized parser for NemoNet CoT
- */
-export class NemoNetReasoningParser extends RobustReasoningParser {
-    constructor(config = {}) {
-        super({ ...NemoNetReasoningConfig, ...config });
-    }
-
-    /**
-     * Override: Enhanced missing suffix detection for NemoNet
-     */
-    strategyMissingSuffix(text) {
-        const { prefix } = this.config;
-
-        const prefixIndex = text.indexOf(prefix);
-        if (prefixIndex === -1) return null;
-
-        let endIndex = -1;
-        const textAfterPrefix = text.substring(prefixIndex + prefix.length);
-
-        // Priority 1: Look for explicit end markers
-        const endMarkers = [
-            'END OF THINKING - CLOSING THINKING NOW - NARRATION FOLLOWS',
-            'END OF THINKING',
-            'CLOSING THINKING NOW',
-        ];
-
-        for (const marker of endMarkers) {
-            const markerIndex = textAfterPrefix.indexOf(marker);
-            if (markerIndex !== -1) {
-                // Include the marker in the reasoning, then skip past the decorative line
-                const fullMarkerMatch = textAfterPrefix.substring(markerIndex).match(
-                    new RegExp(this.escapeRegex(marker) + '\\s*\\n═+\\s*\\n')
-                );
-
-                if (fullMarkerMatch) {
-                    endIndex = prefixIndex + prefix.length + markerIndex + fullMarkerMatch[0].length;
-                } else {
-                    endIndex = prefixIndex + prefix.length + markerIndex + marker.length;
-                }
-                break;
-            }
-        }
+let streamingReasoningRegistered = false;
 
-        // Priority 2: Look for {{newline}} marker
-        if (endIndex === -1) {
-            const newlineMarkerIndex = textAfterPrefix.indexOf('{{newline}}');
-            if (newlineMarkerIndex !== -1) {
-                endIndex = prefixIndex + prefix.length + newlineMarkerIndex + '{{newline}}'.length;
-            }
-        }
-
-        // Priority 3: Look for "Narration:" followed by actual narrative content
-        if (endIndex === -1) {
-            const narrationMatch = textAfterPrefix.match(/Narration:\s*\[.*?\]\s*\n/);
-            if (narrationMatch) {
-                endIndex = prefixIndex + prefix.length + narrationMatch.index + narrationMatch[0].length;
-            }
-        }
-
-        // Priority 4: Detect transition from structured CoT to prose
-        if (endIndex === -1) {
-            const lines = textAfterPrefix.split('\n');
-
-            for (let i = 0; i < lines.length - 2; i++) {
-                const currentLine = lines[i].trim();
-                const nextLine = lines[i + 1].trim();
-                const lineAfterNext = lines[i + 2].trim();
-
-                // Look for pattern: [structured content] -> [empty/border] -> [prose]
-                if (this.isNemoNetStructuredLine(currentLine)) {
-                    if (this.isNemoNetBorderLine(nextLine) || nextLine === '') {
-                        if (this.isNarrativeLine(lineAfterNext)) {
-                            // Found transition
-                            const positionInText = textAfterPrefix.split('\n').slice(0, i + 1).join('\n').length;
-                            endIndex = prefixIndex + prefix.length + positionInText;
-                            break;
-                        }
-                    }
-                }
-            }
-        }
-
-        // Priority 5: Use entire text if no clear end found
-        if (endIndex === -1) {
-            // But try to exclude obvious narrative at the very end
-            const lastParagraphMatch = textAfterPrefix.match(/\n\n([A-Z][^.!?]*[.!?](\s+[A-Z][^.!?]*[.!?])+)$/);
-            if (lastParagraphMatch) {
-                endIndex = prefixIndex + prefix.length + lastParagraphMatch.index;
-            } else {
-                endIndex = text.length;
-            }
-        }
-
-        const reasoning = text.substring(prefixIndex + prefix.length, endIndex).trim();
-        const content = (text.substring(0, prefixIndex) + text.substring(endIndex)).trim();
-
-        return {
-            reasoning,
-            content,
-            strategy: 'missingSuffix-nemonet',
-            confidence: this.config.strategyWeights.missingSuffix
-        };
-    }
-
-    /**
-     * Check if a line is NemoNet structured content
-     */
-    isNemoNetStructuredLine(line) {
-        const patterns = [
-            /^(Exploration|STORY SECTION|Discovery|VITAL|Priority|◆|♢)/,
-            /^[A-Z_\s]+:/,  // Section headers
-            /^\d+\./,  // Numbered items
-            /^-\s+/,  // Bullet points
-            /_Vex:/,  // Vex personas
-            /^<[a-z_]+>/,  // XML-like tags
-        ];
-
-        return patterns.some(p => p.test(line));
-    }
-
-    /**
-     * Check if a line is a NemoNet border/decoration
-     */
-    isNemoNetBorderLine(line) {
-        return /^[═─]+$/.test(line) || /^[║╔╗╚╝]+/.test(line);
-    }
-
-    /**
-     * Override: Enhanced content marker detection
-     */
-    strategyContentMarkers(text) {
-        // Count NemoNet-specific markers
-        let markerCount = 0;
-        let firstMarkerIndex = -1;
-        let storySectionCount = 0;
-
-        for (const marker of this.config.reasoningMarkers) {
-            const index = typeof marker === 'string' ? text.indexOf(marker) : -1;
-
-            if (index !== -1) {
-                markerCount++;
-
-                if (marker.includes('STORY SECTION')) {
-                    storySectionCount++;
-                }
-
-                if (firstMarkerIndex === -1 || index < firstMarkerIndex) {
-                    firstMarkerIndex = index;
-                }
-            } else if (marker instanceof RegExp && marker.test(text)) {
-                markerCount++;
-            }
-        }
-
-        // NemoNet typically has 7 story sections
-        const hasCompleteCoT = storySectionCount >= 4;
-
-        // Need at least 5 markers OR 3+ story sections
-        if (markerCount < 5 && !hasCompleteCoT) return null;
-
-        // Find the end
-        let endIndex = -1;
-
-        // Look for end markers
-        for (const marker of this.config.narrationMarkers) {
-            if (typeof marker === 'string') {
-                const markerIndex = text.indexOf(marker);
-                if (markerIndex !== -1 && markerIndex > firstMarkerIndex) {
-                    endIndex = markerIndex;
-                    break;
-                }
-            } else if (marker instanceof RegExp) {
-                const match = text.substring(firstMarkerIndex).match(marker);
-                if (match) {
-                    endIndex = firstMarkerIndex + match.index;
-                    break;
-                }
-            }
-        }
-
-        if (endIndex === -1) {
-            endIndex = text.length;
-        }
-
-        const reasoning = text.substring(firstMarkerIndex, endIndex).trim();
-        const content = (text.substring(0, firstMarkerIndex) + text.substring(endIndex)).trim();
-
-        const confidence = hasCompleteCoT
-            ? this.config.strategyWeights.contentBased + 10
-            : this.config.strategyWeights.contentBased;
-
-        return {
-            reasoning,
-            content,
-            strategy: 'contentMarkers-nemonet',
-            confidence
-        };
-    }
-}
+// Parser of the active reasoning format profile; its markers drive the structured view
+let reasoningParser = null;
 
 /**
  * Apply NemoNet reasoning parser as a post-processing hook
  */
 export function applyNemoNetReasoning() {
     const parser = new NemoNetReasoningParser();
+    reasoningParser = parser;
+
+    // Follow the reasoning format profile selected for the preset, character or prompts
+    bindReasoningProfile(parser);
 
     // Store parser globally for access
     window.nemoNetReasoningParser = parser;
@@ -398,10 +95,12 @@ export function applyNemoNetReasoning() {
 
                     if (result.confidence >= 65 && result.reasoning.length > 50) {
                         // Update data IMMEDIATELY before render
+                        rememberRawMessage(message, message.mes);
                         message.mes = result.content;
                         if (!message.extra) message.extra = {};
                         message.extra.reasoning = result.reasoning;
                         message.extra.reasoning_type = 'parsed';
+                        message.extra.nemo_reasoning_parse = { strategy: result.strategy, confidence: result.confidence };
                         debugLog(' ✅ Pre-render data update complete');
                     }
                 }
@@ -428,9 +127,22 @@ export function applyNemoNetReasoning() {
                 debugLog(' 📝 character_message_rendered fired for message', messageId);
                 setTimeout(() => {
                     forceProcessMessage(messageId, parser);
+                    // Messages split before rendering get SillyTavern's plain reasoning block
+                    renderStructuredReasoning(messageId);
                 }, 100);
             });
 
+            // Outline reasoning of messages rendered from a saved chat
+            const outlineEvents = scriptModule.event_types ?? {};
+            [outlineEvents.CHAT_CHANGED, outlineEvents.MORE_MESSAGES_LOADED, outlineEvents.MESSAGE_SWIPED]
+                .filter(Boolean)
+                .forEach(eventType => eventSource.on(eventType, () => setTimeout(renderAllStructuredReasoning, 300)));
+
+            // An edited message's stored original would undo the edit in "Fix reasoning split"
+            [outlineEvents.MESSAGE_EDITED, outlineEvents.MESSAGE_REASONING_EDITED, outlineEvents.MESSAGE_REASONING_DELETED]
+                .filter(Boolean)
+                .forEach(eventType => eventSource.on(eventType, forgetRawMessage));
+
             console.log('NemoNet Reasoning Parser: ✅ Active (works independently of prefix/suffix settings)');
             console.log('NemoNet Reasoning Parser: ✅ Post-processing hooks registered');
             debugLog(' Registered events:', ['CHARACTER_MESSAGE_RENDERED', 'MESSAGE_RECEIVED', 'GENERATION_ENDED']);
@@ -438,6 +150,12 @@ export function applyNemoNetReasoning() {
             // BACKUP: Also use MutationObserver to catch new messages
             setupMessageObserver(parser);
 
+            // Split reasoning from the reply while it is still streaming
+            setupStreamingReasoning(parser, scriptModule.event_types);
+
+            // Let the user correct a split from the message's actions
+            setupReasoningSplitAction(parser);
+
             // NEW: Reprocess latest message on page load
             setTimeout(() => {
                 reprocessLatestMessage(parser);
@@ -450,6 +168,137 @@ export function applyNemoNetReasoning() {
     }
 }
 
+/**
+ * Show streamed replies split into reasoning and narration as they arrive
+ * SillyTavern re-renders the raw text of the streaming message on every token.
+ * Each render is replaced before the browser paints it: the reasoning goes into
+ * the message's reasoning block and the message only shows narration once the
+ * stream is confident the reasoning is over. The complete reply is still
+ * processed by the GENERATION_ENDED / MESSAGE_RECEIVED hooks above.
+ */
+function setupStreamingReasoning(parser, event_types) {
+    if (streamingReasoningRegistered || !event_types?.STREAM_TOKEN_RECEIVED) return;
+    streamingReasoningRegistered = true;
+
+    const stream = parser.createStream();
+    let observer = null;
+    let messageId = null;
+    let renderedHtml = null;
+    let reasoningShown = false;
+
+    const stop = () => {
+        document.querySelector(`[mesid="${messageId}"] .mes_reasoning_details`)?.classList.remove('nemo-reasoning-streaming');
+        observer?.disconnect();
+        observer = null;
+        messageId = null;
+        renderedHtml = null;
+        reasoningShown = false;
+        stream.reset();
+    };
+
+    const render = () => {
+        const message = getContext().chat?.[messageId];
+        const mesText = document.querySelector(`#chat .mes[mesid="${messageId}"] .mes_text`);
+        if (!message || !mesText || mesText.innerHTML === renderedHtml) return;
+
+        // SillyTavern's own reasoning parsing (or the pre-render hook) already split this message
+        if (message.extra?.reasoning) {
+            stop();
+            return;
+        }
+
+        const result = stream.update(message.mes || '');
+        if (result.state === STREAM_STATE.PENDING || result.state === STREAM_STATE.PLAIN) return;
+
+        let html;
+        try {
+            html = typeof messageFormatting === 'function'
+                ? messageFormatting(result.content, getContext().name2, false, false, messageId)
+                : escapeStreamingText(result.content);
+        } catch (error) {
+            console.error('NemoNet: Error formatting streamed message:', error);
+            html = escapeStreamingText(result.content);
+        }
+        mesText.innerHTML = html;
+        // Read back as the browser serializes it, so this write is recognised when the observer reports it
+        renderedHtml = mesText.innerHTML;
+
+        if (result.reasoning) {
+            updateStreamingReasoningDOM(messageId, result.reasoning, result.state !== STREAM_STATE.NARRATION, !reasoningShown);
+            reasoningShown = true;
+        }
+    };
+
+    eventSource.on(event_types.STREAM_TOKEN_RECEIVED, () => {
+        if (!(extension_settings[NEMO_EXTENSION_NAME]?.liveStreamingReasoning ?? true)) return;
+
+        const chat = getContext().chat;
+        const lastMessageId = chat?.length - 1;
+        if (observer && lastMessageId === messageId) return;
+
+        stop();
+        const mesText = document.querySelector(`#chat .mes[mesid="${lastMessageId}"] .mes_text`);
+        if (!mesText) return;
+
+        messageId = lastMessageId;
+        observer = new MutationObserver(render);
+        observer.observe(mesText, { childList: true, characterData: true, subtree: true });
+        render();
+    });
+
+    // When no hook split the finished message, show it as stored again so the
+    // display matches the chat data until the final pass processes it
+    const finish = () => {
+        const message = getContext().chat?.[messageId];
+        if (renderedHtml !== null && message && !message.extra?.reasoning) {
+            updateMessageDOM(messageId, message);
+            updateReasoningUI(messageId);
+        }
+        stop();
+    };
+
+    [event_types.GENERATION_ENDED, event_types.GENERATION_STOPPED]
+        .filter(Boolean)
+        .forEach(eventType => eventSource.on(eventType, finish));
+}
+
+/**
+ * Show the reasoning of a streaming message
+ * @param {number} messageId - Message index
+ * @param {string} reasoningText - Reasoning so far
+ * @param {boolean} thinking - Whether the reasoning is still being written
+ * @param {boolean} first - First update of this message; creates the block if needed
+ */
+function updateStreamingReasoningDOM(messageId, reasoningText, thinking, first) {
+    if (first) {
+        updateReasoningDOM(messageId, reasoningText, { structured: false });
+    }
+
+    const reasoningDetails = document.querySelector(`[mesid="${messageId}"] .mes_reasoning_details`);
+    if (!reasoningDetails) return;
+
+    if (!first) {
+        const reasoningContent = reasoningDetails.querySelector('.mes_reasoning');
+        if (reasoningContent) {
+            reasoningContent.innerHTML = escapeStreamingText(reasoningText);
+        }
+    }
+
+    reasoningDetails.classList.toggle('nemo-reasoning-streaming', thinking);
+    const headerTitle = reasoningDetails.querySelector('.mes_reasoning_header_title');
+    if (headerTitle) {
+        headerTitle.textContent = thinking ? 'Thinking...' : 'Thought for some time';
+    }
+}
+
+function escapeStreamingText(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br>');
+}
+
 /**
  * Setup MutationObserver to watch for new messages
  */
@@ -489,10 +338,12 @@ function setupMessageObserver(parser) {
                                 };
 
                                 // Update message data NOW
+                                rememberRawMessage(message, message.mes);
                                 message.mes = result.content;
                                 if (!message.extra) message.extra = {};
                                 message.extra.reasoning = result.reasoning;
                                 message.extra.reasoning_type = 'parsed';
+                                message.extra.nemo_reasoning_parse = { strategy: result.strategy, confidence: result.confidence };
                                 debugLog(' ⚡ Pre-render update complete, forcing re-render...');
 
                                 // Save immediately (debounced)
@@ -623,10 +474,12 @@ function forceProcessMessage(messageId, parser) {
                             debugLog(` ✅ RECOVERY SUCCESSFUL! Extracted ${recovered.content.length} chars of narrative from reasoning`);
 
                             // Update message data with recovered content
+                            rememberRawMessage(message, textToParse);
                             message.mes = recovered.content;
                             if (!message.extra) message.extra = {};
                             message.extra.reasoning = recovered.reasoning;
                             message.extra.reasoning_type = 'parsed-recovered';
+                            message.extra.nemo_reasoning_parse = { strategy: `${result.strategy} (recovered)`, confidence: result.confidence };
 
                             // Update message text DOM
                             updateMessageDOM(messageId, message);
@@ -634,6 +487,7 @@ function forceProcessMessage(messageId, parser) {
                             // Update reasoning UI
                             debugLog(' Calling updateReasoningUI to show recovered reasoning box...');
                             updateReasoningUI(messageId);
+                            renderStructuredReasoning(messageId);
 
                             // Save
                             saveChatDebounced();
@@ -649,10 +503,12 @@ function forceProcessMessage(messageId, parser) {
                     }
 
                     // Update message data
+                    rememberRawMessage(message, textToParse);
                     message.mes = result.content;
                     if (!message.extra) message.extra = {};
                     message.extra.reasoning = result.reasoning;
                     message.extra.reasoning_type = 'parsed';
+                    message.extra.nemo_reasoning_parse = { strategy: result.strategy, confidence: result.confidence };
 
                     // Update message text DOM
                     updateMessageDOM(messageId, message);
@@ -660,6 +516,7 @@ function forceProcessMessage(messageId, parser) {
                     // CRITICAL: Use SillyTavern's own function to update reasoning UI
                     debugLog(' Calling updateReasoningUI to show reasoning box...');
                     updateReasoningUI(messageId);
+                    renderStructuredReasoning(messageId);
 
                     // Save
                     saveChatDebounced();
@@ -731,12 +588,14 @@ function processMessageReasoning(messageId, parser) {
         }
 
         // Update the message data
+        rememberRawMessage(message, message.mes);
         message.mes = result.content;
 
         // Add reasoning to extra
         if (!message.extra) message.extra = {};
         message.extra.reasoning = result.reasoning;
         message.extra.reasoning_type = 'parsed';
+        message.extra.nemo_reasoning_parse = { strategy: result.strategy, confidence: result.confidence };
 
         debugLog(' ✅ Message data updated - scheduling DOM updates...');
 
@@ -850,10 +709,226 @@ function updateMessageDOM(messageId, messageData) {
     }
 }
 
+/**
+ * Show a message's reasoning as an outline with stats in the header
+ * Uses the section and persona markers of the active reasoning format profile.
+ * @param {number} messageId - Message index
+ * @param {string} [reasoningText] - Reasoning; defaults to the message's stored reasoning
+ */
+function renderStructuredReasoning(messageId, reasoningText) {
+    if (!(extension_settings[NEMO_EXTENSION_NAME]?.structuredReasoningView ?? true)) return;
+
+    const message = getContext().chat?.[messageId];
+    const reasoning = reasoningText ?? message?.extra?.reasoning;
+    const reasoningDetails = document.querySelector(`[mesid="${messageId}"] .mes_reasoning_details`);
+    if (!reasoning || !reasoningDetails) return;
+
+    try {
+        renderReasoningOutline(reasoningDetails, reasoning, {
+            config: reasoningParser?.config,
+            ...message?.extra?.nemo_reasoning_parse
+        });
+    } catch (error) {
+        console.error('NemoNet: Error rendering structured reasoning:', error);
+    }
+}
+
+/**
+ * Outline every rendered message that has reasoning (after a chat loads or more messages are shown)
+ */
+function renderAllStructuredReasoning() {
+    document.querySelectorAll('#chat .mes[mesid]').forEach(element => {
+        const messageId = Number(element.getAttribute('mesid'));
+        if (getContext().chat?.[messageId]?.extra?.reasoning) {
+            renderStructuredReasoning(messageId);
+        }
+    });
+}
+
+/**
+ * Keep a message's unsplit text so its split can be fixed later
+ * Only the first split of a message is the original; later ones parse text
+ * that was already split. A stored text that no longer holds the message's
+ * reasoning and reply (it was edited) is replaced.
+ * @param {Object} message - Chat message about to be split
+ * @param {string} raw - Its text before splitting
+ */
+function rememberRawMessage(message, raw) {
+    if (!message.extra) message.extra = {};
+    if (!isRawMessageCurrent(message)) {
+        message.extra.nemo_reasoning_raw = raw;
+    }
+}
+
+/**
+ * Drop the stored unsplit text of a message the user edited
+ * @param {number} messageId - Message index
+ */
+function forgetRawMessage(messageId) {
+    const message = getContext().chat?.[messageId];
+    if (message?.extra?.nemo_reasoning_raw !== undefined) {
+        delete message.extra.nemo_reasoning_raw;
+    }
+}
+
+/**
+ * Add the "Fix reasoning split" action to every message's extra buttons
+ * New messages get it from SillyTavern's message template; messages that are
+ * already rendered get it directly.
+ */
+function setupReasoningSplitAction(parser) {
+    const addButton = (container) => {
+        if (!container || container.querySelector('.nemo-fix-reasoning')) return;
+        const button = document.createElement('div');
+        button.className = 'mes_button nemo-fix-reasoning fa-solid fa-scissors interactable';
+        button.title = 'Fix reasoning split';
+        button.tabIndex = 0;
+        container.prepend(button);
+    };
+
+    addButton(document.querySelector('#message_template .mes_buttons .extraMesButtons'));
+    document.querySelectorAll('#chat .mes .extraMesButtons').forEach(addButton);
+
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest?.('.nemo-fix-reasoning');
+        if (!button) return;
+        const messageId = Number(button.closest('.mes')?.getAttribute('mesid'));
+        if (Number.isInteger(messageId)) {
+            fixReasoningSplit(messageId, parser);
+        }
+    });
+}
+
+/**
+ * Let the user correct where a message's reasoning ends
+ * Opens the split editor on the message's original text; the chosen split
+ * replaces the message's reasoning and reply.
+ * @param {number} messageId - Message index
+ * @param {NemoNetReasoningParser} parser - Parser of the active reasoning format profile
+ */
+async function fixReasoningSplit(messageId, parser) {
+    const message = getContext().chat?.[messageId];
+    if (!message || message.is_user) return;
+
+    const { raw, reconstructed } = getRawMessage(message, parser.config);
+    if (!raw.trim()) {
+        toastr.info('This message has no text to split');
+        return;
+    }
+
+    const candidates = parser.parseAll(raw);
+    // The recovery used when the model put the reply inside the reasoning
+    const swallowed = candidates.find(candidate => !candidate.valid && candidate.reasoning);
+    const recovered = swallowed ? recoverNarrativeFromReasoning(swallowed.rawReasoning) : null;
+    if (recovered?.content) {
+        candidates.push({
+            ...recovered,
+            strategy: `${swallowed.strategy} (recovered)`,
+            confidence: swallowed.confidence,
+            valid: true
+        });
+    }
+
+    const current = message.extra?.reasoning ? {
+        reasoning: message.extra.reasoning,
+        content: message.mes,
+        strategy: message.extra.nemo_reasoning_parse?.strategy ?? message.extra.reasoning_type ?? 'current',
+        confidence: message.extra.nemo_reasoning_parse?.confidence ?? 100
+    } : null;
+
+    const split = await showReasoningSplitEditor({
+        raw,
+        reconstructed,
+        current,
+        candidates,
+        tags: getSplitTags(parser.config),
+        onRecord: (chosen) => downloadReasoningFixture(messageId, raw, reconstructed, chosen)
+    });
+    if (!split) return;
+
+    message.mes = split.content;
+    if (!message.extra) message.extra = {};
+    message.extra.nemo_reasoning_raw = raw;
+    if (split.reasoning) {
+        message.extra.reasoning = split.reasoning;
+        message.extra.reasoning_type = split.strategy === 'manual' ? 'edited' : 'parsed';
+        message.extra.nemo_reasoning_parse = { strategy: split.strategy, confidence: split.confidence };
+    } else {
+        delete message.extra.reasoning;
+        delete message.extra.reasoning_type;
+        delete message.extra.nemo_reasoning_parse;
+    }
+
+    // Keep the current swipe in step with the message
+    if (Array.isArray(message.swipes) && Number.isInteger(message.swipe_id)) {
+        message.swipes[message.swipe_id] = message.mes;
+        const swipeInfo = message.swipe_info?.[message.swipe_id];
+        if (swipeInfo) swipeInfo.extra = structuredClone(message.extra);
+    }
+
+    updateMessageDOM(messageId, message);
+    updateReasoningUI(messageId);
+    renderStructuredReasoning(messageId);
+    saveChatDebounced();
+    toastr.success(split.reasoning ? 'Reasoning split updated' : 'Reasoning removed; the whole text is now the reply');
+}
+
+/**
+ * Download a message's original text and a verified split as a parser test fixture
+ * Fixtures go in reasoning/fixtures and are run with run-reasoning-fixtures.js.
+ * @param {number} messageId - Message index
+ * @param {string} raw - Original text of the message
+ * @param {boolean} reconstructed - The original text was rebuilt, not stored
+ * @param {{reasoning: string, content: string, strategy: string}} split - Split it should get
+ */
+function downloadReasoningFixture(messageId, raw, reconstructed, split) {
+    const context = getContext();
+    const message = context.chat?.[messageId];
+    const profileId = getActiveReasoningProfile().id;
+    const date = new Date().toISOString();
+
+    const fixture = createReasoningFixture({
+        name: `${message?.name || context.name2} #${messageId} (${split.strategy})`,
+        input: raw,
+        reasoning: split.reasoning,
+        content: split.content,
+        profile: profileId,
+        // Custom profiles only exist in this browser; the fixture carries its own copy
+        profileDefinition: isBuiltInReasoningProfile(profileId) ? null : resolveReasoningProfile(profileId, getAllReasoningProfiles()),
+        source: {
+            character: message?.name || context.name2,
+            model: message?.extra?.model || null,
+            date: date.slice(0, 10),
+            ...(reconstructed ? { reconstructed: true } : {})
+        }
+    });
+
+    const slug = `${fixture.source.character}-${messageId}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const blob = new Blob([JSON.stringify(fixture, null, 2) + '\n'], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${slug || 'reasoning'}-${date.replace(/\D/g, '').slice(0, 14)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    if (reconstructed) {
+        toastr.warning('The original text of this message was not stored, so the fixture holds a rebuilt version of it');
+    } else {
+        toastr.success('Fixture saved; put it in reasoning/fixtures to include it in test runs');
+    }
+}
+
 /**
  * Manually update the DOM to show reasoning block
+ * @param {number} messageId - Message index
+ * @param {string} reasoningText - Reasoning
+ * @param {Object} [options]
+ * @param {boolean} [options.structured=true] - Show the structured outline when that view is enabled
  */
-function updateReasoningDOM(messageId, reasoningText) {
+function updateReasoningDOM(messageId, reasoningText, { structured = true } = {}) {
     debugLog(` updateReasoningDOM called for message ${messageId}, reasoning length: ${reasoningText.length}`);
 
     // Find the message element
@@ -922,6 +997,10 @@ function updateReasoningDOM(messageId, reasoningText) {
         headerTitle.removeAttribute('title');
     }
 
+    if (structured) {
+        renderStructuredReasoning(messageId, reasoningText);
+    }
+
     // CRITICAL FIX: Force browser to repaint and make the element visible
     // This solves the "requires two refreshes" issue by triggering layout recalculation
     if (isNewBlock || reasoningDetails.offsetParent === null) {
@@ -1278,6 +1357,7 @@ function reprocessLatestMessage(parser) {
                 if (typeof updateReasoningUI === 'function') {
                     updateReasoningUI(latestMessageId);
                 }
+                renderStructuredReasoning(latestMessageId);
 
                 // Save the fix
                 saveChatDebounced();
@@ -1299,6 +1379,7 @@ function reprocessLatestMessage(parser) {
             if (typeof updateReasoningUI === 'function') {
                 updateReasoningUI(latestMessageId);
             }
+            renderStructuredReasoning(latestMessageId);
         } else {
             debugLog(' ✅ Latest message already properly processed');
         }
@@ -0,0 +1,224 @@
+/**
+ * NemoNet Reasoning Parser
+ * RobustReasoningParser with strategies tuned for NemoNet's Council of Vex CoT.
+ * The SillyTavern hooks that run it on chat messages are in
+ * nemonet-reasoning-config.js.
+ *
+ * @module nemonet-reasoning-parser
+ */
+
+import { RobustReasoningParser } from './robust-reasoning-parser.js';
+import { resolveReasoningProfile, toParserConfig } from './reasoning-profiles.js';
+
+/**
+ * Parser configuration of the built-in NemoNet profile
+ * The tags and markers live in reasoning-profiles.js; the parser used for chat
+ * messages follows the selected profile (see reasoning-profile-manager.js).
+ */
+export const NemoNetReasoningConfig = {
+    ...toParserConfig(resolveReasoningProfile('nemonet')),
+
+    // Enable debug logging
+    debug: false
+};
+
+/**
+ * Specialized parser for NemoNet CoT
+ */
+export class NemoNetReasoningParser extends RobustReasoningParser {
+    constructor(config = {}) {
+        super({ ...NemoNetReasoningConfig, ...config });
+    }
+
+    /**
+     * Override: Enhanced missing suffix detection for NemoNet
+     */
+    strategyMissingSuffix(text) {
+        const { prefix } = this.config;
+
+        const prefixIndex = text.indexOf(prefix);
+        if (prefixIndex === -1) return null;
+
+        let endIndex = -1;
+        const textAfterPrefix = text.substring(prefixIndex + prefix.length);
+
+        // Priority 1: Look for explicit end markers
+        const endMarkers = [
+            'END OF THINKING - CLOSING THINKING NOW - NARRATION FOLLOWS',
+            'END OF THINKING',
+            'CLOSING THINKING NOW',
+        ];
+
+        for (const marker of endMarkers) {
+            const markerIndex = textAfterPrefix.indexOf(marker);
+            if (markerIndex !== -1) {
+                // Include the marker in the reasoning, then skip past the decorative line
+                const fullMarkerMatch = textAfterPrefix.substring(markerIndex).match(
+                    new RegExp(this.escapeRegex(marker) + '\\s*\\n═+\\s*\\n')
+                );
+
+                if (fullMarkerMatch) {
+                    endIndex = prefixIndex + prefix.length + markerIndex + fullMarkerMatch[0].length;
+                } else {
+                    endIndex = prefixIndex + prefix.length + markerIndex + marker.length;
+                }
+                break;
+            }
+        }
+
+        // Priority 2: Look for {{newline}} marker
+        if (endIndex === -1) {
+            const newlineMarkerIndex = textAfterPrefix.indexOf('{{newline}}');
+            if (newlineMarkerIndex !== -1) {
+                endIndex = prefixIndex + prefix.length + newlineMarkerIndex + '{{newline}}'.length;
+            }
+        }
+
+        // Priority 3: Look for "Narration:" followed by actual narrative content
+        if (endIndex === -1) {
+            const narrationMatch = textAfterPrefix.match(/Narration:\s*\[.*?\]\s*\n/);
+            if (narrationMatch) {
+                endIndex = prefixIndex + prefix.length + narrationMatch.index + narrationMatch[0].length;
+            }
+        }
+
+        // Priority 4: Detect transition from structured CoT to prose
+        if (endIndex === -1) {
+            const lines = textAfterPrefix.split('\n');
+
+            for (let i = 0; i < lines.length - 2; i++) {
+                const currentLine = lines[i].trim();
+                const nextLine = lines[i + 1].trim();
+                const lineAfterNext = lines[i + 2].trim();
+
+                // Look for pattern: [structured content] -> [empty/border] -> [prose]
+                if (this.isNemoNetStructuredLine(currentLine)) {
+                    if (this.isNemoNetBorderLine(nextLine) || nextLine === '') {
+                        if (this.isNarrativeLine(lineAfterNext)) {
+                            // Found transition
+                            const positionInText = textAfterPrefix.split('\n').slice(0, i + 1).join('\n').length;
+                            endIndex = prefixIndex + prefix.length + positionInText;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        // Priority 5: Use entire text if no clear end found
+        if (endIndex === -1) {
+            // But try to exclude obvious narrative at the very end
+            const lastParagraphMatch = textAfterPrefix.match(/\n\n([A-Z][^.!?]*[.!?](\s+[A-Z][^.!?]*[.!?])+)$/);
+            if (lastParagraphMatch) {
+                endIndex = prefixIndex + prefix.length + lastParagraphMatch.index;
+            } else {
+                endIndex = text.length;
+            }
+        }
+
+        const reasoning = text.substring(prefixIndex + prefix.length, endIndex).trim();
+        const content = (text.substring(0, prefixIndex) + text.substring(endIndex)).trim();
+
+        return {
+            reasoning,
+            content,
+            strategy: 'missingSuffix-nemonet',
+            confidence: this.config.strategyWeights.missingSuffix
+        };
+    }
+
+    /**
+     * Check if a line is NemoNet structured content
+     */
+    isNemoNetStructuredLine(line) {
+        const patterns = [
+            /^(Exploration|STORY SECTION|Discovery|VITAL|Priority|◆|♢)/,
+            /^[A-Z_\s]+:/,  // Section headers
+            /^\d+\./,  // Numbered items
+            /^-\s+/,  // Bullet points
+            /_Vex:/,  // Vex personas
+            /^<[a-z_]+>/,  // XML-like tags
+        ];
+
+        return patterns.some(p => p.test(line));
+    }
+
+    /**
+     * Check if a line is a NemoNet border/decoration
+     */
+    isNemoNetBorderLine(line) {
+        return /^[═─]+$/.test(line) || /^[║╔╗╚╝]+/.test(line);
+    }
+
+    /**
+     * Override: Enhanced content marker detection
+     */
+    strategyContentMarkers(text) {
+        // Count NemoNet-specific markers
+        let markerCount = 0;
+        let firstMarkerIndex = -1;
+        let storySectionCount = 0;
+
+        for (const marker of this.config.reasoningMarkers) {
+            const index = typeof marker === 'string' ? text.indexOf(marker) : -1;
+
+            if (index !== -1) {
+                markerCount++;
+
+                if (marker.includes('STORY SECTION')) {
+                    storySectionCount++;
+                }
+
+                if (firstMarkerIndex === -1 || index < firstMarkerIndex) {
+                    firstMarkerIndex = index;
+                }
+            } else if (marker instanceof RegExp && marker.test(text)) {
+                markerCount++;
+            }
+        }
+
+        // NemoNet typically has 7 story sections
+        const hasCompleteCoT = storySectionCount >= 4;
+
+        // Need at least 5 markers OR 3+ story sections
+        if (markerCount < 5 && !hasCompleteCoT) return null;
+
+        // Find the end
+        let endIndex = -1;
+
+        // Look for end markers
+        for (const marker of this.config.narrationMarkers) {
+            if (typeof marker === 'string') {
+                const markerIndex = text.indexOf(marker);
+                if (markerIndex !== -1 && markerIndex > firstMarkerIndex) {
+                    endIndex = markerIndex;
+                    break;
+                }
+            } else if (marker instanceof RegExp) {
+                const match = text.substring(firstMarkerIndex).match(marker);
+                if (match) {
+                    endIndex = firstMarkerIndex + match.index;
+                    break;
+                }
+            }
+        }
+
+        if (endIndex === -1) {
+            endIndex = text.length;
+        }
+
+        const reasoning = text.substring(firstMarkerIndex, endIndex).trim();
+        const content = (text.substring(0, firstMarkerIndex) + text.substring(endIndex)).trim();
+
+        const confidence = hasCompleteCoT
+            ? this.config.strategyWeights.contentBased + 10
+            : this.config.strategyWeights.contentBased;
+
+        return {
+            reasoning,
+            content,
+            strategy: 'contentMarkers-nemonet',
+            confidence
+        };
+    }
+}
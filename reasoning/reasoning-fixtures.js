@@ -0,0 +1,314 @@
+/**
+ * Nemo Reasoning Fixtures
+ * Regression fixtures for the reasoning parser: a captured model output and
+ * the split it should get. Each fixture is run through every parsing strategy
+ * and compared with the expected split, giving per-strategy accuracy and how
+ * far each strategy puts the reasoning boundaries from where they belong.
+ *
+ * Fixtures are recorded from chats with "Save as fixture" in the reasoning
+ * split editor and run with run-reasoning-fixtures.js.
+ *
+ * @module reasoning-fixtures
+ */
+
+import { NemoNetReasoningParser } from './nemonet-reasoning-parser.js';
+import {
+    BUILT_IN_REASONING_PROFILES,
+    DEFAULT_REASONING_PROFILE,
+    normalizeReasoningProfile,
+    resolveReasoningProfile,
+    toParserConfig
+} from './reasoning-profiles.js';
+import { getSplitTags, locateSplit } from './reasoning-split.js';
+import { buildReasoningOutline } from './reasoning-outline.js';
+
+export const REASONING_FIXTURE_TYPE = 'nemo_reasoning_fixture';
+export const REASONING_FIXTURE_FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} ReasoningFixture
+ * @property {string} type - Always REASONING_FIXTURE_TYPE
+ * @property {number} version - Fixture format version
+ * @property {string} name - What the fixture covers
+ * @property {string} profile - Reasoning format profile id the output was parsed with
+ * @property {Object} [profileDefinition] - The resolved profile, for profiles that are not built in
+ * @property {string} input - Model output as received
+ * @property {{reasoning: string, content: string, outline?: {personas?: string[], sectionCount?: number}}} expected
+ *   Split it should get; reasoning is empty when it has none. outline, when given, is what the structured
+ *   reasoning view should find in the expected reasoning.
+ * @property {Object} [source] - Where it was recorded (character, model, date)
+ * @property {string} [knownIssue] - Why the parser gets it wrong for now
+ * @property {{reasoning: string, content: string}} [knownOutput] - With knownIssue, the split parse() gives
+ *   for now. The run fails when the output differs from it, including when the issue is fixed.
+ */
+
+/**
+ * @typedef {Object} StrategyEvaluation
+ * @property {string} strategy - Strategy name
+ * @property {number} confidence - Its confidence
+ * @property {boolean} valid - False when parse() would skip it for leaving no reply
+ * @property {boolean} correct - Reasoning and reply match the expected split
+ * @property {number|null} startError - Characters between where its reasoning starts and where it should
+ * @property {number|null} endError - The same for where the reasoning ends
+ */
+
+/**
+ * @typedef {Object} FixtureEvaluation
+ * @property {string} name - Fixture name
+ * @property {string|null} knownIssue - The fixture's known issue
+ * @property {boolean|null} knownOutput - Whether parse() gave the fixture's knownOutput; null without a known issue
+ * @property {{correct: boolean, personas: string[], sectionCount: number}|null} outline - Outline check, when the fixture has one
+ * @property {StrategyEvaluation} chosen - The result parse() returns
+ * @property {StrategyEvaluation[]} strategies - Every strategy that found reasoning
+ */
+
+/**
+ * Build a fixture from a verified split
+ * @param {Object} options
+ * @param {string} options.name - What the fixture covers
+ * @param {string} options.input - Model output as received
+ * @param {string} options.reasoning - Reasoning it should give
+ * @param {string} options.content - Reply it should give
+ * @param {string} [options.profile] - Reasoning format profile id
+ * @param {Object} [options.profileDefinition] - Resolved profile, when it is not built in
+ * @param {Object} [options.source] - Where it was recorded
+ * @returns {ReasoningFixture}
+ */
+export function createReasoningFixture({ name, input, reasoning, content, profile = DEFAULT_REASONING_PROFILE, profileDefinition = null, source = null }) {
+    return {
+        type: REASONING_FIXTURE_TYPE,
+        version: REASONING_FIXTURE_FORMAT_VERSION,
+        name,
+        profile,
+        ...(profileDefinition ? { profileDefinition } : {}),
+        input,
+        expected: { reasoning: reasoning.trim(), content: content.trim() },
+        ...(source ? { source } : {})
+    };
+}
+
+/**
+ * Read a fixture file
+ * @param {string} text - File contents
+ * @returns {ReasoningFixture}
+ * @throws {Error} When the file is not a reasoning fixture
+ */
+export function parseReasoningFixture(text) {
+    const data = JSON.parse(text);
+    if (data?.type !== REASONING_FIXTURE_TYPE) {
+        throw new Error('Not a reasoning fixture');
+    }
+    if (data.version > REASONING_FIXTURE_FORMAT_VERSION) {
+        throw new Error(`Fixture format version ${data.version} is newer than this parser supports`);
+    }
+    if (typeof data.input !== 'string' || typeof data.expected?.reasoning !== 'string' || typeof data.expected?.content !== 'string') {
+        throw new Error('Fixture needs an input and an expected reasoning and content');
+    }
+    if (data.knownIssue && (typeof data.knownOutput?.reasoning !== 'string' || typeof data.knownOutput?.content !== 'string')) {
+        throw new Error('A fixture with a known issue needs the knownOutput reasoning and content the parser gives now');
+    }
+    return data;
+}
+
+/**
+ * Parser for a fixture, configured with the profile it was recorded with
+ * @param {ReasoningFixture} fixture
+ * @param {string} [profileOverride] - Built-in profile to use instead
+ * @returns {NemoNetReasoningParser}
+ */
+export function createFixtureParser(fixture, profileOverride = null) {
+    const profiles = { ...BUILT_IN_REASONING_PROFILES };
+    if (!profileOverride && fixture.profileDefinition) {
+        const definition = normalizeReasoningProfile({ ...fixture.profileDefinition, id: fixture.profile });
+        profiles[definition.id] = definition;
+    }
+    return new NemoNetReasoningParser(toParserConfig(resolveReasoningProfile(profileOverride || fixture.profile, profiles)));
+}
+
+function normalize(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compare one parsing result with the expected split
+ * The reasoning may match before or after the parser cleans it.
+ */
+function evaluateResult(fixture, result, tags, expectedSpan) {
+    const { expected } = fixture;
+    const reasoningMatches = [result.reasoning, result.rawReasoning]
+        .some(reasoning => normalize(reasoning) === normalize(expected.reasoning));
+    const correct = reasoningMatches && normalize(result.content) === normalize(expected.content);
+
+    let startError = null;
+    let endError = null;
+    const span = result.reasoning
+        ? (locateSplit(fixture.input, result.rawReasoning, tags) || locateSplit(fixture.input, result.reasoning, tags))
+        : { start: 0, end: 0 };
+    if (span && expectedSpan) {
+        startError = Math.abs(span.start - expectedSpan.start);
+        endError = Math.abs(span.end - expectedSpan.end);
+    }
+
+    return {
+        strategy: result.strategy,
+        confidence: result.confidence,
+        valid: result.valid ?? true,
+        correct,
+        startError,
+        endError
+    };
+}
+
+/**
+ * Run a fixture through the parser and every one of its strategies
+ * @param {ReasoningFixture} fixture
+ * @param {NemoNetReasoningParser} [parser] - Defaults to a parser for the fixture's profile
+ * @returns {FixtureEvaluation}
+ */
+export function evaluateFixture(fixture, parser = createFixtureParser(fixture)) {
+    const tags = getSplitTags(parser.config);
+    const expectedSpan = fixture.expected.reasoning
+        ? locateSplit(fixture.input, fixture.expected.reasoning, tags)
+        : { start: 0, end: 0 };
+
+    // parse() returns the first valid result; taking it from here keeps its reasoning from before cleaning
+    const results = parser.parseAll(fixture.input);
+    const chosen = results.find(result => result.valid)
+        || { reasoning: '', content: fixture.input, strategy: 'none', confidence: 0 };
+
+    return {
+        name: fixture.name,
+        knownIssue: fixture.knownIssue || null,
+        knownOutput: fixture.knownIssue
+            ? chosen.reasoning.trim() === fixture.knownOutput.reasoning && chosen.content.trim() === fixture.knownOutput.content
+            : null,
+        outline: evaluateOutline(fixture, parser),
+        chosen: evaluateResult(fixture, chosen, tags, expectedSpan),
+        strategies: results.map(result => evaluateResult(fixture, result, tags, expectedSpan))
+    };
+}
+
+/**
+ * Outline of the expected reasoning, checked against expected.outline
+ */
+function evaluateOutline(fixture, parser) {
+    const expected = fixture.expected.outline;
+    if (!expected) return null;
+    const { personas, sectionCount } = buildReasoningOutline(fixture.expected.reasoning, parser.config);
+    const samePersonas = !expected.personas
+        || [...personas].sort().join('\n') === [...expected.personas].sort().join('\n');
+    const sameSections = expected.sectionCount === undefined || sectionCount === expected.sectionCount;
+    return { correct: samePersonas && sameSections, personas, sectionCount };
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Accuracy and boundary error over many fixtures
+ * A strategy's accuracy counts the fixtures where it found reasoning; for
+ * fixtures it missed see `missed`. Boundary errors only count results whose
+ * reasoning could be found in the input as-is.
+ * @param {FixtureEvaluation[]} evaluations
+ * @returns {{fixtures: number, failures: number, knownIssues: number, chosen: Object, strategies: Object<string, Object>}}
+ *   failures counts wrong splits of fixtures without a known issue, fixtures with a known issue whose
+ *   output is not their knownOutput, and failed outline checks
+ */
+export function summarizeFixtureEvaluations(evaluations) {
+    const summarize = (results, total) => {
+        const correct = results.filter(result => result.correct).length;
+        const endErrors = results.map(result => result.endError).filter(error => error !== null);
+        const startErrors = results.map(result => result.startError).filter(error => error !== null);
+        return {
+            runs: results.length,
+            missed: total - results.length,
+            correct,
+            accuracy: results.length > 0 ? correct / results.length : null,
+            meanStartError: mean(startErrors),
+            meanEndError: mean(endErrors),
+            maxEndError: endErrors.length > 0 ? Math.max(...endErrors) : null
+        };
+    };
+
+    const byStrategy = new Map();
+    for (const evaluation of evaluations) {
+        for (const result of evaluation.strategies) {
+            if (!byStrategy.has(result.strategy)) byStrategy.set(result.strategy, []);
+            byStrategy.get(result.strategy).push(result);
+        }
+    }
+
+    return {
+        fixtures: evaluations.length,
+        failures: evaluations.filter(evaluation => (evaluation.knownIssue ? !evaluation.knownOutput : !evaluation.chosen.correct)
+            || evaluation.outline?.correct === false).length,
+        knownIssues: evaluations.filter(evaluation => evaluation.knownIssue && evaluation.knownOutput).length,
+        chosen: summarize(evaluations.map(evaluation => evaluation.chosen), evaluations.length),
+        strategies: Object.fromEntries([...byStrategy].map(([strategy, results]) => [strategy, summarize(results, evaluations.length)]))
+    };
+}
+
+/**
+ * Plain-text report for the console
+ * @param {FixtureEvaluation[]} evaluations
+ * @param {ReturnType<typeof summarizeFixtureEvaluations>} summary
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose=false] - List every strategy's result per fixture
+ * @returns {string}
+ */
+export function formatFixtureReport(evaluations, summary, { verbose = false } = {}) {
+    const percent = value => value === null ? '-' : `${Math.round(value * 100)}%`;
+    const chars = value => value === null ? '-' : value.toFixed(1);
+    const lines = [];
+
+    for (const evaluation of evaluations) {
+        const { chosen } = evaluation;
+        const offsets = chosen.endError === null ? '' : ` (start ±${chosen.startError}, end ±${chosen.endError})`;
+        // A known issue that passes has been fixed; it fails the run until its note goes
+        const status = evaluation.knownIssue
+            ? (chosen.correct ? 'FIXED' : evaluation.knownOutput ? 'KNOWN' : 'FAIL')
+            : (chosen.correct ? 'PASS' : 'FAIL');
+        lines.push(`${status.padEnd(5)} ${evaluation.name}: ${chosen.strategy} ${chosen.confidence}%${offsets}`);
+        if (status === 'FIXED') {
+            lines.push('        known issue fixed: remove knownIssue and knownOutput from the fixture');
+        } else if (evaluation.knownIssue) {
+            lines.push(`        known issue: ${evaluation.knownIssue}`);
+            if (!evaluation.knownOutput) lines.push('        the split differs from the fixture\'s knownOutput');
+        }
+        if (evaluation.outline) {
+            const { outline } = evaluation;
+            lines.push(`        outline ${outline.correct ? 'PASS' : 'FAIL'}: ${outline.sectionCount} sections, personas ${outline.personas.join(', ') || 'none'}`);
+        }
+        if (verbose) {
+            for (const result of evaluation.strategies) {
+                const mark = result.correct ? '✓' : '✗';
+                const note = result.valid ? '' : ' [skipped: no reply]';
+                const error = result.endError === null ? 'not located' : `start ±${result.startError}, end ±${result.endError}`;
+                lines.push(`        ${mark} ${result.strategy} ${result.confidence}% - ${error}${note}`);
+            }
+        }
+    }
+
+    lines.push('');
+    lines.push('Strategy                         Runs  Missed  Correct  Accuracy  Mean start ±  Mean end ±  Max end ±');
+    const row = (name, stats) => [
+        name.padEnd(32),
+        String(stats.runs).padStart(5),
+        String(stats.missed).padStart(7),
+        String(stats.correct).padStart(8),
+        percent(stats.accuracy).padStart(9),
+        chars(stats.meanStartError).padStart(13),
+        chars(stats.meanEndError).padStart(11),
+        (stats.maxEndError === null ? '-' : String(stats.maxEndError)).padStart(10)
+    ].join(' ');
+    for (const [strategy, stats] of Object.entries(summary.strategies).sort(([a], [b]) => a.localeCompare(b))) {
+        lines.push(row(strategy, stats));
+    }
+    lines.push(row('parse() result', summary.chosen));
+    lines.push('');
+    lines.push(`${summary.chosen.correct} of ${summary.fixtures} fixtures split correctly`
+        + (summary.knownIssues > 0 ? `, ${summary.knownIssues} known issue${summary.knownIssues === 1 ? '' : 's'}` : ''));
+
+    return lines.join('\n');
+}
@@ -0,0 +1,168 @@
+/**
+ * Nemo Structured Reasoning View
+ * Renders parsed reasoning in a message's reasoning block as a navigable
+ * outline: a list of sections to jump to, collapsible sections, persona speech
+ * bubbles and checklists. The block's "Thought for some time" header is
+ * replaced with the section count, token count and the parsing strategy and
+ * confidence that produced the reasoning.
+ *
+ * @module reasoning-outline-view
+ */
+
+import { escapeHtml } from '../core/utils.js';
+import { buildReasoningOutline, estimateTokens } from './reasoning-outline.js';
+import { getTokenCountAsync } from '../../../../tokenizers.js';
+
+const CHECKLIST_ICONS = {
+    done: 'fa-square-check',
+    open: 'fa-square',
+    failed: 'fa-square-xmark'
+};
+
+let renderCount = 0;
+
+/**
+ * Render reasoning into a reasoning block
+ * Reasoning without any section, persona or checklist keeps the block's
+ * current content; only the header is updated.
+ * @param {HTMLElement} details - The message's .mes_reasoning_details element
+ * @param {string} reasoning - Reasoning text
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Parser configuration of the active reasoning format profile
+ * @param {string} [options.strategy] - Strategy that extracted the reasoning
+ * @param {number} [options.confidence] - Its confidence
+ * @returns {ReturnType<typeof buildReasoningOutline>|null} Outline, or null when the block has no content element
+ */
+export function renderReasoningOutline(details, reasoning, { config, strategy, confidence } = {}) {
+    const content = details?.querySelector('.mes_reasoning');
+    if (!content) return null;
+
+    const outline = buildReasoningOutline(reasoning, config);
+    if (outline.structured) {
+        content.innerHTML = renderOutline(outline);
+        content.classList.add('nemo-reasoning-outlined');
+        wireOutline(content);
+    } else {
+        content.classList.remove('nemo-reasoning-outlined');
+    }
+
+    updateHeader(details, outline, reasoning, strategy, confidence);
+    return outline;
+}
+
+function renderOutline(outline) {
+    const titled = outline.sections
+        .map((section, index) => ({ section, index }))
+        .filter(({ section }) => section.title !== null);
+
+    const nav = titled.length > 1 ? `
+        <div class="nemo-reasoning-outline-nav">
+            ${titled.map(({ section, index }) => `
+                <button class="nemo-reasoning-outline-link level-${section.level}" data-section="${index}" title="${escapeHtml(section.title)}">${escapeHtml(section.title)}</button>
+            `).join('')}
+            <span class="nemo-reasoning-outline-toggles">
+                <button class="nemo-reasoning-outline-expand" title="Expand all"><i class="fa-solid fa-angles-down"></i></button>
+                <button class="nemo-reasoning-outline-collapse" title="Collapse all"><i class="fa-solid fa-angles-up"></i></button>
+            </span>
+        </div>
+    ` : '';
+
+    return nav + outline.sections.map((section, index) => {
+        const body = section.blocks.map(renderBlock).join('');
+        if (section.title === null) {
+            return `<div class="nemo-reasoning-preamble">${body}</div>`;
+        }
+        return `
+            <details class="nemo-reasoning-section level-${section.level}" data-section="${index}">
+                <summary>${escapeHtml(section.title)}</summary>
+                <div class="nemo-reasoning-section-body">${body}</div>
+            </details>
+        `;
+    }).join('');
+}
+
+function renderBlock(block) {
+    if (block.type === 'persona') {
+        return `
+            <div class="nemo-reasoning-persona" style="--nemo-persona-hue: ${personaHue(block.speaker)}">
+                <span class="nemo-reasoning-persona-name">${escapeHtml(block.speaker)}</span>
+                <div class="nemo-reasoning-persona-bubble">${formatText(block.text)}</div>
+            </div>
+        `;
+    }
+    if (block.type === 'checklist') {
+        return `<ul class="nemo-reasoning-checklist">${block.items.map(item => `
+            <li class="${item.state}"><i class="fa-regular ${CHECKLIST_ICONS[item.state]}"></i> ${formatText(item.text)}</li>
+        `).join('')}</ul>`;
+    }
+    return `<p>${formatText(block.text)}</p>`;
+}
+
+function wireOutline(content) {
+    const sections = [...content.querySelectorAll('.nemo-reasoning-section')];
+
+    content.querySelectorAll('.nemo-reasoning-outline-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const target = content.querySelector(`.nemo-reasoning-section[data-section="${link.dataset.section}"]`);
+            if (!target) return;
+            target.open = true;
+            target.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        });
+    });
+    content.querySelector('.nemo-reasoning-outline-expand')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sections.forEach(section => section.open = true);
+    });
+    content.querySelector('.nemo-reasoning-outline-collapse')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sections.forEach(section => section.open = false);
+    });
+}
+
+/**
+ * Show the stats in the block's header; the token count follows once the tokenizer answers
+ */
+function updateHeader(details, outline, reasoning, strategy, confidence) {
+    const headerTitle = details.querySelector('.mes_reasoning_header_title');
+    if (!headerTitle) return;
+
+    const render = ++renderCount;
+    details.dataset.nemoOutlineRender = String(render);
+    const write = (tokens, estimated) => {
+        if (details.dataset.nemoOutlineRender !== String(render)) return;
+        const parts = [];
+        if (outline.sectionCount > 0) {
+            parts.push(`${outline.sectionCount} section${outline.sectionCount === 1 ? '' : 's'}`);
+        }
+        parts.push(`${estimated ? '~' : ''}${tokens} tokens`);
+        if (strategy) {
+            parts.push(Number.isFinite(confidence) ? `${strategy} (${confidence}%)` : strategy);
+        }
+        headerTitle.textContent = parts.join(' · ');
+        headerTitle.title = [
+            outline.personas.length > 0 ? `Personas: ${outline.personas.join(', ')}` : null,
+            strategy ? `Parsed with the ${strategy} strategy${Number.isFinite(confidence) ? ` at ${confidence}% confidence` : ''}` : null
+        ].filter(Boolean).join('\n');
+    };
+
+    write(estimateTokens(reasoning), true);
+    getTokenCountAsync(reasoning)
+        .then(tokens => write(tokens, false))
+        .catch(error => console.warn('NemoNet: Could not count reasoning tokens:', error));
+}
+
+function personaHue(name) {
+    let hash = 0;
+    for (const char of name) {
+        hash = (hash * 31 + char.codePointAt(0)) % 360;
+    }
+    return hash;
+}
+
+function formatText(text) {
+    return escapeHtml(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>');
+}
@@ -0,0 +1,173 @@
+/**
+ * Nemo Reasoning Outline
+ * Splits parsed reasoning into an outline for the structured reasoning view:
+ * sections, persona speech and checklists. Which lines start a section or
+ * belong to a persona comes from the reasoning format profile
+ * (sectionMarkers / personaMarkers); markdown headings, whole-line bold text
+ * and [x] / ☐ style checklists are recognised for every profile.
+ *
+ * @module reasoning-outline
+ */
+
+const CHECKLIST_PATTERN = /^(?:[-*•]\s*)?(?:\[(x|X|✓|✔|✗|✘| )\]|(☑|☐|☒|✅|❌))\s*(.*)$/;
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*$/;
+const BOLD_HEADING_PATTERN = /^\*\*([^*]+?)\*\*:?$/;
+const BORDER_PATTERN = /^[═─━=\-_~*]{3,}$/;
+const PERSONA_PATTERN = /^([^:]+?):\s*/;
+// NemoNet writes council speakers as "♢_Plot_Vex:" or "◆ Plot_Vex:"
+const PERSONA_LEAD_PATTERN = /^[♢◆◇♦]\s*_?/;
+
+/**
+ * @typedef {Object} OutlineBlock
+ * @property {'text'|'persona'|'checklist'} type
+ * @property {string} [text] - Text of a paragraph or what a persona says
+ * @property {string} [speaker] - Persona name
+ * @property {Array<{state: 'done'|'open'|'failed', text: string}>} [items] - Checklist items
+ */
+
+/**
+ * @typedef {Object} OutlineSection
+ * @property {string|null} title - Heading; null for text before the first heading
+ * @property {number} level - 1 for top-level sections
+ * @property {OutlineBlock[]} blocks
+ */
+
+/**
+ * Text a marker matches at the very start of a line, or null
+ * @param {string} line - Trimmed line
+ * @param {string|RegExp} marker - Compiled marker
+ * @returns {string|null}
+ */
+function matchAtStart(line, marker) {
+    if (typeof marker === 'string') {
+        return line.startsWith(marker) ? marker : null;
+    }
+    const match = line.match(marker);
+    return match && match.index === 0 && match[0] ? match[0] : null;
+}
+
+/**
+ * A line without the markdown emphasis or bullet a model may wrap it in
+ */
+function stripDecoration(line) {
+    const unbulleted = line.replace(/^[-*•]\s+/, '');
+    const emphasis = unbulleted.match(/^(\*\*|__)(.+?)\1(.*)$/);
+    return (emphasis ? emphasis[2] + emphasis[3] : unbulleted).trim();
+}
+
+/**
+ * Persona marker a line opens with, tried with and without a council glyph lead
+ * @returns {{persona: string, line: string}|null} Matched marker text and the line it matched in
+ */
+function findPersona(line, markers) {
+    for (const candidate of [line, line.replace(PERSONA_LEAD_PATTERN, '')]) {
+        const persona = markers.map(marker => matchAtStart(candidate, marker)).find(match => match !== null);
+        if (persona) return { persona, line: candidate };
+    }
+    return null;
+}
+
+function checklistState(mark) {
+    if (['x', 'X', '✓', '✔', '☑', '☒', '✅'].includes(mark)) return 'done';
+    if (['✗', '✘', '❌'].includes(mark)) return 'failed';
+    return 'open';
+}
+
+/**
+ * Build the outline of parsed reasoning
+ * @param {string} reasoning - Reasoning text
+ * @param {Object} [config] - Parser configuration with compiled markers
+ * @param {Array<string|RegExp>} [config.sectionMarkers]
+ * @param {Array<string|RegExp>} [config.personaMarkers]
+ * @returns {{sections: OutlineSection[], sectionCount: number, personas: string[], structured: boolean}}
+ *   sectionCount counts titled sections; structured is false when nothing but plain text was found
+ */
+export function buildReasoningOutline(reasoning, config = {}) {
+    const sectionMarkers = config.sectionMarkers || [];
+    const personaMarkers = config.personaMarkers || [];
+
+    const sections = [];
+    let section = { title: null, level: 1, blocks: [] };
+    let block = null;
+    let checklistCount = 0;
+    const personas = new Set();
+
+    const startSection = (title, level) => {
+        if (section.title !== null || section.blocks.length > 0) sections.push(section);
+        section = { title, level, blocks: [] };
+        block = null;
+    };
+
+    for (const rawLine of String(reasoning || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line) {
+            block = null;
+            continue;
+        }
+        if (BORDER_PATTERN.test(line)) continue;
+
+        const checklist = line.match(CHECKLIST_PATTERN);
+        if (checklist) {
+            if (block?.type !== 'checklist') {
+                block = { type: 'checklist', items: [] };
+                section.blocks.push(block);
+            }
+            block.items.push({ state: checklistState(checklist[1] || checklist[2]), text: checklist[3] });
+            checklistCount++;
+            continue;
+        }
+
+        const heading = line.match(MARKDOWN_HEADING_PATTERN);
+        if (heading) {
+            startSection(stripDecoration(heading[2]), heading[1].length <= 2 ? 1 : 2);
+            continue;
+        }
+
+        const plain = stripDecoration(line);
+        if (sectionMarkers.some(marker => matchAtStart(plain, marker) !== null)) {
+            startSection(plain.replace(/:$/, ''), 1);
+            continue;
+        }
+        const bold = line.match(BOLD_HEADING_PATTERN);
+        if (bold) {
+            startSection(bold[1].trim().replace(/:$/, ''), 2);
+            continue;
+        }
+
+        const speech = findPersona(plain, personaMarkers);
+        if (speech) {
+            const { persona, line: spoken } = speech;
+            const speaker = (persona.match(PERSONA_PATTERN)?.[1] || persona).trim();
+            block = { type: 'persona', speaker, text: spoken.substring(persona.length).trim() };
+            section.blocks.push(block);
+            personas.add(speaker);
+            continue;
+        }
+
+        // Continuation lines belong to the paragraph or speech above them
+        if (block?.type === 'text' || block?.type === 'persona') {
+            block.text = block.text ? `${block.text}\n${line}` : line;
+        } else {
+            block = { type: 'text', text: line };
+            section.blocks.push(block);
+        }
+    }
+    startSection(null, 1);
+
+    const sectionCount = sections.filter(entry => entry.title !== null).length;
+    return {
+        sections,
+        sectionCount,
+        personas: [...personas],
+        structured: sectionCount > 0 || personas.size > 0 || checklistCount > 0
+    };
+}
+
+/**
+ * Rough token count for when no tokenizer is available (about four characters per token)
+ * @param {string} text - Text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
@@ -0,0 +1,276 @@
+/**
+ * Nemo Reasoning Profile Manager
+ * Stores user reasoning format profiles and decides which profile the chat
+ * reasoning parser uses. The first of these that applies wins:
+ *   1. @reasoning-format <id> in an enabled prompt (when following directives is on)
+ *   2. the profile chosen for the current character
+ *   3. the profile chosen for the active preset
+ *   4. the default profile
+ *
+ * @module reasoning-profile-manager
+ */
+
+import logger from '../core/logger.js';
+import { NEMO_EXTENSION_NAME } from '../core/utils.js';
+import storage from '../core/storage-migration.js';
+import {
+    BUILT_IN_REASONING_PROFILES,
+    DEFAULT_REASONING_PROFILE,
+    normalizeReasoningProfile,
+    validateReasoningProfile,
+    resolveReasoningProfile,
+    toParserConfig
+} from './reasoning-profiles.js';
+import { getAllPromptsWithState, parsePromptDirectives } from '../features/directives/prompt-directives.js';
+import { getCurrentPresetName } from '../features/directives/prompt-profiles.js';
+import { extension_settings, getContext } from '../../../../extensions.js';
+import { eventSource, event_types, saveSettingsDebounced } from '../../../../../script.js';
+
+const REFRESH_DELAY = 300;
+
+const boundParsers = new Set();
+const listeners = new Set();
+let refreshTimer = null;
+let eventsRegistered = false;
+let lastAppliedId = null;
+
+/**
+ * Built-in and user profiles by id
+ * @returns {Object<string, Object>}
+ */
+export function getAllReasoningProfiles() {
+    return { ...storage.getReasoningProfiles(), ...BUILT_IN_REASONING_PROFILES };
+}
+
+export function isBuiltInReasoningProfile(id) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_REASONING_PROFILES, id);
+}
+
+/**
+ * Save a user profile
+ * @param {Object} profile - Profile
+ * @param {string|null} [previousId] - Id the profile had before, when it is renamed
+ * @returns {string[]} Problems that kept it from being saved; empty on success
+ */
+export function saveReasoningProfile(profile, previousId = null) {
+    const normalized = normalizeReasoningProfile(profile);
+    const profiles = storage.getReasoningProfiles();
+    const errors = validateReasoningProfile(normalized, getAllReasoningProfiles());
+
+    if (isBuiltInReasoningProfile(normalized.id)) {
+        errors.push(`"${normalized.id}" is a built-in profile; pick another id`);
+    } else if (normalized.id !== previousId && profiles[normalized.id]) {
+        errors.push(`A profile with the id "${normalized.id}" already exists`);
+    }
+    if (errors.length > 0) return errors;
+
+    if (previousId && previousId !== normalized.id) {
+        delete profiles[previousId];
+        replaceProfileReferences(previousId, normalized.id);
+    }
+    profiles[normalized.id] = normalized;
+    storage.saveReasoningProfiles(profiles);
+    notifyChange();
+    return [];
+}
+
+/**
+ * Delete a user profile; presets, characters and profiles that used it fall back
+ * @param {string} id - Profile id
+ */
+export function deleteReasoningProfile(id) {
+    if (isBuiltInReasoningProfile(id)) return;
+    const profiles = storage.getReasoningProfiles();
+    delete profiles[id];
+    storage.saveReasoningProfiles(profiles);
+    replaceProfileReferences(id, null);
+    notifyChange();
+}
+
+/**
+ * Point assignments, the default and `extends` at another profile (or drop them)
+ */
+function replaceProfileReferences(fromId, toId) {
+    const assignments = storage.getReasoningProfileAssignments();
+    for (const scope of Object.values(assignments)) {
+        for (const [key, id] of Object.entries(scope)) {
+            if (id !== fromId) continue;
+            if (toId) scope[key] = toId;
+            else delete scope[key];
+        }
+    }
+    storage.saveReasoningProfileAssignments(assignments);
+
+    const profiles = storage.getReasoningProfiles();
+    for (const profile of Object.values(profiles)) {
+        if (profile.extends !== fromId) continue;
+        if (toId) profile.extends = toId;
+        else delete profile.extends;
+    }
+    storage.saveReasoningProfiles(profiles);
+
+    if (getDefaultReasoningProfileId() === fromId) {
+        setDefaultReasoningProfile(toId || DEFAULT_REASONING_PROFILE);
+    }
+}
+
+export function getDefaultReasoningProfileId() {
+    return extension_settings[NEMO_EXTENSION_NAME]?.reasoningProfile || DEFAULT_REASONING_PROFILE;
+}
+
+export function setDefaultReasoningProfile(id) {
+    extension_settings[NEMO_EXTENSION_NAME].reasoningProfile = id;
+    saveSettingsDebounced();
+    notifyChange();
+}
+
+/**
+ * Get the key and display name of the current character
+ * @returns {{key: string, name: string}|null} Character, or null in group chats or with none selected
+ */
+export function getCurrentCharacter() {
+    const context = getContext();
+    const character = context?.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    return character ? { key: character.avatar, name: character.name } : null;
+}
+
+/**
+ * Choose a profile for a preset or character
+ * @param {'presets'|'characters'} scope - What the key names
+ * @param {string} key - Preset name or character avatar
+ * @param {string|null} id - Profile id, or null to clear the choice
+ */
+export function assignReasoningProfile(scope, key, id) {
+    const assignments = storage.getReasoningProfileAssignments();
+    if (id) assignments[scope][key] = id;
+    else delete assignments[scope][key];
+    storage.saveReasoningProfileAssignments(assignments);
+    notifyChange();
+}
+
+export function getReasoningProfileAssignments() {
+    return storage.getReasoningProfileAssignments();
+}
+
+/**
+ * The @reasoning-format an enabled prompt asks for, if it names a known profile
+ * @param {Object<string, Object>} profiles - All profiles
+ * @returns {{id: string, promptName: string}|null}
+ */
+function findDirectiveProfile(profiles) {
+    for (const prompt of getAllPromptsWithState()) {
+        if (!prompt.enabled || !prompt.content) continue;
+        const id = parsePromptDirectives(prompt.content).reasoningFormat;
+        if (!id) continue;
+        if (profiles[id]) {
+            return { id, promptName: prompt.name || prompt.identifier };
+        }
+        logger.warn(`Prompt "${prompt.name || prompt.identifier}" asks for unknown reasoning format "${id}"`);
+    }
+    return null;
+}
+
+/**
+ * Which profile applies right now and why
+ * @returns {{id: string, source: 'directive'|'character'|'preset'|'default', detail: string|null}}
+ */
+export function getActiveReasoningProfile() {
+    const profiles = getAllReasoningProfiles();
+
+    if (extension_settings[NEMO_EXTENSION_NAME]?.autoSelectReasoningFormat ?? true) {
+        try {
+            const fromDirective = findDirectiveProfile(profiles);
+            if (fromDirective) {
+                return { id: fromDirective.id, source: 'directive', detail: fromDirective.promptName };
+            }
+        } catch (error) {
+            logger.error('Error reading @reasoning-format directives:', error);
+        }
+    }
+
+    const assignments = storage.getReasoningProfileAssignments();
+    const character = getCurrentCharacter();
+    if (character && profiles[assignments.characters[character.key]]) {
+        return { id: assignments.characters[character.key], source: 'character', detail: character.name };
+    }
+
+    const presetName = getCurrentPresetName();
+    if (profiles[assignments.presets[presetName]]) {
+        return { id: assignments.presets[presetName], source: 'preset', detail: presetName };
+    }
+
+    const defaultId = getDefaultReasoningProfileId();
+    return { id: profiles[defaultId] ? defaultId : DEFAULT_REASONING_PROFILE, source: 'default', detail: null };
+}
+
+/**
+ * Parser configuration of a profile, with its base profiles merged in
+ * @param {string} id - Profile id
+ * @returns {Object} Configuration for RobustReasoningParser
+ */
+export function getReasoningParserConfig(id) {
+    return toParserConfig(resolveReasoningProfile(id, getAllReasoningProfiles()));
+}
+
+/**
+ * Keep a parser configured with the active profile
+ * @param {import('./robust-reasoning-parser.js').RobustReasoningParser} parser - Parser
+ */
+export function bindReasoningProfile(parser) {
+    boundParsers.add(parser);
+    applyActiveProfile(true);
+
+    if (eventsRegistered) return;
+    eventsRegistered = true;
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => applyActiveProfile(), REFRESH_DELAY);
+    };
+    [
+        event_types.CHAT_CHANGED,
+        event_types.OAI_PRESET_CHANGED_AFTER,
+        event_types.SETTINGS_UPDATED
+    ].filter(Boolean).forEach(eventType => eventSource.on(eventType, scheduleRefresh));
+}
+
+/**
+ * Be told when profiles, assignments or the default change
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Unsubscribe
+ */
+export function onReasoningProfilesChanged(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notifyChange() {
+    applyActiveProfile(true);
+    listeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            logger.error('Error in reasoning profile listener:', error);
+        }
+    });
+}
+
+/**
+ * Configure the bound parsers; only when the active profile changed unless forced
+ * (a forced apply picks up edits to the profile itself)
+ */
+function applyActiveProfile(force = false) {
+    if (boundParsers.size === 0) return;
+    try {
+        const active = getActiveReasoningProfile();
+        if (!force && active.id === lastAppliedId) return;
+
+        const config = getReasoningParserConfig(active.id);
+        boundParsers.forEach(parser => parser.configure(config));
+        if (active.id !== lastAppliedId) {
+            logger.info(`Reasoning format profile: ${active.id} (${active.source}${active.detail ? `: ${active.detail}` : ''})`);
+        }
+        lastAppliedId = active.id;
+    } catch (error) {
+        logger.error('Error applying reasoning format profile:', error);
+    }
+}
@@ -0,0 +1,358 @@
+/**
+ * Nemo Reasoning Profile Settings
+ * The "Reasoning Format Profiles" drawer in the extension settings: pick,
+ * create, edit, duplicate, delete, import and export profiles, and choose one
+ * as the default or for the active preset or current character.
+ *
+ * @module reasoning-profile-ui
+ */
+
+import logger from '../core/logger.js';
+import { NEMO_EXTENSION_NAME, escapeHtml, showNemoModal } from '../core/utils.js';
+import {
+    normalizeReasoningProfile,
+    serializeReasoningProfiles,
+    parseReasoningProfiles,
+    markerToLine,
+    lineToMarker
+} from './reasoning-profiles.js';
+import {
+    getAllReasoningProfiles,
+    isBuiltInReasoningProfile,
+    saveReasoningProfile,
+    deleteReasoningProfile,
+    getDefaultReasoningProfileId,
+    setDefaultReasoningProfile,
+    assignReasoningProfile,
+    getReasoningProfileAssignments,
+    getActiveReasoningProfile,
+    getCurrentCharacter,
+    onReasoningProfilesChanged
+} from './reasoning-profile-manager.js';
+import { getCurrentPresetName } from '../features/directives/prompt-profiles.js';
+import { extension_settings } from '../../../../extensions.js';
+import { eventSource, event_types, saveSettingsDebounced } from '../../../../../script.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../../popup.js';
+
+const LIST_EDITOR_FIELDS = [
+    { field: 'alternativePrefixes', label: 'Opening tags', help: 'Besides the main opening tag, one per line' },
+    { field: 'alternativeSuffixes', label: 'Closing tags', help: 'Besides the main closing tag, one per line' },
+    { field: 'reasoningMarkers', label: 'Reasoning markers', help: 'Text that only appears inside the reasoning' },
+    { field: 'narrationMarkers', label: 'Narration markers', help: 'Text that means the narration has started' },
+    { field: 'endMarkers', label: 'End markers', help: 'Reasoning is cut off after the last of these' },
+    { field: 'sectionMarkers', label: 'Section markers', help: 'Lines starting with these begin a section of the reasoning outline' },
+    { field: 'personaMarkers', label: 'Persona markers', help: 'Lines starting with these are shown as that persona speaking' }
+];
+
+const WEIGHT_LABELS = {
+    perfectMatch: 'Perfect match',
+    partialSuffix: 'Partial closing tag',
+    missingSuffix: 'Missing closing tag',
+    contentBased: 'Content markers',
+    heuristic: 'Heuristic'
+};
+
+let selectedId = null;
+
+/**
+ * Wire the settings drawer; call once settings.html is in the page
+ */
+export function initReasoningProfileSettings() {
+    const select = /** @type {HTMLSelectElement} */ (document.getElementById('nemoReasoningProfileSelect'));
+    if (!select) return;
+
+    selectedId = getActiveReasoningProfile().id;
+    select.addEventListener('change', () => {
+        selectedId = select.value;
+        render();
+    });
+
+    const autoSelect = /** @type {HTMLInputElement} */ (document.getElementById('nemoAutoSelectReasoningFormat'));
+    autoSelect.checked = extension_settings[NEMO_EXTENSION_NAME]?.autoSelectReasoningFormat ?? true;
+    autoSelect.addEventListener('change', () => {
+        extension_settings[NEMO_EXTENSION_NAME].autoSelectReasoningFormat = autoSelect.checked;
+        saveSettingsDebounced();
+        render();
+    });
+
+    const actions = {
+        nemoReasoningProfileNew: () => openEditor(null),
+        nemoReasoningProfileEdit: () => openEditor(selectedId),
+        nemoReasoningProfileDuplicate: () => openEditor(selectedId, { duplicate: true }),
+        nemoReasoningProfileDelete: () => confirmDelete(selectedId),
+        nemoReasoningProfileImport: () => promptImport(),
+        nemoReasoningProfileExport: () => exportProfiles([selectedId]),
+        nemoReasoningProfileUseDefault: () => setDefaultReasoningProfile(selectedId),
+        nemoReasoningProfileUsePreset: () => toggleAssignment('presets', getCurrentPresetName()),
+        nemoReasoningProfileUseCharacter: () => {
+            const character = getCurrentCharacter();
+            if (!character) {
+                toastr.info('Open a chat with a single character first');
+                return;
+            }
+            toggleAssignment('characters', character.key);
+        }
+    };
+    for (const [id, action] of Object.entries(actions)) {
+        document.getElementById(id)?.addEventListener('click', (e) => {
+            e.preventDefault();
+            action();
+        });
+    }
+
+    onReasoningProfilesChanged(render);
+    [event_types.CHAT_CHANGED, event_types.OAI_PRESET_CHANGED_AFTER]
+        .filter(Boolean)
+        .forEach(eventType => eventSource.on(eventType, () => setTimeout(render, 500)));
+
+    render();
+}
+
+/**
+ * Assign the selected profile, or clear the assignment when it is already the selected one
+ */
+function toggleAssignment(scope, key) {
+    const current = getReasoningProfileAssignments()[scope][key];
+    assignReasoningProfile(scope, key, current === selectedId ? null : selectedId);
+}
+
+function render() {
+    const select = /** @type {HTMLSelectElement} */ (document.getElementById('nemoReasoningProfileSelect'));
+    if (!select) return;
+
+    const profiles = getAllReasoningProfiles();
+    if (!profiles[selectedId]) selectedId = getDefaultReasoningProfileId();
+
+    const sorted = Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name));
+    select.innerHTML = sorted.map(profile => `
+        <option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}${isBuiltInReasoningProfile(profile.id) ? ' (built-in)' : ''}</option>
+    `).join('');
+    select.value = selectedId;
+
+    const selected = profiles[selectedId];
+    const builtIn = isBuiltInReasoningProfile(selectedId);
+    document.getElementById('nemoReasoningProfileDescription').textContent = [
+        selected?.description,
+        selected?.extends ? `Extends ${profiles[selected.extends]?.name || selected.extends}.` : null,
+        `Id: ${selectedId}`
+    ].filter(Boolean).join(' ');
+    document.getElementById('nemoReasoningProfileEdit').toggleAttribute('disabled', builtIn);
+    document.getElementById('nemoReasoningProfileDelete').toggleAttribute('disabled', builtIn);
+
+    const assignments = getReasoningProfileAssignments();
+    const presetName = getCurrentPresetName();
+    const character = getCurrentCharacter();
+    setButtonLabel('nemoReasoningProfileUseDefault', getDefaultReasoningProfileId() === selectedId ? 'Default profile' : 'Use as default');
+    setButtonLabel('nemoReasoningProfileUsePreset', assignments.presets[presetName] === selectedId ? 'Used for this preset' : 'Use for this preset');
+    setButtonLabel('nemoReasoningProfileUseCharacter', character && assignments.characters[character.key] === selectedId ? 'Used for this character' : 'Use for this character');
+
+    const active = getActiveReasoningProfile();
+    const reason = {
+        directive: `@reasoning-format in "${active.detail}"`,
+        character: `chosen for ${active.detail}`,
+        preset: `chosen for preset "${active.detail}"`,
+        default: 'default'
+    }[active.source];
+    document.getElementById('nemoReasoningProfileStatus').textContent =
+        `Parsing replies with ${profiles[active.id]?.name || active.id} (${reason})`;
+}
+
+function setButtonLabel(id, label) {
+    const span = document.querySelector(`#${id} span`);
+    if (span) span.textContent = label;
+}
+
+async function confirmDelete(id) {
+    if (isBuiltInReasoningProfile(id)) return;
+    const profile = getAllReasoningProfiles()[id];
+    const confirmed = await callGenericPopup(`Delete the reasoning profile "${escapeHtml(profile?.name || id)}"? Presets and characters that use it fall back to the default.`, POPUP_TYPE.CONFIRM);
+    if (!confirmed) return;
+    deleteReasoningProfile(id);
+    selectedId = getDefaultReasoningProfileId();
+    render();
+    toastr.success('Reasoning profile deleted');
+}
+
+/**
+ * Download profiles as JSON
+ * @param {string[]} ids - Profile ids
+ */
+function exportProfiles(ids) {
+    const profiles = getAllReasoningProfiles();
+    const selected = ids.map(id => profiles[id]).filter(Boolean);
+    if (selected.length === 0) return;
+
+    const blob = new Blob([serializeReasoningProfiles(selected)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${selected.length === 1 ? selected[0].id : 'reasoning-profiles'}.nemo-reasoning.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Pick a profile file and import its profiles
+ * Profiles whose id is built in get a new id; existing user profiles are only
+ * replaced after confirmation.
+ */
+function promptImport() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        let imported;
+        try {
+            imported = parseReasoningProfiles(await file.text());
+        } catch (error) {
+            logger.error('Error reading reasoning profiles:', error);
+            toastr.error(error instanceof SyntaxError ? 'This file is not valid JSON' : error.message);
+            return;
+        }
+
+        const existing = getAllReasoningProfiles();
+        for (const profile of imported) {
+            if (isBuiltInReasoningProfile(profile.id)) {
+                profile.id = uniqueId(`${profile.id}-custom`, existing);
+            }
+        }
+
+        const replaced = imported.filter(profile => existing[profile.id]);
+        if (replaced.length > 0) {
+            const confirmed = await callGenericPopup(
+                `Replace your existing profile${replaced.length === 1 ? '' : 's'} ${replaced.map(profile => `"${escapeHtml(profile.name)}"`).join(', ')}?`,
+                POPUP_TYPE.CONFIRM
+            );
+            if (!confirmed) return;
+        }
+
+        let saved = 0;
+        const problems = [];
+        // Save bases first so profiles that extend each other validate
+        const ordered = [...imported].sort((a, b) => (a.extends ? 1 : 0) - (b.extends ? 1 : 0));
+        for (const profile of ordered) {
+            const errors = saveReasoningProfile(profile, existing[profile.id] ? profile.id : null);
+            if (errors.length > 0) {
+                problems.push(`${profile.name || profile.id}: ${errors.join('; ')}`);
+            } else {
+                saved++;
+                selectedId = profile.id;
+            }
+        }
+
+        render();
+        if (saved > 0) toastr.success(`Imported ${saved} reasoning profile(s)`);
+        if (problems.length > 0) toastr.warning(problems.join('<br>'), 'Some profiles were not imported', { escapeHtml: false });
+    };
+    input.click();
+}
+
+function uniqueId(base, profiles) {
+    let id = base;
+    for (let i = 2; profiles[id]; i++) {
+        id = `${base}-${i}`;
+    }
+    return id;
+}
+
+/**
+ * Edit a profile, or create one
+ * @param {string|null} id - Profile to edit or duplicate; null for a new profile
+ * @param {Object} [options]
+ * @param {boolean} [options.duplicate=false] - Save as a new profile
+ */
+function openEditor(id, { duplicate = false } = {}) {
+    const profiles = getAllReasoningProfiles();
+    const source = id ? profiles[id] : null;
+    if (id && !source) return;
+    if (source && isBuiltInReasoningProfile(id) && !duplicate) return;
+
+    const profile = source
+        ? normalizeReasoningProfile(source)
+        : { id: '', name: '', extends: 'universal' };
+    if (duplicate) {
+        profile.id = uniqueId(`${profile.id}-copy`, profiles);
+        profile.name = `${profile.name} (copy)`;
+    }
+    const previousId = source && !duplicate ? source.id : null;
+
+    const { modal, close: closeModal } = showNemoModal({
+        className: 'nemo-reasoning-profile-modal',
+        title: `${previousId ? 'Edit' : 'New'} reasoning profile`,
+        body: `
+            <div class="nemo-reasoning-profile-grid">
+                <label>Name <input type="text" name="name" class="text_pole" value="${escapeHtml(profile.name)}"></label>
+                <label>Id <input type="text" name="id" class="text_pole" value="${escapeHtml(profile.id)}" placeholder="my-preset"></label>
+                <label>Extends
+                    <select name="extends" class="text_pole">
+                        <option value="">Nothing</option>
+                        ${Object.values(profiles)
+                            .filter(other => other.id !== previousId)
+                            .map(other => `<option value="${escapeHtml(other.id)}"${other.id === profile.extends ? ' selected' : ''}>${escapeHtml(other.name)}</option>`)
+                            .join('')}
+                    </select>
+                </label>
+                <label>Opening tag <input type="text" name="prefix" class="text_pole" value="${escapeHtml(profile.prefix || '')}" placeholder="from base, or <think>"></label>
+                <label>Closing tag <input type="text" name="suffix" class="text_pole" value="${escapeHtml(profile.suffix || '')}" placeholder="from base, or </think>"></label>
+            </div>
+            <label>Description <input type="text" name="description" class="text_pole" value="${escapeHtml(profile.description || '')}"></label>
+            <small>One marker per line. Write <code>/pattern/flags</code> for a regex and <code>\\n</code> for a line break. With a base profile, these are added to its lists.</small>
+            ${LIST_EDITOR_FIELDS.map(({ field, label, help }) => `
+                <label class="nemo-reasoning-profile-list">${label} <small>${help}</small>
+                    <textarea name="${field}" class="text_pole" rows="4">${escapeHtml((profile[field] || []).map(markerToLine).join('\n'))}</textarea>
+                </label>
+            `).join('')}
+            <h4>Strategy weights</h4>
+            <small>How much each parsing strategy is trusted (higher wins). Leave empty to use the base profile's weight.</small>
+            <div class="nemo-reasoning-profile-grid">
+                ${Object.entries(WEIGHT_LABELS).map(([field, label]) => `
+                    <label>${label} <input type="number" name="weight-${field}" class="text_pole" value="${profile.strategyWeights?.[field] ?? ''}"></label>
+                `).join('')}
+            </div>
+            <div class="nemo-reasoning-profile-errors"></div>
+            <div class="nemo-toast-actions">
+                <button class="nemo-toast-btn secondary nemo-reasoning-profile-cancel">Cancel</button>
+                <button class="nemo-toast-btn primary nemo-reasoning-profile-save">Save</button>
+            </div>
+        `
+    });
+
+    const value = (name) => modal.querySelector(`[name="${name}"]`).value;
+    const readProfile = () => {
+        const edited = {
+            id: value('id').trim(),
+            name: value('name').trim(),
+            description: value('description').trim(),
+            extends: value('extends'),
+            prefix: value('prefix'),
+            suffix: value('suffix'),
+            strategyWeights: {}
+        };
+        for (const { field } of LIST_EDITOR_FIELDS) {
+            edited[field] = value(field).split('\n').filter(line => line.trim()).map(lineToMarker);
+        }
+        for (const field of Object.keys(WEIGHT_LABELS)) {
+            if (value(`weight-${field}`) !== '') edited.strategyWeights[field] = Number(value(`weight-${field}`));
+        }
+        return edited;
+    };
+
+    modal.querySelector('.nemo-reasoning-profile-cancel').addEventListener('click', () => closeModal());
+    modal.querySelector('.nemo-reasoning-profile-save').addEventListener('click', () => {
+        const edited = readProfile();
+        const errors = saveReasoningProfile(edited, previousId);
+        if (errors.length > 0) {
+            modal.querySelector('.nemo-reasoning-profile-errors').innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+            return;
+        }
+        selectedId = edited.id;
+        closeModal();
+        render();
+        toastr.success(`Saved reasoning profile "${edited.name}"`);
+    });
+}
@@ -0,0 +1,639 @@
+/**
+ * Nemo Reasoning Format Profiles
+ * A profile describes how one chain-of-thought format marks its reasoning:
+ * opening and closing tags, phrases that show up inside the reasoning, phrases
+ * that mean the narration has started, phrases after which the reasoning ends,
+ * and how much each parsing strategy is trusted. Section and persona markers
+ * tell the structured reasoning view which lines start an outline section and
+ * which are spoken by a council persona.
+ *
+ * Tags are plain text; markers are plain text or a regex written as
+ * /pattern/flags. A profile can extend another one; its lists are added to
+ * the base profile's lists and its tags and weights override the base's.
+ *
+ * @module reasoning-profiles
+ */
+
+export const REASONING_PROFILES_TYPE = 'nemo_reasoning_profiles';
+export const REASONING_PROFILES_FORMAT_VERSION = 1;
+
+export const DEFAULT_REASONING_PROFILE = 'nemonet';
+
+const LIST_FIELDS = [
+    'alternativePrefixes', 'alternativeSuffixes', 'reasoningMarkers', 'narrationMarkers', 'endMarkers',
+    'sectionMarkers', 'personaMarkers'
+];
+// Tags are always plain text; only these lists may hold regexes
+const MARKER_FIELDS = ['reasoningMarkers', 'narrationMarkers', 'endMarkers', 'sectionMarkers', 'personaMarkers'];
+const WEIGHT_FIELDS = ['perfectMatch', 'partialSuffix', 'missingSuffix', 'contentBased', 'heuristic'];
+const MAX_EXTENDS_DEPTH = 5;
+
+const UNIVERSAL_PROFILE = {
+    id: 'universal',
+    name: 'Universal',
+    description: 'Claude, DeepSeek R1, OpenAI o-series, Gemini and generic chain-of-thought formats',
+    prefix: '<think>',
+    suffix: '</think>',
+    alternativePrefixes: [
+        '<think',          // DeepSeek R1, partial tags
+        '<thought>',       // Generic CoT
+        '<thinking>',      // Claude Extended Thinking
+        '<reasoning>',     // Generic reasoning tags
+        '<reflection>',    // Reflective thinking
+        '<analysis>',      // Analysis blocks
+        'Thoughts:',       // Gemini 2.0+ format
+        'Thinking:',       // Alternative Gemini format
+        'Reasoning:',      // OpenAI o1/o3 style markers
+        'Chain of Thought:', // Explicit CoT
+    ],
+    alternativeSuffixes: [
+        '</think',         // Partial closing tags
+        '</thought>',      // Generic CoT
+        '</thinking>',     // Claude Extended Thinking
+        '</reasoning>',    // Generic reasoning tags
+        '</reflection>',   // Reflective thinking
+        '</analysis>',     // Analysis blocks
+        '<answer>',        // DeepSeek R1 answer tag signals end of thinking
+        '\n\nResponse:',   // Gemini format
+        '\n\nAnswer:',     // Common transition marker
+    ],
+    reasoningMarkers: [
+        // === Claude markers ===
+        'Let me think through this',
+        'Let me analyze',
+        'Let me consider',
+        'My thinking process:',
+        'Step-by-step analysis:',
+        'Breaking this down:',
+        'Thought process:',
+
+        // === DeepSeek R1 markers ===
+        'Let\'s approach this step by step',
+        'First, I need to',
+        'Let me break this down',
+        'To solve this, I should',
+
+        // === OpenAI o1/o3 markers ===
+        'Reasoning through this',
+        'Chain of thought:',
+        'Step 1:',
+        'Step 2:',
+        'Step 3:',
+        'Let\'s think step by step',
+        'Breaking down the problem:',
+
+        // === Gemini 2.0 markers ===
+        'Identify the question\'s scope',
+        'Recognize the different perspectives',
+        'Brainstorm key concepts',
+        'Structure the answer',
+        'Refine and Elaborate',
+        'Consider adding nuance',
+        'Review and edit',
+
+        // === Generic CoT markers ===
+        'Analysis:',
+        'Reasoning:',
+        'Thought:',
+        'Reflection:',
+        'Consider:',
+        'Therefore,',
+        'In other words,',
+        'This means that',
+        'Let me verify',
+        'Double-checking:',
+
+        // === Scientific Method variants ===
+        'HYPOTHESIS:',
+        'OBSERVATIONS:',
+        'DATA ANALYSIS:',
+        'CONCLUSION:',
+        'EXPERIMENT:',
+        'METHOD:',
+        'RESULTS:',
+        'VERIFICATION:',
+
+        // === Directive/Command variants ===
+        '>> ANALYZE',
+        '>> RETRIEVE',
+        '>> CROSS-CHECK',
+        '>> GENERATE',
+        '>> VALIDATE',
+        '>> OUTPUT',
+        '=> ACTION:',
+        '=> RESULT:',
+
+        // === Checklist variants ===
+        '[✓]',
+        '[✗]',
+        '[X]',
+        '[ ]',
+        '☑',
+        '☐',
+        'NEXT:',
+        'TODO:',
+        'PENDING:',
+        'COMPLETE:',
+
+        // === Conversational/Stream variants ===
+        'Okay so',
+        'Let me think',
+        'Alright,',
+        'Hmm,',
+        'Wait,',
+        'Oh right,',
+        'I should',
+        'Maybe I can',
+        'Need to',
+
+        // === Code/Programming style variants ===
+        'def ',
+        'function ',
+        'if ',
+        'else:',
+        'return ',
+        '// ',
+        '/* ',
+        'var ',
+        'const ',
+
+        // === Hierarchical/Nested variants ===
+        '[Analysis Phase]',
+        '[Synthesis]',
+        '[Planning]',
+        '[Execution]',
+        '[Review]',
+        '## ',
+        '### ',
+        '#### ',
+
+        // === Structured CoT formats (custom prompts) ===
+        'INTERNAL PROCESSING',
+        'IMMEDIATE CONTEXT SCAN:',
+        'ORGANIC DELIBERATION',
+        'QUICK COUNCIL CHECK',
+        'ANTI-SLOP VERIFICATION',
+        'FINAL PULSE CHECK:',
+        'What feels most ALIVE',
+        'What would these characters ACTUALLY',
+        'Does this feel REAL?',
+        'Does this MOVE FORWARD?',
+        'Does this honor BOUNDARIES?',
+        '!VITAL!',
+        'OOC Directives:',
+        'Active Scene:',
+        'Knowledge Boundaries:',
+    ],
+    narrationMarkers: [
+        // === DeepSeek R1 markers ===
+        '<answer>',
+        '</think>',
+
+        // === Gemini markers ===
+        '\n\nResponse:',
+        '\n\nThoughts:',  // May appear after initial thoughts
+
+        // === Claude markers ===
+        '\n\nHere\'s my response:',
+        '\n\nMy answer:',
+        '\n\nIn summary:',
+
+        // === Generic markers ===
+        '\n\nAnswer:',
+        '\n\nSolution:',
+        '\n\nConclusion:',
+        '\n\nOutput:',
+        '\n\nResult:',
+        '---\n',  // Horizontal separator
+        '!VITAL! Output',  // Custom CoT end marker
+
+        // === Regex patterns for narrative prose ===
+        '/^[A-Z][a-z]+ (looked|glanced|turned|stepped|walked|said|whispered|smiled|frowned|nodded|shook|moved|ran|jumped|sat|stood)/m',
+        '/^The (room|air|moment|silence|world|sky|sun|moon|night|day|light|darkness|man|woman|person|child|figure)/m',
+        '/^"[A-Z]/m',  // Start of dialogue
+        '/^\\*[A-Z]/m',  // Roleplay action format
+    ],
+    endMarkers: [
+        'Time to write.',
+        'Okay, plan is set.',
+        'Decision/Synthesis',
+        'Final Polish:',
+        'FINAL PULSE CHECK:',
+        '!VITAL! Output',
+        'END OF THINKING',
+    ],
+    // Lines that start a section of the structured reasoning view
+    sectionMarkers: [
+        '/^Step \\d+:/',
+        'Analysis:',
+        'Reflection:',
+        'Conclusion:',
+        'HYPOTHESIS:',
+        'OBSERVATIONS:',
+        'DATA ANALYSIS:',
+        'EXPERIMENT:',
+        'METHOD:',
+        'RESULTS:',
+        'CONCLUSION:',
+        'VERIFICATION:',
+        'FINAL PULSE CHECK:',
+    ],
+    // Lines spoken by a persona ("Name: what they say")
+    personaMarkers: [],
+    strategyWeights: {
+        perfectMatch: 100,
+        partialSuffix: 80,
+        missingSuffix: 70,
+        contentBased: 60,
+        heuristic: 50
+    }
+};
+
+const NEMONET_PROFILE = {
+    id: 'nemonet',
+    name: 'NemoNet (Council of Vex)',
+    description: 'NemoNet story sections, explorations and Vex council personas',
+    prefix: '<think>',
+    suffix: '</think>',
+    alternativePrefixes: [
+            '<think',
+            '<thinking>',
+            '<thought>',
+            '<Begin Council of Vex Thought Process>',
+            'STORY SECTION 1:' // Sometimes model might skip the tag
+    ],
+    alternativeSuffixes: [
+            '</think',
+            '</thinking>',
+            '</thought>',
+            'NARRATION FOLLOWS',
+            '{{newline}}'
+    ],
+    reasoningMarkers: [
+            // Core structure
+            'NEMONET WORLD EXPLORATION',
+            'Council of Vex',
+            'NemoAdmin-107',
+            'Begin Council of Vex Thought Process',
+
+            // Story sections
+            'STORY SECTION 1:',
+            'STORY SECTION 2:',
+            'STORY SECTION 3:',
+            'STORY SECTION 4:',
+            'STORY SECTION 5:',
+            'STORY SECTION 6:',
+            'STORY SECTION 7:',
+
+            // Section names
+            'NEMO NET AWAKENING',
+            'GATHERING THE THREADS',
+            'SCENE CALIBRATION',
+            'COUNCIL CONVERSATION',
+            'RESOLUTION',
+            'CRAFTING',
+            'Custom CoT',
+            'Organic thinking',
+
+            // Exploration steps
+            'Exploration 1:',
+            'Exploration 2:',
+            'Exploration 3:',
+            'Exploration 4:',
+            'Exploration 5:',
+            'Exploration 6:',
+            'Exploration 7:',
+            'Exploration 8:',
+            'Discoveries:',
+
+            // Council personas
+            '_Specialist:',
+            'Plot_Vex:',
+            'Romantic_Vex:',
+            'Action_Vex:',
+            'Mystery_Vex:',
+            'Comedy_Vex:',
+            'Danger_Vex:',
+
+            // Special sections
+            'SCENE TYPE AND RATIO:',
+            'CHARACTER CAPABILITIES:',
+            'CHARACTER VOICE:',
+            'FRESHNESS:',
+            'FINAL REVIEW:',
+            'VITAL:',
+
+            // XML-like tags
+            '<knowledge_awareness>',
+            '<voice_crafting>',
+            '<repetition_ban>',
+            '<custom_steps>',
+
+            // Decorative borders
+            '═══════════════════════════════════════════════════════════════',
+            '════════════════════════════',
+
+            // End markers
+            'END OF THINKING',
+            'CLOSING THINKING NOW',
+            'END OF THINKING - CLOSING THINKING NOW',
+    ],
+    narrationMarkers: [
+            'Narration:',
+            'NARRATION FOLLOWS',
+            '{{newline}}',
+            '</think>{{newline}}',
+
+            // Sometimes the model outputs the separator
+            '═══════════════════════════════════════════════════════════════\nEND OF THINKING',
+
+            // Common narrative starters after thinking
+            '/^[A-Z][a-z]+ (looked|glanced|turned|stepped|walked|said|whispered|smiled|frowned)/m',
+            '/^The (room|air|moment|silence)/m',
+    ],
+    endMarkers: [
+        'Time to write.',
+        'Okay, plan is set.',
+        'Decision/Synthesis',
+        'Final Polish:',
+        'FINAL PULSE CHECK:',
+        '!VITAL! Output',
+        'END OF THINKING',
+    ],
+    sectionMarkers: [
+        '/^STORY SECTION \\d+:/',
+        '/^Exploration \\d+:/',
+        'Discoveries:',
+        'SCENE TYPE AND RATIO:',
+        'CHARACTER CAPABILITIES:',
+        'CHARACTER VOICE:',
+        'FRESHNESS:',
+        'FINAL REVIEW',
+        'VITAL:',
+        'END OF THINKING',
+    ],
+    // Council of Vex personas and specialists (Plot_Vex:, Lore_Specialist:); a ♢_ or ◆ lead is allowed
+    personaMarkers: [
+        '/^[A-Z][A-Za-z]*_(?:Vex|Specialist):/',
+    ],
+    // NemoNet often forgets the closing tag and has very distinct markers
+    strategyWeights: {
+        perfectMatch: 100,
+        partialSuffix: 90,
+        missingSuffix: 85,
+        contentBased: 75,
+        heuristic: 60
+    }
+};
+
+const LUCID_LOOM_PROFILE = {
+    id: 'lucid-loom',
+    name: 'Lucid Loom',
+    description: 'Lucid Loom v2.8 weave planning steps (and BunnyMo mentions), on top of Universal',
+    extends: 'universal',
+    reasoningMarkers: [
+        'Weave Planning Phase',
+        'Internal Thinking Protocol',
+        'I, Lumia',
+        'Anointed Goddess of the Lucid Loom',
+        '### Step 1:',
+        '### Step 2:',
+        '### Step 3:',
+        '### Step 4:',
+        '### Step 5:',
+        '### Step 6:',
+        '### Step 7:',
+        '### Step 8:',
+        '### Step 9:',
+        '### Step 10:',
+        '### Step 11:',
+        'Recall Last Moment',
+        'Recall Character',
+        'Objective Tracking',
+        'Omniscience Checker',
+        'Narrative Guidance',
+        'Response Planner',
+        'Anatomy Limits',
+        'Environment Consistency',
+        'Utility Inclusions',
+        'Narrative Style Adherence',
+        'Sanity Checking',
+        'thinking blocks separate the threads',
+        'I will present the tapestry',
+        'denoting my completion of the weave',
+        'BunnyMo',
+        'Sovereign Hand mode',
+    ],
+    endMarkers: [
+        'I will present the tapestry only then.',
+        'denoting my completion of the weave. I will present',
+        'Once I have completed all of the required steps:',
+        'Now, let us continue weaving our story',
+    ],
+    sectionMarkers: [
+        '/^#{1,3} Step \\d+:/',
+        'Weave Planning Phase',
+        'Internal Thinking Protocol',
+    ]
+};
+
+/**
+ * Profiles that ship with the extension; they cannot be edited, only duplicated
+ */
+export const BUILT_IN_REASONING_PROFILES = Object.freeze({
+    [UNIVERSAL_PROFILE.id]: UNIVERSAL_PROFILE,
+    [NEMONET_PROFILE.id]: NEMONET_PROFILE,
+    [LUCID_LOOM_PROFILE.id]: LUCID_LOOM_PROFILE
+});
+
+/**
+ * Whether a marker is written as a regex (/pattern/flags)
+ * @param {string} marker - Marker
+ * @returns {boolean}
+ */
+export function isRegexMarker(marker) {
+    return typeof marker === 'string' && /^\/.+\/[dgimsuy]*$/.test(marker);
+}
+
+/**
+ * Turn a marker into what the parser matches with
+ * A regex that does not compile is matched as plain text.
+ * @param {string|RegExp} marker - Marker
+ * @returns {string|RegExp}
+ */
+export function compileMarker(marker) {
+    if (!isRegexMarker(marker)) return marker;
+    const slash = marker.lastIndexOf('/');
+    try {
+        // The parser looks for the first match anywhere, so a global flag would only add state
+        return new RegExp(marker.slice(1, slash), marker.slice(slash + 1).replace('g', ''));
+    } catch (error) {
+        return marker;
+    }
+}
+
+/**
+ * Keep only the fields a profile can have
+ * @param {Object} raw - Profile as read from JSON
+ * @returns {Object} Profile
+ */
+export function normalizeReasoningProfile(raw) {
+    const profile = {
+        id: String(raw?.id ?? '').trim(),
+        name: String(raw?.name ?? raw?.id ?? '').trim()
+    };
+    if (raw?.description) profile.description = String(raw.description);
+    if (raw?.extends) profile.extends = String(raw.extends).trim();
+    if (raw?.prefix) profile.prefix = String(raw.prefix);
+    if (raw?.suffix) profile.suffix = String(raw.suffix);
+    for (const field of LIST_FIELDS) {
+        if (Array.isArray(raw?.[field])) {
+            profile[field] = raw[field].filter(marker => typeof marker === 'string' && marker !== '');
+        }
+    }
+    if (raw?.strategyWeights && typeof raw.strategyWeights === 'object') {
+        profile.strategyWeights = {};
+        for (const field of WEIGHT_FIELDS) {
+            if (Number.isFinite(Number(raw.strategyWeights[field])) && raw.strategyWeights[field] !== '') {
+                profile.strategyWeights[field] = Number(raw.strategyWeights[field]);
+            }
+        }
+    }
+    return profile;
+}
+
+/**
+ * Check a profile before saving or importing it
+ * @param {Object} profile - Profile
+ * @param {Object<string, Object>} [profiles] - Known profiles, to check `extends`
+ * @returns {string[]} Problems; empty when the profile is usable
+ */
+export function validateReasoningProfile(profile, profiles = BUILT_IN_REASONING_PROFILES) {
+    const errors = [];
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(profile?.id || '')) {
+        errors.push('The id must be letters, digits, - or _');
+    }
+    if (!profile?.name) {
+        errors.push('The profile needs a name');
+    }
+    if (profile?.extends && !profiles[profile.extends]) {
+        errors.push(`Unknown base profile "${profile.extends}"`);
+    }
+    if (profile?.extends === profile?.id) {
+        errors.push('A profile cannot extend itself');
+    }
+    for (const field of MARKER_FIELDS) {
+        for (const marker of profile?.[field] || []) {
+            if (isRegexMarker(marker) && typeof compileMarker(marker) === 'string') {
+                errors.push(`Invalid regex in ${field}: ${marker}`);
+            }
+        }
+    }
+    for (const [field, weight] of Object.entries(profile?.strategyWeights || {})) {
+        if (!WEIGHT_FIELDS.includes(field) || !Number.isFinite(weight)) {
+            errors.push(`Invalid strategy weight ${field}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Resolve a profile and the profiles it extends into one profile
+ * @param {string} id - Profile id
+ * @param {Object<string, Object>} [profiles] - All profiles by id (built-in and user)
+ * @returns {Object} Resolved profile; the default profile when the id is unknown
+ */
+export function resolveReasoningProfile(id, profiles = BUILT_IN_REASONING_PROFILES) {
+    const chain = [];
+    let current = profiles[id] || profiles[DEFAULT_REASONING_PROFILE] || BUILT_IN_REASONING_PROFILES[DEFAULT_REASONING_PROFILE];
+    while (current && chain.length < MAX_EXTENDS_DEPTH && !chain.includes(current)) {
+        chain.unshift(current);
+        current = current.extends ? profiles[current.extends] : null;
+    }
+
+    const resolved = { id: chain[chain.length - 1].id, name: chain[chain.length - 1].name, strategyWeights: {} };
+    for (const field of LIST_FIELDS) {
+        resolved[field] = [];
+    }
+    for (const profile of chain) {
+        resolved.prefix = profile.prefix || resolved.prefix;
+        resolved.suffix = profile.suffix || resolved.suffix;
+        for (const field of LIST_FIELDS) {
+            resolved[field] = [...new Set([...resolved[field], ...(profile[field] || [])])];
+        }
+        Object.assign(resolved.strategyWeights, profile.strategyWeights);
+    }
+
+    resolved.prefix = resolved.prefix || UNIVERSAL_PROFILE.prefix;
+    resolved.suffix = resolved.suffix || UNIVERSAL_PROFILE.suffix;
+    resolved.strategyWeights = { ...UNIVERSAL_PROFILE.strategyWeights, ...resolved.strategyWeights };
+    return resolved;
+}
+
+/**
+ * Parser configuration for a resolved profile (see RobustReasoningParser)
+ * @param {Object} profile - Resolved profile
+ * @returns {Object} Configuration with compiled markers
+ */
+export function toParserConfig(profile) {
+    const config = {
+        prefix: profile.prefix,
+        suffix: profile.suffix,
+        strategyWeights: { ...profile.strategyWeights }
+    };
+    for (const field of LIST_FIELDS) {
+        config[field] = MARKER_FIELDS.includes(field) ? (profile[field] || []).map(compileMarker) : [...(profile[field] || [])];
+    }
+    return config;
+}
+
+/**
+ * Serialize profiles for export
+ * @param {Object[]} profiles - Profiles
+ * @returns {string} JSON
+ */
+export function serializeReasoningProfiles(profiles) {
+    return JSON.stringify({
+        type: REASONING_PROFILES_TYPE,
+        version: REASONING_PROFILES_FORMAT_VERSION,
+        profiles: profiles.map(normalizeReasoningProfile)
+    }, null, 2);
+}
+
+/**
+ * Read profiles from an exported file
+ * Accepts an export, a bare array of profiles or a single profile.
+ * @param {string} text - JSON
+ * @returns {Object[]} Normalized profiles
+ * @throws {Error} When the text is not JSON or holds no profile
+ */
+export function parseReasoningProfiles(text) {
+    const data = JSON.parse(text);
+    const list = data?.type === REASONING_PROFILES_TYPE ? data.profiles
+        : Array.isArray(data) ? data
+            : data?.id ? [data] : null;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('No reasoning profiles found in the file');
+    }
+    return list.map(normalizeReasoningProfile);
+}
+
+/**
+ * Show a marker as one line of an editor textarea (newlines become \n)
+ * Regex markers are shown as written; their escapes already mean the same thing.
+ * @param {string} marker - Marker
+ * @returns {string} Line
+ */
+export function markerToLine(marker) {
+    return isRegexMarker(marker) ? marker : marker.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+}
+
+/**
+ * Read a marker back from an editor line
+ * @param {string} line - Line
+ * @returns {string} Marker
+ */
+export function lineToMarker(line) {
+    if (isRegexMarker(line)) return line;
+    return line.replace(/\\(\\|n|t)/g, (_, escaped) => escaped === 'n' ? '\n' : escaped === 't' ? '\t' : '\\');
+}
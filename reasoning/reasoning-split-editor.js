@@ -0,0 +1,235 @@
+/**
+ * Nemo Reasoning Split Editor
+ * The "Fix reasoning split" dialog: shows a message's original text with the
+ * reasoning highlighted, lets the user drag where the reasoning starts and
+ * ends, or take the result of another parsing strategy (all strategies are
+ * listed side by side with their confidence).
+ *
+ * @module reasoning-split-editor
+ */
+
+import { escapeHtml, showNemoModal } from '../core/utils.js';
+import { locateSplit, splitAt } from './reasoning-split.js';
+
+const PREVIEW_LENGTH = 400;
+
+/**
+ * @typedef {Object} SplitCandidate
+ * @property {string} strategy - Strategy name
+ * @property {number} confidence - Its confidence
+ * @property {string} reasoning - Reasoning it would store
+ * @property {string} content - Reply it would store
+ * @property {string} [rawReasoning] - Reasoning before cleaning, to find it in the text
+ * @property {boolean} [valid=true] - False when the strategy would leave no reply
+ */
+
+/**
+ * Show the editor
+ * @param {Object} options
+ * @param {string} options.raw - Original text of the message
+ * @param {boolean} [options.reconstructed=false] - The original text was put back together, not stored
+ * @param {SplitCandidate|null} [options.current] - Split the message has now
+ * @param {SplitCandidate[]} options.candidates - Results of the parsing strategies
+ * @param {import('./reasoning-split.js').SplitTags} [options.tags] - Reasoning tags of the active profile
+ * @param {Function} [options.onRecord] - Shows "Save as fixture"; called with the split shown, without closing the editor
+ * @returns {Promise<{reasoning: string, content: string, strategy: string, confidence: number}|null>} Chosen split, or null when cancelled
+ */
+export function showReasoningSplitEditor({ raw, reconstructed = false, current = null, candidates, tags = {}, onRecord = null }) {
+    return new Promise((resolve) => {
+        const options = [
+            ...(current ? [{ ...current, label: 'Current split' }] : []),
+            ...candidates.map(candidate => ({ ...candidate, label: candidate.strategy })),
+            { strategy: 'none', confidence: 100, reasoning: '', content: raw.trim(), label: 'No reasoning' }
+        ].map(option => ({ ...option, span: option.reasoning ? locate(raw, option, tags) : { start: 0, end: 0 } }));
+
+        let selected = options.find(option => option.valid !== false) || options[0];
+        let span = selected.span || { start: 0, end: 0 };
+        let result = selected;
+
+        const { modal, close: closeModal } = showNemoModal({
+            className: 'nemo-reasoning-split-modal',
+            title: 'Fix reasoning split',
+            body: `
+                <p>Drag the handles to change where the reasoning starts and ends, or use the result of another strategy.</p>
+                ${reconstructed ? '<p class="nemo-reasoning-split-note"><i class="fa-solid fa-circle-info"></i> The original text of this message was not stored; it is shown rebuilt from the current reasoning and reply.</p>' : ''}
+                <div class="nemo-reasoning-split-text">
+                    <span data-part="before"></span><span class="nemo-reasoning-split-handle" data-handle="start" tabindex="0" title="Reasoning starts here"></span><mark data-part="reasoning"></mark><span class="nemo-reasoning-split-handle" data-handle="end" tabindex="0" title="Reasoning ends here"></span><span data-part="after"></span>
+                </div>
+                <h4>Strategies</h4>
+                <div class="nemo-reasoning-split-candidates">
+                    ${options.map((option, index) => renderCandidate(option, index)).join('')}
+                </div>
+                <h4>Result <small class="nemo-reasoning-split-source"></small></h4>
+                <div class="nemo-reasoning-split-columns">
+                    <div>
+                        <strong>Reasoning</strong> <small class="nemo-reasoning-split-reasoning-length"></small>
+                        <pre class="nemo-reasoning-split-reasoning"></pre>
+                    </div>
+                    <div>
+                        <strong>Reply</strong> <small class="nemo-reasoning-split-content-length"></small>
+                        <pre class="nemo-reasoning-split-content"></pre>
+                    </div>
+                </div>
+                <div class="nemo-reasoning-split-warning"></div>
+                <div class="nemo-toast-actions">
+                    ${onRecord ? '<button class="nemo-toast-btn secondary nemo-reasoning-split-record" title="Download the original text and this split as a reasoning parser test fixture"><i class="fa-solid fa-flask"></i> Save as fixture</button>' : ''}
+                    <button class="nemo-toast-btn secondary nemo-reasoning-split-cancel">Cancel</button>
+                    <button class="nemo-toast-btn primary nemo-reasoning-split-apply">Apply</button>
+                </div>
+            `,
+            onClose: (value) => resolve(value ?? null)
+        });
+
+        const textView = modal.querySelector('.nemo-reasoning-split-text');
+        const parts = {
+            before: textView.querySelector('[data-part="before"]'),
+            reasoning: textView.querySelector('[data-part="reasoning"]'),
+            after: textView.querySelector('[data-part="after"]')
+        };
+        const applyButton = /** @type {HTMLButtonElement} */ (modal.querySelector('.nemo-reasoning-split-apply'));
+        const recordButton = /** @type {HTMLButtonElement|null} */ (modal.querySelector('.nemo-reasoning-split-record'));
+
+        const renderText = () => {
+            parts.before.textContent = raw.substring(0, span.start);
+            parts.reasoning.textContent = raw.substring(span.start, span.end);
+            parts.after.textContent = raw.substring(span.end);
+            textView.classList.toggle('nemo-reasoning-split-unlocated', !selected?.span && result === selected);
+        };
+
+        const renderResult = () => {
+            modal.querySelector('.nemo-reasoning-split-source').textContent = result === selected
+                ? `from ${selected.label}`
+                : 'from the highlighted text';
+            modal.querySelector('.nemo-reasoning-split-reasoning').textContent = preview(result.reasoning);
+            modal.querySelector('.nemo-reasoning-split-content').textContent = preview(result.content);
+            modal.querySelector('.nemo-reasoning-split-reasoning-length').textContent = `${result.reasoning.length} chars`;
+            modal.querySelector('.nemo-reasoning-split-content-length').textContent = `${result.content.length} chars`;
+            modal.querySelectorAll('.nemo-reasoning-split-candidate').forEach(card => {
+                card.classList.toggle('selected', result === selected && options[Number(card.dataset.index)] === selected);
+            });
+
+            const empty = !result.content.trim();
+            modal.querySelector('.nemo-reasoning-split-warning').textContent = empty ? 'The reply would be empty; move the end of the reasoning back.' : '';
+            applyButton.disabled = empty;
+            if (recordButton) recordButton.disabled = empty;
+        };
+
+        const select = (option) => {
+            selected = option;
+            result = option;
+            if (option.span) span = { ...option.span };
+            renderText();
+            renderResult();
+        };
+
+        const moveHandle = (handle, offset) => {
+            const position = Math.max(0, Math.min(raw.length, offset));
+            span = handle === 'start'
+                ? { start: Math.min(position, span.end), end: span.end }
+                : { start: span.start, end: Math.max(position, span.start) };
+            result = { ...splitAt(raw, span.start, span.end, tags), strategy: 'manual', confidence: 100 };
+            renderText();
+            renderResult();
+        };
+
+        const partStart = { before: () => 0, reasoning: () => span.start, after: () => span.end };
+        const offsetFromPoint = (x, y) => {
+            let node = null;
+            let offset = 0;
+            if (document.caretRangeFromPoint) {
+                const range = document.caretRangeFromPoint(x, y);
+                node = range?.startContainer;
+                offset = range?.startOffset ?? 0;
+            } else if (document.caretPositionFromPoint) {
+                const position = document.caretPositionFromPoint(x, y);
+                node = position?.offsetNode;
+                offset = position?.offset ?? 0;
+            }
+            const part = (node?.nodeType === Node.TEXT_NODE ? node.parentElement : node)?.closest?.('[data-part]');
+            if (!part || !textView.contains(part)) return null;
+            return partStart[part.dataset.part]() + offset;
+        };
+
+        textView.querySelectorAll('.nemo-reasoning-split-handle').forEach(handle => {
+            handle.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                handle.setPointerCapture(e.pointerId);
+                const onMove = (event) => {
+                    const offset = offsetFromPoint(event.clientX, event.clientY);
+                    if (offset !== null) moveHandle(handle.dataset.handle, offset);
+                };
+                const onUp = () => {
+                    handle.removeEventListener('pointermove', onMove);
+                    handle.removeEventListener('pointerup', onUp);
+                    handle.removeEventListener('pointercancel', onUp);
+                };
+                handle.addEventListener('pointermove', onMove);
+                handle.addEventListener('pointerup', onUp);
+                handle.addEventListener('pointercancel', onUp);
+            });
+            // Arrow keys move one character; with Ctrl, to the previous or next line break
+            handle.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                e.preventDefault();
+                const position = handle.dataset.handle === 'start' ? span.start : span.end;
+                let offset = position + (e.key === 'ArrowLeft' ? -1 : 1);
+                if (e.ctrlKey || e.metaKey) {
+                    offset = e.key === 'ArrowLeft'
+                        ? raw.lastIndexOf('\n', position - 2) + 1
+                        : (raw.indexOf('\n', position + 1) + 1 || raw.length);
+                }
+                moveHandle(handle.dataset.handle, offset);
+                handle.focus();
+            });
+        });
+
+        modal.querySelectorAll('.nemo-reasoning-split-use').forEach(button => {
+            button.addEventListener('click', () => select(options[Number(button.dataset.index)]));
+        });
+
+        modal.querySelector('.nemo-reasoning-split-cancel').addEventListener('click', () => closeModal(null));
+        const chosenSplit = () => ({
+            reasoning: result.reasoning.trim(),
+            content: result.content.trim(),
+            strategy: result.strategy,
+            confidence: result.confidence
+        });
+        applyButton.addEventListener('click', () => closeModal(chosenSplit()));
+        recordButton?.addEventListener('click', () => onRecord(chosenSplit()));
+
+        select(selected);
+    });
+}
+
+function locate(raw, option, tags) {
+    return locateSplit(raw, option.reasoning, tags) || (option.rawReasoning ? locateSplit(raw, option.rawReasoning, tags) : null);
+}
+
+function renderCandidate(option, index) {
+    return `
+        <div class="nemo-reasoning-split-candidate${option.valid === false ? ' invalid' : ''}" data-index="${index}">
+            <div class="nemo-reasoning-split-candidate-header">
+                <strong>${escapeHtml(option.label)}</strong>
+                <span class="nemo-reasoning-split-confidence">${option.confidence}%</span>
+            </div>
+            ${option.valid === false ? '<small class="nemo-reasoning-split-note">Leaves no reply; skipped by the parser</small>' : ''}
+            ${option.span ? '' : '<small class="nemo-reasoning-split-note">Cleaned reasoning; not highlighted in the text</small>'}
+            <div class="nemo-reasoning-split-columns">
+                <div>
+                    <small>Reasoning · ${option.reasoning.length} chars</small>
+                    <pre>${escapeHtml(preview(option.reasoning, 160) || '—')}</pre>
+                </div>
+                <div>
+                    <small>Reply · ${option.content.length} chars</small>
+                    <pre>${escapeHtml(preview(option.content, 160) || '—')}</pre>
+                </div>
+            </div>
+            <button class="menu_button nemo-reasoning-split-use" data-index="${index}">Use</button>
+        </div>
+    `;
+}
+
+function preview(text, length = PREVIEW_LENGTH) {
+    const trimmed = String(text || '').trim();
+    return trimmed.length > length ? `${trimmed.substring(0, length)}…` : trimmed;
+}
@@ -0,0 +1,137 @@
+/**
+ * Nemo Reasoning Split
+ * Where reasoning sits in a message's original text, and how the text splits
+ * at a given boundary. Used by the "Fix reasoning split" editor, where the
+ * boundary is the highlighted span that the user can drag.
+ *
+ * Reasoning tags are not part of either side: a span may include its opening
+ * and closing tag, and tags left at the edges of the reply are dropped.
+ *
+ * @module reasoning-split
+ */
+
+/**
+ * @typedef {Object} SplitTags
+ * @property {string[]} [openingTags] - Tags that can open reasoning (<think>, Thoughts:)
+ * @property {string[]} [closingTags] - Tags that can close it (</think>, <answer>)
+ */
+
+function longestTag(tags, test) {
+    return (tags || [])
+        .map(tag => tag.trim())
+        .filter(tag => tag && test(tag))
+        .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Tag names parsed from a parser configuration
+ * @param {Object} config - Parser configuration
+ * @returns {SplitTags}
+ */
+export function getSplitTags(config) {
+    return {
+        openingTags: [config?.prefix, ...(config?.alternativePrefixes || [])].filter(Boolean),
+        closingTags: [config?.suffix, ...(config?.alternativeSuffixes || [])].filter(Boolean)
+    };
+}
+
+/**
+ * Find the span of the original text that holds some reasoning
+ * The span grows to take in the tags right around the reasoning.
+ * @param {string} raw - Original text
+ * @param {string} reasoning - Reasoning as it was extracted
+ * @param {SplitTags} [tags]
+ * @returns {{start: number, end: number}|null} Span, or null when the reasoning is not in the text as-is
+ */
+export function locateSplit(raw, reasoning, tags = {}) {
+    const text = reasoning?.trim();
+    if (!raw || !text) return null;
+    let start = raw.indexOf(text);
+    if (start === -1) return null;
+    let end = start + text.length;
+
+    const before = raw.substring(0, start).trimEnd();
+    const opening = longestTag(tags.openingTags, tag => before.endsWith(tag));
+    if (opening) start = before.length - opening.length;
+
+    const after = raw.substring(end);
+    const gap = after.length - after.trimStart().length;
+    const closing = longestTag(tags.closingTags, tag => after.trimStart().startsWith(tag));
+    if (closing) end += gap + closing.length;
+
+    return { start, end };
+}
+
+/**
+ * Split the original text at a span
+ * @param {string} raw - Original text
+ * @param {number} start - Where the reasoning starts
+ * @param {number} end - Where it ends (exclusive)
+ * @param {SplitTags} [tags]
+ * @returns {{reasoning: string, content: string}}
+ */
+export function splitAt(raw, start, end, tags = {}) {
+    const from = Math.max(0, Math.min(start, end, raw.length));
+    const to = Math.min(raw.length, Math.max(start, end, 0));
+
+    let reasoning = raw.substring(from, to).trim();
+    const opening = longestTag(tags.openingTags, tag => reasoning.startsWith(tag));
+    if (opening) reasoning = reasoning.substring(opening.length).trim();
+    const closing = longestTag(tags.closingTags, tag => reasoning.endsWith(tag));
+    if (closing) reasoning = reasoning.substring(0, reasoning.length - closing.length).trim();
+
+    let before = raw.substring(0, from).trim();
+    const danglingOpening = longestTag(tags.openingTags, tag => before.endsWith(tag));
+    if (danglingOpening) before = before.substring(0, before.length - danglingOpening.length).trim();
+
+    let after = raw.substring(to).trim();
+    const danglingClosing = longestTag(tags.closingTags, tag => after.startsWith(tag));
+    if (danglingClosing) after = after.substring(danglingClosing.length).trim();
+
+    return {
+        reasoning,
+        content: [before, after].filter(Boolean).join('\n\n')
+    };
+}
+
+function normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether a message's stored unsplit text still holds its current reasoning and reply
+ * False once either was edited; the stored text would then undo the edit.
+ * @param {{mes: string, extra?: Object}} message - Chat message
+ * @returns {boolean}
+ */
+export function isRawMessageCurrent(message) {
+    const raw = message.extra?.nemo_reasoning_raw;
+    if (!raw) return false;
+    const text = normalizeText(raw);
+    return [message.extra.reasoning, ...String(message.mes || '').split(/\n\s*\n/)]
+        .map(normalizeText)
+        .filter(Boolean)
+        .every(part => text.includes(part));
+}
+
+/**
+ * The unsplit text of a message
+ * Messages split by this extension keep it in extra.nemo_reasoning_raw; for
+ * others, and for messages edited since, it is put back together from the
+ * reasoning and the reply.
+ * @param {{mes: string, extra?: Object}} message - Chat message
+ * @param {Object} config - Parser configuration, for the tags to put back
+ * @returns {{raw: string, reconstructed: boolean}}
+ */
+export function getRawMessage(message, config) {
+    if (isRawMessageCurrent(message)) {
+        return { raw: message.extra.nemo_reasoning_raw, reconstructed: false };
+    }
+    if (!message.extra?.reasoning) {
+        return { raw: message.mes || '', reconstructed: false };
+    }
+    return {
+        raw: `${config?.prefix || '<think>'}\n${message.extra.reasoning}\n${config?.suffix || '</think>'}\n\n${message.mes || ''}`,
+        reconstructed: true
+    };
+}
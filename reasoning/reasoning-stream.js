@@ -0,0 +1,299 @@
+/**
+ * Nemo Reasoning Stream
+ * Incremental mode of the reasoning parser for streamed replies. Text is fed
+ * in as it arrives and a small state machine tracks where the reply is:
+ *
+ *   pending     not yet known whether the reply opens with reasoning
+ *   reasoning   inside the reasoning block
+ *   transition  a narration or end marker was seen; waiting for narration to
+ *               confirm it before anything is shown as the reply
+ *   narration   the reasoning is over; the rest is the reply
+ *   plain       the reply has no reasoning block
+ *
+ * A closing tag ends the reasoning at once, unless it is quoted in a line of
+ * the reasoning; a tag after text on its line is held back until the line
+ * ends. Markers only make a transition, which is confirmed by a few lines of
+ * prose and dropped again when another reasoning marker starts a line. Tags
+ * split across chunks are held back until they are complete.
+ *
+ * The stream is only meant for display while generating; the complete reply
+ * is still parsed with RobustReasoningParser#parse when it has finished.
+ *
+ * @module reasoning-stream
+ */
+
+export const STREAM_STATE = Object.freeze({
+    PENDING: 'pending',
+    REASONING: 'reasoning',
+    TRANSITION: 'transition',
+    NARRATION: 'narration',
+    PLAIN: 'plain'
+});
+
+const DEFAULT_OPTIONS = {
+    // Characters to wait for a tag or tagless reasoning before calling the reply plain
+    pendingLimit: 200,
+    // Prose lines after a marker that confirm the narration has started
+    confirmLines: 2,
+    // Characters after a marker that confirm it even without prose lines
+    confirmChars: 400,
+    // Characters before the last scan position searched again, so markers split across chunks are found
+    overlap: 200
+};
+
+export class ReasoningStream {
+    /**
+     * @param {import('./robust-reasoning-parser.js').RobustReasoningParser} parser - Parser whose configuration is used
+     * @param {Partial<typeof DEFAULT_OPTIONS>} [options]
+     */
+    constructor(parser, options = {}) {
+        this.parser = parser;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.buffer = '';
+        this.state = STREAM_STATE.PENDING;
+        this.reasoningStart = -1;
+        this.reasoningEnd = -1;
+        this.contentStart = -1;
+        this.closingTags = [];
+        this.scannedTo = 0;
+        this.resumeFrom = 0;
+    }
+
+    /**
+     * Append a chunk of the reply
+     * @param {string} chunk - New text
+     * @returns {{state: string, reasoning: string, content: string}} Current split
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        return this.advance();
+    }
+
+    /**
+     * Replace the reply with its full text so far; starts over when it is not
+     * a continuation of what was seen before (e.g. after a swipe)
+     * @param {string} text - Text received so far
+     * @returns {{state: string, reasoning: string, content: string}} Current split
+     */
+    update(text) {
+        if (!text.startsWith(this.buffer)) {
+            this.reset();
+        }
+        this.buffer = text;
+        return this.advance();
+    }
+
+    /**
+     * Parse the complete reply with every strategy of the parser
+     * @returns {{reasoning: string, content: string, strategy: string, confidence: number}}
+     */
+    finish() {
+        return this.parser.parse(this.buffer);
+    }
+
+    /**
+     * Current split of the reply
+     * While reasoning (and during a transition) everything after the opening tag
+     * is reasoning and there is no content yet.
+     * @returns {{state: string, reasoning: string, content: string}}
+     */
+    snapshot() {
+        switch (this.state) {
+            case STREAM_STATE.REASONING:
+            case STREAM_STATE.TRANSITION:
+                return {
+                    state: this.state,
+                    reasoning: this.buffer.substring(this.reasoningStart, this.buffer.length - this.heldBackLength()).trim(),
+                    content: ''
+                };
+            case STREAM_STATE.NARRATION:
+                return {
+                    state: this.state,
+                    reasoning: this.buffer.substring(this.reasoningStart, this.reasoningEnd).trim(),
+                    // Decorative rules under an end marker are not part of the reply
+                    content: this.buffer.substring(this.contentStart).replace(/^\s*(?:[═─]+[ \t]*(?:\n|$))+/, '').trim()
+                };
+            default:
+                return { state: this.state, reasoning: '', content: this.buffer };
+        }
+    }
+
+    advance() {
+        // A chunk can open the reasoning, end it and confirm the narration at once
+        let previous;
+        do {
+            previous = this.state;
+            if (this.state === STREAM_STATE.PENDING) this.advancePending();
+            else if (this.state === STREAM_STATE.REASONING) this.advanceReasoning();
+            else if (this.state === STREAM_STATE.TRANSITION) this.advanceTransition();
+        } while (this.state !== previous);
+        return this.snapshot();
+    }
+
+    advancePending() {
+        const head = this.buffer.trimStart();
+        if (!head) return;
+        const lead = this.buffer.length - head.length;
+        const { prefix, suffix, alternativePrefixes, alternativeSuffixes } = this.parser.config;
+        const openingTags = unique([prefix, ...alternativePrefixes]).sort((a, b) => b.length - a.length);
+
+        // "<thin" may still become "<think>" or "<thinking>"
+        if (openingTags.some(tag => tag.length > head.length && tag.startsWith(head))) return;
+
+        const tag = openingTags.find(candidate => head.startsWith(candidate));
+        const closingTags = unique([suffix, ...alternativeSuffixes]);
+        if (tag) {
+            const name = tag.match(/^<([\w-]+)[^>]*>$/)?.[1];
+            this.closingTags = name ? unique([`</${name}>`, ...closingTags]) : closingTags;
+            this.enterReasoning(lead + tag.length);
+            return;
+        }
+
+        // Tagless reasoning has to open with a marker and show another one soon after
+        if (head.length < this.options.pendingLimit) return;
+        const opening = head.substring(0, this.options.pendingLimit);
+        const markers = this.parser.config.reasoningMarkers;
+        const opensWithMarker = markers.some(marker => this.parser.findMarker(opening, marker) === 0);
+        const markerCount = markers.filter(marker => this.parser.findMarker(opening, marker) !== -1).length;
+        if (opensWithMarker && markerCount >= 2) {
+            this.closingTags = closingTags;
+            this.enterReasoning(lead);
+        } else {
+            this.state = STREAM_STATE.PLAIN;
+        }
+    }
+
+    enterReasoning(start) {
+        this.state = STREAM_STATE.REASONING;
+        this.reasoningStart = start;
+        this.scannedTo = start;
+        this.resumeFrom = start;
+    }
+
+    advanceReasoning() {
+        const from = Math.max(this.resumeFrom, this.scannedTo - this.options.overlap);
+
+        const closing = this.findClosingTag(from);
+        if (closing) {
+            this.enterNarration(closing.index, closing.index + closing.length);
+            return;
+        }
+
+        const candidate = this.findTransition(from);
+        this.scannedTo = this.buffer.length;
+        if (candidate) {
+            this.state = STREAM_STATE.TRANSITION;
+            this.reasoningEnd = candidate.reasoningEnd;
+            this.contentStart = candidate.contentStart;
+        }
+    }
+
+    advanceTransition() {
+        // A closing tag after the marker means the marker was still part of the reasoning
+        const closing = this.findClosingTag(this.contentStart);
+        if (closing) {
+            this.enterNarration(closing.index, closing.index + closing.length);
+            return;
+        }
+
+        const after = this.buffer.substring(this.contentStart);
+        const lines = after.split('\n').slice(0, -1).map(line => line.trim()).filter(Boolean);
+        const markers = this.parser.config.reasoningMarkers;
+        if (lines.some(line => markers.some(marker => this.parser.findMarker(line, marker) === 0))) {
+            this.state = STREAM_STATE.REASONING;
+            this.reasoningEnd = -1;
+            this.contentStart = -1;
+            // Markers up to here were inside the reasoning
+            this.resumeFrom = this.buffer.lastIndexOf('\n') + 1;
+            this.scannedTo = this.buffer.length;
+            return;
+        }
+
+        const proseLines = lines.filter(line => this.parser.isNarrativeLine(line)).length;
+        if (proseLines >= this.options.confirmLines || after.trim().length >= this.options.confirmChars) {
+            this.state = STREAM_STATE.NARRATION;
+        }
+    }
+
+    enterNarration(reasoningEnd, contentStart) {
+        this.state = STREAM_STATE.NARRATION;
+        this.reasoningEnd = reasoningEnd;
+        this.contentStart = contentStart;
+    }
+
+    /**
+     * Earliest complete closing tag from a position
+     * A match that could still grow into a longer tag ("</think" of "</thinking>")
+     * is not taken until the next chunk settles it. Quoted tags are skipped, and
+     * a tag after text on its line is not taken until the line ends.
+     */
+    findClosingTag(from) {
+        let best = null;
+        for (const tag of this.closingTags) {
+            let index = this.buffer.indexOf(tag, from);
+            while (index !== -1 && this.parser.isQuotedClosingTag(this.buffer, index, tag.length)) {
+                index = this.buffer.indexOf(tag, index + tag.length);
+            }
+            if (index === -1) continue;
+            if (best && (index > best.index || (index === best.index && tag.length <= best.length))) continue;
+            best = { index, length: tag.length };
+        }
+        if (!best) return null;
+
+        const rest = this.buffer.substring(best.index);
+        const mayGrow = this.closingTags.some(tag => tag.length > rest.length && tag.startsWith(rest));
+        const lineStart = this.buffer.lastIndexOf('\n', best.index - 1) + 1;
+        const mayBeQuoted = this.buffer.substring(lineStart, best.index).trim() !== ''
+            && !this.buffer.includes('\n', best.index + best.length);
+        return mayGrow || mayBeQuoted ? null : best;
+    }
+
+    /**
+     * First narration or end marker from a position
+     * Narration markers belong to the reply; end markers close the reasoning
+     * at the end of their line.
+     */
+    findTransition(from) {
+        const { narrationMarkers, endMarkers } = this.parser.config;
+        let best = null;
+
+        for (const marker of narrationMarkers) {
+            const index = this.parser.findMarker(this.buffer, marker, from);
+            if (index !== -1 && (!best || index < best.reasoningEnd)) {
+                best = { reasoningEnd: index, contentStart: index };
+            }
+        }
+
+        for (const marker of endMarkers) {
+            const index = this.parser.findMarker(this.buffer, marker, from);
+            if (index === -1 || (best && index >= best.reasoningEnd)) continue;
+            const lineEnd = this.buffer.indexOf('\n', index);
+            // The rest of the marker's line has not arrived yet
+            if (lineEnd === -1) continue;
+            best = { reasoningEnd: lineEnd, contentStart: lineEnd };
+        }
+
+        return best;
+    }
+
+    /**
+     * Length of a closing tag that has only partly arrived at the end of the buffer
+     */
+    heldBackLength() {
+        let longest = 0;
+        for (const tag of this.closingTags) {
+            const partials = [tag.charAt(0), ...this.parser.generatePartialSuffixes(tag)];
+            const partial = partials.find(candidate => this.buffer.endsWith(candidate));
+            if (partial && partial.length > longest) longest = partial.length;
+        }
+        return longest;
+    }
+}
+
+function unique(values) {
+    return [...new Set(values.filter(Boolean))];
+}
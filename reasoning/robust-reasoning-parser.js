@@ -14,273 +14,63 @@
  * - OpenAI o1/o3 (reasoning tokens and CoT markers)
  * - Gemini 2.0+ (Thoughts: section format)
  * - Generic CoT formats
+ *
+ * Tags and markers come from reasoning format profiles; without a
+ * configuration the parser uses the built-in Universal profile.
  */
 
+import { resolveReasoningProfile, toParserConfig } from './reasoning-profiles.js';
+import { ReasoningStream } from './reasoning-stream.js';
+
+const UNIVERSAL_CONFIG = toParserConfig(resolveReasoningProfile('universal'));
+
 export class RobustReasoningParser {
     constructor(config = {}) {
-        this.config = {
-            // Primary patterns
-            prefix: config.prefix || '<think>',
-            suffix: config.suffix || '</think>',
-
-            // Fallback patterns - supports all major AI models
-            alternativePrefixes: config.alternativePrefixes || [
-                '<think',          // DeepSeek R1, partial tags
-                '<thought>',       // Generic CoT
-                '<thinking>',      // Claude Extended Thinking
-                '<reasoning>',     // Generic reasoning tags
-                '<reflection>',    // Reflective thinking
-                '<analysis>',      // Analysis blocks
-                'Thoughts:',       // Gemini 2.0+ format
-                'Thinking:',       // Alternative Gemini format
-                'Reasoning:',      // OpenAI o1/o3 style markers
-                'Chain of Thought:', // Explicit CoT
-            ],
-            alternativeSuffixes: config.alternativeSuffixes || [
-                '</think',         // Partial closing tags
-                '</thought>',      // Generic CoT
-                '</thinking>',     // Claude Extended Thinking
-                '</reasoning>',    // Generic reasoning tags
-                '</reflection>',   // Reflective thinking
-                '</analysis>',     // Analysis blocks
-                '<answer>',        // DeepSeek R1 answer tag signals end of thinking
-                '\n\nResponse:',   // Gemini format
-                '\n\nAnswer:',     // Common transition marker
-            ],
-
-            // Content markers that indicate reasoning - UNIVERSAL support for all AI models
-            reasoningMarkers: config.reasoningMarkers || [
-                // === NemoNet markers ===
-                'NEMONET WORLD EXPLORATION',
-                'Council of Vex',
-                'NemoAdmin-107',
-                'STORY SECTION',
-                'Exploration',
-                'GATHERING THE THREADS',
-                'SCENE CALIBRATION',
-                'COUNCIL CONVERSATION',
-                'RESOLUTION',
-                'CRAFTING',
-                'Custom CoT',
-                'FINAL REVIEW',
-                'END OF THINKING',
-                'CLOSING THINKING NOW',
-
-                // === Claude markers ===
-                'Let me think through this',
-                'Let me analyze',
-                'Let me consider',
-                'My thinking process:',
-                'Step-by-step analysis:',
-                'Breaking this down:',
-                'Thought process:',
-
-                // === DeepSeek R1 markers ===
-                'Let\'s approach this step by step',
-                'First, I need to',
-                'Let me break this down',
-                'To solve this, I should',
-
-                // === OpenAI o1/o3 markers ===
-                'Reasoning through this',
-                'Chain of thought:',
-                'Step 1:',
-                'Step 2:',
-                'Step 3:',
-                'Let\'s think step by step',
-                'Breaking down the problem:',
-
-                // === Gemini 2.0 markers ===
-                'Identify the question\'s scope',
-                'Recognize the different perspectives',
-                'Brainstorm key concepts',
-                'Structure the answer',
-                'Refine and Elaborate',
-                'Consider adding nuance',
-                'Review and edit',
-
-                // === Generic CoT markers ===
-                'Analysis:',
-                'Reasoning:',
-                'Thought:',
-                'Reflection:',
-                'Consider:',
-                'Therefore,',
-                'In other words,',
-                'This means that',
-                'Let me verify',
-                'Double-checking:',
-
-                // === Scientific Method variants ===
-                'HYPOTHESIS:',
-                'OBSERVATIONS:',
-                'DATA ANALYSIS:',
-                'CONCLUSION:',
-                'EXPERIMENT:',
-                'METHOD:',
-                'RESULTS:',
-                'VERIFICATION:',
-
-                // === Directive/Command variants ===
-                '>> ANALYZE',
-                '>> RETRIEVE',
-                '>> CROSS-CHECK',
-                '>> GENERATE',
-                '>> VALIDATE',
-                '>> OUTPUT',
-                '=> ACTION:',
-                '=> RESULT:',
-
-                // === Checklist variants ===
-                '[✓]',
-                '[✗]',
-                '[X]',
-                '[ ]',
-                '☑',
-                '☐',
-                'NEXT:',
-                'TODO:',
-                'PENDING:',
-                'COMPLETE:',
-
-                // === Conversational/Stream variants ===
-                'Okay so',
-                'Let me think',
-                'Alright,',
-                'Hmm,',
-                'Wait,',
-                'Oh right,',
-                'I should',
-                'Maybe I can',
-                'Need to',
-
-                // === Code/Programming style variants ===
-                'def ',
-                'function ',
-                'if ',
-                'else:',
-                'return ',
-                '// ',
-                '/* ',
-                'var ',
-                'const ',
-
-                // === Hierarchical/Nested variants ===
-                '[Analysis Phase]',
-                '[Synthesis]',
-                '[Planning]',
-                '[Execution]',
-                '[Review]',
-                '## ',
-                '### ',
-                '#### ',
-
-                // === Structured CoT formats (custom prompts) ===
-                'INTERNAL PROCESSING',
-                'IMMEDIATE CONTEXT SCAN:',
-                'ORGANIC DELIBERATION',
-                'QUICK COUNCIL CHECK',
-                'ANTI-SLOP VERIFICATION',
-                'FINAL PULSE CHECK:',
-                'What feels most ALIVE',
-                'What would these characters ACTUALLY',
-                'Does this feel REAL?',
-                'Does this MOVE FORWARD?',
-                'Does this honor BOUNDARIES?',
-                '!VITAL!',
-                'OOC Directives:',
-                'Active Scene:',
-                'Knowledge Boundaries:',
-
-                // === Lucid Loom v2.8 markers ===
-                'Weave Planning Phase',
-                'Internal Thinking Protocol',
-                'I, Lumia',
-                'Anointed Goddess of the Lucid Loom',
-                '### Step 1:',
-                '### Step 2:',
-                '### Step 3:',
-                '### Step 4:',
-                '### Step 5:',
-                '### Step 6:',
-                '### Step 7:',
-                '### Step 8:',
-                '### Step 9:',
-                '### Step 10:',
-                '### Step 11:',
-                'Recall Last Moment',
-                'Recall Character',
-                'Objective Tracking',
-                'Omniscience Checker',
-                'Narrative Guidance',
-                'Response Planner',
-                'Anatomy Limits',
-                'Environment Consistency',
-                'Utility Inclusions',
-                'Narrative Style Adherence',
-                'Sanity Checking',
-                'thinking blocks separate the threads',
-                'I will present the tapestry',
-                'denoting my completion of the weave',
-                'BunnyMo',
-                'Sovereign Hand mode',
-            ],
-
-            // Narration markers that indicate reasoning has ended - UNIVERSAL
-            narrationMarkers: config.narrationMarkers || [
-                // === NemoNet markers ===
-                'Narration:',
-                'NARRATION FOLLOWS',
-                '{{newline}}',
-
-                // === DeepSeek R1 markers ===
-                '<answer>',
-                '</think>',
-
-                // === Gemini markers ===
-                '\n\nResponse:',
-                '\n\nThoughts:',  // May appear after initial thoughts
-
-                // === Claude markers ===
-                '\n\nHere\'s my response:',
-                '\n\nMy answer:',
-                '\n\nIn summary:',
-
-                // === Generic markers ===
-                '\n\nAnswer:',
-                '\n\nSolution:',
-                '\n\nConclusion:',
-                '\n\nOutput:',
-                '\n\nResult:',
-                '---\n',  // Horizontal separator
-                '!VITAL! Output',  // Custom CoT end marker
-
-                // === Regex patterns for narrative prose ===
-                /^[A-Z][a-z]+ (looked|glanced|turned|stepped|walked|said|whispered|smiled|frowned|nodded|shook|moved|ran|jumped|sat|stood)/m,
-                /^The (room|air|moment|silence|world|sky|sun|moon|night|day|light|darkness|man|woman|person|child|figure)/m,
-                /^"[A-Z]/m,  // Start of dialogue
-                /^\*[A-Z]/m,  // Roleplay action format
-            ],
+        this.configure(config);
+        this.debug = config.debug || false;
+    }
 
+    /**
+     * Replace the tags, markers and strategy weights, e.g. when another
+     * reasoning format profile is selected (see reasoning-profiles.js)
+     * Fields missing from config fall back to the Universal profile.
+     */
+    configure(config = {}) {
+        this.config = {
+            prefix: config.prefix || UNIVERSAL_CONFIG.prefix,
+            suffix: config.suffix || UNIVERSAL_CONFIG.suffix,
+            alternativePrefixes: config.alternativePrefixes || UNIVERSAL_CONFIG.alternativePrefixes,
+            alternativeSuffixes: config.alternativeSuffixes || UNIVERSAL_CONFIG.alternativeSuffixes,
+            // Content markers that indicate reasoning
+            reasoningMarkers: config.reasoningMarkers || UNIVERSAL_CONFIG.reasoningMarkers,
+            // Markers that indicate reasoning has ended and narration begins
+            narrationMarkers: config.narrationMarkers || UNIVERSAL_CONFIG.narrationMarkers,
+            // Markers after which captured reasoning is cut off when cleaning
+            endMarkers: config.endMarkers || UNIVERSAL_CONFIG.endMarkers,
+            // Lines that start a section or are spoken by a persona in the structured reasoning view
+            sectionMarkers: config.sectionMarkers || UNIVERSAL_CONFIG.sectionMarkers,
+            personaMarkers: config.personaMarkers || UNIVERSAL_CONFIG.personaMarkers,
             // Strategy weights (higher = more trusted)
-            strategyWeights: {
-                perfectMatch: 100,
-                partialSuffix: 80,
-                missingSuffix: 70,
-                contentBased: 60,
-                heuristic: 50
-            }
+            strategyWeights: { ...UNIVERSAL_CONFIG.strategyWeights, ...config.strategyWeights }
         };
+    }
 
-        this.debug = config.debug || false;
+    /**
+     * Start parsing a streamed reply incrementally
+     * The stream follows this parser's configuration, including later changes.
+     * @param {Object} [options] - See reasoning-stream.js
+     * @returns {ReasoningStream}
+     */
+    createStream(options = {}) {
+        return new ReasoningStream(this, options);
     }
 
     /**
-     * Main parsing function with cascading strategies
-     * Returns: { reasoning: string, content: string, strategy: string, confidence: number }
+     * Strategies in the order they are tried
+     * @returns {Function[]} Bound strategy functions; each returns a result or null
      */
-    parse(text) {
-        const strategies = [
+    getStrategies() {
+        return [
             // PRIORITY 1: Explicit tag detection (most reliable)
             this.strategyVariedClosingTags.bind(this),    // <think>...</think> and all tag variants
             this.strategyGeminiThoughts.bind(this),       // Gemini "Thoughts:" format
@@ -298,6 +88,39 @@ export class RobustReasoningParser {
             // PRIORITY 4: Custom format detection (only if nothing else matches)
             this.strategyNemoNetCouncil.bind(this)        // NemoNet Council format (tagless custom)
         ];
+    }
+
+    /**
+     * Run every strategy, e.g. to let the user pick another split
+     * A result is invalid when it would leave the message without content; parse()
+     * returns the first valid one.
+     * @param {string} text - Raw message text
+     * @returns {Array<{reasoning: string, rawReasoning: string, content: string, strategy: string, confidence: number, valid: boolean}>}
+     *   One entry per strategy that found reasoning; reasoning is cleaned, rawReasoning is as extracted
+     */
+    parseAll(text) {
+        const results = [];
+        for (const strategy of this.getStrategies()) {
+            const result = strategy(text);
+            if (!result || !result.reasoning) continue;
+            results.push({
+                reasoning: this.cleanReasoning(result.reasoning),
+                rawReasoning: result.reasoning,
+                content: result.content,
+                strategy: result.strategy,
+                confidence: result.confidence,
+                valid: result.content.trim().length >= 15
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Main parsing function with cascading strategies
+     * Returns: { reasoning: string, content: string, strategy: string, confidence: number }
+     */
+    parse(text) {
+        const strategies = this.getStrategies();
 
         for (const strategy of strategies) {
             const result = strategy(text);
@@ -521,7 +344,7 @@ export class RobustReasoningParser {
             const wordCount = capturedNarrative.split(/\s+/).length;
             const hasLowercase = /[a-z]{3,}/.test(capturedNarrative);
             const notReasoningMarker = !this.config.reasoningMarkers.some(marker =>
-                capturedNarrative.startsWith(marker)
+                this.findMarker(capturedNarrative, marker) === 0
             );
 
             if (wordCount >= 3 && hasLowercase && notReasoningMarker) {
@@ -587,7 +410,11 @@ export class RobustReasoningParser {
         let closestSuffix = null;
 
         for (const suffix of allSuffixes) {
-            const idx = text.indexOf(suffix, prefixIndex + prefixMatch.length);
+            let idx = text.indexOf(suffix, prefixIndex + prefixMatch.length);
+            // A tag quoted in the reasoning ("proceed after </think> closes") does not close it
+            while (idx !== -1 && this.isQuotedClosingTag(text, idx, suffix.length)) {
+                idx = text.indexOf(suffix, idx + suffix.length);
+            }
             if (idx !== -1 && (closestSuffixIndex === -1 || idx < closestSuffixIndex)) {
                 closestSuffixIndex = idx;
                 closestSuffix = suffix;
@@ -596,9 +423,21 @@ export class RobustReasoningParser {
 
         if (closestSuffixIndex !== -1) {
             // Found a closing tag!
-            const reasoning = text.substring(prefixIndex + prefixMatch.length, closestSuffixIndex).trim();
+            let reasoningEnd = closestSuffixIndex;
+            let contentStart = closestSuffixIndex + closestSuffix.length;
+
+            // A text marker that ends a banner line ("END OF THINKING - ... - NARRATION FOLLOWS")
+            // is the last line of the reasoning, together with the rules drawn under it
+            const lineStart = text.lastIndexOf('\n', closestSuffixIndex - 1) + 1;
+            if (!closestSuffix.startsWith('<') && text.substring(lineStart, closestSuffixIndex).trim()) {
+                const rules = text.substring(contentStart).match(/^(?:[ \t]*\n[ \t]*[═─]{3,}[ \t]*)*/)[0];
+                reasoningEnd = contentStart + rules.length;
+                contentStart = reasoningEnd;
+            }
+
+            const reasoning = text.substring(prefixIndex + prefixMatch.length, reasoningEnd).trim();
             const beforeReasoning = text.substring(0, prefixIndex);
-            const afterReasoning = text.substring(closestSuffixIndex + closestSuffix.length);
+            const afterReasoning = text.substring(contentStart);
             const content = (beforeReasoning + afterReasoning).trim();
 
             if (this.debug) {
@@ -765,7 +604,7 @@ export class RobustReasoningParser {
         // Method 1: Look for narration markers
         const textAfterPrefix = text.substring(prefixIndex + prefix.length);
         for (const marker of this.config.narrationMarkers) {
-            const markerIndex = textAfterPrefix.indexOf(marker);
+            const markerIndex = this.findMarker(textAfterPrefix, marker);
             if (markerIndex !== -1) {
                 endIndex = prefixIndex + prefix.length + markerIndex;
                 break;
@@ -818,10 +657,10 @@ export class RobustReasoningParser {
         const foundMarkers = [];
 
         for (const marker of this.config.reasoningMarkers) {
-            if (text.includes(marker)) {
+            const index = this.findMarker(text, marker);
+            if (index !== -1) {
                 markerCount++;
                 foundMarkers.push(marker);
-                const index = text.indexOf(marker);
                 if (firstMarkerIndex === -1 || index < firstMarkerIndex) {
                     firstMarkerIndex = index;
                 }
@@ -892,7 +731,7 @@ export class RobustReasoningParser {
         // Find the end using narration markers
         let endIndex = -1;
         for (const marker of this.config.narrationMarkers) {
-            const markerIndex = text.indexOf(marker);
+            const markerIndex = this.findMarker(text, marker, firstMarkerIndex + 1);
             if (markerIndex !== -1 && markerIndex > firstMarkerIndex) {
                 endIndex = markerIndex;
                 break;
@@ -972,6 +811,44 @@ export class RobustReasoningParser {
 
     // Helper Methods
 
+    /**
+     * Index of the first match of a marker (plain text or RegExp), or -1
+     */
+    findMarker(text, marker, fromIndex = 0) {
+        if (typeof marker === 'string') {
+            return text.indexOf(marker, fromIndex);
+        }
+        const match = text.substring(fromIndex).match(marker);
+        return match ? fromIndex + match.index : -1;
+    }
+
+    /**
+     * Position and length of the last match of a marker, or null
+     */
+    findLastMarker(text, marker) {
+        if (typeof marker === 'string') {
+            const index = text.lastIndexOf(marker);
+            return index === -1 ? null : { index, length: marker.length };
+        }
+        const flags = marker.flags.includes('g') ? marker.flags : marker.flags + 'g';
+        const matches = [...text.matchAll(new RegExp(marker.source, flags))].filter(match => match[0].length > 0);
+        const last = matches[matches.length - 1];
+        return last ? { index: last.index, length: last[0].length } : null;
+    }
+
+    /**
+     * Whether a closing tag is quoted inside the reasoning rather than closing it,
+     * as in "1. Output must proceed after </think> closes."
+     * A tag with text before it on its line is quoted when text follows it on the
+     * same line; at the start or the end of a line it closes the reasoning.
+     */
+    isQuotedClosingTag(text, index, length) {
+        const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+        if (!text.substring(lineStart, index).trim()) return false;
+        const lineEnd = text.indexOf('\n', index + length);
+        return text.substring(index + length, lineEnd === -1 ? text.length : lineEnd).trim() !== '';
+    }
+
     escapeRegex(str) {
         return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
@@ -1044,27 +921,12 @@ export class RobustReasoningParser {
         cleaned = cleaned.replace(/<\/(?:think|thinking|thought|reasoning|reflection|analysis)>\s*$/i, '').trim();
 
         // Step 2: Remove anything after final reasoning marker (more aggressive)
-        // Look for the LAST occurrence of key reasoning end markers
-        const endMarkers = [
-            'Time to write.',
-            'Okay, plan is set.',
-            'Decision/Synthesis',
-            'Final Polish:',
-            'FINAL PULSE CHECK:',
-            '!VITAL! Output',
-            'END OF THINKING',
-            // Lucid Loom v2.8
-            'I will present the tapestry only then.',
-            'denoting my completion of the weave. I will present',
-            'Once I have completed all of the required steps:',
-            'Now, let us continue weaving our story',
-        ];
-
+        // Look for the LAST occurrence of the profile's end markers
         let earliestEndIndex = -1;
-        for (const marker of endMarkers) {
-            const index = cleaned.lastIndexOf(marker);
-            if (index !== -1) {
-                const endOfMarker = index + marker.length;
+        for (const marker of this.config.endMarkers) {
+            const match = this.findLastMarker(cleaned, marker);
+            if (match) {
+                const endOfMarker = match.index + match.length;
                 if (earliestEndIndex === -1 || endOfMarker < earliestEndIndex) {
                     earliestEndIndex = endOfMarker;
                 }
@@ -2,9 +2,10 @@
  * Test Suite for NemoNet Reasoning Parser
  *
  * Tests various edge cases and scenarios
+ * For regression runs with expected splits, see run-reasoning-fixtures.js
  */
 
-import { NemoNetReasoningParser } from './nemonet-reasoning-config.js';
+import { NemoNetReasoningParser } from './nemonet-reasoning-parser.js';
 
 // Test cases
 const testCases = [
@@ -5,6 +5,7 @@ import { extension_settings } from '../../../../extensions.js';
 import { LOG_PREFIX, NEMO_EXTENSION_NAME, ensureSettingsNamespace } from '../core/utils.js';
 import { loadAndSetDividerRegex, NemoPresetManager } from '../features/prompts/prompt-manager.js';
 import logger from '../core/logger.js';
+import { initReasoningProfileSettings } from '../reasoning/reasoning-profile-ui.js';
 
 export const NemoSettingsUI = {
     initialize: async function() {
@@ -160,6 +161,80 @@ export const NemoSettingsUI = {
                     NemoPresetManager.refreshUI();
                 });
 
+                // Prompt State Carry-Over Setting
+                const carryOverToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoCarryOverPromptStates'));
+                carryOverToggle.checked = extension_settings[NEMO_EXTENSION_NAME]?.carryOverPromptStates ?? false;
+                carryOverToggle.addEventListener('change', () => {
+                    extension_settings[NEMO_EXTENSION_NAME].carryOverPromptStates = carryOverToggle.checked;
+                    saveSettingsDebounced();
+                    NemoPresetManager.setupPromptStatePreservation();
+                });
+
+                // Automatic Prompt Revisions Settings
+                const autoArchiveToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoAutoArchiveRevisions'));
+                const revisionMaxCount = /** @type {HTMLInputElement} */ (document.getElementById('nemoRevisionMaxCount'));
+                const revisionMaxAgeDays = /** @type {HTMLInputElement} */ (document.getElementById('nemoRevisionMaxAgeDays'));
+                autoArchiveToggle.checked = extension_settings[NEMO_EXTENSION_NAME]?.autoArchiveRevisions ?? true;
+                revisionMaxCount.value = extension_settings[NEMO_EXTENSION_NAME]?.revisionMaxCount ?? 20;
+                revisionMaxAgeDays.value = extension_settings[NEMO_EXTENSION_NAME]?.revisionMaxAgeDays ?? 30;
+                autoArchiveToggle.addEventListener('change', () => {
+                    extension_settings[NEMO_EXTENSION_NAME].autoArchiveRevisions = autoArchiveToggle.checked;
+                    saveSettingsDebounced();
+                });
+                revisionMaxCount.addEventListener('change', () => {
+                    const value = parseInt(revisionMaxCount.value);
+                    if (value >= 1 && value <= 200) {
+                        extension_settings[NEMO_EXTENSION_NAME].revisionMaxCount = value;
+                        saveSettingsDebounced();
+                    }
+                });
+                revisionMaxAgeDays.addEventListener('change', () => {
+                    const value = parseInt(revisionMaxAgeDays.value);
+                    if (value >= 0 && value <= 3650) {
+                        extension_settings[NEMO_EXTENSION_NAME].revisionMaxAgeDays = value;
+                        saveSettingsDebounced();
+                    }
+                });
+
+                // Model Gating Settings
+                const blockIncompatibleToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoBlockIncompatiblePrompts'));
+                const offerDisableToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoOfferDisableIncompatiblePrompts'));
+                blockIncompatibleToggle.checked = extension_settings[NEMO_EXTENSION_NAME]?.blockIncompatiblePrompts ?? false;
+                offerDisableToggle.checked = extension_settings[NEMO_EXTENSION_NAME]?.offerDisableIncompatiblePrompts ?? true;
+                blockIncompatibleToggle.addEventListener('change', () => {
+                    extension_settings[NEMO_EXTENSION_NAME].blockIncompatiblePrompts = blockIncompatibleToggle.checked;
+                    saveSettingsDebounced();
+                });
+                offerDisableToggle.addEventListener('change', () => {
+                    extension_settings[NEMO_EXTENSION_NAME].offerDisableIncompatiblePrompts = offerDisableToggle.checked;
+                    saveSettingsDebounced();
+                });
+
+                // Auto-Order Settings
+                const autoOrderToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoAutoOrderOnPresetLoad'));
+                autoOrderToggle.checked = extension_settings[NEMO_EXTENSION_NAME]?.autoOrderOnPresetLoad ?? false;
+                autoOrderToggle.addEventListener('change', () => {
+                    extension_settings[NEMO_EXTENSION_NAME].autoOrderOnPresetLoad = autoOrderToggle.checked;
+                    saveSettingsDebounced();
+                });
+
+                // Reasoning Format Profiles
+                initReasoningProfileSettings();
+
+                const liveStreamingReasoningToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoLiveStreamingReasoning'));
+                liveStreamingReasoningToggle.checked = extension_settings[NEMO_EXTENSION_NAME]?.liveStreamingReasoning ?? true;
+                liveStreamingReasoningToggle.addEventListener('change', () => {
+                    extension_settings[NEMO_EXTENSION_NAME].liveStreamingReasoning = liveStreamingReasoningToggle.checked;
+                    saveSettingsDebounced();
+                });
+
+                const structuredReasoningToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoStructuredReasoningView'));
+                structuredReasoningToggle.checked = extension_settings[NEMO_EXTENSION_NAME]?.structuredReasoningView ?? true;
+                structuredReasoningToggle.addEventListener('change', () => {
+                    extension_settings[NEMO_EXTENSION_NAME].structuredReasoningView = structuredReasoningToggle.checked;
+                    saveSettingsDebounced();
+                });
+
                 // HTML Trimming Settings
                 const htmlTrimmingToggle = /** @type {HTMLInputElement} */ (document.getElementById('nemoEnableHTMLTrimming'));
                 const htmlTrimmingKeepCount = /** @type {HTMLInputElement} */ (document.getElementById('nemoHTMLTrimmingKeepCount'));